@@ -1,9 +1,19 @@
 require('dotenv').config();
 const express = require('express');
 const logger = require('./config/logger');
+const schedulerService = require('./services/schedulerService');
+const journeyWorkerService = require('./services/journeyWorkerService');
+const webhookWorkerService = require('./services/webhookWorkerService');
 const messageRoutes = require('./routes/message');
 const templateRoutes = require('./routes/template');
 const analyticsRoutes = require('./routes/analytics');
+const webhookRoutes = require('./routes/webhook');
+const suppressionRoutes = require('./routes/suppression');
+const contactRoutes = require('./routes/contact');
+const mediaRoutes = require('./routes/media');
+const segmentRoutes = require('./routes/segment');
+const journeyRoutes = require('./routes/journey');
+const autoReplyRoutes = require('./routes/autoReply');
 const bodyParser = require('body-parser');
 const cookieParser = require('cookie-parser');
 const swaggerJsdoc = require('swagger-jsdoc');
@@ -64,6 +74,34 @@ const swaggerDefinition = {
         {
             name: 'Analytics',
             description: 'Endpoints for retrieving analytics and statistics.'
+        },
+        {
+            name: 'Webhook',
+            description: 'Endpoints called by Meta to deliver WhatsApp status and inbound message events.'
+        },
+        {
+            name: 'Suppression',
+            description: 'Endpoints for managing the phone numbers that must not receive messages.'
+        },
+        {
+            name: 'Contact',
+            description: 'Endpoints for the contact book: attributes, tags and the history of each contact.'
+        },
+        {
+            name: 'Media',
+            description: 'Endpoints for uploading and managing WhatsApp media files.'
+        },
+        {
+            name: 'Segment',
+            description: 'Endpoints for saved contact segments used as campaign audiences.'
+        },
+        {
+            name: 'Journey',
+            description: 'Endpoints for multi-step journeys of template sends, delays and reply branches.'
+        },
+        {
+            name: 'AutoReply',
+            description: 'Endpoints for keyword rules that answer inbound messages automatically.'
         }
     ],
     components: {
@@ -89,6 +127,13 @@ app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 app.use('/message', messageRoutes);
 app.use('/template', templateRoutes);
+app.use('/webhook', webhookRoutes);
+app.use('/suppression', suppressionRoutes);
+app.use('/contact', contactRoutes);
+app.use('/media', mediaRoutes);
+app.use('/segment', segmentRoutes);
+app.use('/journey', journeyRoutes);
+app.use('/auto-reply', autoReplyRoutes);
 app.use('/', analyticsRoutes);
 
 app.use((err, req, res, next) => {
@@ -100,4 +145,7 @@ const PORT = process.env.PORT || 3003;
 app.listen(PORT, () => {
     logger.info(`App: Server running on port ${PORT}`);
     logger.info(`App: Swagger docs available at /docs`);
+    schedulerService.start();
+    journeyWorkerService.start();
+    webhookWorkerService.start();
 }); 
\ No newline at end of file
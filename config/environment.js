@@ -5,5 +5,26 @@ module.exports = {
     mongoClientsDbName: process.env.MONGO_CLIENTS_DB_NAME,
     mongoProjectsCollectionName: process.env.MONGO_PROJECTS_COLLECTION_NAME,
     mongoCampaignsDbName: process.env.MONGO_CAMPAIGNS_DB_NAME,
+    mongoSuppressionDbName: process.env.MONGO_SUPPRESSION_DB_NAME,
+    mongoIdempotencyDbName: process.env.MONGO_IDEMPOTENCY_DB_NAME,
+    mongoMessagesDbName: process.env.MONGO_MESSAGES_DB_NAME,
+    mongoContactsDbName: process.env.MONGO_CONTACTS_DB_NAME,
+    mongoMediaDbName: process.env.MONGO_MEDIA_DB_NAME,
+    mongoSegmentsDbName: process.env.MONGO_SEGMENTS_DB_NAME,
+    mongoJourneysDbName: process.env.MONGO_JOURNEYS_DB_NAME,
+    mongoAutoRepliesDbName: process.env.MONGO_AUTO_REPLIES_DB_NAME,
+    mongoWebhooksDbName: process.env.MONGO_WEBHOOKS_DB_NAME,
     mongoUsersCollectionName: process.env.MONGO_USERS_COLLECTION_NAME,
+    dispatchConcurrency: process.env.DISPATCH_CONCURRENCY,
+    dispatchMessagesPerSecond: process.env.DISPATCH_MESSAGES_PER_SECOND,
+    sendRetryMaxAttempts: process.env.SEND_RETRY_MAX_ATTEMPTS,
+    sendRetryBaseDelayMs: process.env.SEND_RETRY_BASE_DELAY_MS,
+    sendRetryMaxDelayMs: process.env.SEND_RETRY_MAX_DELAY_MS,
+    schedulerIntervalMs: process.env.SCHEDULER_INTERVAL_MS,
+    journeyWorkerIntervalMs: process.env.JOURNEY_WORKER_INTERVAL_MS,
+    webhookWorkerIntervalMs: process.env.WEBHOOK_WORKER_INTERVAL_MS,
+    idempotencyKeyTtlHours: process.env.IDEMPOTENCY_KEY_TTL_HOURS,
+    mediaStorageDriver: process.env.MEDIA_STORAGE_DRIVER,
+    mediaStoragePath: process.env.MEDIA_STORAGE_PATH,
+    mediaBaseUrl: process.env.MEDIA_BASE_URL,
 }; 
\ No newline at end of file
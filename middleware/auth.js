@@ -2,6 +2,7 @@ const axios = require('axios');
 const crypto = require('crypto');
 const environment = require('../config/environment');
 const mongodbService = require('../services/mongodbService');
+const projectService = require('../services/projectService');
 const logger = require('../config/logger');
 
 const JWT_VALIDATION_URL = environment.emberAuthUrl + '/token/verify';
@@ -49,6 +50,7 @@ function jwtTokenValidation(role) {
                         req.body.phoneId = project.integrations.whatsApp.phoneId;
                         req.body.apiToken = project.integrations.whatsApp.apiToken;
                         req.body.appId = project.integrations.whatsApp.appId;
+                        req.body.defaultCountry = project.integrations.whatsApp.defaultCountry;
                         req.body.senderEmail = user.email || null;
                         req.body.senderName = user.name || null;
                         req.body.senderName = user.name || null;
@@ -75,6 +77,7 @@ function jwtTokenValidation(role) {
                     req.body.phoneId = project.integrations.whatsApp.phoneId;
                     req.body.apiToken = project.integrations.whatsApp.apiToken;
                     req.body.appId = project.integrations.whatsApp.appId;
+                    req.body.defaultCountry = project.integrations.whatsApp.defaultCountry;
                     tokenRoleLevel = roleLevels.indexOf(response.data.role);
                     if (project.integrations?.blip?.enabled) {
                         req.body.blipRouterAuthToken = project.integrations.blip.authToken;
@@ -103,16 +106,21 @@ async function originRequestValidation(req, res, next) {
     const signature = req.headers['x-hub-signature-256'];
     const projectId = req.params.projectId;
 
-    const clientsDb = await mongodbService.getDbConnection(CLIENTS_DB_NAME);
-    const project = await clientsDb.collection(PROJECTS_COLLECTION_NAME).findOne({ _id: projectId });
+    let project;
+    try {
+        project = await projectService.getProjectById(projectId);
+    } catch (error) {
+        logger.error('AuthMiddleware: Error loading project in originRequestValidation', { projectId, error: error.message });
+        return res.status(500).json({ message: 'Internal server error' });
+    }
     if (!project) {
         logger.error('AuthMiddleware: Project not found in originRequestValidation', { projectId });
         return res.status(401).json({ message: 'Project not found' });
     }
 
-    const appSecret = project.integrations.whatsApp.appSecret;
+    const appSecret = project.integrations?.whatsApp?.appSecret;
 
-    if (signature && appSecret) {
+    if (signature && appSecret && req.rawBody) {
         const expectedSignature =
             'sha256=' +
             crypto
@@ -120,8 +128,12 @@ async function originRequestValidation(req, res, next) {
                 .update(req.rawBody)
                 .digest('hex');
 
-        if (signature === expectedSignature) {
+        const signatureBuffer = Buffer.from(signature);
+        const expectedBuffer = Buffer.from(expectedSignature);
+
+        if (signatureBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
             logger.info('AuthMiddleware: Signature validated successfully', { projectId });
+            req.project = project;
             return next();
         }
         logger.error('AuthMiddleware: Invalid signature', { projectId });
@@ -0,0 +1,78 @@
+const idempotencyService = require('../services/idempotencyService');
+const logger = require('../config/logger');
+
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+
+// Set on req.body by jwtTokenValidation, not sent by the client
+const AUTH_FIELDS = ['projectId', 'fromPhoneNumber', 'wabaId', 'phoneId', 'apiToken', 'appId', 'defaultCountry', 'senderEmail', 'senderName', 'blipRouterAuthToken', 'sender'];
+
+function getClientPayload(req) {
+    const body = { ...req.body };
+    AUTH_FIELDS.forEach(field => delete body[field]);
+    const query = { ...req.query };
+    delete query.projectId;
+    return { query, body };
+}
+
+/**
+ * Replay the stored response when a request repeats an `Idempotency-Key` inside its TTL.
+ * Must run after jwtTokenValidation, which sets the projectId the keys are scoped to.
+ * Only successful (2xx) responses are stored; on any other response the key is released so the client can retry.
+ */
+function idempotency() {
+    return async function (req, res, next) {
+        const key = req.headers['idempotency-key'];
+        if (key === undefined) {
+            return next();
+        }
+
+        const projectId = req.body.projectId;
+        const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+
+        if (!key.trim() || key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+            return res.status(400).json({ error: `Invalid input: Idempotency-Key must have between 1 and ${IDEMPOTENCY_KEY_MAX_LENGTH} characters` });
+        }
+
+        let reservedAt;
+        try {
+            const fingerprint = idempotencyService.buildFingerprint(endpoint, getClientPayload(req));
+            const reservation = await idempotencyService.reserveKey({ projectId, key, endpoint, fingerprint });
+            reservedAt = reservation.reservedAt;
+
+            if (!reservation.reserved) {
+                const { record } = reservation;
+                if (record.endpoint !== endpoint || record.fingerprint !== fingerprint) {
+                    return res.status(422).json({ error: 'Idempotency-Key was already used with a different request' });
+                }
+                if (record.status !== 'completed') {
+                    return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+                }
+
+                logger.info('IdempotencyMiddleware: Replaying stored response', { projectId, key, endpoint });
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(record.statusCode).json(record.response);
+            }
+        } catch (error) {
+            logger.error('IdempotencyMiddleware: Error reserving idempotency key', { error: error.message, projectId, key });
+            return res.status(500).json({ error: 'Internal server error', details: error.message });
+        }
+
+        const json = res.json.bind(res);
+        res.json = function (body) {
+            const statusCode = res.statusCode;
+            const store = statusCode >= 200 && statusCode < 300
+                ? idempotencyService.completeKey({ projectId, key, reservedAt, statusCode, response: body })
+                : idempotencyService.releaseKey({ projectId, key, reservedAt });
+
+            // Store before answering, so a retry arriving right after the response is replayed
+            store
+                .catch(error => logger.error('IdempotencyMiddleware: Error storing idempotency key', { error: error.message, projectId, key }))
+                .finally(() => json(body));
+            return res;
+        };
+
+        return next();
+    };
+}
+
+module.exports = { idempotency };
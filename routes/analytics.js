@@ -190,6 +190,160 @@ router.post('/stats', jwtTokenValidation('viewer'), async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /stats/campaign/{campaignId}/variants:
+ *   get:
+ *     summary: Get the A/B test breakdown of a campaign
+ *     description: |
+ *       Read and reply rates of each variant of a campaign sent with `variants` on `POST /message/template`,
+ *       to see which copy won.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required in query string for user JWTs (not required for service JWTs).
+ *       - Rates are over the messages sent of each variant. A reply also counts as a read.
+ *       - `leader` is the variant ahead on the test metric (`abTest.metric`, replies by default) right now;
+ *         in winner mode `abTest.winner` is the variant picked at `abTest.decidedAt`, and `abTest.testStats` the rates it was picked on.
+ *
+ *     tags:
+ *       - Analytics
+ *     parameters:
+ *       - in: path
+ *         name: campaignId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign id
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Breakdown calculated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 campaignId:
+ *                   type: string
+ *                 campaignName:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   example: awaiting_winner
+ *                 abTest:
+ *                   type: object
+ *                   description: Test settings, plus winner, decideAt and decidedAt in winner mode
+ *                 held:
+ *                   type: integer
+ *                   description: Recipients still waiting for the winner
+ *                 leader:
+ *                   type: string
+ *                   example: B
+ *                 variants:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       templateName:
+ *                         type: string
+ *                       language:
+ *                         type: string
+ *                       percentage:
+ *                         type: integer
+ *                       recipients:
+ *                         type: integer
+ *                       sent:
+ *                         type: integer
+ *                       failed:
+ *                         type: integer
+ *                       read:
+ *                         type: integer
+ *                       replied:
+ *                         type: integer
+ *                       readRate:
+ *                         type: number
+ *                       replyRate:
+ *                         type: number
+ *             example:
+ *               campaignId: "507f1f77bcf86cd799439011"
+ *               campaignName: "Black Friday"
+ *               status: completed
+ *               abTest: { mode: split, seed: "507f1f77bcf86cd799439011" }
+ *               held: 0
+ *               leader: B
+ *               variants:
+ *                 - { name: A, templateName: promo_a, language: pt_BR, percentage: 50, recipients: 500, sent: 496, failed: 4, read: 310, replied: 41, readRate: 0.625, replyRate: 0.0827 }
+ *                 - { name: B, templateName: promo_b, language: pt_BR, percentage: 50, recipients: 500, sent: 498, failed: 2, read: 352, replied: 63, readRate: 0.7068, replyRate: 0.1265 }
+ *       400:
+ *         description: Invalid campaign id, or the campaign is not an A/B test.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Invalid input: campaign is not an A/B test"
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Unauthorized
+ *       404:
+ *         description: Campaign not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Campaign not found"
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Erro ao gerar estatísticas por variante"
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/stats/campaign/:campaignId/variants', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.body;
+
+        const breakdown = await analyticsService.getVariantBreakdown(projectId, req.params.campaignId);
+
+        res.status(200).json(breakdown);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Campaign not found') {
+            return res.status(404).json({ error: error.message });
+        }
+
+        logger.error('AnalyticsRoute: Error in GET /stats/campaign/:campaignId/variants', { error: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Erro ao gerar estatísticas por variante' });
+    }
+});
+
 /**
  * @swagger
  * /dashboard:
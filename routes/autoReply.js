@@ -0,0 +1,624 @@
+const express = require('express');
+const autoReplyService = require('../services/autoReplyService');
+const logger = require('../config/logger');
+const { jwtTokenValidation } = require('../middleware/auth');
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AutoReplyRuleInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: 'Price question'
+ *         description:
+ *           type: string
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *         priority:
+ *           type: integer
+ *           default: 100
+ *           description: Rules are tried by ascending priority, then by creation; only the first match answers
+ *         matchType:
+ *           type: string
+ *           enum: [exact, contains, regex]
+ *           default: exact
+ *           description: |
+ *             - `exact`: the whole message is one of `keywords`.
+ *             - `contains`: the message contains one of `keywords` as a whole word or phrase.
+ *             - `regex`: the message matches `pattern`.
+ *
+ *             Case is always ignored; `exact` and `contains` also ignore accents and punctuation.
+ *         keywords:
+ *           type: array
+ *           description: Words or phrases (`exact`, `contains`)
+ *           items:
+ *             type: string
+ *           example: ['preço', 'valor', '1']
+ *         pattern:
+ *           type: string
+ *           description: Regular expression (`regex`). Nested repetitions such as `(a+)+` and backreferences are rejected, and only the first 1000 characters of a message are matched.
+ *           example: '^(quanto|qual).*(custa|pre[cç]o)'
+ *         schedule:
+ *           type: object
+ *           nullable: true
+ *           description: Only answer at these times. A `start` after the `end` spans midnight. Leave out to answer at any time.
+ *           required:
+ *             - start
+ *             - end
+ *           properties:
+ *             start:
+ *               type: string
+ *               example: '08:00'
+ *             end:
+ *               type: string
+ *               example: '18:00'
+ *             days:
+ *               type: array
+ *               description: Weekdays, 0 is Sunday. Defaults to every day.
+ *               items:
+ *                 type: integer
+ *               example: [1, 2, 3, 4, 5]
+ *             timezone:
+ *               type: string
+ *               default: 'UTC'
+ *               example: 'America/Sao_Paulo'
+ *         scope:
+ *           type: object
+ *           nullable: true
+ *           description: Only answer replies to these campaigns and/or templates. Leave out to answer any inbound message.
+ *           properties:
+ *             campaignIds:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             templateNames:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               example: ['black_friday_offer']
+ *         reply:
+ *           type: object
+ *           description: Message sent back, as `message_type` and `content` of `POST /message`. Text, media (image, document, video, audio, sticker) and interactive types are accepted.
+ *           required:
+ *             - message_type
+ *             - content
+ *           properties:
+ *             message_type:
+ *               type: string
+ *               example: 'text'
+ *             content:
+ *               example: 'Our prices are at https://example.com/prices'
+ *     AutoReplyRule:
+ *       allOf:
+ *         - $ref: '#/components/schemas/AutoReplyRuleInput'
+ *         - type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: '6661b3c48b3e4a0012345678'
+ *             fireCount:
+ *               type: integer
+ *               description: Inbound messages the rule answered
+ *               example: 42
+ *             lastFiredAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             createdBy:
+ *               type: string
+ *               nullable: true
+ *             createdAt:
+ *               type: string
+ *               format: date-time
+ *             updatedAt:
+ *               type: string
+ *               format: date-time
+ */
+
+/**
+ * @swagger
+ * /auto-reply:
+ *   get:
+ *     summary: List auto-reply rules
+ *     description: |
+ *       List the project's auto-reply rules in the order they are tried.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - AutoReply
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         description: Maximum number of rules to return (up to 1000).
+ *       - in: query
+ *         name: skip
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of rules to skip.
+ *     responses:
+ *       200:
+ *         description: Rules.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 100
+ *                 skip:
+ *                   type: integer
+ *                   example: 0
+ *                 rules:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AutoReplyRule'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     summary: Create an auto-reply rule
+ *     description: |
+ *       Answer inbound messages automatically when they match keywords or a regular expression.
+ *       The first enabled matching rule answers, quoting the inbound message. Since the contact just wrote, the reply goes out inside the 24-hour customer service window.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *       - Rule names are unique within the project.
+ *       - Opt-out keywords and replies taken by a journey step are not answered by rules.
+ *
+ *     tags:
+ *       - AutoReply
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AutoReplyRuleInput'
+ *               - type: object
+ *                 required:
+ *                   - name
+ *                   - reply
+ *           example:
+ *             name: 'Price question'
+ *             matchType: 'contains'
+ *             keywords: ['preço', 'valor']
+ *             schedule:
+ *               start: '08:00'
+ *               end: '18:00'
+ *               days: [1, 2, 3, 4, 5]
+ *               timezone: 'America/Sao_Paulo'
+ *             reply:
+ *               message_type: 'text'
+ *               content: 'Nossos preços estão em https://example.com/precos'
+ *     responses:
+ *       201:
+ *         description: Rule created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AutoReplyRule'
+ *       400:
+ *         description: Invalid input. The name is missing or already used, or the match, schedule, scope or reply is invalid.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Invalid input: schedule.start and schedule.end must be different HH:MM times'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { limit, skip } = req.query;
+        const { projectId } = req.body;
+        const result = await autoReplyService.listRules({ projectId, limit, skip });
+        res.status(200).json(result);
+    } catch (error) {
+        logger.error('AutoReplyRoute: Error in GET /auto-reply', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+router.post('/', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { projectId, name, description, enabled, priority, matchType, keywords, pattern, schedule, scope, reply, senderEmail } = req.body;
+        const rule = await autoReplyService.createRule({
+            projectId,
+            name,
+            description,
+            enabled,
+            priority,
+            matchType,
+            keywords,
+            pattern,
+            schedule,
+            scope,
+            reply,
+            createdBy: senderEmail
+        });
+        res.status(201).json(rule);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('AutoReplyRoute: Error in POST /auto-reply', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /auto-reply/log:
+ *   get:
+ *     summary: List fired auto-replies
+ *     description: |
+ *       Which rule answered each inbound message, latest first, with the reply's outcome.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - AutoReply
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *       - in: query
+ *         name: ruleId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only this rule.
+ *       - in: query
+ *         name: phoneNumber
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only this contact.
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [sending, sent, suppressed, failed]
+ *         description: Only replies with this outcome.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         description: Maximum number of entries to return (up to 1000).
+ *       - in: query
+ *         name: skip
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of entries to skip.
+ *     responses:
+ *       200:
+ *         description: Log entries.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 100
+ *                 skip:
+ *                   type: integer
+ *                   example: 0
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       ruleId:
+ *                         type: string
+ *                       ruleName:
+ *                         type: string
+ *                         example: 'Price question'
+ *                       phoneNumber:
+ *                         type: string
+ *                         example: '5511999999999'
+ *                       inboundMessageId:
+ *                         type: string
+ *                         example: 'wamid.HBgLNTUxMTk5OTk5OTk5OQ...'
+ *                       messageText:
+ *                         type: string
+ *                         example: 'Qual o preço?'
+ *                       campaignId:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Campaign the inbound message answered
+ *                       templateName:
+ *                         type: string
+ *                         nullable: true
+ *                       replyMessageType:
+ *                         type: string
+ *                         example: 'text'
+ *                       replyMessageId:
+ *                         type: string
+ *                         nullable: true
+ *                       status:
+ *                         type: string
+ *                         enum: [sending, sent, suppressed, failed]
+ *                       error:
+ *                         type: string
+ *                         nullable: true
+ *                       dateTime:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: Invalid input. The rule id or the status is not valid.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/log', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { ruleId, phoneNumber, status, limit, skip } = req.query;
+        const { projectId, defaultCountry } = req.body;
+        const result = await autoReplyService.listLog({ projectId, ruleId, phoneNumber, status, limit, skip, defaultCountry });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('AutoReplyRoute: Error in GET /auto-reply/log', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /auto-reply/{id}:
+ *   get:
+ *     summary: Get an auto-reply rule
+ *     description: |
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - AutoReply
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rule id.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Rule.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AutoReplyRule'
+ *       400:
+ *         description: Invalid input. The id is not valid.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Rule not found.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ *   put:
+ *     summary: Update an auto-reply rule
+ *     description: |
+ *       Update any field of a rule, for example `enabled: false` to pause it. Fields left out are kept; `schedule: null` and `scope: null` remove them.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - AutoReply
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rule id.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AutoReplyRuleInput'
+ *     responses:
+ *       200:
+ *         description: Updated rule.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AutoReplyRule'
+ *       400:
+ *         description: Invalid input. The name is already used or a field is invalid.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Rule not found.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Delete an auto-reply rule
+ *     description: |
+ *       Delete a rule. Its entries in the auto-reply log are kept.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - AutoReply
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rule id.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Rule deleted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                   example: '6661b3c48b3e4a0012345678'
+ *                 deleted:
+ *                   type: boolean
+ *                   example: true
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Rule not found.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.body;
+        const rule = await autoReplyService.getRule({ projectId, ruleId: req.params.id });
+        res.status(200).json(rule);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Auto-reply rule not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('AutoReplyRoute: Error in GET /auto-reply/:id', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+router.put('/:id', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { projectId, name, description, enabled, priority, matchType, keywords, pattern, schedule, scope, reply } = req.body;
+        const rule = await autoReplyService.updateRule({
+            projectId,
+            ruleId: req.params.id,
+            name,
+            description,
+            enabled,
+            priority,
+            matchType,
+            keywords,
+            pattern,
+            schedule,
+            scope,
+            reply
+        });
+        res.status(200).json(rule);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Auto-reply rule not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('AutoReplyRoute: Error in PUT /auto-reply/:id', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+router.delete('/:id', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { projectId } = req.body;
+        const result = await autoReplyService.deleteRule({ projectId, ruleId: req.params.id });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Auto-reply rule not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('AutoReplyRoute: Error in DELETE /auto-reply/:id', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+module.exports = router;
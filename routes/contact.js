@@ -0,0 +1,730 @@
+const express = require('express');
+const contactService = require('../services/contactService');
+const logger = require('../config/logger');
+const { jwtTokenValidation } = require('../middleware/auth');
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Contact:
+ *       type: object
+ *       properties:
+ *         phoneNumber:
+ *           type: string
+ *           example: '5511999999999'
+ *         name:
+ *           type: string
+ *           nullable: true
+ *           example: 'Ana Souza'
+ *         attributes:
+ *           type: object
+ *           description: Custom attributes (string, number or boolean values)
+ *           additionalProperties: true
+ *           example: { city: 'São Paulo', plan: 'pro', orders: 3 }
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ['customer', 'vip']
+ *         contactName:
+ *           type: string
+ *           nullable: true
+ *           description: WhatsApp profile name, from the contact's last message
+ *         lastInboundAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     ContactInput:
+ *       type: object
+ *       required:
+ *         - phoneNumber
+ *       properties:
+ *         phoneNumber:
+ *           type: string
+ *           description: International or national to the project's default country
+ *           example: '5511999999999'
+ *         name:
+ *           type: string
+ *           example: 'Ana Souza'
+ *         attributes:
+ *           type: object
+ *           description: Merged into the contact's attributes. Names use letters, digits and `_`; a null value removes the attribute.
+ *           additionalProperties: true
+ *           example: { city: 'São Paulo', plan: 'pro' }
+ *         tags:
+ *           type: array
+ *           description: Added to the contact's tags
+ *           items:
+ *             type: string
+ *           example: ['customer']
+ */
+
+/**
+ * @swagger
+ * /contact:
+ *   get:
+ *     summary: List contacts
+ *     description: |
+ *       List the project's contact book, newest first.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *       - Contacts are also created automatically when someone writes to the project.
+ *
+ *     tags:
+ *       - Contact
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *       - in: query
+ *         name: tag
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only contacts with this tag.
+ *       - in: query
+ *         name: search
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Part of the name or of the phone number.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         description: Maximum number of contacts to return (up to 1000).
+ *       - in: query
+ *         name: skip
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of contacts to skip.
+ *     responses:
+ *       200:
+ *         description: Contacts.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 100
+ *                 skip:
+ *                   type: integer
+ *                   example: 0
+ *                 contacts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Contact'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     summary: Create or update a contact
+ *     description: |
+ *       Add a contact to the project's contact book. If the phone number is already there, the name is replaced, attributes are merged and tags are added.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Contact
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ContactInput'
+ *     responses:
+ *       200:
+ *         description: Existing contact updated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Contact'
+ *       201:
+ *         description: Contact created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Contact'
+ *       400:
+ *         description: Invalid input. The phone number, an attribute or a tag is invalid.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Invalid input: attributes.first-name is not a valid attribute name (letters, digits and _, not starting with a digit)'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { tag, search, limit, skip } = req.query;
+        const { projectId } = req.body;
+        const result = await contactService.listContacts({ projectId, tag, search, limit, skip });
+        res.status(200).json(result);
+    } catch (error) {
+        logger.error('ContactRoute: Error in GET /contact', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+router.post('/', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { projectId, phoneNumber, name, attributes, tags, senderEmail, defaultCountry } = req.body;
+
+        if (!phoneNumber) {
+            return res.status(400).json({ error: 'Invalid input: phoneNumber is required' });
+        }
+
+        const { created, ...contact } = await contactService.upsertContact({
+            projectId,
+            phoneNumber,
+            name,
+            attributes,
+            tags,
+            createdBy: senderEmail,
+            defaultCountry
+        });
+        res.status(created ? 201 : 200).json(contact);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('ContactRoute: Error in POST /contact', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /contact/bulk:
+ *   post:
+ *     summary: Create or update contacts in bulk
+ *     description: |
+ *       Create or update up to 10000 contacts at once, with the same merge rules as `POST /contact`.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *       - Invalid entries are reported in `invalid` with their position, and the rest are saved.
+ *
+ *     tags:
+ *       - Contact
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - contacts
+ *             properties:
+ *               contacts:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ContactInput'
+ *     responses:
+ *       200:
+ *         description: Import summary.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 received:
+ *                   type: integer
+ *                   example: 3
+ *                 created:
+ *                   type: integer
+ *                   example: 1
+ *                 updated:
+ *                   type: integer
+ *                   example: 1
+ *                 invalid:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: integer
+ *                         example: 2
+ *                       phoneNumber:
+ *                         type: string
+ *                         example: '123'
+ *                       reason:
+ *                         type: string
+ *                         example: 'not a valid number'
+ *       400:
+ *         description: Invalid input. `contacts` is missing, empty or too long.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/bulk', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { projectId, contacts, senderEmail, defaultCountry } = req.body;
+        const summary = await contactService.upsertContacts({ projectId, contacts, createdBy: senderEmail, defaultCountry });
+        res.status(200).json(summary);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('ContactRoute: Error in POST /contact/bulk', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /contact/{phone}:
+ *   get:
+ *     summary: Get a contact
+ *     description: |
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Contact
+ *     parameters:
+ *       - in: path
+ *         name: phone
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contact phone number, international or national to the project's default country.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Contact.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Contact'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: The phone number is not in the contact book.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ *   put:
+ *     summary: Update a contact
+ *     description: |
+ *       Update an existing contact. `name` is replaced, `attributes` are merged (a null value removes an attribute) and `tags`, when given, replace the contact's tags.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Contact
+ *     parameters:
+ *       - in: path
+ *         name: phone
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contact phone number, international or national to the project's default country.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 nullable: true
+ *               attributes:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 example: { plan: 'enterprise', city: null }
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['customer']
+ *     responses:
+ *       200:
+ *         description: Updated contact.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Contact'
+ *       400:
+ *         description: Invalid input. An attribute or a tag is invalid.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: The phone number is not in the contact book.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Delete a contact
+ *     description: |
+ *       Remove a contact from the contact book. Its message history is kept.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Contact
+ *     parameters:
+ *       - in: path
+ *         name: phone
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contact phone number, international or national to the project's default country.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Contact deleted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 phoneNumber:
+ *                   type: string
+ *                   example: '5511999999999'
+ *                 deleted:
+ *                   type: boolean
+ *                   example: true
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: The phone number is not in the contact book.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:phone', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { projectId, defaultCountry } = req.body;
+        const contact = await contactService.getContact({ projectId, phoneNumber: req.params.phone, defaultCountry });
+        res.status(200).json(contact);
+    } catch (error) {
+        if (error.message === 'Contact not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('ContactRoute: Error in GET /contact/:phone', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+router.put('/:phone', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { projectId, name, attributes, tags, defaultCountry } = req.body;
+        const contact = await contactService.updateContact({ projectId, phoneNumber: req.params.phone, name, attributes, tags, defaultCountry });
+        res.status(200).json(contact);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Contact not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('ContactRoute: Error in PUT /contact/:phone', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+router.delete('/:phone', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { projectId, defaultCountry } = req.body;
+        const result = await contactService.deleteContact({ projectId, phoneNumber: req.params.phone, defaultCountry });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message === 'Contact not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('ContactRoute: Error in DELETE /contact/:phone', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /contact/{phone}/conversation:
+ *   get:
+ *     summary: Get the conversation with a contact
+ *     description: |
+ *       Return everything the project exchanged with a contact as one timeline, newest first:
+ *       templates sent by campaigns, session messages sent through `POST /message`, messages received and status changes.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *       - Only the project's own campaigns and messages are included.
+ *       - Pass the `nextCursor` of a page as `cursor` to get the next (older) page. `nextCursor` is null on the last page.
+ *
+ *       **Event types:**
+ *       - `template`: A template sent to the contact by a campaign.
+ *       - `message`: A session message sent through `POST /message`.
+ *       - `reply`: A message received from the contact, either answering a campaign (`campaignId`, `replyTo`) or not.
+ *       - `status`: A status reported by WhatsApp for a message sent (`sent`, `delivered`, `read`, `failed`).
+ *
+ *     tags:
+ *       - Contact
+ *     parameters:
+ *       - in: path
+ *         name: phone
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contact phone number, international or national to the project's default country.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: The `nextCursor` returned by the previous page.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Maximum number of events to return (up to 200).
+ *     responses:
+ *       200:
+ *         description: Conversation events.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 phoneNumber:
+ *                   type: string
+ *                   example: '5511999999999'
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         example: 'campaign:6878e3f2a1b2c3d4e5f60718:0'
+ *                       type:
+ *                         type: string
+ *                         enum: [template, message, reply, status]
+ *                         example: 'template'
+ *                       direction:
+ *                         type: string
+ *                         enum: [outbound, inbound]
+ *                         example: 'outbound'
+ *                       dateTime:
+ *                         type: string
+ *                         format: date-time
+ *                       messageId:
+ *                         type: string
+ *                         example: 'wamid.HBgMNTUxMTk5OTk5OTk5FQIAERgSODg3QzA4QzA4QzA4QzA4AA=='
+ *                       messageType:
+ *                         type: string
+ *                         example: 'text'
+ *                       text:
+ *                         type: string
+ *                         description: Text received, or summary of the session message sent
+ *                       templateName:
+ *                         type: string
+ *                         example: 'sale_announcement'
+ *                       campaignId:
+ *                         type: string
+ *                       campaignName:
+ *                         type: string
+ *                       replyTo:
+ *                         type: string
+ *                         description: wamid of the campaign message a reply answers
+ *                       status:
+ *                         type: string
+ *                         example: 'read'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid input. The phone number or the cursor is invalid.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Invalid input: cursor is invalid'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:phone/conversation', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { cursor, limit } = req.query;
+        const { projectId, defaultCountry } = req.body;
+        const conversation = await contactService.getConversation({
+            projectId,
+            phoneNumber: req.params.phone,
+            cursor,
+            limit,
+            defaultCountry
+        });
+        res.status(200).json(conversation);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('ContactRoute: Error in GET /contact/:phone/conversation', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /contact/{phone}/window:
+ *   get:
+ *     summary: Get the customer service window of a contact
+ *     description: |
+ *       Tell whether free-form messages (text, media, interactive...) can be sent to a contact.
+ *       The window opens for 24 hours each time the contact writes to the project; outside it only templates are delivered.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Contact
+ *     parameters:
+ *       - in: path
+ *         name: phone
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contact phone number, international or national to the project's default country.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Customer service window.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 phoneNumber:
+ *                   type: string
+ *                   example: '5511999999999'
+ *                 open:
+ *                   type: boolean
+ *                   example: true
+ *                 lastInboundAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: Last message received from the contact
+ *                   example: '2025-07-17T20:07:33.000Z'
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: When the window closes (or closed)
+ *                   example: '2025-07-18T20:07:33.000Z'
+ *       400:
+ *         description: Invalid input. The phone number is invalid.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:phone/window', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { projectId, defaultCountry } = req.body;
+        const serviceWindow = await contactService.getCustomerServiceWindow({ projectId, phoneNumber: req.params.phone, defaultCountry });
+        res.status(200).json(serviceWindow);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('ContactRoute: Error in GET /contact/:phone/window', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,942 @@
+const express = require('express');
+const journeyService = require('../services/journeyService');
+const segmentService = require('../services/segmentService');
+const phoneService = require('../services/phoneService');
+const logger = require('../config/logger');
+const { jwtTokenValidation } = require('../middleware/auth');
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     JourneyStep:
+ *       type: object
+ *       description: |
+ *         One step of a journey, by `type`:
+ *         - `send_template`: send `template_name` in `language` with `variables` (merge fields are filled from the contact book), then go to `next` right away.
+ *         - `delay`: wait `minutes`, `hours` and/or `days`, then go to `next`.
+ *         - `wait_for_reply`: wait for the contact to reply. A reply goes to the first of `branches` whose `text` (case, accents and punctuation ignored) or button `payload` matches, otherwise to `otherwise`. With `noReply`, no reply after that long goes to `noReply.next`. Replies matching no branch, with no `otherwise`, are ignored.
+ *         - `exit`: end the journey.
+ *
+ *         A step without `next` ends the journey after it.
+ *       required:
+ *         - id
+ *         - type
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Step id, unique in the journey (letters, digits, _ and -)
+ *           example: 'welcome'
+ *         type:
+ *           type: string
+ *           enum: [send_template, delay, wait_for_reply, exit]
+ *         template_name:
+ *           type: string
+ *           description: Template to send (`send_template`)
+ *           example: 'welcome_offer'
+ *         language:
+ *           type: string
+ *           description: Template language (`send_template`)
+ *           example: 'pt_BR'
+ *         variables:
+ *           type: array
+ *           description: Template components (`send_template`), as in `phone_messages[].variables`. They can hold merge fields such as `{{contact.firstName}}`.
+ *           items:
+ *             type: object
+ *         minutes:
+ *           type: number
+ *           description: Delay length (`delay`)
+ *         hours:
+ *           type: number
+ *           description: Delay length (`delay`)
+ *           example: 24
+ *         days:
+ *           type: number
+ *           description: Delay length (`delay`), up to 90 days in all
+ *         branches:
+ *           type: array
+ *           description: Reply branches (`wait_for_reply`), tried in order
+ *           items:
+ *             type: object
+ *             required:
+ *               - next
+ *             properties:
+ *               text:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                 description: Reply texts going to this branch
+ *                 example: ['SIM', 'QUERO']
+ *               payload:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                 description: Quick reply button payloads going to this branch
+ *               next:
+ *                 type: string
+ *                 example: 'send_coupon'
+ *         otherwise:
+ *           type: string
+ *           description: Step for replies matching no branch (`wait_for_reply`)
+ *         noReply:
+ *           type: object
+ *           description: Timeout without a reply (`wait_for_reply`). Without `next`, the journey ends.
+ *           properties:
+ *             minutes:
+ *               type: number
+ *             hours:
+ *               type: number
+ *               example: 48
+ *             days:
+ *               type: number
+ *             next:
+ *               type: string
+ *               example: 'reminder'
+ *         next:
+ *           type: string
+ *           description: Step that follows (`send_template`, `delay`)
+ *     Journey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: '6660a1b28b3e4a0012345678'
+ *         name:
+ *           type: string
+ *           example: 'Welcome offer'
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         entryStepId:
+ *           type: string
+ *           example: 'welcome'
+ *         steps:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/JourneyStep'
+ *         createdBy:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     JourneyEnrollment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         journeyId:
+ *           type: string
+ *         journeyName:
+ *           type: string
+ *         phoneNumber:
+ *           type: string
+ *           example: '5511999999999'
+ *         status:
+ *           type: string
+ *           enum: [active, completed, exited, failed]
+ *         currentStepId:
+ *           type: string
+ *           nullable: true
+ *           description: Step the contact is at (the last one, once the enrollment ended)
+ *         stepEnteredAt:
+ *           type: string
+ *           format: date-time
+ *         nextRunAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the worker runs the enrollment next; null while waiting for a reply without timeout, or once ended
+ *         waitingForReply:
+ *           type: boolean
+ *         exitReason:
+ *           type: string
+ *           description: Why the contact left the journey (`manual`, `suppressed`, `journey_deleted`)
+ *         error:
+ *           type: string
+ *           description: Why the enrollment failed
+ *         enrolledAt:
+ *           type: string
+ *           format: date-time
+ *         enrolledBy:
+ *           type: string
+ *           nullable: true
+ *         history:
+ *           type: array
+ *           description: Latest 200 events (enrolled, sent, replied, no_reply, completed, exited, failed). Only in the contact endpoint.
+ *           items:
+ *             type: object
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 example: 'sent'
+ *               stepId:
+ *                 type: string
+ *               dateTime:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /journey:
+ *   get:
+ *     summary: List journeys
+ *     description: |
+ *       List the project's journeys, sorted by name.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Journey
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         description: Maximum number of journeys to return (up to 1000).
+ *       - in: query
+ *         name: skip
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of journeys to skip.
+ *     responses:
+ *       200:
+ *         description: Journeys.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 100
+ *                 skip:
+ *                   type: integer
+ *                   example: 0
+ *                 journeys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Journey'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     summary: Create a journey
+ *     description: |
+ *       Create a multi-step journey: a graph of template sends, delays and branches on the contact's reply or on no reply.
+ *       Contacts enrolled with `POST /journey/{id}/enroll` start at `entryStepId` (the first step by default) and are moved along by a background worker.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *       - Journey names are unique within the project.
+ *       - Up to 50 steps. Every `next`, `otherwise` and `noReply.next` must name a step of the journey.
+ *       - Sends of a journey respect the suppression list: a suppressed contact leaves the journey.
+ *
+ *     tags:
+ *       - Journey
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - steps
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: 'Welcome offer'
+ *               description:
+ *                 type: string
+ *               entryStepId:
+ *                 type: string
+ *                 description: First step. Defaults to the first of `steps`.
+ *               steps:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/JourneyStep'
+ *           example:
+ *             name: 'Welcome offer'
+ *             steps:
+ *               - id: 'welcome'
+ *                 type: 'send_template'
+ *                 template_name: 'welcome_offer'
+ *                 language: 'pt_BR'
+ *                 variables:
+ *                   - type: 'body'
+ *                     parameters:
+ *                       - type: 'text'
+ *                         text: '{{contact.firstName | default:"cliente"}}'
+ *                 next: 'wait_answer'
+ *               - id: 'wait_answer'
+ *                 type: 'wait_for_reply'
+ *                 branches:
+ *                   - text: ['SIM', 'QUERO']
+ *                     next: 'send_coupon'
+ *                   - payload: 'NOT_NOW'
+ *                     next: 'end'
+ *                 noReply:
+ *                   hours: 48
+ *                   next: 'reminder'
+ *               - id: 'reminder'
+ *                 type: 'send_template'
+ *                 template_name: 'welcome_reminder'
+ *                 language: 'pt_BR'
+ *               - id: 'send_coupon'
+ *                 type: 'send_template'
+ *                 template_name: 'welcome_coupon'
+ *                 language: 'pt_BR'
+ *               - id: 'end'
+ *                 type: 'exit'
+ *     responses:
+ *       201:
+ *         description: Journey created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Journey'
+ *       400:
+ *         description: Invalid input. The name is missing or already used, or a step is invalid.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Invalid input: steps[1].noReply.next references unknown step "remind"'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { limit, skip } = req.query;
+        const { projectId } = req.body;
+        const result = await journeyService.listJourneys({ projectId, limit, skip });
+        res.status(200).json(result);
+    } catch (error) {
+        logger.error('JourneyRoute: Error in GET /journey', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+router.post('/', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { projectId, name, description, steps, entryStepId, senderEmail } = req.body;
+        const journey = await journeyService.createJourney({ projectId, name, description, steps, entryStepId, createdBy: senderEmail });
+        res.status(201).json(journey);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('JourneyRoute: Error in POST /journey', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /journey/{id}:
+ *   get:
+ *     summary: Get a journey
+ *     description: |
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Journey
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey id.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Journey.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Journey'
+ *       400:
+ *         description: Invalid input. The id is not valid.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Journey not found.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ *   put:
+ *     summary: Update a journey
+ *     description: |
+ *       Update the name, description, steps or entry step of a journey. Fields left out are kept; `steps` is replaced as a whole.
+ *       Contacts already in the journey carry on from the step id they are at; if that step was removed, their enrollment fails.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Journey
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey id.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               entryStepId:
+ *                 type: string
+ *               steps:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/JourneyStep'
+ *     responses:
+ *       200:
+ *         description: Updated journey.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Journey'
+ *       400:
+ *         description: Invalid input. The name is already used or a step is invalid.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Journey not found.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Delete a journey
+ *     description: |
+ *       Delete a journey. Contacts still in it leave it with `exitReason` `journey_deleted`; messages already sent are kept.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Journey
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey id.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Journey deleted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                   example: '6660a1b28b3e4a0012345678'
+ *                 deleted:
+ *                   type: boolean
+ *                   example: true
+ *                 exited:
+ *                   type: integer
+ *                   description: Active enrollments ended by the deletion
+ *                   example: 12
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Journey not found.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.body;
+        const journey = await journeyService.getJourney({ projectId, journeyId: req.params.id });
+        res.status(200).json(journey);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Journey not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('JourneyRoute: Error in GET /journey/:id', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+router.put('/:id', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { projectId, name, description, steps, entryStepId } = req.body;
+        const journey = await journeyService.updateJourney({ projectId, journeyId: req.params.id, name, description, steps, entryStepId });
+        res.status(200).json(journey);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Journey not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('JourneyRoute: Error in PUT /journey/:id', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+router.delete('/:id', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { projectId } = req.body;
+        const result = await journeyService.deleteJourney({ projectId, journeyId: req.params.id });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Journey not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('JourneyRoute: Error in DELETE /journey/:id', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /journey/{id}/enroll:
+ *   post:
+ *     summary: Enroll contacts in a journey
+ *     description: |
+ *       Enroll phone numbers, or every contact of a saved segment, in a journey. They start at the entry step on the next worker pass.
+ *       Contacts already active in the journey stay where they are; contacts who finished it start over.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *       - Send either `phone_numbers` (up to 10000) or `segmentId`.
+ *
+ *     tags:
+ *       - Journey
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey id.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               phone_numbers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['5511999999999', '+55 21 98888-7777']
+ *               segmentId:
+ *                 type: string
+ *                 example: '665f1c2e8b3e4a0012345678'
+ *     responses:
+ *       200:
+ *         description: Contacts enrolled.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 journeyId:
+ *                   type: string
+ *                 received:
+ *                   type: integer
+ *                   example: 2
+ *                 enrolled:
+ *                   type: integer
+ *                   example: 1
+ *                 alreadyEnrolled:
+ *                   type: integer
+ *                   description: Contacts already active in the journey, left at their current step
+ *                   example: 1
+ *                 duplicates:
+ *                   type: integer
+ *                   example: 0
+ *       400:
+ *         description: Invalid input. Neither or both of `phone_numbers` and `segmentId` were sent, a phone number is invalid, or the segment is empty.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Journey or segment not found.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:id/enroll', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { projectId, segmentId, defaultCountry, senderEmail } = req.body;
+        let { phone_numbers } = req.body;
+
+        if (segmentId && phone_numbers) {
+            return res.status(400).json({ error: 'Invalid input: send either phone_numbers or segmentId, not both' });
+        }
+
+        if (segmentId) {
+            const { segment, contacts } = await segmentService.resolveSegmentContacts({ projectId, segmentId });
+            if (contacts.length === 0) {
+                return res.status(400).json({ error: `Invalid input: segment "${segment.name}" has no contacts` });
+            }
+            phone_numbers = contacts.map(contact => phoneService.toInternational(contact.phoneNumber));
+        }
+
+        const result = await journeyService.enrollContacts({
+            projectId,
+            journeyId: req.params.id,
+            phoneNumbers: phone_numbers,
+            defaultCountry,
+            enrolledBy: senderEmail
+        });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Journey not found' || error.message === 'Segment not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('JourneyRoute: Error in POST /journey/:id/enroll', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /journey/{id}/enrollments:
+ *   get:
+ *     summary: List the enrollments of a journey
+ *     description: |
+ *       List the contacts enrolled in a journey, latest first, with the step each one is at. Step history is left out; get it per contact.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Journey
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey id.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [active, completed, exited, failed]
+ *         description: Only enrollments with this status.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         description: Maximum number of enrollments to return (up to 1000).
+ *       - in: query
+ *         name: skip
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of enrollments to skip.
+ *     responses:
+ *       200:
+ *         description: Enrollments.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 100
+ *                 skip:
+ *                   type: integer
+ *                   example: 0
+ *                 enrollments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JourneyEnrollment'
+ *       400:
+ *         description: Invalid input. The id or the status is not valid.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Journey not found.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id/enrollments', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { status, limit, skip } = req.query;
+        const { projectId } = req.body;
+        const result = await journeyService.listEnrollments({ projectId, journeyId: req.params.id, status, limit, skip });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Journey not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('JourneyRoute: Error in GET /journey/:id/enrollments', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /journey/{id}/enrollments/{phoneNumber}:
+ *   get:
+ *     summary: Get a contact's journey state
+ *     description: |
+ *       Every enrollment of a contact in a journey, latest first, with the step it is at and its step history.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Journey
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey id.
+ *       - in: path
+ *         name: phoneNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Phone number of the contact.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Enrollments of the contact.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 journeyId:
+ *                   type: string
+ *                 journeyName:
+ *                   type: string
+ *                 phoneNumber:
+ *                   type: string
+ *                   example: '5511999999999'
+ *                 enrollments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JourneyEnrollment'
+ *       400:
+ *         description: Invalid input. The id is not valid.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Journey not found, or the contact was never enrolled in it.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id/enrollments/:phoneNumber', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { projectId, defaultCountry } = req.body;
+        const result = await journeyService.getContactEnrollments({
+            projectId,
+            journeyId: req.params.id,
+            phoneNumber: req.params.phoneNumber,
+            defaultCountry
+        });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Journey not found' || error.message === 'Enrollment not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('JourneyRoute: Error in GET /journey/:id/enrollments/:phoneNumber', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /journey/{id}/enrollments/{phoneNumber}/exit:
+ *   post:
+ *     summary: Take a contact out of a journey
+ *     description: |
+ *       End the contact's active enrollment in the journey with `exitReason` `manual`. No further step runs for it.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Journey
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey id.
+ *       - in: path
+ *         name: phoneNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Phone number of the contact.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: The ended enrollment.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JourneyEnrollment'
+ *       400:
+ *         description: Invalid input. The id is not valid.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: The contact has no active enrollment in the journey.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:id/enrollments/:phoneNumber/exit', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { projectId, defaultCountry } = req.body;
+        const enrollment = await journeyService.exitEnrollment({
+            projectId,
+            journeyId: req.params.id,
+            phoneNumber: req.params.phoneNumber,
+            defaultCountry
+        });
+        res.status(200).json(enrollment);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Enrollment not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('JourneyRoute: Error in POST /journey/:id/enrollments/:phoneNumber/exit', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+module.exports = router;
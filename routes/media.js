@@ -0,0 +1,362 @@
+const express = require('express');
+const multer = require('multer');
+const metaService = require('../services/metaService');
+const inboundMediaService = require('../services/inboundMediaService');
+const logger = require('../config/logger');
+const { jwtTokenValidation } = require('../middleware/auth');
+const router = express.Router();
+
+// Largest file WhatsApp accepts (documents); smaller per-type limits are checked by metaService
+const MEDIA_FILE_MAX_SIZE = 100 * 1024 * 1024;
+const mediaFileUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MEDIA_FILE_MAX_SIZE, files: 1 } });
+
+// Stored inbound media of these types is shown inline; anything else (documents, SVG, HTML) is downloaded
+const INLINE_MIME_TYPE_PATTERN = /^(image\/(jpeg|png|gif|webp)|audio\/[\w.+-]+|video\/[\w.+-]+)(;|$)/i;
+
+/**
+ * Parse a multipart media file after jwtTokenValidation, keeping the project fields it put on req.body
+ */
+function uploadMediaFile(req, res, next) {
+    const authFields = req.body || {};
+    mediaFileUpload.single('file')(req, res, (error) => {
+        if (error) {
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `Invalid input: file exceeds the ${MEDIA_FILE_MAX_SIZE / (1024 * 1024)}MB limit`
+                : `Invalid input: ${error.message}`;
+            return res.status(400).json({ error: message });
+        }
+        req.body = { ...req.body, ...authFields };
+        return next();
+    });
+}
+
+/**
+ * @swagger
+ * /media:
+ *   post:
+ *     summary: Upload a media file to WhatsApp
+ *     description: |
+ *       Upload an image, video, audio, document or sticker to the WhatsApp Cloud API of the project's phone number
+ *       and get back a media id. Send the id as `content.id` in `POST /message` (or as a template header parameter) instead of a public `link`.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *       - Meta keeps uploaded media for 30 days.
+ *       - Size limits: images 5MB (JPEG, PNG), stickers 500KB (WEBP), audio and video 16MB, documents 100MB.
+ *
+ *     tags:
+ *       - Media
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: File to upload. Its content type must be one WhatsApp supports.
+ *     responses:
+ *       201:
+ *         description: Media uploaded.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                   description: Media id
+ *                   example: '1037543291543636'
+ *                 mediaType:
+ *                   type: string
+ *                   description: Message type the file can be sent as
+ *                   example: 'image'
+ *                 mimeType:
+ *                   type: string
+ *                   example: 'image/jpeg'
+ *                 fileName:
+ *                   type: string
+ *                   example: 'catalog.jpg'
+ *                 fileSize:
+ *                   type: integer
+ *                   example: 204800
+ *       400:
+ *         description: Invalid input. The file is missing, too large or of a type WhatsApp does not support.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Invalid input: image files must be at most 5MB'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/', jwtTokenValidation('editor'), uploadMediaFile, async (req, res) => {
+    try {
+        const { phoneId, apiToken } = req.body;
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'Invalid input: file is required' });
+        }
+
+        const { mediaType } = metaService.validateWhatsAppMedia({ mimeType: req.file.mimetype, fileSize: req.file.size });
+        const media = await metaService.uploadPhoneMedia({
+            phoneId,
+            accessToken: apiToken,
+            fileBuffer: req.file.buffer,
+            fileName: req.file.originalname,
+            mimeType: req.file.mimetype
+        });
+
+        res.status(201).json({
+            id: media.id,
+            mediaType,
+            mimeType: req.file.mimetype,
+            fileName: req.file.originalname,
+            fileSize: req.file.size
+        });
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('MediaRoute: Error in POST /media', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.response?.data || error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /media/{id}:
+ *   get:
+ *     summary: Get a media file's URL and metadata
+ *     description: |
+ *       Return the download URL and metadata of a media id, either uploaded through `POST /media` or received in an inbound message.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *       - The URL expires after 5 minutes and must be downloaded with the project's access token.
+ *
+ *     tags:
+ *       - Media
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Media id.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Media URL and metadata.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                   example: '1037543291543636'
+ *                 url:
+ *                   type: string
+ *                   example: 'https://lookaside.fbsbx.com/whatsapp_business/attachments/?mid=1037543291543636'
+ *                 mime_type:
+ *                   type: string
+ *                   example: 'image/jpeg'
+ *                 sha256:
+ *                   type: string
+ *                 file_size:
+ *                   type: integer
+ *                   example: 204800
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: The media id does not exist or was deleted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Media not found'
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Delete a media file
+ *     description: |
+ *       Delete a media id from the WhatsApp Cloud API before it expires.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Media
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Media id.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Media deleted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                   example: '1037543291543636'
+ *                 deleted:
+ *                   type: boolean
+ *                   example: true
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: The media id does not exist or was already deleted.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { phoneId, apiToken } = req.body;
+        const media = await metaService.getPhoneMedia({ phoneId, accessToken: apiToken, mediaId: req.params.id });
+        res.status(200).json(media);
+    } catch (error) {
+        if (error.message === 'Media not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('MediaRoute: Error in GET /media/:id', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.response?.data || error.message });
+    }
+});
+
+router.delete('/:id', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { phoneId, apiToken } = req.body;
+        const result = await metaService.deletePhoneMedia({ phoneId, accessToken: apiToken, mediaId: req.params.id });
+        res.status(200).json({ id: req.params.id, deleted: result?.success !== false });
+    } catch (error) {
+        if (error.message === 'Media not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('MediaRoute: Error in DELETE /media/:id', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.response?.data || error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /media/stored/{id}:
+ *   get:
+ *     summary: Download a stored inbound media file
+ *     description: |
+ *       Download a photo, video, audio, document or sticker a contact sent to the project.
+ *       Inbound media is downloaded from WhatsApp when the webhook receives it and kept in the configured storage,
+ *       so this URL keeps working after Meta's own URL expires. Answers and logged messages carry it as `media.url`.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Media
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Media id of the inbound message.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: File content, with its original content type. Images (JPEG, PNG, GIF, WebP), audio and video are served inline; other files as attachments.
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: The media was not stored for this project.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Media not found'
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/stored/:id', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.body;
+        const { media, stream } = await inboundMediaService.getStoredMedia({ projectId, mediaId: req.params.id });
+
+        // Contacts choose what they send, so only plain media is rendered inline in the API's origin
+        const disposition = INLINE_MIME_TYPE_PATTERN.test(media.mimeType || '') ? 'inline' : 'attachment';
+        res.status(200);
+        res.setHeader('Content-Type', media.mimeType || 'application/octet-stream');
+        res.setHeader('Content-Length', media.fileSize);
+        res.setHeader('Content-Disposition', `${disposition}; filename="${encodeURIComponent(media.fileName || media.mediaId)}"`);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        stream.on('error', (error) => {
+            logger.error('MediaRoute: Error streaming stored media', { error: error.message, mediaId: req.params.id });
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        if (error.message === 'Media not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('MediaRoute: Error in GET /media/stored/:id', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,26 +1,59 @@
 const express = require('express');
+const multer = require('multer');
 const messageService = require('../services/messageService');
+const messageLogService = require('../services/messageLogService');
+const schedulerService = require('../services/schedulerService');
+const recipientImportService = require('../services/recipientImportService');
+const templateValidationService = require('../services/templateValidationService');
+const segmentService = require('../services/segmentService');
+const mergeFieldService = require('../services/mergeFieldService');
+const abTestService = require('../services/abTestService');
+const phoneService = require('../services/phoneService');
 const logger = require('../config/logger');
 const { jwtTokenValidation } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const router = express.Router();
 
+const RECIPIENT_FILE_MAX_SIZE = 10 * 1024 * 1024;
+const recipientFileUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: RECIPIENT_FILE_MAX_SIZE, files: 1 } });
+
+/**
+ * Parse a multipart recipient file after jwtTokenValidation, keeping the project fields it put on req.body
+ */
+function uploadRecipientFile(req, res, next) {
+    const authFields = req.body || {};
+    recipientFileUpload.single('file')(req, res, (error) => {
+        if (error) {
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `Invalid input: file exceeds the ${RECIPIENT_FILE_MAX_SIZE / (1024 * 1024)}MB limit`
+                : `Invalid input: ${error.message}`;
+            return res.status(400).json({ error: message });
+        }
+        req.body = { ...req.body, ...authFields };
+        return next();
+    });
+}
+
 /**
  * @swagger
  * /message:
  *   post:
  *     summary: Send WhatsApp messages
  *     description: |
- *       Send a WhatsApp message to a single recipient. Supports multiple message types including text, image, document, video, audio, location, contact, and interactive messages.
+ *       Send a WhatsApp message to a single recipient. Supports multiple message types including text, image, document, video, audio, location, contact, and interactive messages (raw or validated: buttons, list, cta_url, location_request, flow).
  *
  *       - Requires JWT authentication with at least 'editor' role for the project.
  *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
  *       - This endpoint sends individual messages without creating campaigns.
+ *       - When the project sets `integrations.whatsApp.serviceWindow.enforce` to `true`, free-form messages are only sent within the 24-hour customer service window, which opens when the contact writes to the project (see `GET /contact/{phone}/window`). Outside it the request is rejected with status 409, or, if the project has `integrations.whatsApp.serviceWindow.fallbackTemplate` (`name`, `language`, optional `components`), that template is sent instead and the response has `fallback: true`.
+ *       - Send an `Idempotency-Key` header to make retries safe: a repeated request with the same key returns the original response (with the `Idempotent-Replayed: true` header) instead of sending again. Keys are scoped to the project and kept for `IDEMPOTENCY_KEY_TTL_HOURS` (default 24).
  *
  *       **Parameter details:**
  *       - `projectId`: Unique identifier of the project. **Required if using a user JWT. Not required for service JWT.**
- *       - `message_type`: Type of message to send (text, image, document, video, audio, location, contact, interactive). (required)
- *       - `phone_number`: Recipient phone number in international format. (required)
+ *       - `message_type`: Type of message to send (text, image, document, video, audio, sticker, location, contact, reaction, template, interactive, buttons, list, cta_url, location_request, flow). (required)
+ *       - `phone_number`: Recipient phone number, international or national to the project's default country (`integrations.whatsApp.defaultCountry`, default BR). It is normalized to E.164; invalid numbers are rejected with status 400 and the reason. (required)
  *       - `content`: Message content or data based on message type. (required)
+ *       - `context`: `{ "message_id": "<wamid>" }` to send the message as a reply quoting a message of the conversation. (optional)
  *
  *       **Message Types and Content Examples:**
  *
@@ -81,6 +114,74 @@ const router = express.Router();
  *       }
  *       ```
  *
+ *       **Sticker Message:** (WEBP, sent by `link` or by media `id`)
+ *       ```json
+ *       {
+ *         "message_type": "sticker",
+ *         "phone_number": "5511999999999",
+ *         "content": {
+ *           "id": "1037543291543636"
+ *         }
+ *       }
+ *       ```
+ *
+ *       **Reaction Message:** (an empty `emoji` removes the reaction)
+ *       ```json
+ *       {
+ *         "message_type": "reaction",
+ *         "phone_number": "5511999999999",
+ *         "content": {
+ *           "message_id": "wamid.HBgMNTUxMTk5OTk5OTk5FQIAERgSODg3QzA4QzA4QzA4QzA4AA==",
+ *           "emoji": "👍"
+ *         }
+ *       }
+ *       ```
+ *
+ *       **Template Message:** (one transactional template, e.g. an order confirmation, with the same `variables` as a `POST /message/template` recipient.
+ *       It is logged as a single message, not as a campaign, so it does not count in campaign analytics or frequency caps, and it is sent even outside the customer service window.)
+ *       ```json
+ *       {
+ *         "message_type": "template",
+ *         "phone_number": "5511999999999",
+ *         "content": {
+ *           "template_name": "order_confirmation",
+ *           "language": "pt_BR",
+ *           "variables": [
+ *             {
+ *               "type": "body",
+ *               "parameters": [
+ *                 { "type": "text", "text": "#1234" }
+ *               ]
+ *             }
+ *           ]
+ *         }
+ *       }
+ *       ```
+ *
+ *       **Reply quoting the contact's message:**
+ *       ```json
+ *       {
+ *         "message_type": "text",
+ *         "phone_number": "5511999999999",
+ *         "content": "Yes, your order shipped today.",
+ *         "context": {
+ *           "message_id": "wamid.HBgMNTUxMTk5OTk5OTk5FQIAERgSODg3QzA4QzA4QzA4QzA4AA=="
+ *         }
+ *       }
+ *       ```
+ *
+ *       **Media uploaded through `POST /media`:** image, document, video and audio messages accept the media `id` instead of `link`.
+ *       ```json
+ *       {
+ *         "message_type": "image",
+ *         "phone_number": "5511999999999",
+ *         "content": {
+ *           "id": "1037543291543636",
+ *           "caption": "Check out this amazing image!"
+ *         }
+ *       }
+ *       ```
+ *
  *       **Location Message:**
  *       ```json
  *       {
@@ -200,6 +301,63 @@ const router = express.Router();
  *       }
  *       ```
  *
+ *       **Validated interactive types:** `buttons`, `list`, `cta_url`, `location_request` and `flow` are sent as interactive messages,
+ *       built from a simpler content and checked against WhatsApp's limits first. Errors are returned with status 400 and name the offending field,
+ *       e.g. `Invalid input: content.buttons[1].title must be at most 20 characters`. `interactive` still sends its content to Meta as is.
+ *       - `buttons`: `body` (up to 1024 characters), optional `header` (text, or `{ "type": "image" | "video" | "document", "link" | "id" }`) and `footer`, and 1 to 3 `buttons` with `id` and `title` (up to 20 characters).
+ *       - `list`: `body`, `button` (up to 20 characters) and up to 10 `sections`, with `title` (up to 24 characters, required with more than one section) and `rows` (`id`, `title` up to 24 characters, `description` up to 72), 10 rows in total.
+ *       - `cta_url`: `body`, `displayText` (up to 20 characters) and an http(s) `url`.
+ *       - `location_request`: `body`; the contact answers with a location message.
+ *       - `flow`: `body`, `flowId` or `flowName`, `flowCta`, optional `flowToken`, `mode` (`published` or `draft`), `flowAction` (`navigate` or `data_exchange`), and `screen` and `data` for `navigate`.
+ *
+ *       ```json
+ *       {
+ *         "message_type": "buttons",
+ *         "phone_number": "5511999999999",
+ *         "content": {
+ *           "header": "Welcome!",
+ *           "body": "Please select an option:",
+ *           "footer": "Ember",
+ *           "buttons": [
+ *             { "id": "yes", "title": "Yes" },
+ *             { "id": "no", "title": "No" }
+ *           ]
+ *         }
+ *       }
+ *       ```
+ *
+ *       ```json
+ *       {
+ *         "message_type": "list",
+ *         "phone_number": "5511999999999",
+ *         "content": {
+ *           "body": "Select one of the following options:",
+ *           "button": "Select",
+ *           "sections": [
+ *             {
+ *               "title": "Plans",
+ *               "rows": [
+ *                 { "id": "basic", "title": "Basic", "description": "For small teams" },
+ *                 { "id": "pro", "title": "Pro" }
+ *               ]
+ *             }
+ *           ]
+ *         }
+ *       }
+ *       ```
+ *
+ *       ```json
+ *       {
+ *         "message_type": "cta_url",
+ *         "phone_number": "5511999999999",
+ *         "content": {
+ *           "body": "Track your order on our website.",
+ *           "displayText": "Track order",
+ *           "url": "https://example.com/orders/123"
+ *         }
+ *       }
+ *       ```
+ *
  *     tags:
  *       - Message
  *     parameters:
@@ -209,6 +367,13 @@ const router = express.Router();
  *         schema:
  *           type: string
  *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Unique key for this request, e.g. a UUID. A repeated request with the same key returns the original response instead of sending again.
  *     requestBody:
  *       required: true
  *       content:
@@ -222,7 +387,7 @@ const router = express.Router();
  *             properties:
  *               message_type:
  *                 type: string
- *                 enum: [text, image, document, video, audio, location, contact, interactive]
+ *                 enum: [text, image, document, video, audio, sticker, location, contact, reaction, template, interactive, buttons, list, cta_url, location_request, flow]
  *                 description: Type of message to send
  *                 example: text
  *               phone_number:
@@ -241,6 +406,10 @@ const router = express.Router();
  *                         type: string
  *                         description: URL for media files
  *                         example: 'https://example.com/image.jpg'
+ *                       id:
+ *                         type: string
+ *                         description: Media id returned by `POST /media`, instead of `link`
+ *                         example: '1037543291543636'
  *                       caption:
  *                         type: string
  *                         description: Caption for media files
@@ -376,6 +545,34 @@ const router = express.Router();
  *                                     title:
  *                                       type: string
  *                                       example: 'Yes'
+ *                       template_name:
+ *                         type: string
+ *                         description: Template name, for template messages
+ *                         example: 'order_confirmation'
+ *                       language:
+ *                         type: string
+ *                         description: Template language code, for template messages
+ *                         example: 'pt_BR'
+ *                       variables:
+ *                         type: array
+ *                         description: Template components (header, body, button...), for template messages
+ *                         items:
+ *                           type: object
+ *                       message_id:
+ *                         type: string
+ *                         description: wamid of the message to react to, for reaction messages
+ *                       emoji:
+ *                         type: string
+ *                         description: Emoji of reaction messages; an empty string removes the reaction
+ *                         example: '👍'
+ *               context:
+ *                 type: object
+ *                 description: Message to quote, making this message a reply
+ *                 properties:
+ *                   message_id:
+ *                     type: string
+ *                     description: wamid of the quoted message
+ *                     example: 'wamid.HBgMNTUxMTk5OTk5OTk5FQIAERgSODg3QzA4QzA4QzA4QzA4AA=='
  *           example:
  *             message_type: "text"
  *             phone_number: "5511999999999"
@@ -406,10 +603,22 @@ const router = express.Router();
  *                   example: '5511999999999'
  *                 messageType:
  *                   type: string
- *                   description: Type of message sent
+ *                   description: Type of message sent. `template` when the fallback template was sent.
+ *                   example: 'text'
+ *                 fallback:
+ *                   type: boolean
+ *                   description: Present when the window was closed and the project's fallback template was sent instead
+ *                   example: true
+ *                 requestedMessageType:
+ *                   type: string
+ *                   description: Type of message requested, when the fallback template was sent
  *                   example: 'text'
+ *                 templateName:
+ *                   type: string
+ *                   description: Template sent, for template messages and fallback templates
+ *                   example: 'reopen_conversation'
  *       400:
- *         description: Invalid input. Required fields are missing or malformed.
+ *         description: Invalid input. Required fields are missing or malformed, or the phone number is invalid.
  *         content:
  *           application/json:
  *             schema:
@@ -428,6 +637,47 @@ const router = express.Router();
  *                 message:
  *                   type: string
  *                   example: Unauthorized
+ *       409:
+ *         description: Nothing was sent because the phone number is on the project's suppression list or the customer service window is closed, or a request with the same `Idempotency-Key` is still being processed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Phone number is suppressed
+ *                 serviceWindow:
+ *                   type: object
+ *                   description: Present when the customer service window is closed
+ *                   properties:
+ *                     open:
+ *                       type: boolean
+ *                       example: false
+ *                     lastInboundAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                 status:
+ *                   type: string
+ *                   example: suppressed
+ *                 phoneNumber:
+ *                   type: string
+ *                   example: '5511999999999'
+ *       422:
+ *         description: The `Idempotency-Key` was already used with a different request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Idempotency-Key was already used with a different request
  *       500:
  *         description: Internal server error. An unexpected error occurred.
  *         content:
@@ -444,10 +694,10 @@ const router = express.Router();
  *     security:
  *       - bearerAuth: []
  */
-router.post('/', jwtTokenValidation('editor'), async (req, res) => {
+router.post('/', jwtTokenValidation('editor'), idempotency(), async (req, res) => {
     try {
-        const { message_type, phone_number, content } = req.body;
-        const { wabaId, apiToken, phoneId, fromPhoneNumber, projectId } = req.body;
+        const { message_type, phone_number, content, context } = req.body;
+        const { wabaId, apiToken, phoneId, fromPhoneNumber, projectId, defaultCountry } = req.body;
 
         if (!message_type || !phone_number || !content) {
             return res.status(400).json({ error: 'Invalid input: message_type, phone_number, and content are required' });
@@ -459,18 +709,127 @@ router.post('/', jwtTokenValidation('editor'), async (req, res) => {
             message_type,
             phone_number,
             content,
+            context,
             phoneId,
             fromPhoneNumber,
-            projectId
+            projectId,
+            defaultCountry,
+            senderEmail: req.body.senderEmail,
+            senderName: req.body.senderName || req.body.sender
         });
 
+        if (result.status === 'suppressed') {
+            return res.status(409).json({ error: 'Phone number is suppressed', ...result });
+        }
+
         res.status(200).json(result);
     } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message.startsWith('Customer service window is closed')) {
+            return res.status(409).json({ error: error.message, serviceWindow: error.serviceWindow });
+        }
         logger.error('MessageRoute: Error in POST /message', { error: error.message });
         res.status(500).json({ error: 'Internal server error', details: error.response?.data || error.message });
     }
 });
 
+/**
+ * @swagger
+ * /message/read:
+ *   post:
+ *     summary: Mark an inbound message as read
+ *     description: |
+ *       Send a read receipt for a message received from a contact. The contact sees blue ticks on it and on every earlier message of the conversation.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *       - With `typing_indicator`, the contact also sees "typing..." until the next message is sent or for up to 25 seconds.
+ *
+ *     tags:
+ *       - Message
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message_id
+ *             properties:
+ *               message_id:
+ *                 type: string
+ *                 description: wamid of the inbound message
+ *                 example: 'wamid.HBgMNTUxMTk5OTk5OTk5FQIAERgSODg3QzA4QzA4QzA4QzA4AA=='
+ *               typing_indicator:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Also show the typing indicator to the contact
+ *     responses:
+ *       200:
+ *         description: Read receipt sent.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 messageId:
+ *                   type: string
+ *                   example: 'wamid.HBgMNTUxMTk5OTk5OTk5FQIAERgSODg3QzA4QzA4QzA4QzA4AA=='
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 typingIndicator:
+ *                   type: boolean
+ *                   example: true
+ *       400:
+ *         description: Invalid input. `message_id` is missing.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Invalid input: message_id is required'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       500:
+ *         description: Internal server error, or Meta rejected the wamid.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/read', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { message_id, typing_indicator } = req.body;
+        const { apiToken, phoneId, projectId } = req.body;
+
+        const result = await messageService.markMessageAsRead({
+            apiToken,
+            phoneId,
+            projectId,
+            messageId: message_id,
+            typingIndicator: typing_indicator === true || typing_indicator === 'true'
+        });
+
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('MessageRoute: Error in POST /message/read', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.response?.data || error.message });
+    }
+});
+
 /**
  * @swagger
  * /message/template:
@@ -481,13 +840,25 @@ router.post('/', jwtTokenValidation('editor'), async (req, res) => {
  *
  *       - Requires JWT authentication with at least 'editor' role for the project.
  *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *       - The campaign is stored right away and the request returns its id. Messages are sent in the background with bounded concurrency and a per-phone-number rate limit (`DISPATCH_CONCURRENCY`, `DISPATCH_MESSAGES_PER_SECOND`).
+ *       - Send `scheduledAt` (and optionally `timezone`) to schedule the campaign instead of sending it now. It is stored with status `scheduled` and started by the in-app scheduler when due.
+ *       - Phone numbers are normalized to E.164 (stored without the leading `+`), including the Brazilian 9th digit. If any number is invalid, nothing is sent and status 400 lists each invalid number with its reason.
+ *       - Numbers on the project's suppression list (see `/suppression`) are stored with status `suppressed` and not sent. They count neither as success nor as failure. The list is checked again when a scheduled or paused campaign starts.
+ *       - Repeated phone numbers (after normalization) are sent once, with the variables of their first occurrence.
+ *       - If the project has a frequency cap (`integrations.whatsApp.frequencyCap`: `maxMessages`, `windowHours`, `categories`), recipients who already received `maxMessages` templates of a capped category in the rolling window are stored with status `capped` and not sent. Scheduled campaigns are checked when they start.
+ *       - Send an `Idempotency-Key` header to make retries safe: a repeated request with the same key returns the original response, with the same campaign id and the `Idempotent-Replayed: true` header, instead of creating a second campaign. Keys are scoped to the project and kept for `IDEMPOTENCY_KEY_TTL_HOURS` (default 24).
+ *       - Send `dryRun=true` to validate the campaign without sending it. The template is fetched from Meta and every recipient's components are checked against its placeholder count, named parameters, header format and button parameters, together with the phone number. A per-recipient report is returned with status 200 and no campaign is stored.
  *
  *       **Parameter details:**
  *       - `projectId`: Unique identifier of the project. **Required if using a user JWT. Not required for service JWT.**
  *       - `template_name`: Name of the WhatsApp template to send (must be pre-approved). (required)
  *       - `language`: Language code for the template (e.g., en_US, pt_BR). (required)
- *       - `phone_messages`: List of phone numbers and variables for each message. (required)
- *         - `phone_number`: Recipient phone number in international format. (required)
+ *       - `scheduledAt`: ISO 8601 date-time to send the campaign at. Without an offset it is read in `timezone`. (optional)
+ *       - `timezone`: IANA timezone used for `scheduledAt`, e.g. `America/Sao_Paulo`. Defaults to `UTC`. (optional)
+ *       - `segmentId`: Id of a saved segment (`POST /segment`) to send to instead of `phone_messages`. Every contact in the segment receives the same `variables`. (optional)
+ *       - `variables`: Template components for every recipient without its own `variables` (all contacts of `segmentId`). They can hold merge fields, filled from each recipient's contact. (optional)
+ *       - `phone_messages`: List of phone numbers and variables for each message. (required unless `segmentId` is sent)
+ *         - `phone_number`: Recipient phone number, international or national to the project's default country. It is normalized to E.164 before being stored in the campaign results. (required)
  *         - `variables`: Array of variable components for template (header, body, button, etc.). (required)
  *           - `type`: Component type (header, body, button, footer)
  *           - `parameters`: Array of parameters for the component
@@ -498,7 +869,58 @@ router.post('/', jwtTokenValidation('editor'), async (req, res) => {
  *             - `index`: Button index for button parameters (optional)
  *             - `sub_type`: Button sub-type for button parameters (optional)
  *
+ *       **Merge fields:**
+ *       Any string of the campaign-level `variables` can use `{{contact.<field>}}`, filled for each recipient from the contact book: `phoneNumber`, `name`, `firstName` and every custom attribute.
+ *       Add formatters after a `|`:
+ *       - `default:"value"`: used when the contact has no value. Without a default the field is required.
+ *       - `currency:"BRL"`: a number as money, in the template's language.
+ *       - `date:"short|medium|long|full"` or `date:"DD/MM/YYYY HH:mm"`: a date, in UTC.
+ *       - `upper`, `lower`.
+ *
+ *       If a required field is missing for any recipient, nothing is sent and the recipients are listed with status 422 (and flagged in the `dryRun` report).
+ *
+ *       **A/B testing:**
+ *       Send `variants` instead of `template_name` and `language` to test 2 to 5 templates (or copies) in one campaign. Each variant has a `name` (defaults to A, B, C...), `template_name`, `language`, optional `variables` (used instead of the campaign-level `variables`) and an optional `percentage` (integers adding up to 100, even split when left out).
+ *       - Recipients are assigned to a variant by a hash of the campaign id (or `abTest.seed`) and their phone number, so the split is stable and repeatable. Each result in `results` is tagged with its `variant`.
+ *       - `abTest.mode: "split"` (default) sends every variant right away.
+ *       - `abTest.mode: "winner"` first sends the variants to `abTest.testPercentage` (default 20) of the recipients. The others are stored with status `held`. `abTest.decideAfterHours` (default 4) after the test phase, the variant with the best `abTest.metric` rate (`replied`, default, or `read`) is picked as `abTest.winner` and sent to the held recipients. Meanwhile the campaign has status `awaiting_winner`.
+ *       - Merge fields of every variant must resolve for every recipient, since a held recipient may receive any of them.
+ *       - With `dryRun` the report is given per variant.
+ *       - See `GET /stats/campaign/{campaignId}/variants` for the read and reply rates of each variant.
+ *
  *       **Examples:**
+ *       - Send to a segment with merge fields:
+ *         `POST /message/template`
+ *         Body:
+ *         {
+ *           "template_name": "payment_reminder",
+ *           "language": "pt_BR",
+ *           "segmentId": "665f1c2e8b3e4a0012345678",
+ *           "variables": [
+ *             {
+ *               "type": "body",
+ *               "parameters": [
+ *                 { "type": "text", "text": "{{contact.firstName | default:\"cliente\"}}" },
+ *                 { "type": "text", "text": "{{contact.balance | currency:\"BRL\"}}" },
+ *                 { "type": "text", "text": "{{contact.dueDate | date:\"DD/MM/YYYY\"}}" }
+ *               ]
+ *             }
+ *           ]
+ *         }
+ *
+ *       - A/B test two copies on 20% of a segment, then send the one with more replies to the rest:
+ *         `POST /message/template`
+ *         Body:
+ *         {
+ *           "segmentId": "665f1c2e8b3e4a0012345678",
+ *           "variables": [{ "type": "body", "parameters": [{ "type": "text", "text": "{{contact.firstName | default:\"cliente\"}}" }] }],
+ *           "variants": [
+ *             { "name": "A", "template_name": "promo_discount", "language": "pt_BR" },
+ *             { "name": "B", "template_name": "promo_free_shipping", "language": "pt_BR" }
+ *           ],
+ *           "abTest": { "mode": "winner", "testPercentage": 20, "metric": "replied", "decideAfterHours": 6 }
+ *         }
+ *
  *       - Send a template message with positional parameters:
  *         `POST /message/template`
  *         Body:
@@ -663,34 +1085,106 @@ router.post('/', jwtTokenValidation('editor'), async (req, res) => {
  *         schema:
  *           type: string
  *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Unique key for this request, e.g. a UUID. A repeated request with the same key returns the original response instead of sending again.
  *       - in: query
  *         name: campaignName
  *         required: false
  *         schema:
  *           type: string
  *         description: Name of the campaign, used for identification and filtering.
+ *       - in: query
+ *         name: dryRun
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: When `true`, validate the campaign against the template and return a report without sending anything.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - template_name
- *               - language
- *               - phone_messages
  *             properties:
  *               template_name:
  *                 type: string
- *                 description: Name of the WhatsApp template to send (must be pre-approved in Meta).
+ *                 description: Name of the WhatsApp template to send (must be pre-approved in Meta). Required unless `variants` is sent.
  *                 example: welcome_template
  *               language:
  *                 type: string
- *                 description: Language code for the template (e.g., en_US, pt_BR).
+ *                 description: Language code for the template (e.g., en_US, pt_BR). Required unless `variants` is sent.
  *                 example: pt_BR
+ *               variants:
+ *                 type: array
+ *                 description: A/B test variants, instead of `template_name` and `language`.
+ *                 minItems: 2
+ *                 maxItems: 5
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - template_name
+ *                     - language
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       description: Variant name, unique in the campaign. Defaults to A, B, C...
+ *                       example: 'A'
+ *                     template_name:
+ *                       type: string
+ *                       example: 'promo_discount'
+ *                     language:
+ *                       type: string
+ *                       example: 'pt_BR'
+ *                     variables:
+ *                       type: array
+ *                       description: Template components of this variant, instead of the campaign-level `variables`.
+ *                       items:
+ *                         type: object
+ *                     percentage:
+ *                       type: integer
+ *                       description: Share of the recipients (of the test group in winner mode). All or none of the variants have one; they add up to 100.
+ *                       example: 50
+ *               abTest:
+ *                 type: object
+ *                 description: A/B test settings. Only with `variants`.
+ *                 properties:
+ *                   mode:
+ *                     type: string
+ *                     enum: [split, winner]
+ *                     default: split
+ *                   testPercentage:
+ *                     type: integer
+ *                     description: Winner mode. Share of the recipients in the test phase (1 to 99).
+ *                     default: 20
+ *                   metric:
+ *                     type: string
+ *                     enum: [replied, read]
+ *                     description: Winner mode. Rate the winner is picked by.
+ *                     default: replied
+ *                   decideAfterHours:
+ *                     type: number
+ *                     description: Winner mode. Hours after the test phase to pick the winner (up to 168).
+ *                     default: 4
+ *                   seed:
+ *                     type: string
+ *                     description: Seed of the variant assignment. Defaults to the campaign id; reuse one to keep each number on the same variant across campaigns.
+ *               segmentId:
+ *                 type: string
+ *                 description: Saved segment to send to. Replaces `phone_messages`.
+ *                 example: '665f1c2e8b3e4a0012345678'
+ *               variables:
+ *                 type: array
+ *                 description: Template components for every recipient without its own `variables`, with optional `{{contact.<field>}}` merge fields.
+ *                 items:
+ *                   type: object
  *               phone_messages:
  *                 type: array
- *                 description: List of phone numbers and variables for each message.
+ *                 description: List of phone numbers and variables for each message. Required unless `segmentId` is sent.
  *                 items:
  *                   type: object
  *                   properties:
@@ -742,6 +1236,14 @@ router.post('/', jwtTokenValidation('editor'), async (req, res) => {
  *                                   type: string
  *                                   description: Button sub-type for button parameters (optional)
  *                                   example: 'url'
+ *               scheduledAt:
+ *                 type: string
+ *                 description: Date-time to send the campaign at. Local times are interpreted in `timezone`.
+ *                 example: '2025-11-10T09:00:00'
+ *               timezone:
+ *                 type: string
+ *                 description: IANA timezone for `scheduledAt`
+ *                 example: 'America/Sao_Paulo'
  *           example:
  *             template_name: "sale_announcement"
  *             language: "en_US"
@@ -759,8 +1261,8 @@ router.post('/', jwtTokenValidation('editor'), async (req, res) => {
  *                       - type: "text"
  *                         text: "December 31st"
  *     responses:
- *       200:
- *         description: Messages sent successfully.
+ *       202:
+ *         description: Campaign accepted. Messages are sent in the background and progress is persisted to the campaign document (see `GET /message/campaign`).
  *         content:
  *           application/json:
  *             schema:
@@ -784,54 +1286,171 @@ router.post('/', jwtTokenValidation('editor'), async (req, res) => {
  *                   example: 'pt_BR'
  *                 fromPhoneNumber:
  *                   type: string
- *                   description: Phone number that sent the messages
+ *                   description: Phone number that sends the messages
  *                   example: '5511999999999'
  *                 dateTime:
  *                   type: string
  *                   format: date-time
- *                   description: Campaign execution timestamp
+ *                   description: Campaign creation timestamp
  *                   example: '2024-01-15T10:30:00.000Z'
+ *                 status:
+ *                   type: string
+ *                   description: Campaign dispatch status (`running`, or `scheduled` when `scheduledAt` is given)
+ *                   example: 'running'
+ *                 scheduledAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: UTC date-time the campaign is scheduled for (scheduled campaigns only)
+ *                   example: '2025-11-10T12:00:00.000Z'
+ *                 timezone:
+ *                   type: string
+ *                   description: Timezone the schedule was given in (scheduled campaigns only)
+ *                   example: 'America/Sao_Paulo'
  *                 total:
  *                   type: integer
- *                   description: Total number of messages sent
+ *                   description: Total number of recipients
  *                   example: 2
- *                 success:
+ *                 suppressed:
  *                   type: integer
- *                   description: Number of successfully sent messages
- *                   example: 2
- *                 failed:
+ *                   description: Recipients on the suppression list. They are stored with status `suppressed` and not sent.
+ *                   example: 0
+ *                 duplicates:
  *                   type: integer
- *                   description: Number of failed messages
+ *                   description: Repeated phone numbers removed from the campaign
  *                   example: 0
- *                 results:
+ *                 capped:
+ *                   type: integer
+ *                   description: Recipients blocked by the project's frequency cap. They are stored with status `capped` and not sent.
+ *                   example: 1
+ *                 cappedPhoneNumbers:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ['5511988888888']
+ *                 segmentId:
+ *                   type: string
+ *                   description: Segment the campaign was sent to (only when `segmentId` is given)
+ *                   example: '665f1c2e8b3e4a0012345678'
+ *                 variants:
+ *                   type: array
+ *                   description: A/B test variants with their template category and number of recipients (only when `variants` is given)
+ *                   items:
+ *                     type: object
+ *                   example: [{ name: 'A', templateName: 'promo_discount', language: 'pt_BR', templateCategory: 'MARKETING', percentage: 50, recipients: 98 }]
+ *                 abTest:
+ *                   type: object
+ *                   description: A/B test settings, with the seed used (only when `variants` is given)
+ *                   example: { mode: 'winner', testPercentage: 20, metric: 'replied', decideAfterHours: 6, seed: '507f1f77bcf86cd799439011', winner: null }
+ *                 held:
+ *                   type: integer
+ *                   description: Recipients held back for the winner (winner mode only)
+ *                   example: 802
+ *       200:
+ *         description: Dry-run validation report (only when `dryRun=true`). Nothing is sent. With `variants`, the body is `{ dryRun, abTest, variants }` and each variant holds its `name`, `percentage` and this report.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dryRun:
+ *                   type: boolean
+ *                   example: true
+ *                 template:
+ *                   type: object
+ *                   description: Parameters expected by the template
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       example: 'sale_announcement'
+ *                     language:
+ *                       type: string
+ *                       example: 'en_US'
+ *                     status:
+ *                       type: string
+ *                       example: 'APPROVED'
+ *                     category:
+ *                       type: string
+ *                       example: 'MARKETING'
+ *                     parameterFormat:
+ *                       type: string
+ *                       description: POSITIONAL or NAMED
+ *                       example: 'POSITIONAL'
+ *                     header:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         format:
+ *                           type: string
+ *                           example: 'TEXT'
+ *                         placeholders:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                           example: ['1']
+ *                     body:
+ *                       type: object
+ *                       properties:
+ *                         placeholders:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                           example: ['1', '2']
+ *                     buttons:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           index:
+ *                             type: integer
+ *                             example: 0
+ *                           type:
+ *                             type: string
+ *                             example: 'URL'
+ *                           requiresParameter:
+ *                             type: boolean
+ *                             example: true
+ *                 warnings:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: []
+ *                 total:
+ *                   type: integer
+ *                   example: 2
+ *                 valid:
+ *                   type: integer
+ *                   example: 1
+ *                 invalid:
+ *                   type: integer
+ *                   example: 1
+ *                 recipients:
  *                   type: array
- *                   description: Detailed results for each message
  *                   items:
  *                     type: object
  *                     properties:
+ *                       index:
+ *                         type: integer
+ *                         description: Position of the recipient in `phone_messages`
+ *                         example: 1
  *                       phoneNumber:
  *                         type: string
- *                         description: Recipient phone number
- *                         example: '5511999999999'
- *                       messageId:
- *                         type: string
- *                         description: WhatsApp message ID
- *                         example: 'wamid.HBgMNTUxMTk5OTk5OTk5FQIAERgSODg3QzA4QzA4QzA4QzA4AA=='
- *                       status:
- *                         type: string
- *                         description: Message status
- *                         example: 'sent'
- *                       success:
- *                         type: boolean
- *                         description: Whether the message was sent successfully
- *                         example: true
- *                       error:
+ *                         description: Phone number as sent
+ *                         example: '11 98888-8888'
+ *                       normalizedPhoneNumber:
  *                         type: string
  *                         nullable: true
- *                         description: Error message if the message failed
- *                         example: null
+ *                         description: E.164 number without the leading "+", as it would be sent
+ *                         example: '5511988888888'
+ *                       valid:
+ *                         type: boolean
+ *                         example: false
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: ['body expects 2 parameter(s) but received 1']
  *       400:
- *         description: Invalid input. Required fields are missing or malformed.
+ *         description: Invalid input. Required fields are missing or malformed, the segment has no contacts, or the template was not found (dry run).
  *         content:
  *           application/json:
  *             schema:
@@ -850,6 +1469,58 @@ router.post('/', jwtTokenValidation('editor'), async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Unauthorized
+ *       404:
+ *         description: The `segmentId` does not exist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Segment not found'
+ *       409:
+ *         description: The same `Idempotency-Key` is still being processed by another request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: A request with this Idempotency-Key is still being processed
+ *       422:
+ *         description: The `Idempotency-Key` was already used with a different request, or some recipients are missing required merge fields (nothing was sent).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Recipients with missing merge fields found, nothing was sent
+ *                 recipients:
+ *                   type: array
+ *                   description: Recipients whose merge fields could not be filled
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: integer
+ *                         description: Position of the recipient in `phone_messages` (or in the segment)
+ *                         example: 3
+ *                       phoneNumber:
+ *                         type: string
+ *                         example: '5511999999999'
+ *                       variant:
+ *                         type: string
+ *                         description: Variant whose merge fields could not be filled (A/B tests only)
+ *                         example: 'B'
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: ['merge field contact.balance is empty']
  *       500:
  *         description: Internal server error. An unexpected error occurred.
  *         content:
@@ -866,58 +1537,404 @@ router.post('/', jwtTokenValidation('editor'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/template', jwtTokenValidation('editor'), async (req, res) => {
+router.post('/template', jwtTokenValidation('editor'), idempotency(), async (req, res) => {
     try {
-        const { template_name, phone_messages, wabaId, apiToken, phoneId, language, fromPhoneNumber, projectId, blipRouterAuthToken } = req.body;
+        const { template_name, segmentId, variables, variants, abTest, wabaId, apiToken, phoneId, language, fromPhoneNumber, projectId, blipRouterAuthToken, scheduledAt, timezone, defaultCountry } = req.body;
+        let { phone_messages } = req.body;
         let { campaignName } = req.query;
+        let segment = null;
+        let contacts;
+        let abVariants = null;
+        let abSettings = null;
+
+        campaignName = campaignName || `Campaign ${new Date().toISOString().replace('T', ' ').replace('Z', '')}`;
+
+        if (segmentId && phone_messages) {
+            return res.status(400).json({ error: 'Invalid input: send either phone_messages or segmentId, not both' });
+        }
 
-        const normalizeBrazilianPhoneNumber = (fromPhoneNumber) => {
-            if (!fromPhoneNumber || typeof fromPhoneNumber !== 'string') {
-                return fromPhoneNumber;
+        if (segmentId) {
+            ({ segment, contacts } = await segmentService.resolveSegmentContacts({ projectId, segmentId }));
+            if (contacts.length === 0) {
+                return res.status(400).json({ error: `Invalid input: segment "${segment.name}" has no contacts` });
             }
+            phone_messages = contacts.map(contact => ({ phone_number: phoneService.toInternational(contact.phoneNumber) }));
+        }
+
+        if (variants !== undefined) {
+            if (template_name) {
+                return res.status(400).json({ error: 'Invalid input: send either template_name and language or variants, not both' });
+            }
+            ({ variants: abVariants, abTest: abSettings } = abTestService.normalizeAbTest({ variants, abTest }));
+        } else if (abTest !== undefined) {
+            return res.status(400).json({ error: 'Invalid input: abTest requires variants' });
+        }
 
-            const digitsOnly = fromPhoneNumber.replace(/\D/g, '');
+        if ((!abVariants && (!template_name || !language)) || !phone_messages || !Array.isArray(phone_messages)) {
+            return res.status(400).json({ error: 'Invalid input: template_name and language (or variants), and phone_messages array (or segmentId) are required' });
+        }
 
-            if (digitsOnly.length === 12 && digitsOnly.startsWith('55')) {
-                const normalized = digitsOnly.slice(0, 4) + '9' + digitsOnly.slice(4);
-                return normalized;
+        // Every recipient may get any variant (winner mode sends the winner to the held ones), so each variant is filled for all
+        if (abVariants) {
+            for (const variant of abVariants) {
+                const variantMerged = await mergeFieldService.applyMergeFields({
+                    projectId,
+                    phoneMessages: phone_messages,
+                    variables: variant.variables === undefined ? variables : variant.variables,
+                    language: variant.language,
+                    contacts,
+                    defaultCountry
+                });
+                variant.phoneMessages = variantMerged.phoneMessages;
+                variant.mergeErrors = variantMerged.errors;
             }
-            return digitsOnly;
         }
 
-        campaignName = campaignName || `Campaign ${new Date().toISOString().replace('T', ' ').replace('Z', '')}`;
+        const merged = abVariants
+            ? { phoneMessages: phone_messages, errors: abVariants.flatMap(variant => variant.mergeErrors.map(error => ({ ...error, variant: variant.name }))) }
+            : await mergeFieldService.applyMergeFields({
+                projectId,
+                phoneMessages: phone_messages,
+                variables,
+                language,
+                contacts,
+                defaultCountry
+            });
+        phone_messages = merged.phoneMessages;
+
+        if ((req.query.dryRun === 'true' || req.body.dryRun === true) && abVariants) {
+            const reports = await Promise.all(abVariants.map(async variant => {
+                const { dryRun, ...report } = await templateValidationService.validateCampaign({
+                    wabaId,
+                    apiToken,
+                    template_name: variant.templateName,
+                    language: variant.language,
+                    phone_messages: variant.phoneMessages,
+                    defaultCountry,
+                    mergeErrors: variant.mergeErrors
+                });
+                return { name: variant.name, percentage: variant.percentage, ...report };
+            }));
+            return res.status(200).json({ dryRun: true, abTest: abSettings, variants: reports });
+        }
 
-        if (!template_name || !phone_messages || !Array.isArray(phone_messages) || !language) {
-            return res.status(400).json({ error: 'Invalid input: template_name, phone_messages array, and language are required' });
+        if (req.query.dryRun === 'true' || req.body.dryRun === true) {
+            const report = await templateValidationService.validateCampaign({
+                wabaId,
+                apiToken,
+                template_name,
+                language,
+                phone_messages,
+                defaultCountry,
+                mergeErrors: merged.errors
+            });
+            return res.status(200).json(report);
         }
 
+        if (merged.errors.length > 0) {
+            return res.status(422).json({ error: 'Recipients with missing merge fields found, nothing was sent', recipients: merged.errors });
+        }
+
+        let schedule = null;
+        if (scheduledAt) {
+            schedule = schedulerService.buildSchedule(scheduledAt, timezone);
+        }
 
-        const phone_numbers = phone_messages.map(msg => normalizeBrazilianPhoneNumber(msg.phone_number));
+        const phone_numbers = phone_messages.map(msg => msg.phone_number);
         const variablesList = phone_messages.map(msg => msg.variables || {});
 
         const result = await messageService.sendTemplateMessages({
             wabaId,
             apiToken,
-            template_name,
+            template_name: abVariants ? abVariants[0].templateName : template_name,
             phone_numbers,
             variablesList,
             phoneId,
-            languageCode: language,
+            languageCode: abVariants ? abVariants[0].language : language,
             fromPhoneNumber: fromPhoneNumber,
             projectId,
             campaignName,
             senderEmail: req.body.senderEmail,
             senderName: req.body.senderName,
-            blipRouterAuthToken
+            blipRouterAuthToken,
+            scheduledAt: schedule?.scheduledAt,
+            timezone: schedule?.timezone,
+            segmentId: segment?._id,
+            variants: abVariants?.map(variant => ({
+                name: variant.name,
+                templateName: variant.templateName,
+                language: variant.language,
+                percentage: variant.percentage,
+                variablesList: variant.phoneMessages.map(msg => msg.variables || {})
+            })),
+            abTest: abSettings,
+            defaultCountry
         });
 
-        res.status(200).json(result);
+        res.status(202).json(result);
     } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Segment not found') {
+            return res.status(404).json({ error: error.message });
+        }
         logger.error('MessageRoute: Error in POST /message-template', { error: error.message });
         res.status(500).json({ error: 'Internal server error', details: error.response?.data || error.message });
     }
 });
 
+/**
+ * @swagger
+ * /message/template/upload:
+ *   post:
+ *     summary: Send a template campaign from a CSV or XLSX file
+ *     description: |
+ *       Upload a spreadsheet of recipients and a column mapping instead of building `phone_messages` by hand. Every row is validated first; valid rows are sent through the same flow as `POST /message/template`.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *       - The first sheet is read and its first row must hold the column names. Maximum file size is 10MB.
+ *       - If any row is invalid, nothing is sent and a per-row error report is returned with status 422, unless `skipInvalidRows` is `true`.
+ *       - With `validateOnly` set to `true`, the report is returned and nothing is sent.
+ *
+ *       **Mapping** (JSON string):
+ *       - `phone`: column holding the phone number. (required)
+ *       - `header`: header parameters, as column names or `{ "column", "type": "text|image|document|video", "parameter_name" }`. (optional)
+ *       - `body`: body parameters, as column names or `{ "column", "parameter_name" }`. (optional)
+ *       - `buttons`: `{ "index", "sub_type": "url|quick_reply|copy_code", "columns": [...] }`. (optional)
+ *
+ *       **Example mapping:**
+ *       ```json
+ *       {
+ *         "phone": "Telefone",
+ *         "body": ["Nome", { "column": "Valor", "parameter_name": "valor" }],
+ *         "buttons": [{ "index": 0, "sub_type": "url", "columns": ["Codigo"] }]
+ *       }
+ *       ```
+ *
+ *       **Merge fields:** instead of `header`, `body` and `buttons`, send `variables` (JSON string) with the template components once, using `{{contact.<column>}}` for the values of each row. Formatters are described in `POST /message/template`. A row leaving a merge field without a value is reported as invalid.
+ *       ```json
+ *       [{ "type": "body", "parameters": [{ "type": "text", "text": "{{contact.Nome | default:\"cliente\"}}" }, { "type": "text", "text": "{{contact.Valor | currency:\"BRL\"}}" }] }]
+ *       ```
+ *
+ *     tags:
+ *       - Message
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *       - in: query
+ *         name: campaignName
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Name of the campaign.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - template_name
+ *               - language
+ *               - mapping
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV or XLSX file with one recipient per row
+ *               template_name:
+ *                 type: string
+ *                 example: 'sale_announcement'
+ *               language:
+ *                 type: string
+ *                 example: 'pt_BR'
+ *               mapping:
+ *                 type: string
+ *                 description: JSON column mapping
+ *                 example: '{"phone":"Telefone","body":["Nome","Valor"]}'
+ *               variables:
+ *                 type: string
+ *                 description: JSON template components with `{{contact.<column>}}` merge fields, instead of the header, body and buttons of the mapping
+ *                 example: '[{"type":"body","parameters":[{"type":"text","text":"{{contact.Nome}}"}]}]'
+ *               skipInvalidRows:
+ *                 type: boolean
+ *                 description: Send the valid rows even if some rows are invalid
+ *                 example: false
+ *               validateOnly:
+ *                 type: boolean
+ *                 description: Only return the validation report
+ *                 example: false
+ *               scheduledAt:
+ *                 type: string
+ *                 description: Schedule the campaign instead of sending it now
+ *                 example: '2025-11-10T09:00:00'
+ *               timezone:
+ *                 type: string
+ *                 example: 'America/Sao_Paulo'
+ *     responses:
+ *       200:
+ *         description: Validation report (`validateOnly`).
+ *       202:
+ *         description: Campaign accepted. Same response as `POST /message/template`, plus an `import` report.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                   example: '507f1f77bcf86cd799439011'
+ *                 status:
+ *                   type: string
+ *                   example: 'running'
+ *                 total:
+ *                   type: integer
+ *                   example: 998
+ *                 import:
+ *                   type: object
+ *                   properties:
+ *                     totalRows:
+ *                       type: integer
+ *                       example: 1000
+ *                     validRows:
+ *                       type: integer
+ *                       example: 998
+ *                     invalidRows:
+ *                       type: integer
+ *                       example: 2
+ *                     errors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           row:
+ *                             type: integer
+ *                             example: 14
+ *                           phoneNumber:
+ *                             type: string
+ *                             nullable: true
+ *                             example: '551199'
+ *                           errors:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: ['phone number "551199" is not a valid international number']
+ *       400:
+ *         description: Invalid input. Missing file or fields, unsupported file type, or a mapping that references unknown columns.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Invalid input: mapping references unknown column(s): Telefone'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       422:
+ *         description: Some rows are invalid and `skipInvalidRows` is not set. Nothing was sent; the body has the same `import` report.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/template/upload', jwtTokenValidation('editor'), uploadRecipientFile, async (req, res) => {
+    try {
+        const { template_name, language, mapping, variables, skipInvalidRows, validateOnly, scheduledAt, timezone } = req.body;
+        const { wabaId, apiToken, phoneId, fromPhoneNumber, projectId, blipRouterAuthToken, defaultCountry } = req.body;
+        let { campaignName } = req.query;
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'Invalid input: file is required' });
+        }
+
+        if (!template_name || !language || !mapping) {
+            return res.status(400).json({ error: 'Invalid input: template_name, language and mapping are required' });
+        }
+
+        let parsedMapping;
+        try {
+            parsedMapping = typeof mapping === 'string' ? JSON.parse(mapping) : mapping;
+        } catch (parseError) {
+            return res.status(400).json({ error: 'Invalid input: mapping must be valid JSON' });
+        }
+
+        let parsedVariables;
+        try {
+            parsedVariables = typeof variables === 'string' && variables !== '' ? JSON.parse(variables) : variables;
+        } catch (parseError) {
+            return res.status(400).json({ error: 'Invalid input: variables must be valid JSON' });
+        }
+
+        let schedule = null;
+        if (scheduledAt) {
+            schedule = schedulerService.buildSchedule(scheduledAt, timezone);
+        }
+
+        const { columns, rows } = recipientImportService.parseRecipientFile(req.file);
+        const { phoneMessages, errors, totalRows } = recipientImportService.buildPhoneMessages(rows, parsedMapping, columns, defaultCountry, {
+            variables: parsedVariables,
+            language
+        });
+
+        const importReport = {
+            fileName: req.file.originalname,
+            totalRows,
+            validRows: phoneMessages.length,
+            invalidRows: errors.length,
+            errors
+        };
+
+        if (String(validateOnly) === 'true') {
+            return res.status(200).json({ import: importReport });
+        }
+
+        if (errors.length > 0 && String(skipInvalidRows) !== 'true') {
+            return res.status(422).json({ error: 'Invalid rows found, nothing was sent', import: importReport });
+        }
+
+        if (phoneMessages.length === 0) {
+            return res.status(400).json({ error: 'Invalid input: file has no valid rows', import: importReport });
+        }
+
+        campaignName = campaignName || `Campaign ${new Date().toISOString().replace('T', ' ').replace('Z', '')}`;
+
+        const result = await messageService.sendTemplateMessages({
+            wabaId,
+            apiToken,
+            template_name,
+            phone_numbers: phoneMessages.map(msg => msg.phone_number),
+            variablesList: phoneMessages.map(msg => msg.variables),
+            phoneId,
+            languageCode: language,
+            fromPhoneNumber,
+            projectId,
+            campaignName,
+            senderEmail: req.body.senderEmail,
+            senderName: req.body.senderName,
+            blipRouterAuthToken,
+            scheduledAt: schedule?.scheduledAt,
+            timezone: schedule?.timezone,
+            defaultCountry
+        });
+
+        res.status(202).json({ ...result, import: importReport });
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('MessageRoute: Error in POST /message/template/upload', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.response?.data || error.message });
+    }
+});
+
 /**
  * @swagger
  * /message/campaign:
@@ -1121,4 +2138,934 @@ router.get('/campaign', jwtTokenValidation('viewer'), async (req, res) => {
         res.status(500).json({ error: 'Internal server error', details: error.response?.data || error.message });
     }
 });
-module.exports = router; 
\ No newline at end of file
+
+/**
+ * @swagger
+ * /message/campaign/scheduled:
+ *   get:
+ *     summary: List scheduled campaigns
+ *     description: |
+ *       List the campaigns of a project that are waiting to be sent, soonest first. Recipient results are omitted.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Message
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Scheduled campaigns retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                     example: '507f1f77bcf86cd799439011'
+ *                   campaignName:
+ *                     type: string
+ *                     example: 'Black Friday'
+ *                   templateName:
+ *                     type: string
+ *                     example: 'sale_announcement'
+ *                   status:
+ *                     type: string
+ *                     example: 'scheduled'
+ *                   scheduledAt:
+ *                     type: string
+ *                     format: date-time
+ *                     example: '2025-11-10T12:00:00.000Z'
+ *                   timezone:
+ *                     type: string
+ *                     example: 'America/Sao_Paulo'
+ *                   total:
+ *                     type: integer
+ *                     example: 1200
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Unauthorized
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Internal server error
+ *                 details:
+ *                   type: string
+ *                   example: Error details or stack trace
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/campaign/scheduled', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.body;
+        const campaigns = await schedulerService.listScheduledCampaigns({ projectId });
+        res.status(200).json(campaigns);
+    } catch (error) {
+        logger.error('MessageRoute: Error in GET /message/campaign/scheduled', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.response?.data || error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /message/campaign/scheduled/{id}:
+ *   put:
+ *     summary: Reschedule a campaign
+ *     description: |
+ *       Change the date of a campaign that has not started yet.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *       - Only campaigns with status `scheduled` can be rescheduled.
+ *
+ *     tags:
+ *       - Message
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scheduledAt
+ *             properties:
+ *               scheduledAt:
+ *                 type: string
+ *                 description: New date-time. Local times are interpreted in `timezone`.
+ *                 example: '2025-11-11T09:00:00'
+ *               timezone:
+ *                 type: string
+ *                 description: IANA timezone for `scheduledAt`. Defaults to `UTC`.
+ *                 example: 'America/Sao_Paulo'
+ *     responses:
+ *       200:
+ *         description: Campaign rescheduled. Returns the campaign without recipient results.
+ *       400:
+ *         description: Invalid input. `scheduledAt` is missing, malformed or in the past, or the timezone is unknown.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Invalid input: scheduledAt must be in the future'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: No campaign with status `scheduled` was found for this id.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Scheduled campaign not found'
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Cancel a scheduled campaign
+ *     description: |
+ *       Cancel a campaign that has not started yet. The campaign is kept with status `canceled`.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Message
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Campaign canceled. Returns the campaign without recipient results.
+ *       400:
+ *         description: Invalid campaign id.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: No campaign with status `scheduled` was found for this id.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Scheduled campaign not found'
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/campaign/scheduled/:id', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { id: campaignId } = req.params;
+        const { projectId, scheduledAt, timezone } = req.body;
+
+        if (!scheduledAt) {
+            return res.status(400).json({ error: 'Invalid input: scheduledAt is required' });
+        }
+
+        const campaign = await schedulerService.rescheduleCampaign({ projectId, campaignId, scheduledAt, timezone });
+        res.status(200).json(campaign);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Scheduled campaign not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('MessageRoute: Error in PUT /message/campaign/scheduled/:id', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.response?.data || error.message });
+    }
+});
+
+router.delete('/campaign/scheduled/:id', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { id: campaignId } = req.params;
+        const { projectId } = req.body;
+
+        const campaign = await schedulerService.cancelScheduledCampaign({ projectId, campaignId });
+        res.status(200).json(campaign);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Scheduled campaign not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('MessageRoute: Error in DELETE /message/campaign/scheduled/:id', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.response?.data || error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /message/campaign/{id}/pause:
+ *   post:
+ *     summary: Pause a running campaign
+ *     description: |
+ *       Stop sending a running campaign. Messages already in flight finish; the remaining recipients are kept in `results` with status `skipped` and `skippedReason: paused`.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Message
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Campaign paused. Returns the campaign without recipient results.
+ *       400:
+ *         description: Invalid campaign id.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Campaign not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Campaign not found'
+ *       409:
+ *         description: The campaign is not in a state that allows this action.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Campaign cannot be paused while completed'
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/campaign/:id/pause', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { id: campaignId } = req.params;
+        const { projectId } = req.body;
+        const result = await messageService.pauseCampaign({ projectId, campaignId });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Campaign not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.startsWith('Campaign cannot be')) {
+            return res.status(409).json({ error: error.message });
+        }
+        logger.error('MessageRoute: Error in POST /message/campaign/:id/pause', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.response?.data || error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /message/campaign/{id}/resume:
+ *   post:
+ *     summary: Resume a paused campaign
+ *     description: |
+ *       Continue a paused campaign from exactly where it stopped: only recipients still `pending` or `skipped` by the pause are sent.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Message
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Campaign resumed. Returns the campaign id, status and number of remaining recipients.
+ *       400:
+ *         description: Invalid campaign id.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Campaign not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Campaign not found'
+ *       409:
+ *         description: The campaign is not in a state that allows this action.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Campaign cannot be resumed while completed'
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/campaign/:id/resume', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { id: campaignId } = req.params;
+        const { projectId, wabaId, apiToken, phoneId, fromPhoneNumber, blipRouterAuthToken } = req.body;
+        const result = await messageService.resumeCampaign({ projectId, campaignId, wabaId, apiToken, phoneId, fromPhoneNumber, blipRouterAuthToken });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Campaign not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.startsWith('Campaign cannot be')) {
+            return res.status(409).json({ error: error.message });
+        }
+        logger.error('MessageRoute: Error in POST /message/campaign/:id/resume', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.response?.data || error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /message/campaign/{id}/cancel:
+ *   post:
+ *     summary: Cancel a campaign
+ *     description: |
+ *       Cancel a scheduled, running, paused or `awaiting_winner` (A/B test) campaign for good. Recipients that were not sent, or held back for an A/B test winner, are kept in `results` with status `skipped` and `skippedReason: canceled`. A canceled campaign cannot be resumed.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Message
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Campaign canceled. Returns the campaign id, its previous status and the cancellation date.
+ *       400:
+ *         description: Invalid campaign id.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Campaign not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Campaign not found'
+ *       409:
+ *         description: The campaign is not in a state that allows this action.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Campaign cannot be canceled while completed'
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/campaign/:id/cancel', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { id: campaignId } = req.params;
+        const { projectId } = req.body;
+        const result = await messageService.cancelCampaign({ projectId, campaignId });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Campaign not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.startsWith('Campaign cannot be')) {
+            return res.status(409).json({ error: error.message });
+        }
+        logger.error('MessageRoute: Error in POST /message/campaign/:id/cancel', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.response?.data || error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /message/campaign/{id}/retarget:
+ *   post:
+ *     summary: Resend a campaign to a segment of its recipients
+ *     description: |
+ *       Create a new campaign for the recipients of a previous campaign that match a segment. The new campaign is linked to the original through `parentCampaignId` and is sent (or scheduled) like `POST /message/template`.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *       - Each phone number is included once, even if it appears several times in the original campaign.
+ *
+ *       **Segments:**
+ *       - `failed`: recipients whose message failed.
+ *       - `notRead`: recipients whose message was sent but never read.
+ *       - `notReplied`: recipients whose message was sent but got no answer.
+ *       - `repliedWith:<text>`: recipients who answered exactly `<text>` (case-insensitive), e.g. `repliedWith:sim`.
+ *
+ *       **Template and variables:**
+ *       - Without `template_name`, the original template and each recipient's original variables are reused.
+ *       - With a different `template_name` (or with `variables`), the given `variables` are used for every recipient.
+ *
+ *     tags:
+ *       - Message
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the original campaign.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *       - in: query
+ *         name: campaignName
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Name of the new campaign. Defaults to the original name followed by the segment.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - segment
+ *             properties:
+ *               segment:
+ *                 type: string
+ *                 description: Recipient segment of the original campaign
+ *                 example: 'notReplied'
+ *               template_name:
+ *                 type: string
+ *                 description: Template to send instead of the original one (optional)
+ *                 example: 'sale_reminder'
+ *               language:
+ *                 type: string
+ *                 description: Language of `template_name`. Required when `template_name` is given.
+ *                 example: 'pt_BR'
+ *               variables:
+ *                 type: array
+ *                 description: Template components applied to every recipient (optional)
+ *                 items:
+ *                   type: object
+ *               scheduledAt:
+ *                 type: string
+ *                 description: Schedule the new campaign instead of sending it now (optional)
+ *                 example: '2025-11-10T09:00:00'
+ *               timezone:
+ *                 type: string
+ *                 description: IANA timezone for `scheduledAt` (optional)
+ *                 example: 'America/Sao_Paulo'
+ *           example:
+ *             segment: 'repliedWith:quero saber mais'
+ *             template_name: 'sale_details'
+ *             language: 'pt_BR'
+ *     responses:
+ *       202:
+ *         description: Retarget campaign accepted. Same response as `POST /message/template`, plus `parentCampaignId` and `segment`.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                   example: '507f1f77bcf86cd799439012'
+ *                 parentCampaignId:
+ *                   type: string
+ *                   example: '507f1f77bcf86cd799439011'
+ *                 segment:
+ *                   type: string
+ *                   example: 'notReplied'
+ *                 status:
+ *                   type: string
+ *                   example: 'running'
+ *                 total:
+ *                   type: integer
+ *                   example: 87
+ *       400:
+ *         description: Invalid input. Unknown segment, missing language, or no recipient matches the segment.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Invalid input: no recipients match segment "failed"'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Campaign not found.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/campaign/:id/retarget', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { id: campaignId } = req.params;
+        const { campaignName } = req.query;
+        const { segment, template_name, language, variables, scheduledAt, timezone } = req.body;
+        const { projectId, wabaId, apiToken, phoneId, fromPhoneNumber, blipRouterAuthToken } = req.body;
+
+        if (!segment) {
+            return res.status(400).json({ error: 'Invalid input: segment is required' });
+        }
+
+        if (variables !== undefined && !Array.isArray(variables)) {
+            return res.status(400).json({ error: 'Invalid input: variables must be an array of template components' });
+        }
+
+        let schedule = null;
+        if (scheduledAt) {
+            schedule = schedulerService.buildSchedule(scheduledAt, timezone);
+        }
+
+        const result = await messageService.retargetCampaign({
+            projectId,
+            campaignId,
+            segment,
+            template_name,
+            language,
+            variables,
+            campaignName,
+            wabaId,
+            apiToken,
+            phoneId,
+            fromPhoneNumber,
+            senderEmail: req.body.senderEmail,
+            senderName: req.body.senderName,
+            blipRouterAuthToken,
+            scheduledAt: schedule?.scheduledAt,
+            timezone: schedule?.timezone
+        });
+
+        res.status(202).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Campaign not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('MessageRoute: Error in POST /message/campaign/:id/retarget', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.response?.data || error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /message:
+ *   get:
+ *     summary: List single messages
+ *     description: |
+ *       List the messages sent through `POST /message`, newest first, along with inbound messages that did not answer a campaign. Template campaigns and their answers are listed by `GET /message/campaign`.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *       - Each message keeps its status history, updated by the WhatsApp webhook (`sent`, `delivered`, `read`, `failed`).
+ *
+ *     tags:
+ *       - Message
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *       - in: query
+ *         name: phoneNumber
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Filter by contact phone number.
+ *       - in: query
+ *         name: direction
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [outbound, inbound]
+ *         description: Filter by message direction.
+ *       - in: query
+ *         name: startDate
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages sent at or after this date.
+ *       - in: query
+ *         name: endDate
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages sent at or before this date.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Maximum number of messages to return (up to 500).
+ *       - in: query
+ *         name: skip
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of messages to skip.
+ *     responses:
+ *       200:
+ *         description: Logged messages.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 skip:
+ *                   type: integer
+ *                   example: 0
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MessageLog'
+ *       400:
+ *         description: Invalid input. A date filter is not a valid date.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Invalid input: startDate must be a valid date'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ *
+ * components:
+ *   schemas:
+ *     MessageLog:
+ *       type: object
+ *       properties:
+ *         direction:
+ *           type: string
+ *           description: outbound or inbound
+ *           example: 'outbound'
+ *         messageId:
+ *           type: string
+ *           nullable: true
+ *           description: WhatsApp message ID. Null when the send failed.
+ *           example: 'wamid.HBgMNTUxMTk5OTk5OTk5FQIAERgSODg3QzA4QzA4QzA4QzA4AA=='
+ *         messageType:
+ *           type: string
+ *           example: 'text'
+ *         contentSummary:
+ *           type: string
+ *           description: Text of the message, or the media type with its caption
+ *           example: 'Hello! How are you today?'
+ *         templateName:
+ *           type: string
+ *           description: Template sent, for transactional template messages
+ *           example: 'order_confirmation'
+ *         phoneNumber:
+ *           type: string
+ *           example: '5511999999999'
+ *         fromPhoneNumber:
+ *           type: string
+ *           example: '5511888888888'
+ *         senderEmail:
+ *           type: string
+ *           nullable: true
+ *           example: 'agent@example.com'
+ *         senderName:
+ *           type: string
+ *           nullable: true
+ *           example: 'Agent'
+ *         status:
+ *           type: string
+ *           description: sent, delivered, read or failed for outbound messages; received for inbound messages
+ *           example: 'read'
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 example: 'delivered'
+ *               dateTime:
+ *                 type: string
+ *                 format: date-time
+ *         error:
+ *           type: object
+ *           description: Meta error, for failed messages
+ *         media:
+ *           type: object
+ *           nullable: true
+ *           description: Media an inbound message carried, downloaded from WhatsApp and stored
+ *           properties:
+ *             id:
+ *               type: string
+ *               example: '1037543291543636'
+ *             mimeType:
+ *               type: string
+ *               example: 'image/jpeg'
+ *             fileName:
+ *               type: string
+ *               nullable: true
+ *             fileSize:
+ *               type: integer
+ *               example: 204800
+ *             url:
+ *               type: string
+ *               description: Stable URL of the stored file (`GET /media/stored/{id}`)
+ *               example: '/media/stored/1037543291543636?projectId=6878e3f2a1b2c3d4e5f60718'
+ *             status:
+ *               type: string
+ *               description: stored, or failed when the download did not succeed
+ *               example: 'stored'
+ *         dateTime:
+ *           type: string
+ *           format: date-time
+ */
+router.get('/', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { phoneNumber, direction, startDate, endDate, limit, skip } = req.query;
+        const { projectId, defaultCountry } = req.body;
+        const result = await messageLogService.listMessages({ projectId, phoneNumber, direction, startDate, endDate, limit, skip, defaultCountry });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('MessageRoute: Error in GET /message', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.response?.data || error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /message/{wamid}:
+ *   get:
+ *     summary: Get a single message by its WhatsApp message ID
+ *     description: |
+ *       Look up a message sent through `POST /message`, with its current status and status history.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Message
+ *     parameters:
+ *       - in: path
+ *         name: wamid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: WhatsApp message ID returned when the message was sent.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Logged message.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageLog'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: No message with this ID was sent by the project.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Message not found'
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+// Registered last so it does not shadow the /campaign routes
+router.get('/:wamid', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const message = await messageLogService.getMessage({ projectId: req.body.projectId, messageId: req.params.wamid });
+        res.status(200).json(message);
+    } catch (error) {
+        if (error.message === 'Message not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('MessageRoute: Error in GET /message/:wamid', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.response?.data || error.message });
+    }
+});
+
+module.exports = router;
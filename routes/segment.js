@@ -0,0 +1,538 @@
+const express = require('express');
+const segmentService = require('../services/segmentService');
+const logger = require('../config/logger');
+const { jwtTokenValidation } = require('../middleware/auth');
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SegmentFilters:
+ *       type: object
+ *       description: Every condition must hold for a contact to be in the segment.
+ *       properties:
+ *         tags:
+ *           type: array
+ *           description: The contact has all of these tags
+ *           items:
+ *             type: string
+ *           example: ['customer']
+ *         anyTags:
+ *           type: array
+ *           description: The contact has at least one of these tags
+ *           items:
+ *             type: string
+ *           example: ['vip', 'newsletter']
+ *         excludeTags:
+ *           type: array
+ *           description: The contact has none of these tags
+ *           items:
+ *             type: string
+ *           example: ['churned']
+ *         attributes:
+ *           type: array
+ *           description: Conditions on custom attributes
+ *           items:
+ *             type: object
+ *             required:
+ *               - key
+ *             properties:
+ *               key:
+ *                 type: string
+ *                 example: 'plan'
+ *               operator:
+ *                 type: string
+ *                 enum: [eq, ne, in, nin, exists, notExists, gt, gte, lt, lte, contains]
+ *                 default: eq
+ *               value:
+ *                 description: Compared value; an array for `in` and `nin`, unused for `exists` and `notExists`
+ *                 example: 'pro'
+ *         behavior:
+ *           type: array
+ *           description: Past campaign behavior of the contact
+ *           items:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [read, replied, failed]
+ *                 description: The contact read, replied to, or did not receive a campaign message
+ *               campaignId:
+ *                 type: string
+ *                 description: Only this campaign. Defaults to any campaign.
+ *               withinDays:
+ *                 type: integer
+ *                 description: Only campaigns sent in the last N days
+ *                 example: 30
+ *     Segment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: '665f1c2e8b3e4a0012345678'
+ *         name:
+ *           type: string
+ *           example: 'Engaged pro customers'
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         filters:
+ *           $ref: '#/components/schemas/SegmentFilters'
+ *         createdBy:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /segment:
+ *   get:
+ *     summary: List segments
+ *     description: |
+ *       List the project's saved segments, sorted by name.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Segment
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         description: Maximum number of segments to return (up to 1000).
+ *       - in: query
+ *         name: skip
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of segments to skip.
+ *     responses:
+ *       200:
+ *         description: Segments.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 100
+ *                 skip:
+ *                   type: integer
+ *                   example: 0
+ *                 segments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Segment'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     summary: Create a segment
+ *     description: |
+ *       Save a segment of the contact book, defined by tags, custom attributes and past campaign behavior.
+ *       Segments are evaluated when used, so new and updated contacts are picked up automatically.
+ *       Send a campaign to a segment with `segmentId` in `POST /message/template`.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *       - Segment names are unique within the project.
+ *
+ *     tags:
+ *       - Segment
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - filters
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: 'Engaged pro customers'
+ *               description:
+ *                 type: string
+ *                 example: 'Pro plan customers who replied in the last 30 days'
+ *               filters:
+ *                 $ref: '#/components/schemas/SegmentFilters'
+ *           example:
+ *             name: 'Engaged pro customers'
+ *             filters:
+ *               tags: ['customer']
+ *               attributes:
+ *                 - key: 'plan'
+ *                   operator: 'eq'
+ *                   value: 'pro'
+ *               behavior:
+ *                 - type: 'replied'
+ *                   withinDays: 30
+ *     responses:
+ *       201:
+ *         description: Segment created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Segment'
+ *       400:
+ *         description: Invalid input. The name is missing or already used, or a filter is invalid.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Invalid input: filters.behavior[0].type must be one of read, replied, failed'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { limit, skip } = req.query;
+        const { projectId } = req.body;
+        const result = await segmentService.listSegments({ projectId, limit, skip });
+        res.status(200).json(result);
+    } catch (error) {
+        logger.error('SegmentRoute: Error in GET /segment', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+router.post('/', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { projectId, name, description, filters, senderEmail } = req.body;
+        const segment = await segmentService.createSegment({ projectId, name, description, filters, createdBy: senderEmail });
+        res.status(201).json(segment);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('SegmentRoute: Error in POST /segment', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /segment/{id}:
+ *   get:
+ *     summary: Get a segment
+ *     description: |
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Segment
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Segment id.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Segment.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Segment'
+ *       400:
+ *         description: Invalid input. The id is not valid.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Segment not found.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ *   put:
+ *     summary: Update a segment
+ *     description: |
+ *       Update the name, description or filters of a segment. Fields left out are kept; `filters` is replaced as a whole.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Segment
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Segment id.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               filters:
+ *                 $ref: '#/components/schemas/SegmentFilters'
+ *     responses:
+ *       200:
+ *         description: Updated segment.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Segment'
+ *       400:
+ *         description: Invalid input. The name is already used or a filter is invalid.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Segment not found.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Delete a segment
+ *     description: |
+ *       Delete a saved segment. Its contacts and past campaigns are kept.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Segment
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Segment id.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Segment deleted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                   example: '665f1c2e8b3e4a0012345678'
+ *                 deleted:
+ *                   type: boolean
+ *                   example: true
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Segment not found.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.body;
+        const segment = await segmentService.getSegment({ projectId, segmentId: req.params.id });
+        res.status(200).json(segment);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Segment not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('SegmentRoute: Error in GET /segment/:id', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+router.put('/:id', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { projectId, name, description, filters } = req.body;
+        const segment = await segmentService.updateSegment({ projectId, segmentId: req.params.id, name, description, filters });
+        res.status(200).json(segment);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Segment not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('SegmentRoute: Error in PUT /segment/:id', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+router.delete('/:id', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { projectId } = req.body;
+        const result = await segmentService.deleteSegment({ projectId, segmentId: req.params.id });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Segment not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('SegmentRoute: Error in DELETE /segment/:id', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /segment/{id}/contacts:
+ *   get:
+ *     summary: List the contacts of a segment
+ *     description: |
+ *       Evaluate a segment against the current contact book and list the contacts in it. This is the audience a campaign sent with this `segmentId` would reach, before suppressions and frequency caps.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Segment
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Segment id.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         description: Maximum number of contacts to return (up to 1000).
+ *       - in: query
+ *         name: skip
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of contacts to skip.
+ *     responses:
+ *       200:
+ *         description: Contacts in the segment.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 segmentId:
+ *                   type: string
+ *                 segmentName:
+ *                   type: string
+ *                 total:
+ *                   type: integer
+ *                   example: 42
+ *                 limit:
+ *                   type: integer
+ *                   example: 100
+ *                 skip:
+ *                   type: integer
+ *                   example: 0
+ *                 contacts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Contact'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Segment not found.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id/contacts', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { limit, skip } = req.query;
+        const { projectId } = req.body;
+        const result = await segmentService.getSegmentContacts({ projectId, segmentId: req.params.id, limit, skip });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Segment not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('SegmentRoute: Error in GET /segment/:id/contacts', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,523 @@
+const express = require('express');
+const suppressionService = require('../services/suppressionService');
+const logger = require('../config/logger');
+const { jwtTokenValidation } = require('../middleware/auth');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /suppression:
+ *   get:
+ *     summary: List suppressed phone numbers
+ *     description: |
+ *       List the phone numbers of a project that must not receive messages, newest first.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Suppression
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *       - in: query
+ *         name: phoneNumber
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Filter by phone number.
+ *       - in: query
+ *         name: reason
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [manual, import, keyword]
+ *         description: Filter by how the number was suppressed.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         description: Maximum number of entries to return (up to 1000).
+ *       - in: query
+ *         name: skip
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of entries to skip.
+ *     responses:
+ *       200:
+ *         description: Suppressed phone numbers.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 100
+ *                 skip:
+ *                   type: integer
+ *                   example: 0
+ *                 suppressions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       phoneNumber:
+ *                         type: string
+ *                         example: '5511999999999'
+ *                       reason:
+ *                         type: string
+ *                         description: manual, import or keyword
+ *                         example: 'keyword'
+ *                       keyword:
+ *                         type: string
+ *                         description: Opt-out keyword received (keyword suppressions only)
+ *                         example: 'SAIR'
+ *                       messageId:
+ *                         type: string
+ *                         description: Inbound message that triggered the opt-out (keyword suppressions only)
+ *                         example: 'wamid.HBgMNTUxMTk5OTk5OTk5FQIAEhgUM0VCMEQ5NzA3RjE2RjI1QjlGNDcA'
+ *                       note:
+ *                         type: string
+ *                         nullable: true
+ *                       createdBy:
+ *                         type: string
+ *                         nullable: true
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     summary: Suppress a phone number
+ *     description: |
+ *       Add a phone number to the project's suppression list. Suppressed numbers are skipped by `POST /message` and by template campaigns, where they are recorded with status `suppressed`.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *       - Suppressing a number that is already suppressed keeps the original entry and returns status 200.
+ *
+ *     tags:
+ *       - Suppression
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *                 description: Phone number in international format.
+ *                 example: '5511999999999'
+ *               note:
+ *                 type: string
+ *                 description: Free text kept with the entry.
+ *                 example: 'Asked by phone not to be contacted'
+ *     responses:
+ *       201:
+ *         description: Phone number suppressed.
+ *       200:
+ *         description: Phone number was already suppressed. Returns the existing entry.
+ *       400:
+ *         description: Invalid input. The phone number is missing or malformed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Invalid input: phoneNumber is required'
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { phoneNumber, reason, limit, skip } = req.query;
+        const { projectId, defaultCountry } = req.body;
+        const result = await suppressionService.listSuppressions({ projectId, phoneNumber, reason, limit, skip, defaultCountry });
+        res.status(200).json(result);
+    } catch (error) {
+        logger.error('SuppressionRoute: Error in GET /suppression', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+router.post('/', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { projectId, phoneNumber, note, senderEmail, defaultCountry } = req.body;
+
+        if (!phoneNumber) {
+            return res.status(400).json({ error: 'Invalid input: phoneNumber is required' });
+        }
+
+        const { created, ...suppression } = await suppressionService.addSuppression({
+            projectId,
+            phoneNumber,
+            reason: 'manual',
+            note,
+            createdBy: senderEmail,
+            defaultCountry
+        });
+        res.status(created ? 201 : 200).json(suppression);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('SuppressionRoute: Error in POST /suppression', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /suppression/import:
+ *   post:
+ *     summary: Suppress phone numbers in bulk
+ *     description: |
+ *       Add many phone numbers to the project's suppression list at once, e.g. when migrating an opt-out list from another tool.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *       - Invalid numbers are reported in `invalid` and the rest are imported. Numbers already suppressed are left untouched.
+ *
+ *     tags:
+ *       - Suppression
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumbers
+ *             properties:
+ *               phoneNumbers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['5511999999999', '5521988888888']
+ *               note:
+ *                 type: string
+ *                 description: Free text kept with every imported entry.
+ *                 example: 'Imported from previous provider'
+ *     responses:
+ *       200:
+ *         description: Import summary.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 received:
+ *                   type: integer
+ *                   example: 2
+ *                 inserted:
+ *                   type: integer
+ *                   example: 1
+ *                 alreadySuppressed:
+ *                   type: integer
+ *                   example: 1
+ *                 invalid:
+ *                   type: array
+ *                   description: Numbers that could not be parsed, with the reason
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       phoneNumber:
+ *                         type: string
+ *                         example: '123'
+ *                       reason:
+ *                         type: string
+ *                         example: 'not a valid number'
+ *       400:
+ *         description: Invalid input. `phoneNumbers` is missing or empty.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/import', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { projectId, phoneNumbers, note, senderEmail, defaultCountry } = req.body;
+        const result = await suppressionService.importSuppressions({ projectId, phoneNumbers, note, createdBy: senderEmail, defaultCountry });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('SuppressionRoute: Error in POST /suppression/import', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /suppression/keywords:
+ *   get:
+ *     summary: Get the opt-out keywords
+ *     description: |
+ *       Inbound messages whose whole text matches one of these keywords (ignoring case, accents and punctuation) add the sender to the suppression list.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Suppression
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Opt-out keywords of the project.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keywords:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ['SAIR', 'STOP', 'PARAR', 'CANCELAR', 'DESCADASTRAR', 'UNSUBSCRIBE']
+ *                 isDefault:
+ *                   type: boolean
+ *                   description: Whether the project uses the default keywords
+ *                   example: true
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Project not found.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ *   put:
+ *     summary: Set the opt-out keywords
+ *     description: |
+ *       Replace the project's opt-out keywords. Send an empty list to go back to the defaults.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Suppression
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - keywords
+ *             properties:
+ *               keywords:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['SAIR', 'STOP', 'NAO QUERO']
+ *     responses:
+ *       200:
+ *         description: Opt-out keywords updated.
+ *       400:
+ *         description: Invalid input. `keywords` must be an array of non-empty strings.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: Project not found.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/keywords', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.body;
+        const result = await suppressionService.getOptOutSettings({ projectId });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message === 'Project not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('SuppressionRoute: Error in GET /suppression/keywords', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+router.put('/keywords', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { projectId, keywords } = req.body;
+        const result = await suppressionService.setOptOutKeywords({ projectId, keywords });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid input')) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === 'Project not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('SuppressionRoute: Error in PUT /suppression/keywords', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /suppression/{phoneNumber}:
+ *   get:
+ *     summary: Get a suppressed phone number
+ *     description: |
+ *       Check whether a phone number is suppressed and why.
+ *
+ *       - Requires JWT authentication with at least 'viewer' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Suppression
+ *     parameters:
+ *       - in: path
+ *         name: phoneNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Phone number in international format.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Suppression entry.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: The phone number is not suppressed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Suppression not found'
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Remove a phone number from the suppression list
+ *     description: |
+ *       Allow messages to a phone number again, e.g. after the contact opted back in.
+ *
+ *       - Requires JWT authentication with at least 'editor' role for the project.
+ *       - The **`projectId`** parameter is required only for user JWTs (not for service JWTs).
+ *
+ *     tags:
+ *       - Suppression
+ *     parameters:
+ *       - in: path
+ *         name: phoneNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Phone number in international format.
+ *       - in: query
+ *         name: projectId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project. Required if using a user JWT. Not required for service JWT.
+ *     responses:
+ *       200:
+ *         description: Phone number removed from the suppression list.
+ *       401:
+ *         description: Unauthorized. JWT is missing, invalid, or does not have the required role.
+ *       404:
+ *         description: The phone number is not suppressed.
+ *       500:
+ *         description: Internal server error. An unexpected error occurred.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:phoneNumber', jwtTokenValidation('viewer'), async (req, res) => {
+    try {
+        const { phoneNumber } = req.params;
+        const { projectId, defaultCountry } = req.body;
+        const suppression = await suppressionService.getSuppression({ projectId, phoneNumber, defaultCountry });
+        res.status(200).json(suppression);
+    } catch (error) {
+        if (error.message === 'Suppression not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('SuppressionRoute: Error in GET /suppression/:phoneNumber', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+router.delete('/:phoneNumber', jwtTokenValidation('editor'), async (req, res) => {
+    try {
+        const { phoneNumber } = req.params;
+        const { projectId, defaultCountry } = req.body;
+        const result = await suppressionService.removeSuppression({ projectId, phoneNumber, defaultCountry });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message === 'Suppression not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        logger.error('SuppressionRoute: Error in DELETE /suppression/:phoneNumber', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+module.exports = router;
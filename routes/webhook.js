@@ -0,0 +1,209 @@
+const express = require('express');
+const webhookService = require('../services/webhookService');
+const webhookWorkerService = require('../services/webhookWorkerService');
+const projectService = require('../services/projectService');
+const logger = require('../config/logger');
+const { originRequestValidation } = require('../middleware/auth');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /webhook/{projectId}:
+ *   get:
+ *     summary: Verify the WhatsApp webhook subscription
+ *     description: |
+ *       Answers Meta's webhook verification handshake for a project.
+ *
+ *       - Does not require JWT authentication; Meta calls this endpoint when the webhook URL is configured in the app dashboard.
+ *       - The `hub.verify_token` must match the project's `integrations.whatsApp.verifyToken`.
+ *       - On success, the `hub.challenge` value is echoed back as plain text.
+ *
+ *     tags:
+ *       - Webhook
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project.
+ *       - in: query
+ *         name: hub.mode
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: subscribe
+ *       - in: query
+ *         name: hub.verify_token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: hub.challenge
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: '1158201444'
+ *     responses:
+ *       200:
+ *         description: Verification succeeded. The challenge is returned as plain text.
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: '1158201444'
+ *       403:
+ *         description: Verification failed. The mode or verify token does not match.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Verification failed
+ *       404:
+ *         description: Project not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Project not found
+ */
+router.get('/:projectId', async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const mode = req.query['hub.mode'];
+        const verifyToken = req.query['hub.verify_token'];
+        const challenge = req.query['hub.challenge'];
+
+        const project = await projectService.getProjectById(projectId);
+        if (!project) {
+            logger.error('WebhookRoute: Project not found in verification', { projectId });
+            return res.status(404).json({ message: 'Project not found' });
+        }
+
+        const expectedToken = projectService.getWhatsAppIntegration(project).verifyToken;
+
+        if (mode === 'subscribe' && expectedToken && verifyToken === expectedToken) {
+            logger.info('WebhookRoute: Webhook verified', { projectId });
+            return res.status(200).send(challenge);
+        }
+
+        logger.warn('WebhookRoute: Webhook verification failed', { projectId, mode });
+        return res.status(403).json({ message: 'Verification failed' });
+    } catch (error) {
+        logger.error('WebhookRoute: Error in GET /webhook/:projectId', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /webhook/{projectId}:
+ *   post:
+ *     summary: Receive WhatsApp webhook events
+ *     description: |
+ *       Receives WhatsApp Cloud API webhook notifications for a project and applies them onto the project's campaigns.
+ *
+ *       - Does not require JWT authentication. Requests must carry a valid `X-Hub-Signature-256` header signed with the project's `appSecret`.
+ *       - The delivery is stored and acknowledged right away, then processed in the background. Failed deliveries are retried with a backoff; redelivered statuses and messages are applied only once.
+ *       - `statuses` (sent, delivered, read, failed) update the `status`, `statusHistory` and `readDateTime` of the campaign result holding the message id.
+ *       - Inbound `messages` are appended to the `answers` of the campaign result they reply to (quoted message first, otherwise the latest campaign sent to the contact in the last 7 days).
+ *       - Inbound messages whose whole text is one of the project's opt-out keywords (`integrations.whatsApp.optOutKeywords`, default SAIR, STOP, PARAR, CANCELAR, DESCADASTRAR, UNSUBSCRIBE) add the sender to the suppression list.
+ *
+ *     tags:
+ *       - Webhook
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the project.
+ *       - in: header
+ *         name: X-Hub-Signature-256
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: HMAC SHA-256 signature of the raw body, prefixed with `sha256=`.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *           example:
+ *             object: whatsapp_business_account
+ *             entry:
+ *               - id: '102290129340398'
+ *                 changes:
+ *                   - field: messages
+ *                     value:
+ *                       messaging_product: whatsapp
+ *                       statuses:
+ *                         - id: 'wamid.HBgMNTUxMTk5OTk5OTk5FQIAERgSODg3QzA4QzA4QzA4QzA4AA=='
+ *                           status: read
+ *                           timestamp: '1730800000'
+ *                           recipient_id: '5511999999999'
+ *     responses:
+ *       200:
+ *         description: Webhook received and queued for processing.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 received:
+ *                   type: boolean
+ *                   example: true
+ *                 eventId:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Id of the stored delivery, null for payloads that are not WhatsApp events
+ *                   example: '6730f1c2a1b2c3d4e5f60718'
+ *       403:
+ *         description: Missing or invalid signature.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Invalid signature
+ *       500:
+ *         description: The delivery could not be stored. Meta retries it.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Internal server error
+ */
+router.post('/:projectId', originRequestValidation, async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const event = await webhookService.enqueueWebhook(projectId, req.body);
+        res.status(200).json({ received: true, eventId: event ? event._id : null });
+
+        // Process right away instead of waiting for the next worker tick
+        if (event) {
+            webhookWorkerService.processProjectEvents(projectId).catch(error => {
+                logger.error('WebhookRoute: Error processing queued webhook', { projectId, error: error.message });
+            });
+        }
+    } catch (error) {
+        logger.error('WebhookRoute: Error in POST /webhook/:projectId', { error: error.message });
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+module.exports = router;
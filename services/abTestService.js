@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 5;
+const VARIANT_NAME_MAX_LENGTH = 20;
+const AB_TEST_MODES = ['split', 'winner'];
+const WINNER_METRICS = ['read', 'replied'];
+const DEFAULT_TEST_PERCENTAGE = 20;
+const DEFAULT_WINNER_METRIC = 'replied';
+const DEFAULT_DECIDE_AFTER_HOURS = 4;
+const MAX_DECIDE_AFTER_HOURS = 168;
+
+/**
+ * Split percentages of the variants: the given ones (summing to 100) or an even split, the remainder going to the first variants
+ */
+function normalizePercentages(variants) {
+    const given = variants.filter(variant => variant.percentage !== undefined && variant.percentage !== null);
+    if (given.length === 0) {
+        const base = Math.floor(100 / variants.length);
+        return variants.map((variant, idx) => base + (idx < 100 % variants.length ? 1 : 0));
+    }
+    if (given.length !== variants.length) {
+        throw new Error('Invalid input: give a percentage to every variant or to none');
+    }
+
+    const percentages = variants.map((variant, idx) => {
+        const percentage = Number(variant.percentage);
+        if (!Number.isInteger(percentage) || percentage < 1 || percentage > 99) {
+            throw new Error(`Invalid input: variants[${idx}].percentage must be an integer between 1 and 99`);
+        }
+        return percentage;
+    });
+    const total = percentages.reduce((sum, percentage) => sum + percentage, 0);
+    if (total !== 100) {
+        throw new Error(`Invalid input: variant percentages must add up to 100 (got ${total})`);
+    }
+    return percentages;
+}
+
+function normalizeWinnerSettings(abTest) {
+    const testPercentage = abTest.testPercentage === undefined ? DEFAULT_TEST_PERCENTAGE : Number(abTest.testPercentage);
+    if (!Number.isInteger(testPercentage) || testPercentage < 1 || testPercentage > 99) {
+        throw new Error('Invalid input: abTest.testPercentage must be an integer between 1 and 99');
+    }
+
+    const metric = abTest.metric || DEFAULT_WINNER_METRIC;
+    if (!WINNER_METRICS.includes(metric)) {
+        throw new Error(`Invalid input: abTest.metric must be one of ${WINNER_METRICS.join(', ')}`);
+    }
+
+    const decideAfterHours = abTest.decideAfterHours === undefined ? DEFAULT_DECIDE_AFTER_HOURS : Number(abTest.decideAfterHours);
+    if (!Number.isFinite(decideAfterHours) || decideAfterHours <= 0 || decideAfterHours > MAX_DECIDE_AFTER_HOURS) {
+        throw new Error(`Invalid input: abTest.decideAfterHours must be a number of hours between 0 and ${MAX_DECIDE_AFTER_HOURS}`);
+    }
+
+    return { testPercentage, metric, decideAfterHours };
+}
+
+/**
+ * Validate the variants of an A/B test and its settings
+ * @param {Object} params
+ * @param {Object[]} params.variants - [{ name, template_name, language, variables, percentage }]
+ * @param {Object} [params.abTest] - { mode: 'split' } or { mode: 'winner', testPercentage, metric, decideAfterHours }, plus an optional seed
+ * @returns {{ variants: Object[], abTest: Object }} Variants ({ name, templateName, language, variables, percentage }) and settings
+ * @throws {Error} 'Invalid input: ...'
+ */
+function normalizeAbTest({ variants, abTest }) {
+    if (!Array.isArray(variants) || variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+        throw new Error(`Invalid input: variants must be an array of ${MIN_VARIANTS} to ${MAX_VARIANTS} variants`);
+    }
+    if (abTest !== undefined && (!abTest || typeof abTest !== 'object' || Array.isArray(abTest))) {
+        throw new Error('Invalid input: abTest must be an object');
+    }
+
+    const settings = abTest || {};
+    const mode = settings.mode || 'split';
+    if (!AB_TEST_MODES.includes(mode)) {
+        throw new Error(`Invalid input: abTest.mode must be one of ${AB_TEST_MODES.join(', ')}`);
+    }
+
+    const names = new Set();
+    const normalized = variants.map((variant, idx) => {
+        const field = `variants[${idx}]`;
+        if (!variant || typeof variant !== 'object') {
+            throw new Error(`Invalid input: ${field} must be an object with template_name and language`);
+        }
+        if (typeof variant.template_name !== 'string' || variant.template_name === '' || typeof variant.language !== 'string' || variant.language === '') {
+            throw new Error(`Invalid input: ${field}.template_name and ${field}.language are required`);
+        }
+
+        const name = variant.name === undefined || variant.name === null ? String.fromCharCode(65 + idx) : String(variant.name).trim();
+        if (name === '' || name.length > VARIANT_NAME_MAX_LENGTH) {
+            throw new Error(`Invalid input: ${field}.name must have 1 to ${VARIANT_NAME_MAX_LENGTH} characters`);
+        }
+        if (names.has(name)) {
+            throw new Error(`Invalid input: variant name "${name}" is repeated`);
+        }
+        names.add(name);
+
+        return { name, templateName: variant.template_name, language: variant.language, variables: variant.variables };
+    });
+
+    normalizePercentages(variants).forEach((percentage, idx) => {
+        normalized[idx].percentage = percentage;
+    });
+
+    const normalizedAbTest = mode === 'winner'
+        ? { mode, ...normalizeWinnerSettings(settings) }
+        : { mode };
+    if (settings.seed !== undefined && settings.seed !== null) {
+        normalizedAbTest.seed = String(settings.seed);
+    }
+
+    return { variants: normalized, abTest: normalizedAbTest };
+}
+
+/**
+ * Stable number in [0, 1) for a seed and a phone number
+ */
+function hashToUnit(...parts) {
+    const digest = crypto.createHash('sha256').update(parts.join(':')).digest();
+    return digest.readUInt32BE(0) / 0x100000000;
+}
+
+function pickByPercentage(variants, unit) {
+    let cumulative = 0;
+    for (const variant of variants) {
+        cumulative += variant.percentage / 100;
+        if (unit < cumulative) {
+            return variant.name;
+        }
+    }
+    return variants[variants.length - 1].name;
+}
+
+/**
+ * Assign each recipient a variant. The same seed and phone number always give the same variant.
+ * In winner mode only testPercentage of the recipients get a variant now; the others get null (held for the winner).
+ * @param {Object} params
+ * @param {string} params.seed - abTest.seed, or the campaign id
+ * @param {string[]} params.phoneNumbers - Normalized phone numbers
+ * @param {Object[]} params.variants - Normalized variants
+ * @param {Object} params.abTest - Normalized settings
+ * @returns {Array<string|null>} Variant name of each recipient
+ */
+function assignVariants({ seed, phoneNumbers, variants, abTest }) {
+    return phoneNumbers.map(phoneNumber => {
+        if (abTest.mode === 'winner' && hashToUnit(seed, phoneNumber, 'test') >= abTest.testPercentage / 100) {
+            return null;
+        }
+        return pickByPercentage(variants, hashToUnit(seed, phoneNumber, 'variant'));
+    });
+}
+
+function toRate(count, total) {
+    return total > 0 ? Math.round((count / total) * 10000) / 10000 : 0;
+}
+
+/**
+ * Read and reply counts and rates of each variant of a campaign. Rates are over the messages sent.
+ * A reply counts as a read, since WhatsApp may not report the read receipt.
+ */
+function computeVariantStats(campaign) {
+    const stats = new Map((campaign.variants || []).map(variant => [variant.name, {
+        name: variant.name,
+        templateName: variant.templateName,
+        language: variant.language,
+        percentage: variant.percentage,
+        recipients: 0,
+        sent: 0,
+        failed: 0,
+        read: 0,
+        replied: 0
+    }]));
+
+    (campaign.results || []).forEach(result => {
+        const variantStats = stats.get(result.variant);
+        if (!variantStats) {
+            return;
+        }
+        const replied = result.status === 'answered' || (Array.isArray(result.answers) && result.answers.length > 0);
+        variantStats.recipients++;
+        if (result.success === true) {
+            variantStats.sent++;
+        } else if (result.success === false || result.status === 'failed') {
+            variantStats.failed++;
+        }
+        if (result.readDateTime || replied) {
+            variantStats.read++;
+        }
+        if (replied) {
+            variantStats.replied++;
+        }
+    });
+
+    return [...stats.values()].map(variantStats => ({
+        ...variantStats,
+        readRate: toRate(variantStats.read, variantStats.sent),
+        replyRate: toRate(variantStats.replied, variantStats.sent)
+    }));
+}
+
+/**
+ * Variant with the best rate for the metric; ties go to the other metric, then to the first variant
+ */
+function pickWinner(variantStats, metric) {
+    const [primary, secondary] = metric === 'read' ? ['readRate', 'replyRate'] : ['replyRate', 'readRate'];
+    return variantStats.reduce((best, candidate) => {
+        if (candidate[primary] !== best[primary]) {
+            return candidate[primary] > best[primary] ? candidate : best;
+        }
+        return candidate[secondary] > best[secondary] ? candidate : best;
+    }).name;
+}
+
+module.exports = {
+    normalizeAbTest,
+    assignVariants,
+    computeVariantStats,
+    pickWinner
+};
@@ -1,12 +1,20 @@
 const mongodbService = require('./mongodbService');
 const environment = require('../config/environment');
 const logger = require('../config/logger');
+const abTestService = require('./abTestService');
 
 /**
  * Build MongoDB query based on filters
  */
 function buildQuery(filters = {}) {
-    const query = {};
+    // Campaigns that never started sending: still scheduled, or canceled before their scheduled time.
+    // Campaigns canceled while running keep counting, since part of them was sent.
+    const query = {
+        $nor: [
+            { status: 'scheduled' },
+            { status: 'canceled', scheduledAt: { $exists: true }, startedAt: { $exists: false } }
+        ]
+    };
 
     // Date range filter
     if (filters.dateRange && Array.isArray(filters.dateRange) && filters.dateRange.length === 2) {
@@ -62,8 +70,9 @@ async function getMessagesSent(projectId, filters = {}) {
         
         const campaigns = await campaignsCollection.find(query).toArray();
         
+        // Suppressed and capped recipients are stored in the campaign total but never sent
         const totalMessages = campaigns.reduce((sum, campaign) => {
-            return sum + (campaign.total || 0);
+            return sum + (campaign.total || 0) - (campaign.suppressed || 0) - (campaign.capped || 0);
         }, 0);
 
         logger.info('AnalyticsService: Messages sent calculated', { projectId, totalMessages, filters });
@@ -252,6 +261,50 @@ async function getErrors(projectId, filters = {}) {
     }
 }
 
+/**
+ * Read and reply rates of each variant of an A/B test campaign
+ */
+async function getVariantBreakdown(projectId, campaignId) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+        if (!mongodbService.ObjectId.isValid(campaignId)) {
+            throw new Error('Invalid input: campaignId is not a valid id');
+        }
+
+        const campaignsDb = await mongodbService.getDbConnection(environment.mongoCampaignsDbName);
+        const campaign = await campaignsDb.collection(projectId.toString()).findOne(
+            { _id: new mongodbService.ObjectId(campaignId) },
+            { projection: { variablesList: 0, heldVariablesList: 0 } }
+        );
+
+        if (!campaign) {
+            throw new Error('Campaign not found');
+        }
+        if (!Array.isArray(campaign.variants) || campaign.variants.length === 0) {
+            throw new Error('Invalid input: campaign is not an A/B test');
+        }
+
+        const variants = abTestService.computeVariantStats(campaign);
+        const breakdown = {
+            campaignId: campaign._id,
+            campaignName: campaign.campaignName,
+            status: campaign.status,
+            abTest: campaign.abTest,
+            held: campaign.results.filter(result => result.status === 'held').length,
+            variants,
+            leader: abTestService.pickWinner(variants, campaign.abTest?.metric)
+        };
+
+        logger.info('AnalyticsService: Variant breakdown calculated', { projectId, campaignId, variants: variants.length });
+        return breakdown;
+    } catch (error) {
+        logger.error('AnalyticsService: Error calculating variant breakdown', { error: error.message, projectId, campaignId });
+        throw error;
+    }
+}
+
 /**
  * Process a single metric
  */
@@ -344,6 +397,7 @@ module.exports = {
     getCampaignsTotal,
     getReplies,
     getViews,
-    getErrors
+    getErrors,
+    getVariantBreakdown
 };
 
@@ -0,0 +1,596 @@
+const safeRegex = require('safe-regex2');
+const mongodbService = require('./mongodbService');
+const messageService = require('./messageService');
+const projectService = require('./projectService');
+const phoneService = require('./phoneService');
+const suppressionService = require('./suppressionService');
+const schedulerService = require('./schedulerService');
+const interactiveMessageService = require('./interactiveMessageService');
+const environment = require('../config/environment');
+const logger = require('../config/logger');
+
+const AUTO_REPLIES_DB_NAME = environment.mongoAutoRepliesDbName;
+const LOG_COLLECTION_SUFFIX = '_log';
+const MATCH_TYPES = ['exact', 'contains', 'regex'];
+const MEDIA_MESSAGE_TYPES = ['image', 'document', 'video', 'audio', 'sticker'];
+const REPLY_MESSAGE_TYPES = ['text', ...MEDIA_MESSAGE_TYPES, 'interactive', ...interactiveMessageService.INTERACTIVE_MESSAGE_TYPES];
+const LOG_STATUSES = ['sending', 'sent', 'suppressed', 'failed'];
+const NAME_MAX_LENGTH = 100;
+const MAX_KEYWORDS = 50;
+const PATTERN_MAX_LENGTH = 200;
+// Regex rules run synchronously on customer text, so only this much of a message is matched against them
+const REGEX_TEXT_MAX_LENGTH = 1000;
+const BACKREFERENCE_PATTERN = /\\[1-9]|\\k</;
+const TEXT_MAX_LENGTH = 4096;
+const DEFAULT_PRIORITY = 100;
+const DEFAULT_TIMEZONE = 'UTC';
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const indexedCollections = new Set();
+
+async function getRulesCollection(projectId) {
+    const autoRepliesDb = await mongodbService.getDbConnection(AUTO_REPLIES_DB_NAME);
+    const projectIdString = projectId.toString();
+    const rulesCollection = autoRepliesDb.collection(projectIdString);
+
+    if (!indexedCollections.has(projectIdString)) {
+        await rulesCollection.createIndex({ name: 1 }, { unique: true });
+        indexedCollections.add(projectIdString);
+    }
+
+    return rulesCollection;
+}
+
+async function getLogCollection(projectId) {
+    const autoRepliesDb = await mongodbService.getDbConnection(AUTO_REPLIES_DB_NAME);
+    const collectionName = `${projectId.toString()}${LOG_COLLECTION_SUFFIX}`;
+    const logCollection = autoRepliesDb.collection(collectionName);
+
+    if (!indexedCollections.has(collectionName)) {
+        await logCollection.createIndex({ dateTime: -1 });
+        await logCollection.createIndex({ ruleId: 1, dateTime: -1 });
+        await logCollection.createIndex({ phoneNumber: 1, dateTime: -1 });
+        // One reply per inbound wamid, even when Meta redelivers the webhook while the first reply is in flight
+        await logCollection.createIndex(
+            { inboundMessageId: 1 },
+            { unique: true, partialFilterExpression: { inboundMessageId: { $type: 'string' } } }
+        );
+        indexedCollections.add(collectionName);
+    }
+
+    return logCollection;
+}
+
+function toRuleObjectId(ruleId) {
+    if (ruleId instanceof mongodbService.ObjectId) {
+        return ruleId;
+    }
+    if (typeof ruleId !== 'string' || !mongodbService.ObjectId.isValid(ruleId)) {
+        throw new Error('Invalid input: ruleId is not a valid id');
+    }
+    return new mongodbService.ObjectId(ruleId);
+}
+
+function isDuplicateKeyError(error) {
+    return error.code === 11000;
+}
+
+function sanitizeName(name) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new Error('Invalid input: name is required');
+    }
+    if (name.trim().length > NAME_MAX_LENGTH) {
+        throw new Error(`Invalid input: name must be at most ${NAME_MAX_LENGTH} characters`);
+    }
+    return name.trim();
+}
+
+/**
+ * Keywords of exact and contains rules, or the pattern of regex rules
+ */
+function sanitizeMatch({ matchType, keywords, pattern }) {
+    const type = matchType || 'exact';
+    if (!MATCH_TYPES.includes(type)) {
+        throw new Error(`Invalid input: matchType must be one of ${MATCH_TYPES.join(', ')}`);
+    }
+
+    if (type === 'regex') {
+        if (typeof pattern !== 'string' || pattern === '' || pattern.length > PATTERN_MAX_LENGTH) {
+            throw new Error(`Invalid input: pattern must be a regular expression of 1 to ${PATTERN_MAX_LENGTH} characters`);
+        }
+        try {
+            new RegExp(pattern, 'i');
+        } catch (error) {
+            throw new Error(`Invalid input: pattern is not a valid regular expression (${error.message})`);
+        }
+        // Nested quantifiers like (a+)+ and backreferences can backtrack for seconds on a short message
+        if (BACKREFERENCE_PATTERN.test(pattern) || !safeRegex(pattern)) {
+            throw new Error('Invalid input: pattern must not nest repetitions or use backreferences');
+        }
+        return { matchType: type, keywords: [], pattern };
+    }
+
+    const list = Array.isArray(keywords) ? keywords : [keywords];
+    if (list.length === 0 || list.length > MAX_KEYWORDS || list.some(keyword => typeof keyword !== 'string' || suppressionService.normalizeKeyword(keyword) === '')) {
+        throw new Error(`Invalid input: keywords must be 1 to ${MAX_KEYWORDS} words or phrases`);
+    }
+    return { matchType: type, keywords: [...new Set(list.map(keyword => keyword.trim()))], pattern: null };
+}
+
+/**
+ * Time of day the rule is active: { start: 'HH:MM', end: 'HH:MM', days: [0-6, Sunday is 0], timezone }.
+ * A start after the end spans midnight (22:00 to 06:00).
+ */
+function sanitizeSchedule(schedule) {
+    if (schedule === undefined || schedule === null) {
+        return null;
+    }
+    if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+        throw new Error('Invalid input: schedule must be an object with start and end');
+    }
+
+    const { start, end, days } = schedule;
+    if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '') || start === end) {
+        throw new Error('Invalid input: schedule.start and schedule.end must be different HH:MM times');
+    }
+
+    const timezone = schedule.timezone || DEFAULT_TIMEZONE;
+    if (!schedulerService.isValidTimezone(timezone)) {
+        throw new Error(`Invalid input: unknown timezone "${timezone}"`);
+    }
+
+    const sanitized = { start, end, timezone };
+    if (days !== undefined && days !== null) {
+        if (!Array.isArray(days) || days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            throw new Error('Invalid input: schedule.days must be an array of weekdays from 0 (Sunday) to 6 (Saturday)');
+        }
+        sanitized.days = [...new Set(days)].sort();
+    }
+    return sanitized;
+}
+
+/**
+ * Only answer replies to these campaigns and/or templates. Either list left empty does not restrict.
+ */
+function sanitizeScope(scope) {
+    if (scope === undefined || scope === null) {
+        return null;
+    }
+    if (typeof scope !== 'object' || Array.isArray(scope)) {
+        throw new Error('Invalid input: scope must be an object with campaignIds and/or templateNames');
+    }
+
+    const campaignIds = scope.campaignIds || [];
+    const templateNames = scope.templateNames || [];
+    if (!Array.isArray(campaignIds) || campaignIds.some(campaignId => typeof campaignId !== 'string' || !mongodbService.ObjectId.isValid(campaignId))) {
+        throw new Error('Invalid input: scope.campaignIds must be an array of campaign ids');
+    }
+    if (!Array.isArray(templateNames) || templateNames.some(templateName => typeof templateName !== 'string' || templateName === '')) {
+        throw new Error('Invalid input: scope.templateNames must be an array of template names');
+    }
+    if (campaignIds.length === 0 && templateNames.length === 0) {
+        return null;
+    }
+    return { campaignIds, templateNames };
+}
+
+/**
+ * Text, media or interactive message sent back, in the POST /message message_type / content shape
+ */
+function sanitizeReply(reply) {
+    if (!reply || typeof reply !== 'object') {
+        throw new Error('Invalid input: reply must be an object with message_type and content');
+    }
+
+    const { message_type, content } = reply;
+    if (!REPLY_MESSAGE_TYPES.includes(message_type)) {
+        throw new Error(`Invalid input: reply.message_type must be one of ${REPLY_MESSAGE_TYPES.join(', ')}`);
+    }
+
+    if (message_type === 'text') {
+        if (typeof content !== 'string' || content.trim() === '' || content.length > TEXT_MAX_LENGTH) {
+            throw new Error(`Invalid input: reply.content must be a text of 1 to ${TEXT_MAX_LENGTH} characters`);
+        }
+    } else if (!content || typeof content !== 'object' || Array.isArray(content)) {
+        throw new Error('Invalid input: reply.content must be an object');
+    } else if (MEDIA_MESSAGE_TYPES.includes(message_type)) {
+        if (!content.id && !content.link) {
+            throw new Error(`Invalid input: reply.content.link or reply.content.id is required for ${message_type} messages`);
+        }
+    } else if (message_type !== 'interactive') {
+        interactiveMessageService.buildInteractiveMessage(message_type, content);
+    }
+
+    return { message_type, content };
+}
+
+function sanitizePriority(priority) {
+    if (priority === undefined || priority === null) {
+        return DEFAULT_PRIORITY;
+    }
+    if (!Number.isInteger(priority) || priority < 0) {
+        throw new Error('Invalid input: priority must be a positive integer');
+    }
+    return priority;
+}
+
+function sanitizeRule(rule) {
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+        throw new Error('Invalid input: enabled must be a boolean');
+    }
+
+    return {
+        name: sanitizeName(rule.name),
+        description: rule.description || null,
+        enabled: rule.enabled !== false,
+        priority: sanitizePriority(rule.priority),
+        ...sanitizeMatch(rule),
+        schedule: sanitizeSchedule(rule.schedule),
+        scope: sanitizeScope(rule.scope),
+        reply: sanitizeReply(rule.reply)
+    };
+}
+
+async function createRule({ projectId, createdBy, ...rule }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const now = new Date();
+        const document = {
+            ...sanitizeRule(rule),
+            fireCount: 0,
+            lastFiredAt: null,
+            createdBy: createdBy || null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const rulesCollection = await getRulesCollection(projectId);
+        const result = await rulesCollection.insertOne(document);
+
+        logger.info('AutoReplyService: Rule created', { projectId, ruleId: result.insertedId, name: document.name, matchType: document.matchType });
+        return { _id: result.insertedId, ...document };
+    } catch (error) {
+        if (isDuplicateKeyError(error)) {
+            error.message = `Invalid input: an auto-reply rule named "${rule.name}" already exists`;
+        }
+        logger.error('AutoReplyService: Error creating rule', { error: error.message, projectId });
+        throw error;
+    }
+}
+
+/**
+ * Rules of a project in the order they are tried: priority, then creation
+ */
+async function listRules({ projectId, limit, skip }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const pageSize = Math.min(parseInt(limit, 10) || 100, 1000);
+        const offset = parseInt(skip, 10) || 0;
+        const rulesCollection = await getRulesCollection(projectId);
+
+        const [rules, total] = await Promise.all([
+            rulesCollection.find({}).sort({ priority: 1, createdAt: 1 }).skip(offset).limit(pageSize).toArray(),
+            rulesCollection.countDocuments({})
+        ]);
+
+        logger.info('AutoReplyService: Rules fetched', { projectId, count: rules.length, total });
+        return { total, limit: pageSize, skip: offset, rules };
+    } catch (error) {
+        logger.error('AutoReplyService: Error listing rules', { error: error.message, projectId });
+        throw error;
+    }
+}
+
+async function getRule({ projectId, ruleId }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const rulesCollection = await getRulesCollection(projectId);
+        const rule = await rulesCollection.findOne({ _id: toRuleObjectId(ruleId) });
+
+        if (!rule) {
+            throw new Error('Auto-reply rule not found');
+        }
+        return rule;
+    } catch (error) {
+        logger.error('AutoReplyService: Error getting rule', { error: error.message, projectId, ruleId });
+        throw error;
+    }
+}
+
+/**
+ * Update a rule. Fields left out are kept; the result is validated as a whole.
+ */
+async function updateRule({ projectId, ruleId, ...changes }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const current = await getRule({ projectId, ruleId });
+        const definedChanges = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+        const update = { ...sanitizeRule({ ...current, ...definedChanges }), updatedAt: new Date() };
+
+        const rulesCollection = await getRulesCollection(projectId);
+        const rule = await rulesCollection.findOneAndUpdate(
+            { _id: current._id },
+            { $set: update },
+            { returnDocument: 'after', includeResultMetadata: false }
+        );
+
+        if (!rule) {
+            throw new Error('Auto-reply rule not found');
+        }
+
+        logger.info('AutoReplyService: Rule updated', { projectId, ruleId });
+        return rule;
+    } catch (error) {
+        if (isDuplicateKeyError(error)) {
+            error.message = `Invalid input: an auto-reply rule named "${changes.name}" already exists`;
+        }
+        logger.error('AutoReplyService: Error updating rule', { error: error.message, projectId, ruleId });
+        throw error;
+    }
+}
+
+/**
+ * Delete a rule. Its entries in the log are kept.
+ */
+async function deleteRule({ projectId, ruleId }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const rulesCollection = await getRulesCollection(projectId);
+        const result = await rulesCollection.deleteOne({ _id: toRuleObjectId(ruleId) });
+
+        if (result.deletedCount === 0) {
+            throw new Error('Auto-reply rule not found');
+        }
+
+        logger.info('AutoReplyService: Rule deleted', { projectId, ruleId });
+        return { _id: ruleId, deleted: true };
+    } catch (error) {
+        logger.error('AutoReplyService: Error deleting rule', { error: error.message, projectId, ruleId });
+        throw error;
+    }
+}
+
+/**
+ * Entries of the auto-reply log, latest first: which rule answered which inbound message, and how the reply went
+ */
+async function listLog({ projectId, ruleId, phoneNumber, status, limit, skip, defaultCountry }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+        if (status !== undefined && !LOG_STATUSES.includes(status)) {
+            throw new Error(`Invalid input: status must be one of ${LOG_STATUSES.join(', ')}`);
+        }
+
+        const query = {};
+        if (ruleId) {
+            query.ruleId = toRuleObjectId(ruleId);
+        }
+        if (phoneNumber) {
+            query.phoneNumber = { $in: phoneService.getPhoneNumberVariants(phoneService.toLookupKey(phoneNumber, defaultCountry)) };
+        }
+        if (status) {
+            query.status = status;
+        }
+
+        const pageSize = Math.min(parseInt(limit, 10) || 100, 1000);
+        const offset = parseInt(skip, 10) || 0;
+        const logCollection = await getLogCollection(projectId);
+
+        const [entries, total] = await Promise.all([
+            logCollection.find(query).sort({ dateTime: -1 }).skip(offset).limit(pageSize).toArray(),
+            logCollection.countDocuments(query)
+        ]);
+
+        logger.info('AutoReplyService: Log fetched', { projectId, ruleId, count: entries.length, total });
+        return { total, limit: pageSize, skip: offset, entries };
+    } catch (error) {
+        logger.error('AutoReplyService: Error listing log', { error: error.message, projectId, ruleId });
+        throw error;
+    }
+}
+
+/**
+ * Weekday (0 is Sunday) and minutes since midnight of an instant in a timezone
+ */
+function getLocalTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(date).reduce((acc, part) => {
+        acc[part.type] = part.value;
+        return acc;
+    }, {});
+
+    return { day: WEEKDAYS.indexOf(parts.weekday), minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10) };
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':');
+    return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+/**
+ * Whether the rule's schedule covers an instant. Past midnight, a window spanning it counts for the day it started.
+ */
+function isWithinSchedule(schedule, date) {
+    if (!schedule) {
+        return true;
+    }
+
+    const { day, minutes } = getLocalTime(date, schedule.timezone);
+    const start = toMinutes(schedule.start);
+    const end = toMinutes(schedule.end);
+    const isOnDay = weekday => !schedule.days || schedule.days.includes(weekday);
+
+    if (start < end) {
+        return minutes >= start && minutes < end && isOnDay(day);
+    }
+    if (minutes >= start) {
+        return isOnDay(day);
+    }
+    return minutes < end && isOnDay((day + 6) % 7);
+}
+
+function isWithinScope(scope, { campaignId, templateName }) {
+    if (!scope) {
+        return true;
+    }
+    if (scope.campaignIds.length > 0 && !(campaignId && scope.campaignIds.includes(campaignId.toString()))) {
+        return false;
+    }
+    if (scope.templateNames.length > 0 && !(templateName && scope.templateNames.includes(templateName))) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Whether the inbound text fires the rule. exact and contains ignore case, accents and punctuation; regex ignores case.
+ */
+function matchesText(rule, messageText) {
+    if (rule.matchType === 'regex') {
+        return new RegExp(rule.pattern, 'i').test(messageText.slice(0, REGEX_TEXT_MAX_LENGTH));
+    }
+
+    const normalizedText = suppressionService.normalizeKeyword(messageText);
+    if (normalizedText === '') {
+        return false;
+    }
+    return rule.keywords.some(keyword => {
+        const normalizedKeyword = suppressionService.normalizeKeyword(keyword);
+        return rule.matchType === 'exact'
+            ? normalizedText === normalizedKeyword
+            : ` ${normalizedText} `.includes(` ${normalizedKeyword} `);
+    });
+}
+
+/**
+ * First enabled rule, by priority, matching an inbound message
+ */
+function findMatchingRule(rules, { messageText, campaignId, templateName, receivedAt }) {
+    return rules.find(rule => (
+        isWithinScope(rule.scope, { campaignId, templateName })
+        && isWithinSchedule(rule.schedule, receivedAt)
+        && matchesText(rule, messageText)
+    )) || null;
+}
+
+/**
+ * Answer an inbound message with the first matching auto-reply rule, and log the rule that fired.
+ * The contact just wrote, so the reply goes out inside the customer service window.
+ * Each inbound wamid is answered at most once: the log entry is claimed before sending, and send failures are logged, not thrown.
+ * @param {Object} params
+ * @param {Object} params.project - Project document, for the sending credentials
+ * @param {string} params.messageText - Text of the inbound message, as extracted by the webhook
+ * @param {string} [params.campaignId] - Campaign the message answers, if any
+ * @param {string} [params.templateName] - Template of that campaign
+ * @returns {Promise<Object|null>} The log entry, or null when no rule fired or the message was already answered
+ */
+async function handleInboundMessage({ projectId, project, phoneNumber, messageId, messageText, campaignId, templateName, receivedAt }) {
+    if (!project || !messageText) {
+        return null;
+    }
+
+    const rulesCollection = await getRulesCollection(projectId);
+    const rules = await rulesCollection.find({ enabled: true }).sort({ priority: 1, createdAt: 1 }).toArray();
+    const rule = findMatchingRule(rules, { messageText, campaignId, templateName, receivedAt: receivedAt || new Date() });
+    if (!rule) {
+        return null;
+    }
+
+    const entry = {
+        ruleId: rule._id,
+        ruleName: rule.name,
+        phoneNumber,
+        inboundMessageId: messageId,
+        messageText,
+        campaignId: campaignId || null,
+        templateName: templateName || null,
+        replyMessageType: rule.reply.message_type,
+        replyMessageId: null,
+        status: 'sending',
+        error: null,
+        dateTime: new Date()
+    };
+
+    // The log entry is the claim on the inbound message, written before the reply so a redelivery never sends it twice
+    const logCollection = await getLogCollection(projectId);
+    let logEntryId;
+    try {
+        logEntryId = (await logCollection.insertOne(entry)).insertedId;
+    } catch (error) {
+        if (isDuplicateKeyError(error)) {
+            logger.info('AutoReplyService: Inbound message already answered', { projectId, messageId });
+            return null;
+        }
+        throw error;
+    }
+
+    try {
+        const credentials = projectService.getSendingCredentials(project);
+        const sent = await messageService.sendMessage({
+            wabaId: credentials.wabaId,
+            apiToken: credentials.apiToken,
+            phoneId: credentials.phoneId,
+            fromPhoneNumber: credentials.fromPhoneNumber,
+            projectId,
+            defaultCountry: credentials.defaultCountry,
+            message_type: rule.reply.message_type,
+            phone_number: phoneService.toInternational(phoneNumber),
+            content: rule.reply.content,
+            context: messageId ? { message_id: messageId } : undefined,
+            senderName: `Auto-reply: ${rule.name}`
+        });
+        entry.status = sent.status;
+        entry.replyMessageId = sent.messageId || null;
+    } catch (error) {
+        entry.status = 'failed';
+        entry.error = error.response?.data?.error?.message || error.message;
+    }
+
+    await logCollection.updateOne(
+        { _id: logEntryId },
+        { $set: { status: entry.status, replyMessageId: entry.replyMessageId, error: entry.error } }
+    );
+    await rulesCollection.updateOne({ _id: rule._id }, { $inc: { fireCount: 1 }, $set: { lastFiredAt: entry.dateTime } });
+
+    logger.info('AutoReplyService: Auto-reply rule fired', {
+        projectId,
+        ruleId: rule._id,
+        phoneNumber,
+        messageId,
+        status: entry.status,
+        error: entry.error
+    });
+    return { _id: logEntryId, ...entry };
+}
+
+module.exports = {
+    createRule,
+    listRules,
+    getRule,
+    updateRule,
+    deleteRule,
+    listLog,
+    handleInboundMessage
+};
@@ -0,0 +1,619 @@
+const mongodbService = require('./mongodbService');
+const phoneService = require('./phoneService');
+const projectService = require('./projectService');
+const environment = require('../config/environment');
+const logger = require('../config/logger');
+
+const DEFAULT_CONVERSATION_LIMIT = 50;
+const MAX_CONVERSATION_LIMIT = 200;
+
+// Attribute keys become field names (attributes.<key>), so they are limited to identifier characters
+const ATTRIBUTE_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const ATTRIBUTE_VALUE_MAX_LENGTH = 1000;
+const MAX_ATTRIBUTES = 100;
+const TAG_MAX_LENGTH = 50;
+const MAX_TAGS = 100;
+const NAME_MAX_LENGTH = 200;
+const MAX_BULK_CONTACTS = 10000;
+
+// Free-form messages are only delivered within 24 hours of the contact's last message
+const CUSTOMER_SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const indexedCollections = new Set();
+
+async function getContactsCollection(projectId) {
+    const contactsDb = await mongodbService.getDbConnection(environment.mongoContactsDbName);
+    const projectIdString = projectId.toString();
+    const contactsCollection = contactsDb.collection(projectIdString);
+
+    if (!indexedCollections.has(projectIdString)) {
+        await contactsCollection.createIndex({ phoneNumber: 1 }, { unique: true });
+        await contactsCollection.createIndex({ tags: 1 });
+        indexedCollections.add(projectIdString);
+    }
+
+    return contactsCollection;
+}
+
+function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Custom attributes: flat object of string, number or boolean values. null removes an attribute on update.
+ */
+function sanitizeAttributes(attributes, field = 'attributes') {
+    if (attributes === undefined) {
+        return undefined;
+    }
+    if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+        throw new Error(`Invalid input: ${field} must be an object`);
+    }
+
+    const entries = Object.entries(attributes);
+    if (entries.length > MAX_ATTRIBUTES) {
+        throw new Error(`Invalid input: ${field} must have at most ${MAX_ATTRIBUTES} keys`);
+    }
+
+    entries.forEach(([key, value]) => {
+        if (!ATTRIBUTE_KEY_PATTERN.test(key)) {
+            throw new Error(`Invalid input: ${field}.${key} is not a valid attribute name (letters, digits and _, not starting with a digit)`);
+        }
+        if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+            throw new Error(`Invalid input: ${field}.${key} must be a string, number, boolean or null`);
+        }
+        if (typeof value === 'string' && value.length > ATTRIBUTE_VALUE_MAX_LENGTH) {
+            throw new Error(`Invalid input: ${field}.${key} must be at most ${ATTRIBUTE_VALUE_MAX_LENGTH} characters`);
+        }
+    });
+
+    return attributes;
+}
+
+function sanitizeTags(tags, field = 'tags') {
+    if (tags === undefined) {
+        return undefined;
+    }
+    if (!Array.isArray(tags)) {
+        throw new Error(`Invalid input: ${field} must be an array of strings`);
+    }
+
+    const sanitized = [...new Set(tags.map((tag, idx) => {
+        if (typeof tag !== 'string' || tag.trim() === '') {
+            throw new Error(`Invalid input: ${field}[${idx}] must be a non-empty string`);
+        }
+        if (tag.trim().length > TAG_MAX_LENGTH) {
+            throw new Error(`Invalid input: ${field}[${idx}] must be at most ${TAG_MAX_LENGTH} characters`);
+        }
+        return tag.trim();
+    }))];
+
+    if (sanitized.length > MAX_TAGS) {
+        throw new Error(`Invalid input: ${field} must have at most ${MAX_TAGS} tags`);
+    }
+    return sanitized;
+}
+
+function sanitizeName(name, field = 'name') {
+    if (name === undefined || name === null) {
+        return name;
+    }
+    if (typeof name !== 'string') {
+        throw new Error(`Invalid input: ${field} must be a string`);
+    }
+    if (name.trim().length > NAME_MAX_LENGTH) {
+        throw new Error(`Invalid input: ${field} must be at most ${NAME_MAX_LENGTH} characters`);
+    }
+    return name.trim() || null;
+}
+
+/**
+ * Contacts created by the webhook have no name, attributes or tags yet
+ */
+function formatContact(contact) {
+    return {
+        ...contact,
+        name: contact.name || null,
+        attributes: contact.attributes || {},
+        tags: contact.tags || []
+    };
+}
+
+/**
+ * Update merging the given fields into a contact: attributes are merged key by key (null removes a key), tags are added
+ */
+function buildMergeUpdate({ phoneNumber, name, attributes, tags, createdBy }, now) {
+    const update = {
+        $set: { updatedAt: now },
+        $setOnInsert: { phoneNumber, createdAt: now, createdBy: createdBy || null }
+    };
+
+    if (name !== undefined) {
+        update.$set.name = name;
+    }
+    Object.entries(attributes || {}).forEach(([key, value]) => {
+        if (value === null) {
+            update.$unset = { ...update.$unset, [`attributes.${key}`]: '' };
+        } else {
+            update.$set[`attributes.${key}`] = value;
+        }
+    });
+    if (tags && tags.length > 0) {
+        update.$addToSet = { tags: { $each: tags } };
+    }
+
+    return update;
+}
+
+async function listContacts({ projectId, tag, search, filter, limit, skip }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const query = { ...filter };
+        if (tag) {
+            query.tags = tag;
+        }
+        if (search) {
+            const digits = String(search).replace(/\D/g, '');
+            query.$or = [{ name: { $regex: escapeRegex(search), $options: 'i' } }];
+            if (digits) {
+                query.$or.push({ phoneNumber: { $regex: escapeRegex(digits) } });
+            }
+        }
+
+        const pageSize = Math.min(parseInt(limit, 10) || 100, 1000);
+        const offset = parseInt(skip, 10) || 0;
+        const contactsCollection = await getContactsCollection(projectId);
+
+        const [contacts, total] = await Promise.all([
+            contactsCollection.find(query).sort({ createdAt: -1 }).skip(offset).limit(pageSize).toArray(),
+            contactsCollection.countDocuments(query)
+        ]);
+
+        logger.info('ContactService: Contacts fetched', { projectId, count: contacts.length, total });
+        return { total, limit: pageSize, skip: offset, contacts: contacts.map(formatContact) };
+    } catch (error) {
+        logger.error('ContactService: Error listing contacts', { error: error.message, projectId });
+        throw error;
+    }
+}
+
+/**
+ * Phone numbers and attributes of every contact matching a query, for sending to a whole segment
+ */
+async function findContacts(projectId, filter) {
+    const contactsCollection = await getContactsCollection(projectId);
+    const contacts = await contactsCollection
+        .find(filter, { projection: { phoneNumber: 1, name: 1, attributes: 1, tags: 1 } })
+        .toArray();
+    return contacts.map(formatContact);
+}
+
+async function getContact({ projectId, phoneNumber, defaultCountry }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const normalized = phoneService.toLookupKey(phoneNumber, defaultCountry);
+        const contactsCollection = await getContactsCollection(projectId);
+        const contact = await contactsCollection.findOne({ phoneNumber: { $in: phoneService.getPhoneNumberVariants(normalized) } });
+
+        if (!contact) {
+            throw new Error('Contact not found');
+        }
+        return formatContact(contact);
+    } catch (error) {
+        logger.error('ContactService: Error getting contact', { error: error.message, projectId, phoneNumber });
+        throw error;
+    }
+}
+
+/**
+ * Create a contact, or merge the given name, attributes and tags into the existing one
+ */
+async function upsertContact({ projectId, phoneNumber, name, attributes, tags, createdBy, defaultCountry }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const normalized = phoneService.normalizePhoneNumber(phoneNumber, defaultCountry);
+        const update = buildMergeUpdate({
+            phoneNumber: normalized,
+            name: sanitizeName(name),
+            attributes: sanitizeAttributes(attributes),
+            tags: sanitizeTags(tags),
+            createdBy
+        }, new Date());
+
+        const contactsCollection = await getContactsCollection(projectId);
+        const result = await contactsCollection.findOneAndUpdate(
+            { phoneNumber: normalized },
+            update,
+            { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+        );
+
+        const created = !result.lastErrorObject?.updatedExisting;
+        logger.info('ContactService: Contact saved', { projectId, phoneNumber: normalized, created });
+        return { ...formatContact(result.value), created };
+    } catch (error) {
+        logger.error('ContactService: Error saving contact', { error: error.message, projectId, phoneNumber });
+        throw error;
+    }
+}
+
+/**
+ * Create or merge many contacts at once. Invalid entries are reported and the rest are saved.
+ */
+async function upsertContacts({ projectId, contacts, createdBy, defaultCountry }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+        if (!Array.isArray(contacts) || contacts.length === 0) {
+            throw new Error('Invalid input: contacts must be a non-empty array');
+        }
+        if (contacts.length > MAX_BULK_CONTACTS) {
+            throw new Error(`Invalid input: contacts must have at most ${MAX_BULK_CONTACTS} items`);
+        }
+
+        const now = new Date();
+        const invalid = [];
+        const operations = [];
+        contacts.forEach((contact, index) => {
+            const parsed = phoneService.parsePhoneNumber(contact?.phoneNumber, defaultCountry);
+            if (!parsed.valid) {
+                invalid.push({ index, phoneNumber: contact?.phoneNumber, reason: parsed.reason });
+                return;
+            }
+            try {
+                const update = buildMergeUpdate({
+                    phoneNumber: parsed.phoneNumber,
+                    name: sanitizeName(contact.name, `contacts[${index}].name`),
+                    attributes: sanitizeAttributes(contact.attributes, `contacts[${index}].attributes`),
+                    tags: sanitizeTags(contact.tags, `contacts[${index}].tags`),
+                    createdBy
+                }, now);
+                operations.push({ updateOne: { filter: { phoneNumber: parsed.phoneNumber }, update, upsert: true } });
+            } catch (error) {
+                invalid.push({ index, phoneNumber: contact.phoneNumber, reason: error.message.replace(/^Invalid input: /, '') });
+            }
+        });
+
+        let created = 0;
+        let updated = 0;
+        if (operations.length > 0) {
+            const contactsCollection = await getContactsCollection(projectId);
+            // Ordered, so a number repeated in the same batch is merged instead of inserted twice
+            const result = await contactsCollection.bulkWrite(operations, { ordered: true });
+            created = result.upsertedCount;
+            updated = result.matchedCount;
+        }
+
+        const summary = { received: contacts.length, created, updated, invalid };
+        logger.info('ContactService: Contacts imported', { projectId, ...summary, invalid: invalid.length });
+        return summary;
+    } catch (error) {
+        logger.error('ContactService: Error importing contacts', { error: error.message, projectId });
+        throw error;
+    }
+}
+
+/**
+ * Update an existing contact: name is replaced, attributes are merged (null removes a key) and tags are replaced
+ */
+async function updateContact({ projectId, phoneNumber, name, attributes, tags, defaultCountry }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const update = buildMergeUpdate({ attributes: sanitizeAttributes(attributes) }, new Date());
+        delete update.$setOnInsert;
+        if (name !== undefined) {
+            update.$set.name = sanitizeName(name);
+        }
+        const sanitizedTags = sanitizeTags(tags);
+        if (sanitizedTags) {
+            update.$set.tags = sanitizedTags;
+        }
+
+        const normalized = phoneService.toLookupKey(phoneNumber, defaultCountry);
+        const contactsCollection = await getContactsCollection(projectId);
+        const contact = await contactsCollection.findOneAndUpdate(
+            { phoneNumber: { $in: phoneService.getPhoneNumberVariants(normalized) } },
+            update,
+            { returnDocument: 'after', includeResultMetadata: false }
+        );
+
+        if (!contact) {
+            throw new Error('Contact not found');
+        }
+
+        logger.info('ContactService: Contact updated', { projectId, phoneNumber: contact.phoneNumber });
+        return formatContact(contact);
+    } catch (error) {
+        logger.error('ContactService: Error updating contact', { error: error.message, projectId, phoneNumber });
+        throw error;
+    }
+}
+
+async function deleteContact({ projectId, phoneNumber, defaultCountry }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const normalized = phoneService.toLookupKey(phoneNumber, defaultCountry);
+        const contactsCollection = await getContactsCollection(projectId);
+        const result = await contactsCollection.deleteMany({ phoneNumber: { $in: phoneService.getPhoneNumberVariants(normalized) } });
+
+        if (result.deletedCount === 0) {
+            throw new Error('Contact not found');
+        }
+
+        logger.info('ContactService: Contact deleted', { projectId, phoneNumber: normalized });
+        return { phoneNumber: normalized, deleted: true };
+    } catch (error) {
+        logger.error('ContactService: Error deleting contact', { error: error.message, projectId, phoneNumber });
+        throw error;
+    }
+}
+
+/**
+ * Cursors are opaque to clients: the position (date and event id) of the last event of the previous page
+ */
+function encodeCursor(event) {
+    return Buffer.from(JSON.stringify({ dateTime: event.dateTime.toISOString(), id: event.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { dateTime, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const date = new Date(dateTime);
+        if (Number.isNaN(date.getTime()) || typeof id !== 'string') {
+            throw new Error('malformed');
+        }
+        return { dateTime: date, id };
+    } catch (error) {
+        throw new Error('Invalid input: cursor is invalid');
+    }
+}
+
+/**
+ * Newest first; events at the same instant are ordered by id so pages never overlap
+ */
+function compareEvents(a, b) {
+    return b.dateTime - a.dateTime || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+}
+
+function buildStatusEvents(idPrefix, messageId, statusHistory) {
+    return (statusHistory || [])
+        .filter(entry => entry.dateTime && entry.status !== 'answered')
+        .map((entry, idx) => ({
+            id: `${idPrefix}:status:${idx}`,
+            type: 'status',
+            direction: 'outbound',
+            dateTime: new Date(entry.dateTime),
+            messageId,
+            status: entry.status,
+            error: entry.error || undefined
+        }));
+}
+
+/**
+ * Template sends, their status changes and the answers they got, from the campaign results of the contact
+ */
+async function getCampaignEvents(projectId, variants) {
+    const campaignsDb = await mongodbService.getDbConnection(environment.mongoCampaignsDbName);
+    const campaigns = await campaignsDb.collection(projectId.toString()).aggregate([
+        { $match: { 'results.phoneNumber': { $in: variants } } },
+        { $project: { campaignName: 1, templateName: 1, variants: 1, dateTime: 1, results: 1 } },
+        { $unwind: { path: '$results', includeArrayIndex: 'resultIndex' } },
+        { $match: { 'results.phoneNumber': { $in: variants }, 'results.status': { $nin: ['pending', 'held', 'skipped', 'suppressed', 'capped'] } } }
+    ]).toArray();
+
+    const events = [];
+    campaigns.forEach(({ _id, campaignName, templateName, variants: abVariants, dateTime, results: result, resultIndex }) => {
+        const idPrefix = `campaign:${_id}:${resultIndex}`;
+        const sentDateTime = result.sentDateTime || result.attempts?.[result.attempts.length - 1]?.dateTime || dateTime;
+
+        events.push({
+            id: idPrefix,
+            type: 'template',
+            direction: 'outbound',
+            dateTime: new Date(sentDateTime),
+            messageId: result.messageId || null,
+            templateName: abVariants?.find(variant => variant.name === result.variant)?.templateName || templateName,
+            variant: result.variant || undefined,
+            campaignId: _id,
+            campaignName,
+            status: result.status,
+            success: result.success,
+            error: result.error || undefined
+        });
+        events.push(...buildStatusEvents(idPrefix, result.messageId || null, result.statusHistory));
+
+        (result.answers || []).forEach(answer => {
+            events.push({
+                id: `answer:${answer.messageId}`,
+                type: 'reply',
+                direction: 'inbound',
+                dateTime: new Date(answer.dateTime),
+                messageId: answer.messageId,
+                messageType: answer.messageType,
+                text: answer.messageText,
+                payload: answer.payload || undefined,
+                contactName: answer.contactName || undefined,
+                media: answer.media || undefined,
+                replyTo: result.messageId,
+                campaignId: _id
+            });
+        });
+    });
+
+    return events;
+}
+
+/**
+ * Session messages sent through POST /message and inbound messages outside campaigns, from the message log
+ */
+async function getMessageLogEvents(projectId, variants) {
+    const messagesDb = await mongodbService.getDbConnection(environment.mongoMessagesDbName);
+    const messages = await messagesDb.collection(projectId.toString()).find({ phoneNumber: { $in: variants } }).toArray();
+
+    const events = [];
+    messages.forEach(message => {
+        const idPrefix = `message:${message._id}`;
+        events.push({
+            id: idPrefix,
+            type: message.direction === 'inbound' ? 'reply' : 'message',
+            direction: message.direction,
+            dateTime: new Date(message.dateTime),
+            messageId: message.messageId,
+            messageType: message.messageType,
+            text: message.contentSummary,
+            payload: message.payload || undefined,
+            contactName: message.contactName || undefined,
+            media: message.media || undefined,
+            senderEmail: message.senderEmail || undefined,
+            senderName: message.senderName || undefined,
+            replyTo: message.replyTo || undefined,
+            status: message.status,
+            error: message.error || undefined
+        });
+        if (message.direction === 'outbound') {
+            // The first history entry is the send itself
+            events.push(...buildStatusEvents(idPrefix, message.messageId, (message.statusHistory || []).slice(1)));
+        }
+    });
+
+    return events;
+}
+
+/**
+ * Time-ordered conversation with a contact, newest first: template and session messages sent,
+ * messages received and status changes.
+ * Per-contact history is small, so events are merged in memory and paged with a cursor.
+ * @param {Object} params
+ * @param {string} params.projectId - Project id
+ * @param {string} params.phoneNumber - Contact phone number, normalized like any other input number
+ * @param {string} [params.cursor] - `nextCursor` of the previous page
+ * @param {number|string} [params.limit] - Events per page
+ * @returns {Promise<{ phoneNumber: string, events: Object[], nextCursor: string|null }>}
+ */
+async function getConversation({ projectId, phoneNumber, cursor, limit, defaultCountry }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const normalized = phoneService.normalizePhoneNumber(phoneNumber, defaultCountry);
+        const variants = phoneService.getPhoneNumberVariants(normalized);
+        const pageSize = Math.min(parseInt(limit, 10) || DEFAULT_CONVERSATION_LIMIT, MAX_CONVERSATION_LIMIT);
+        const position = cursor ? decodeCursor(cursor) : null;
+
+        const [campaignEvents, messageLogEvents] = await Promise.all([
+            getCampaignEvents(projectId, variants),
+            getMessageLogEvents(projectId, variants)
+        ]);
+
+        let events = [...campaignEvents, ...messageLogEvents].sort(compareEvents);
+        if (position) {
+            events = events.filter(event => compareEvents(position, event) < 0);
+        }
+
+        const page = events.slice(0, pageSize);
+        const nextCursor = events.length > pageSize ? encodeCursor(page[page.length - 1]) : null;
+
+        logger.info('ContactService: Conversation fetched', { projectId, phoneNumber: normalized, count: page.length, hasMore: !!nextCursor });
+        return { phoneNumber: normalized, events: page, nextCursor };
+    } catch (error) {
+        logger.error('ContactService: Error getting conversation', { error: error.message, projectId, phoneNumber });
+        throw error;
+    }
+}
+
+/**
+ * Keep the time of the contact's latest inbound message, which opens the customer service window.
+ * Webhooks may arrive out of order, so an older message never moves it back.
+ */
+async function recordInboundMessage({ projectId, phoneNumber, receivedAt, contactName }) {
+    const contactsCollection = await getContactsCollection(projectId);
+    const normalized = phoneService.toLookupKey(phoneService.toInternational(phoneNumber));
+    const now = new Date();
+
+    const update = {
+        $max: { lastInboundAt: receivedAt },
+        $set: { updatedAt: now },
+        $setOnInsert: { phoneNumber: normalized, createdAt: now }
+    };
+    if (contactName) {
+        update.$set.contactName = contactName;
+    }
+
+    await contactsCollection.updateOne({ phoneNumber: normalized }, update, { upsert: true });
+}
+
+/**
+ * Customer service window settings of a project, from integrations.whatsApp.serviceWindow:
+ * { enforce = false, fallbackTemplate: { name, language, components } }
+ * Opt-in, since contacts who wrote before inbound messages were tracked have no lastInboundAt yet.
+ */
+function getServiceWindowSettings(project) {
+    const serviceWindow = projectService.getWhatsAppIntegration(project).serviceWindow || {};
+    const fallbackTemplate = serviceWindow.fallbackTemplate;
+    return {
+        enforce: serviceWindow.enforce === true,
+        fallbackTemplate: fallbackTemplate?.name && fallbackTemplate?.language ? fallbackTemplate : null
+    };
+}
+
+/**
+ * Whether free-form messages can be sent to a contact, and until when
+ * @returns {Promise<{ phoneNumber: string, open: boolean, lastInboundAt: Date|null, expiresAt: Date|null }>}
+ */
+async function getCustomerServiceWindow({ projectId, phoneNumber, defaultCountry }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const normalized = phoneService.normalizePhoneNumber(phoneNumber, defaultCountry);
+        const contactsCollection = await getContactsCollection(projectId);
+        const contact = await contactsCollection.findOne(
+            { phoneNumber: { $in: phoneService.getPhoneNumberVariants(normalized) } },
+            { sort: { lastInboundAt: -1 }, projection: { lastInboundAt: 1 } }
+        );
+
+        const lastInboundAt = contact?.lastInboundAt || null;
+        const expiresAt = lastInboundAt ? new Date(lastInboundAt.getTime() + CUSTOMER_SERVICE_WINDOW_MS) : null;
+
+        return {
+            phoneNumber: normalized,
+            open: !!expiresAt && expiresAt > new Date(),
+            lastInboundAt,
+            expiresAt
+        };
+    } catch (error) {
+        logger.error('ContactService: Error getting customer service window', { error: error.message, projectId, phoneNumber });
+        throw error;
+    }
+}
+
+module.exports = {
+    listContacts,
+    findContacts,
+    getContact,
+    upsertContact,
+    upsertContacts,
+    updateContact,
+    deleteContact,
+    getConversation,
+    recordInboundMessage,
+    getServiceWindowSettings,
+    getCustomerServiceWindow
+};
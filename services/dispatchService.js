@@ -0,0 +1,281 @@
+const mongodbService = require('./mongodbService');
+const environment = require('../config/environment');
+const logger = require('../config/logger');
+
+const DEFAULT_CONCURRENCY = parseInt(environment.dispatchConcurrency, 10) || 10;
+const DEFAULT_MESSAGES_PER_SECOND = parseFloat(environment.dispatchMessagesPerSecond) || 20;
+
+// Progress is written to the campaign document in batches to avoid one update per recipient
+const PROGRESS_FLUSH_SIZE = 50;
+const PROGRESS_FLUSH_INTERVAL_MS = 1000;
+
+// Campaign status is re-read between recipients at most this often, so pause/cancel from any instance is seen quickly
+const STATE_CHECK_INTERVAL_MS = 1000;
+
+// A running dispatch refreshes the campaign's heartbeatAt this often. Campaigns whose heartbeat is older than
+// the lease were left running by a crash or a restart, and the scheduler continues them.
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const DISPATCH_LEASE_MS = 5 * 60 * 1000;
+
+// Next free send slot per sender phone id, shared by every campaign running in this process
+const phoneSendSlots = new Map();
+
+// Control state of the dispatches running in this process, keyed by project and campaign
+const activeDispatches = new Map();
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait until the sender phone number is allowed to send another message
+ */
+async function acquireSendSlot(phoneId, messagesPerSecond) {
+    const intervalMs = 1000 / messagesPerSecond;
+    const now = Date.now();
+    const nextSlot = Math.max(now, phoneSendSlots.get(phoneId) || 0);
+
+    phoneSendSlots.set(phoneId, nextSlot + intervalMs);
+
+    if (nextSlot > now) {
+        await sleep(nextSlot - now);
+    }
+}
+
+function getDispatchKey(projectId, campaignId) {
+    return `${projectId}:${campaignId}`;
+}
+
+/**
+ * Tell a dispatch running in this process to stop taking recipients ('paused' or 'canceled')
+ * @returns {boolean} Whether a local dispatch was found
+ */
+function signalDispatch(projectId, campaignId, state) {
+    const control = activeDispatches.get(getDispatchKey(projectId, campaignId));
+    if (!control) {
+        return false;
+    }
+    control.state = state;
+    return true;
+}
+
+function isDispatchActive(projectId, campaignId) {
+    return activeDispatches.has(getDispatchKey(projectId, campaignId));
+}
+
+/**
+ * Mark recipients that were not sent because the campaign was paused or canceled
+ */
+async function markSkipped(campaignsCollection, campaignId, indexes, reason) {
+    const skippedAt = new Date();
+    const chunkSize = 1000;
+
+    for (let start = 0; start < indexes.length; start += chunkSize) {
+        const set = {};
+        indexes.slice(start, start + chunkSize).forEach(index => {
+            set[`results.${index}.status`] = 'skipped';
+            set[`results.${index}.skippedReason`] = reason;
+            set[`results.${index}.skippedAt`] = skippedAt;
+        });
+        await campaignsCollection.updateOne({ _id: campaignId }, { $set: set });
+    }
+
+    await campaignsCollection.updateOne({ _id: campaignId }, { $inc: { skipped: indexes.length } });
+}
+
+/**
+ * Buffer per-recipient results and persist them onto the campaign document
+ */
+function createProgressWriter(campaignsCollection, campaignId) {
+    let pending = {};
+    let counters = { success: 0, failed: 0, processed: 0 };
+    let size = 0;
+    let lastFlush = Date.now();
+    let flushing = Promise.resolve();
+
+    async function write(set, inc) {
+        try {
+            await campaignsCollection.updateOne({ _id: campaignId }, { $set: set, $inc: inc });
+        } catch (error) {
+            logger.error('DispatchService: Error persisting campaign progress', { campaignId, error: error.message });
+        }
+    }
+
+    function flush() {
+        if (size === 0) {
+            return flushing;
+        }
+
+        const set = pending;
+        const inc = counters;
+        pending = {};
+        counters = { success: 0, failed: 0, processed: 0 };
+        size = 0;
+        lastFlush = Date.now();
+
+        flushing = flushing.then(() => write(set, inc));
+        return flushing;
+    }
+
+    function record(index, result) {
+        Object.entries(result).forEach(([key, value]) => {
+            pending[`results.${index}.${key}`] = value;
+        });
+        counters.processed++;
+        if (result.success === true) {
+            counters.success++;
+        } else if (result.success === false) {
+            counters.failed++;
+        }
+        size++;
+
+        if (size >= PROGRESS_FLUSH_SIZE || Date.now() - lastFlush >= PROGRESS_FLUSH_INTERVAL_MS) {
+            flush();
+        }
+    }
+
+    return { record, flush };
+}
+
+/**
+ * Send a campaign's pending recipients with bounded concurrency and a per-phone-number rate limit.
+ * Stops taking new recipients once the campaign is paused or canceled and marks the rest as skipped.
+ * @param {Object} params - Dispatch parameters
+ * @param {string} params.projectId - Project owning the campaign collection
+ * @param {ObjectId} params.campaignId - Campaign document id
+ * @param {string} params.phoneId - Sender phone id, used as the rate limit key
+ * @param {number[]} params.indexes - Indexes of the campaign results to send
+ * @param {Function} params.sendOne - Async function (index, { waitForSendSlot }) => fields merged into results[index]
+ * @param {number} [params.concurrency] - Maximum simultaneous Graph API calls
+ * @param {number} [params.messagesPerSecond] - Maximum messages per second for the sender phone number
+ * @param {Function} [params.completeWith] - Returns the fields set on the campaign once every recipient is sent,
+ *   instead of { status: 'completed', completedAt }
+ * @returns {Promise<Object>} Dispatch summary
+ */
+async function dispatchCampaign({ projectId, campaignId, phoneId, indexes, sendOne, concurrency, messagesPerSecond, completeWith }) {
+    const campaignsDb = await mongodbService.getDbConnection(environment.mongoCampaignsDbName);
+    const campaignsCollection = campaignsDb.collection(projectId.toString());
+    const progress = createProgressWriter(campaignsCollection, campaignId);
+
+    const workersCount = Math.max(1, Math.min(concurrency || DEFAULT_CONCURRENCY, indexes.length || 1));
+    const rate = messagesPerSecond || DEFAULT_MESSAGES_PER_SECOND;
+    const queue = [...indexes];
+    const dispatchKey = getDispatchKey(projectId, campaignId);
+    const control = { state: 'running', lastStateCheck: Date.now() };
+    let success = 0;
+    let failed = 0;
+    let completion;
+
+    activeDispatches.set(dispatchKey, control);
+
+    const beat = () => campaignsCollection.updateOne({ _id: campaignId, status: 'running' }, { $set: { heartbeatAt: new Date() } })
+        .catch(error => logger.warn('DispatchService: Error refreshing campaign heartbeat', { campaignId, error: error.message }));
+    await beat();
+    const heartbeat = setInterval(beat, HEARTBEAT_INTERVAL_MS);
+
+    logger.info('DispatchService: Campaign dispatch started', {
+        _id: campaignId,
+        projectId,
+        recipients: indexes.length,
+        concurrency: workersCount,
+        messagesPerSecond: rate
+    });
+
+    const waitForSendSlot = () => acquireSendSlot(phoneId, rate);
+
+    async function shouldContinue() {
+        if (control.state === 'running' && Date.now() - control.lastStateCheck >= STATE_CHECK_INTERVAL_MS) {
+            control.lastStateCheck = Date.now();
+            try {
+                const campaign = await campaignsCollection.findOne({ _id: campaignId }, { projection: { status: 1 } });
+                if (campaign && campaign.status !== 'running') {
+                    control.state = campaign.status;
+                }
+            } catch (error) {
+                logger.warn('DispatchService: Error checking campaign state', { campaignId, error: error.message });
+            }
+        }
+        return control.state === 'running';
+    }
+
+    async function worker() {
+        while (queue.length > 0) {
+            if (!(await shouldContinue())) {
+                break;
+            }
+            const index = queue.shift();
+            if (index === undefined) {
+                break;
+            }
+            await waitForSendSlot();
+
+            let result;
+            try {
+                result = await sendOne(index, { waitForSendSlot });
+            } catch (error) {
+                result = {
+                    status: 'failed',
+                    success: false,
+                    error: error.response?.data?.error || error.message
+                };
+            }
+
+            if (result.success === true) {
+                success++;
+            } else if (result.success === false) {
+                failed++;
+            }
+
+            progress.record(index, result);
+        }
+    }
+
+    try {
+        await Promise.all(Array.from({ length: workersCount }, () => worker()));
+        await progress.flush();
+
+        if (control.state !== 'running') {
+            const skippedIndexes = queue.splice(0);
+            await markSkipped(campaignsCollection, campaignId, skippedIndexes, control.state);
+
+            logger.info('DispatchService: Campaign dispatch stopped', {
+                _id: campaignId,
+                projectId,
+                state: control.state,
+                success,
+                failed,
+                skipped: skippedIndexes.length
+            });
+
+            return { state: control.state, total: indexes.length, success, failed, skipped: skippedIndexes.length };
+        }
+
+        completion = completeWith ? completeWith() : { status: 'completed', completedAt: new Date() };
+        await campaignsCollection.updateOne(
+            { _id: campaignId, status: 'running' },
+            { $set: completion }
+        );
+    } finally {
+        clearInterval(heartbeat);
+        activeDispatches.delete(dispatchKey);
+    }
+
+    logger.info('DispatchService: Campaign dispatch completed', {
+        _id: campaignId,
+        projectId,
+        state: completion.status,
+        total: indexes.length,
+        success,
+        failed
+    });
+
+    return { state: completion.status, total: indexes.length, success, failed, skipped: 0 };
+}
+
+module.exports = {
+    dispatchCampaign,
+    acquireSendSlot,
+    signalDispatch,
+    isDispatchActive,
+    DISPATCH_LEASE_MS
+};
@@ -0,0 +1,180 @@
+const mongodbService = require('./mongodbService');
+const projectService = require('./projectService');
+const environment = require('../config/environment');
+const logger = require('../config/logger');
+
+const DEFAULT_WINDOW_HOURS = 24;
+const DEFAULT_CATEGORIES = ['MARKETING'];
+
+/**
+ * Read the frequency cap of a project from integrations.whatsApp.frequencyCap:
+ * { maxMessages, windowHours = 24, categories = ['MARKETING'] }
+ * @returns {{ maxMessages: number, windowHours: number, categories: string[] }|null} null when no cap is configured
+ */
+function getFrequencyCap(project) {
+    const frequencyCap = projectService.getWhatsAppIntegration(project).frequencyCap;
+    const maxMessages = parseInt(frequencyCap?.maxMessages, 10);
+
+    if (!frequencyCap || !(maxMessages > 0)) {
+        return null;
+    }
+
+    return {
+        maxMessages,
+        windowHours: Number(frequencyCap.windowHours) > 0 ? Number(frequencyCap.windowHours) : DEFAULT_WINDOW_HOURS,
+        categories: Array.isArray(frequencyCap.categories) && frequencyCap.categories.length > 0
+            ? frequencyCap.categories.map(category => String(category).toUpperCase())
+            : DEFAULT_CATEGORIES
+    };
+}
+
+async function getProjectFrequencyCap(projectId) {
+    const project = await projectService.getProjectById(projectId);
+    return getFrequencyCap(project);
+}
+
+/**
+ * Count, per phone number, the capped-category templates sent (or about to be sent) in the rolling window.
+ * A/B test recipients count with the category of their variant's template.
+ */
+async function countRecentMessages({ projectId, phoneNumbers, frequencyCap, excludeCampaignId }) {
+    const since = new Date(Date.now() - frequencyCap.windowHours * 60 * 60 * 1000);
+    const campaignsDb = await mongodbService.getDbConnection(environment.mongoCampaignsDbName);
+
+    const campaignMatch = {
+        $and: [
+            {
+                $or: [
+                    { templateCategory: { $in: frequencyCap.categories } },
+                    { 'variants.templateCategory': { $in: frequencyCap.categories } }
+                ]
+            },
+            {
+                $or: [
+                    { dateTime: { $gte: since } },
+                    { completedAt: { $gte: since } },
+                    { status: { $in: ['running', 'paused', 'awaiting_winner'] } }
+                ]
+            }
+        ]
+    };
+    if (excludeCampaignId) {
+        campaignMatch._id = { $ne: excludeCampaignId };
+    }
+
+    const counts = await campaignsDb.collection(projectId.toString()).aggregate([
+        { $match: campaignMatch },
+        { $project: { status: 1, results: 1, templateCategory: 1, variants: 1 } },
+        { $unwind: '$results' },
+        {
+            $addFields: {
+                resultCategory: {
+                    $ifNull: [
+                        {
+                            $arrayElemAt: [
+                                {
+                                    $map: {
+                                        input: { $filter: { input: { $ifNull: ['$variants', []] }, cond: { $eq: ['$$this.name', '$results.variant'] } } },
+                                        in: '$$this.templateCategory'
+                                    }
+                                },
+                                0
+                            ]
+                        },
+                        '$templateCategory'
+                    ]
+                }
+            }
+        },
+        {
+            $match: {
+                'results.phoneNumber': { $in: phoneNumbers },
+                resultCategory: { $in: frequencyCap.categories },
+                $or: [
+                    { 'results.success': true, 'results.sentDateTime': { $gte: since } },
+                    // Recipients of campaigns still sending count too, so two campaigns created together respect the cap
+                    { 'results.status': 'pending', status: { $in: ['running', 'paused'] } },
+                    // as do the recipients an A/B test holds back for its winner
+                    { 'results.status': 'held', status: { $in: ['running', 'paused', 'awaiting_winner'] } }
+                ]
+            }
+        },
+        { $group: { _id: '$results.phoneNumber', count: { $sum: 1 } } }
+    ]).toArray();
+
+    return new Map(counts.map(entry => [entry._id, entry.count]));
+}
+
+/**
+ * Return the numbers that already reached the project's frequency cap for a template category
+ * @param {Object} params
+ * @param {string} params.projectId - Project id
+ * @param {string[]} params.phoneNumbers - Normalized phone numbers
+ * @param {string|null} params.templateCategory - Category of the template about to be sent
+ * @param {Object} [params.frequencyCap] - Cap settings, loaded from the project when not given
+ * @param {ObjectId} [params.excludeCampaignId] - Campaign to leave out of the history (the one being checked)
+ * @returns {Promise<Set<string>>} Capped phone numbers
+ */
+async function findCappedNumbers({ projectId, phoneNumbers, templateCategory, frequencyCap, excludeCampaignId }) {
+    const cap = frequencyCap === undefined ? await getProjectFrequencyCap(projectId) : frequencyCap;
+
+    if (!cap || !templateCategory || !cap.categories.includes(templateCategory) || phoneNumbers.length === 0) {
+        return new Set();
+    }
+
+    const counts = await countRecentMessages({ projectId, phoneNumbers, frequencyCap: cap, excludeCampaignId });
+    const capped = new Set(phoneNumbers.filter(phoneNumber => (counts.get(phoneNumber) || 0) >= cap.maxMessages));
+
+    logger.info('FrequencyCapService: Frequency cap checked', {
+        projectId,
+        templateCategory,
+        maxMessages: cap.maxMessages,
+        windowHours: cap.windowHours,
+        checked: phoneNumbers.length,
+        capped: capped.size
+    });
+
+    return capped;
+}
+
+/**
+ * Return the recipients of a campaign that already reached the frequency cap, each checked against the category
+ * of the template it gets: its A/B variant's, or the campaign's (also for recipients held back for the winner)
+ * @param {Object} params
+ * @param {string} params.projectId - Project id
+ * @param {Array<{ phoneNumber: string, variant: (string|null) }>} params.recipients - Recipients and their variant
+ * @param {string|null} params.templateCategory - Category of the campaign template
+ * @param {Array<{ name: string, templateCategory: (string|null) }>} [params.variants] - A/B test variants
+ * @param {ObjectId} [params.excludeCampaignId] - Campaign to leave out of the history (the one being checked)
+ * @returns {Promise<Set<string>>} Capped phone numbers
+ */
+async function findCappedRecipients({ projectId, recipients, templateCategory, variants, excludeCampaignId }) {
+    const frequencyCap = await getProjectFrequencyCap(projectId);
+    if (!frequencyCap || recipients.length === 0) {
+        return new Set();
+    }
+
+    const variantCategories = new Map((variants || []).map(variant => [variant.name, variant.templateCategory]));
+    const numbersByCategory = new Map();
+    recipients.forEach(({ phoneNumber, variant }) => {
+        const category = variantCategories.get(variant) || templateCategory;
+        if (!numbersByCategory.has(category)) {
+            numbersByCategory.set(category, []);
+        }
+        numbersByCategory.get(category).push(phoneNumber);
+    });
+
+    const capped = new Set();
+    for (const [category, phoneNumbers] of numbersByCategory) {
+        const cappedNumbers = await findCappedNumbers({ projectId, phoneNumbers, templateCategory: category, frequencyCap, excludeCampaignId });
+        cappedNumbers.forEach(phoneNumber => capped.add(phoneNumber));
+    }
+    return capped;
+}
+
+module.exports = {
+    getFrequencyCap,
+    getProjectFrequencyCap,
+    findCappedNumbers,
+    findCappedRecipients
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const mongodbService = require('./mongodbService');
+const environment = require('../config/environment');
+const logger = require('../config/logger');
+
+const IDEMPOTENCY_DB_NAME = environment.mongoIdempotencyDbName;
+const IDEMPOTENCY_KEY_TTL_HOURS = parseFloat(environment.idempotencyKeyTtlHours) || 24;
+
+// A request holding a key this long is assumed dead (crash, restart), and a retry with the key may run
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+const RESERVE_ATTEMPTS = 3;
+
+const indexedCollections = new Set();
+
+async function getIdempotencyCollection(projectId) {
+    const idempotencyDb = await mongodbService.getDbConnection(IDEMPOTENCY_DB_NAME);
+    const projectIdString = projectId.toString();
+    const idempotencyCollection = idempotencyDb.collection(projectIdString);
+
+    if (!indexedCollections.has(projectIdString)) {
+        await idempotencyCollection.createIndex({ key: 1 }, { unique: true });
+        await idempotencyCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        indexedCollections.add(projectIdString);
+    }
+
+    return idempotencyCollection;
+}
+
+/**
+ * Hash of what makes two requests "the same", so a key reused for a different request can be rejected
+ */
+function buildFingerprint(endpoint, payload) {
+    return crypto.createHash('sha256').update(`${endpoint}\n${JSON.stringify(payload)}`).digest('hex');
+}
+
+/**
+ * Claim an idempotency key before handling the request.
+ * Expired keys, and keys left `processing` longer than PROCESSING_TIMEOUT_MS by a request that crashed, are claimed again.
+ * @returns {Promise<{ reserved: true, reservedAt: Date }|{ reserved: false, record: Object }>}
+ *   `record` is the earlier request that used the key: still `processing`, or `completed` with its response
+ */
+async function reserveKey({ projectId, key, endpoint, fingerprint }) {
+    const idempotencyCollection = await getIdempotencyCollection(projectId);
+
+    for (let attempt = 1; attempt <= RESERVE_ATTEMPTS; attempt++) {
+        const now = new Date();
+        const record = {
+            key,
+            endpoint,
+            fingerprint,
+            status: 'processing',
+            createdAt: now,
+            expiresAt: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+        };
+
+        try {
+            await idempotencyCollection.insertOne(record);
+            return { reserved: true, reservedAt: now };
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+
+        // MongoDB removes expired keys about once a minute, so one may still be here after its TTL
+        const replaced = await idempotencyCollection.replaceOne(
+            {
+                key,
+                $or: [
+                    { expiresAt: { $lte: now } },
+                    { status: 'processing', createdAt: { $lte: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) } }
+                ]
+            },
+            record
+        );
+        if (replaced.matchedCount > 0) {
+            logger.info('IdempotencyService: Expired or stale idempotency key reserved again', { projectId, key });
+            return { reserved: true, reservedAt: now };
+        }
+
+        const existing = await idempotencyCollection.findOne({ key });
+        if (existing) {
+            logger.info('IdempotencyService: Idempotency key already used', { projectId, key, status: existing.status });
+            return { reserved: false, record: existing };
+        }
+        // Released by its request between the insert and the lookup, so try to reserve it again
+    }
+
+    throw new Error('Could not reserve the idempotency key');
+}
+
+/**
+ * Store the response of the request that reserved the key, along with the message or campaign it created
+ * Matched on reservedAt, so a request whose stale key was claimed again by a retry leaves the retry's record alone
+ */
+async function completeKey({ projectId, key, reservedAt, statusCode, response }) {
+    const idempotencyCollection = await getIdempotencyCollection(projectId);
+
+    await idempotencyCollection.updateOne(
+        { key, status: 'processing', createdAt: reservedAt },
+        {
+            $set: {
+                status: 'completed',
+                statusCode,
+                response,
+                messageId: response?.messageId || null,
+                campaignId: response?._id || null,
+                completedAt: new Date()
+            }
+        }
+    );
+
+    logger.info('IdempotencyService: Idempotency key completed', { projectId, key, statusCode });
+}
+
+/**
+ * Free a key whose request did not go through, so the client can retry with it
+ */
+async function releaseKey({ projectId, key, reservedAt }) {
+    const idempotencyCollection = await getIdempotencyCollection(projectId);
+    await idempotencyCollection.deleteOne({ key, status: 'processing', createdAt: reservedAt });
+
+    logger.info('IdempotencyService: Idempotency key released', { projectId, key });
+}
+
+module.exports = {
+    buildFingerprint,
+    reserveKey,
+    completeKey,
+    releaseKey,
+    IDEMPOTENCY_KEY_TTL_HOURS
+};
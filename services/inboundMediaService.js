@@ -0,0 +1,148 @@
+const mongodbService = require('./mongodbService');
+const metaService = require('./metaService');
+const projectService = require('./projectService');
+const phoneService = require('./phoneService');
+const mediaStorageService = require('./mediaStorageService');
+const environment = require('../config/environment');
+const logger = require('../config/logger');
+
+const MEDIA_DB_NAME = environment.mongoMediaDbName;
+const INBOUND_MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+const indexedCollections = new Set();
+
+async function getMediaCollection(projectId) {
+    const mediaDb = await mongodbService.getDbConnection(MEDIA_DB_NAME);
+    const projectIdString = projectId.toString();
+    const mediaCollection = mediaDb.collection(projectIdString);
+
+    if (!indexedCollections.has(projectIdString)) {
+        await mediaCollection.createIndex({ mediaId: 1 }, { unique: true });
+        indexedCollections.add(projectIdString);
+    }
+
+    return mediaCollection;
+}
+
+/**
+ * Media carried by an inbound webhook message ({ id, mime_type, sha256, filename }), or null
+ */
+function getInboundMediaReference(message) {
+    if (!INBOUND_MEDIA_TYPES.includes(message?.type)) {
+        return null;
+    }
+    return message[message.type]?.id ? message[message.type] : null;
+}
+
+/**
+ * Stable URL of a stored file, served by GET /media/stored/:id. It does not expire like Meta's URLs.
+ */
+function buildMediaUrl(projectId, mediaId) {
+    return `${environment.mediaBaseUrl || ''}/media/stored/${encodeURIComponent(mediaId)}?projectId=${encodeURIComponent(projectId)}`;
+}
+
+/**
+ * What the answer / message record keeps about a stored file
+ */
+function toMediaSummary(record) {
+    return {
+        id: record.mediaId,
+        mimeType: record.mimeType,
+        fileName: record.fileName,
+        fileSize: record.fileSize,
+        url: record.url,
+        status: 'stored'
+    };
+}
+
+/**
+ * Download the media of an inbound message with the project's apiToken and store it, before Meta's URL expires.
+ * Webhook retries reuse the file already stored. Failures are logged and reported in the returned summary
+ * instead of thrown, so the message itself is still recorded.
+ * @param {Object} params
+ * @param {string} params.projectId - Project id
+ * @param {Object} params.project - Project document, for the WhatsApp credentials
+ * @param {Object} params.message - Inbound webhook message
+ * @returns {Promise<Object|null>} Media summary ({ id, mimeType, fileName, fileSize, url, status }), or null when the message has no media
+ */
+async function storeInboundMedia({ projectId, project, message }) {
+    const reference = getInboundMediaReference(message);
+    if (!reference) {
+        return null;
+    }
+
+    const mediaId = reference.id;
+    try {
+        const mediaCollection = await getMediaCollection(projectId);
+        const existing = await mediaCollection.findOne({ mediaId });
+        if (existing) {
+            return toMediaSummary(existing);
+        }
+
+        const { phoneId, apiToken } = projectService.getSendingCredentials(project);
+        const media = await metaService.getPhoneMedia({ phoneId, accessToken: apiToken, mediaId });
+        const fileBuffer = await metaService.downloadPhoneMedia({ accessToken: apiToken, url: media.url });
+
+        const driver = mediaStorageService.getStorageDriver();
+        const storageKey = mediaStorageService.buildStorageKey(projectId, mediaId);
+        await driver.save(storageKey, fileBuffer);
+
+        const record = {
+            mediaId,
+            messageId: message.id,
+            phoneNumber: phoneService.toLookupKey(phoneService.toInternational(message.from)),
+            mediaType: message.type,
+            mimeType: media.mime_type || reference.mime_type || 'application/octet-stream',
+            fileName: reference.filename || null,
+            fileSize: fileBuffer.length,
+            sha256: media.sha256 || reference.sha256 || null,
+            storageDriver: driver.name,
+            storageKey,
+            url: buildMediaUrl(projectId, mediaId),
+            dateTime: new Date()
+        };
+        await mediaCollection.updateOne({ mediaId }, { $setOnInsert: record }, { upsert: true });
+
+        logger.info('InboundMediaService: Inbound media stored', { projectId, mediaId, messageId: message.id, fileSize: record.fileSize, driver: driver.name });
+        return toMediaSummary(record);
+    } catch (error) {
+        logger.error('InboundMediaService: Error storing inbound media', { error: error.message, projectId, mediaId, messageId: message.id });
+        return {
+            id: mediaId,
+            mimeType: reference.mime_type || null,
+            fileName: reference.filename || null,
+            status: 'failed',
+            error: error.message
+        };
+    }
+}
+
+/**
+ * A stored file and a stream of its content
+ * @returns {Promise<{ media: Object, stream: import('stream').Readable }>}
+ */
+async function getStoredMedia({ projectId, mediaId }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const mediaCollection = await getMediaCollection(projectId);
+        const media = await mediaCollection.findOne({ mediaId });
+        if (!media) {
+            throw new Error('Media not found');
+        }
+
+        const stream = await mediaStorageService.getStorageDriver(media.storageDriver).open(media.storageKey);
+        return { media, stream };
+    } catch (error) {
+        logger.error('InboundMediaService: Error getting stored media', { error: error.message, projectId, mediaId });
+        throw error;
+    }
+}
+
+module.exports = {
+    getInboundMediaReference,
+    storeInboundMedia,
+    getStoredMedia
+};
@@ -0,0 +1,307 @@
+// Limits of the WhatsApp Cloud API for interactive messages
+const BODY_MAX_LENGTH = 1024;
+const LIST_BODY_MAX_LENGTH = 4096;
+const HEADER_TEXT_MAX_LENGTH = 60;
+const FOOTER_MAX_LENGTH = 60;
+const REPLY_BUTTONS_MAX = 3;
+const REPLY_BUTTON_TITLE_MAX_LENGTH = 20;
+const REPLY_BUTTON_ID_MAX_LENGTH = 256;
+const LIST_BUTTON_MAX_LENGTH = 20;
+const LIST_SECTIONS_MAX = 10;
+const LIST_ROWS_MAX = 10;
+const LIST_SECTION_TITLE_MAX_LENGTH = 24;
+const LIST_ROW_ID_MAX_LENGTH = 200;
+const LIST_ROW_TITLE_MAX_LENGTH = 24;
+const LIST_ROW_DESCRIPTION_MAX_LENGTH = 72;
+const CTA_DISPLAY_TEXT_MAX_LENGTH = 20;
+const FLOW_CTA_MAX_LENGTH = 30;
+const FLOW_MESSAGE_VERSION = '3';
+
+const MEDIA_HEADER_TYPES = ['image', 'video', 'document'];
+
+function invalid(field, problem) {
+    return new Error(`Invalid input: ${field} ${problem}`);
+}
+
+function requireText(value, field, maxLength) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw invalid(field, 'is required');
+    }
+    if (value.length > maxLength) {
+        throw invalid(field, `must be at most ${maxLength} characters`);
+    }
+    return value;
+}
+
+function optionalText(value, field, maxLength) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    return requireText(value, field, maxLength);
+}
+
+function requireArray(value, field, min, max) {
+    if (!Array.isArray(value) || value.length < min) {
+        throw invalid(field, min === 1 ? 'must have at least one item' : `must have at least ${min} items`);
+    }
+    if (value.length > max) {
+        throw invalid(field, `must have at most ${max} items`);
+    }
+    return value;
+}
+
+function requireUnique(values, fieldAt) {
+    const seen = new Set();
+    values.forEach((value, idx) => {
+        if (seen.has(value)) {
+            throw invalid(fieldAt(idx), `must be unique, "${value}" is repeated`);
+        }
+        seen.add(value);
+    });
+}
+
+function toId(value) {
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Header from a string (text) or an object: { type: 'text', text } or { type: 'image' | 'video' | 'document', link | id, filename }
+ */
+function buildHeader(header, { allowMedia }) {
+    if (header === undefined || header === null || header === '') {
+        return undefined;
+    }
+    if (typeof header === 'string') {
+        return { type: 'text', text: requireText(header, 'content.header', HEADER_TEXT_MAX_LENGTH) };
+    }
+
+    const type = header.type || 'text';
+    if (type === 'text') {
+        return { type: 'text', text: requireText(header.text, 'content.header.text', HEADER_TEXT_MAX_LENGTH) };
+    }
+    if (!MEDIA_HEADER_TYPES.includes(type)) {
+        throw invalid('content.header.type', `must be one of: text, ${MEDIA_HEADER_TYPES.join(', ')}`);
+    }
+    if (!allowMedia) {
+        throw invalid('content.header.type', 'must be text for this message type');
+    }
+    if (!header.link && !header.id) {
+        throw invalid('content.header', `needs a link or an id for ${type} headers`);
+    }
+
+    const media = header.id ? { id: String(header.id) } : { link: header.link };
+    if (type === 'document' && header.filename) {
+        media.filename = header.filename;
+    }
+    return { type, [type]: media };
+}
+
+/**
+ * Body, header and footer shared by every interactive message
+ */
+function buildFrame(type, content, { bodyMaxLength = BODY_MAX_LENGTH, allowHeader = true, allowMediaHeader = false } = {}) {
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+        throw invalid('content', 'must be an object');
+    }
+
+    const interactive = {
+        type,
+        body: { text: requireText(content.body, 'content.body', bodyMaxLength) }
+    };
+
+    if (allowHeader) {
+        const header = buildHeader(content.header, { allowMedia: allowMediaHeader });
+        if (header) {
+            interactive.header = header;
+        }
+        const footer = optionalText(content.footer, 'content.footer', FOOTER_MAX_LENGTH);
+        if (footer) {
+            interactive.footer = { text: footer };
+        }
+    }
+
+    return interactive;
+}
+
+/**
+ * Reply buttons: { body, header, footer, buttons: [{ id, title }] }, up to 3 buttons
+ */
+function buildButtonsMessage(content) {
+    const interactive = buildFrame('button', content, { allowMediaHeader: true });
+    const buttons = requireArray(content.buttons, 'content.buttons', 1, REPLY_BUTTONS_MAX).map((button, idx) => {
+        const field = `content.buttons[${idx}]`;
+        const title = requireText(button?.title, `${field}.title`, REPLY_BUTTON_TITLE_MAX_LENGTH);
+        // Buttons without an id reply with their title
+        const id = toId(button.id) || title;
+        return { type: 'reply', reply: { id: requireText(id, `${field}.id`, REPLY_BUTTON_ID_MAX_LENGTH), title } };
+    });
+
+    requireUnique(buttons.map(button => button.reply.id), idx => `content.buttons[${idx}].id`);
+    requireUnique(buttons.map(button => button.reply.title), idx => `content.buttons[${idx}].title`);
+
+    interactive.action = { buttons };
+    return interactive;
+}
+
+/**
+ * List: { body, header, footer, button, sections: [{ title, rows: [{ id, title, description }] }] },
+ * up to 10 sections and 10 rows in total
+ */
+function buildListMessage(content) {
+    const interactive = buildFrame('list', content, { bodyMaxLength: LIST_BODY_MAX_LENGTH });
+    const button = requireText(content.button, 'content.button', LIST_BUTTON_MAX_LENGTH);
+    const sectionsInput = requireArray(content.sections, 'content.sections', 1, LIST_SECTIONS_MAX);
+
+    let rowCount = 0;
+    const rowIds = [];
+    const sections = sectionsInput.map((section, sectionIdx) => {
+        const field = `content.sections[${sectionIdx}]`;
+        const title = sectionsInput.length > 1
+            ? requireText(section?.title, `${field}.title`, LIST_SECTION_TITLE_MAX_LENGTH)
+            : optionalText(section?.title, `${field}.title`, LIST_SECTION_TITLE_MAX_LENGTH);
+
+        const rows = requireArray(section?.rows, `${field}.rows`, 1, LIST_ROWS_MAX).map((row, rowIdx) => {
+            const rowField = `${field}.rows[${rowIdx}]`;
+            const built = {
+                id: requireText(toId(row?.id), `${rowField}.id`, LIST_ROW_ID_MAX_LENGTH),
+                title: requireText(row?.title, `${rowField}.title`, LIST_ROW_TITLE_MAX_LENGTH)
+            };
+            const description = optionalText(row.description, `${rowField}.description`, LIST_ROW_DESCRIPTION_MAX_LENGTH);
+            if (description) {
+                built.description = description;
+            }
+            if (rowIds.includes(built.id)) {
+                throw invalid(`${rowField}.id`, `must be unique, "${built.id}" is repeated`);
+            }
+            rowIds.push(built.id);
+            return built;
+        });
+
+        rowCount += rows.length;
+        if (rowCount > LIST_ROWS_MAX) {
+            throw invalid('content.sections', `must have at most ${LIST_ROWS_MAX} rows in total`);
+        }
+
+        return title ? { title, rows } : { rows };
+    });
+
+    interactive.action = { button, sections };
+    return interactive;
+}
+
+/**
+ * Call-to-action URL button: { body, header, footer, displayText, url }
+ */
+function buildCtaUrlMessage(content) {
+    const interactive = buildFrame('cta_url', content, { allowMediaHeader: true });
+    const displayText = requireText(content.displayText, 'content.displayText', CTA_DISPLAY_TEXT_MAX_LENGTH);
+    const url = requireText(content.url, 'content.url', 2000);
+
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        throw invalid('content.url', 'must be a valid URL');
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        throw invalid('content.url', 'must start with http:// or https://');
+    }
+
+    interactive.action = { name: 'cta_url', parameters: { display_text: displayText, url } };
+    return interactive;
+}
+
+/**
+ * Location request: { body }. WhatsApp shows a "Send location" button and the reply arrives as a location message.
+ */
+function buildLocationRequestMessage(content) {
+    const interactive = buildFrame('location_request_message', content, { allowHeader: false });
+    interactive.action = { name: 'send_location' };
+    return interactive;
+}
+
+/**
+ * WhatsApp Flow: { body, header, footer, flowId | flowName, flowCta, flowToken, mode, flowAction, screen, data }
+ */
+function buildFlowMessage(content) {
+    const interactive = buildFrame('flow', content);
+
+    if (!content.flowId && !content.flowName) {
+        throw invalid('content.flowId', 'or content.flowName is required');
+    }
+
+    const mode = content.mode || 'published';
+    if (!['draft', 'published'].includes(mode)) {
+        throw invalid('content.mode', 'must be draft or published');
+    }
+
+    const flowAction = content.flowAction || 'navigate';
+    if (!['navigate', 'data_exchange'].includes(flowAction)) {
+        throw invalid('content.flowAction', 'must be navigate or data_exchange');
+    }
+
+    const parameters = {
+        flow_message_version: FLOW_MESSAGE_VERSION,
+        flow_token: content.flowToken ? String(content.flowToken) : 'unused',
+        flow_cta: requireText(content.flowCta, 'content.flowCta', FLOW_CTA_MAX_LENGTH),
+        flow_action: flowAction,
+        mode
+    };
+    if (content.flowId) {
+        parameters.flow_id = String(content.flowId);
+    } else {
+        parameters.flow_name = String(content.flowName);
+    }
+
+    if (flowAction === 'navigate') {
+        const payload = { screen: requireText(content.screen, 'content.screen', 200) };
+        if (content.data !== undefined) {
+            if (!content.data || typeof content.data !== 'object' || Array.isArray(content.data)) {
+                throw invalid('content.data', 'must be an object');
+            }
+            payload.data = content.data;
+        }
+        parameters.flow_action_payload = payload;
+    }
+
+    interactive.action = { name: 'flow', parameters };
+    return interactive;
+}
+
+// Named message types accepted by POST /message, all sent to Meta as type "interactive"
+const INTERACTIVE_BUILDERS = {
+    buttons: buildButtonsMessage,
+    list: buildListMessage,
+    cta_url: buildCtaUrlMessage,
+    location_request: buildLocationRequestMessage,
+    flow: buildFlowMessage
+};
+
+function isInteractiveMessageType(messageType) {
+    return Object.prototype.hasOwnProperty.call(INTERACTIVE_BUILDERS, messageType);
+}
+
+/**
+ * Build and validate the `interactive` object of a named interactive message type
+ * @param {string} messageType - buttons, list, cta_url, location_request or flow
+ * @param {Object} content - Content of the POST /message request
+ * @returns {Object} Cloud API `interactive` object
+ * @throws {Error} 'Invalid input: <field> ...' pointing at the offending field
+ */
+function buildInteractiveMessage(messageType, content) {
+    if (!isInteractiveMessageType(messageType)) {
+        throw new Error(`Unsupported interactive message type: ${messageType}`);
+    }
+    return INTERACTIVE_BUILDERS[messageType](content);
+}
+
+module.exports = {
+    INTERACTIVE_MESSAGE_TYPES: Object.keys(INTERACTIVE_BUILDERS),
+    isInteractiveMessageType,
+    buildInteractiveMessage,
+    buildButtonsMessage,
+    buildListMessage,
+    buildCtaUrlMessage,
+    buildLocationRequestMessage,
+    buildFlowMessage
+};
@@ -0,0 +1,845 @@
+const mongodbService = require('./mongodbService');
+const messageService = require('./messageService');
+const mergeFieldService = require('./mergeFieldService');
+const phoneService = require('./phoneService');
+const suppressionService = require('./suppressionService');
+const environment = require('../config/environment');
+const logger = require('../config/logger');
+
+const JOURNEYS_DB_NAME = environment.mongoJourneysDbName;
+const ENROLLMENTS_COLLECTION_SUFFIX = '_enrollments';
+const STEP_TYPES = ['send_template', 'delay', 'wait_for_reply', 'exit'];
+const STEP_ID_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+const ENROLLMENT_STATUSES = ['active', 'completed', 'exited', 'failed'];
+const NAME_MAX_LENGTH = 100;
+const MAX_STEPS = 50;
+const MAX_DELAY_HOURS = 90 * 24;
+const MAX_ENROLLMENT_BATCH = 10000;
+const MAX_HISTORY = 200;
+
+// Steps run back to back in one pass at most this many times; the rest continue on the next worker pass
+const MAX_STEPS_PER_RUN = 20;
+
+// A claimed enrollment is not picked up again for this long, so a crashed run is retried later instead of lost.
+// Every sent step saves the progress and renews the lease, so a long run is never claimed twice.
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+const indexedCollections = new Set();
+
+async function getJourneysCollection(projectId) {
+    const journeysDb = await mongodbService.getDbConnection(JOURNEYS_DB_NAME);
+    const projectIdString = projectId.toString();
+    const journeysCollection = journeysDb.collection(projectIdString);
+
+    if (!indexedCollections.has(projectIdString)) {
+        await journeysCollection.createIndex({ name: 1 }, { unique: true });
+        indexedCollections.add(projectIdString);
+    }
+
+    return journeysCollection;
+}
+
+async function getEnrollmentsCollection(projectId) {
+    const journeysDb = await mongodbService.getDbConnection(JOURNEYS_DB_NAME);
+    const collectionName = `${projectId.toString()}${ENROLLMENTS_COLLECTION_SUFFIX}`;
+    const enrollmentsCollection = journeysDb.collection(collectionName);
+
+    if (!indexedCollections.has(collectionName)) {
+        // A contact is in a journey at most once at a time; finished enrollments are kept as history
+        await enrollmentsCollection.createIndex(
+            { journeyId: 1, phoneNumber: 1 },
+            { unique: true, partialFilterExpression: { status: 'active' } }
+        );
+        await enrollmentsCollection.createIndex({ status: 1, nextRunAt: 1 });
+        await enrollmentsCollection.createIndex({ phoneNumber: 1, status: 1 });
+        indexedCollections.add(collectionName);
+    }
+
+    return enrollmentsCollection;
+}
+
+function toJourneyObjectId(journeyId) {
+    if (journeyId instanceof mongodbService.ObjectId) {
+        return journeyId;
+    }
+    if (typeof journeyId !== 'string' || !mongodbService.ObjectId.isValid(journeyId)) {
+        throw new Error('Invalid input: journeyId is not a valid id');
+    }
+    return new mongodbService.ObjectId(journeyId);
+}
+
+function sanitizeName(name) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new Error('Invalid input: name is required');
+    }
+    if (name.trim().length > NAME_MAX_LENGTH) {
+        throw new Error(`Invalid input: name must be at most ${NAME_MAX_LENGTH} characters`);
+    }
+    return name.trim();
+}
+
+function isDuplicateKeyError(error) {
+    return error.code === 11000;
+}
+
+/**
+ * Duration of { minutes, hours, days }, in milliseconds
+ */
+function getDurationMs({ minutes = 0, hours = 0, days = 0 }) {
+    return ((days * 24 + hours) * 60 + minutes) * 60 * 1000;
+}
+
+function sanitizeDuration(duration, field) {
+    const sanitized = {};
+    ['minutes', 'hours', 'days'].forEach(unit => {
+        if (duration[unit] === undefined || duration[unit] === null) {
+            return;
+        }
+        const value = Number(duration[unit]);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Invalid input: ${field}.${unit} must be a positive number`);
+        }
+        sanitized[unit] = value;
+    });
+
+    const durationMs = getDurationMs(sanitized);
+    if (durationMs <= 0) {
+        throw new Error(`Invalid input: ${field} needs minutes, hours or days`);
+    }
+    if (durationMs > MAX_DELAY_HOURS * 60 * 60 * 1000) {
+        throw new Error(`Invalid input: ${field} must be at most ${MAX_DELAY_HOURS / 24} days`);
+    }
+    return sanitized;
+}
+
+function sanitizeStepReference(value, field) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value !== 'string' || !STEP_ID_PATTERN.test(value)) {
+        throw new Error(`Invalid input: ${field} must be a step id`);
+    }
+    return value;
+}
+
+function sanitizeMatchList(value, field) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    const list = Array.isArray(value) ? value : [value];
+    if (list.some(item => typeof item !== 'string' || item.trim() === '')) {
+        throw new Error(`Invalid input: ${field} must be a string or an array of strings`);
+    }
+    return list;
+}
+
+function sanitizeBranch(branch, field) {
+    if (!branch || typeof branch !== 'object') {
+        throw new Error(`Invalid input: ${field} must be an object with text or payload, and next`);
+    }
+    const text = sanitizeMatchList(branch.text, `${field}.text`);
+    const payload = sanitizeMatchList(branch.payload, `${field}.payload`);
+    if (text.length === 0 && payload.length === 0) {
+        throw new Error(`Invalid input: ${field} needs text or payload to match`);
+    }
+    const next = sanitizeStepReference(branch.next, `${field}.next`);
+    if (!next) {
+        throw new Error(`Invalid input: ${field}.next is required`);
+    }
+    return { text, payload, next };
+}
+
+function sanitizeStep(step, idx) {
+    const field = `steps[${idx}]`;
+    if (!step || typeof step !== 'object') {
+        throw new Error(`Invalid input: ${field} must be an object with id and type`);
+    }
+    if (typeof step.id !== 'string' || !STEP_ID_PATTERN.test(step.id)) {
+        throw new Error(`Invalid input: ${field}.id must have 1 to 50 letters, digits, _ or -`);
+    }
+    if (!STEP_TYPES.includes(step.type)) {
+        throw new Error(`Invalid input: ${field}.type must be one of ${STEP_TYPES.join(', ')}`);
+    }
+
+    switch (step.type) {
+        case 'send_template': {
+            if (typeof step.template_name !== 'string' || step.template_name === '' || typeof step.language !== 'string' || step.language === '') {
+                throw new Error(`Invalid input: ${field}.template_name and ${field}.language are required`);
+            }
+            const sanitized = { id: step.id, type: step.type, template_name: step.template_name, language: step.language };
+            if (step.variables !== undefined && step.variables !== null) {
+                mergeFieldService.compileMergeTemplate(step.variables, `${field}.variables`);
+                sanitized.variables = step.variables;
+            }
+            sanitized.next = sanitizeStepReference(step.next, `${field}.next`);
+            return sanitized;
+        }
+        case 'delay':
+            return { id: step.id, type: step.type, ...sanitizeDuration(step, field), next: sanitizeStepReference(step.next, `${field}.next`) };
+        case 'wait_for_reply': {
+            if (step.branches !== undefined && !Array.isArray(step.branches)) {
+                throw new Error(`Invalid input: ${field}.branches must be an array`);
+            }
+            const sanitized = {
+                id: step.id,
+                type: step.type,
+                branches: (step.branches || []).map((branch, branchIdx) => sanitizeBranch(branch, `${field}.branches[${branchIdx}]`)),
+                otherwise: sanitizeStepReference(step.otherwise, `${field}.otherwise`)
+            };
+            if (step.noReply !== undefined && step.noReply !== null) {
+                if (typeof step.noReply !== 'object') {
+                    throw new Error(`Invalid input: ${field}.noReply must be an object with hours and next`);
+                }
+                sanitized.noReply = {
+                    ...sanitizeDuration(step.noReply, `${field}.noReply`),
+                    next: sanitizeStepReference(step.noReply.next, `${field}.noReply.next`)
+                };
+            }
+            if (sanitized.branches.length === 0 && !sanitized.otherwise) {
+                throw new Error(`Invalid input: ${field} needs branches or otherwise`);
+            }
+            return sanitized;
+        }
+        default:
+            return { id: step.id, type: step.type };
+    }
+}
+
+/**
+ * Step ids a step can move to
+ */
+function getStepReferences(step) {
+    const references = [{ field: 'next', id: step.next }, { field: 'otherwise', id: step.otherwise }, { field: 'noReply.next', id: step.noReply?.next }];
+    (step.branches || []).forEach((branch, idx) => references.push({ field: `branches[${idx}].next`, id: branch.next }));
+    return references.filter(reference => reference.id);
+}
+
+/**
+ * Validate the step graph of a journey:
+ * send_template (template_name, language, variables with merge fields, next),
+ * delay (minutes / hours / days, next),
+ * wait_for_reply (branches on reply text or button payload, otherwise for any other reply, noReply: { hours, next }),
+ * exit. A step without next ends the journey.
+ * @returns {{ steps: Object[], entryStepId: string }}
+ * @throws {Error} 'Invalid input: ...'
+ */
+function sanitizeSteps(steps, entryStepId) {
+    if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_STEPS) {
+        throw new Error(`Invalid input: steps must be an array of 1 to ${MAX_STEPS} steps`);
+    }
+
+    const sanitized = steps.map(sanitizeStep);
+    const stepsById = new Map();
+    sanitized.forEach(step => {
+        if (stepsById.has(step.id)) {
+            throw new Error(`Invalid input: step id "${step.id}" is repeated`);
+        }
+        stepsById.set(step.id, step);
+    });
+
+    sanitized.forEach((step, idx) => {
+        getStepReferences(step).forEach(reference => {
+            if (!stepsById.has(reference.id)) {
+                throw new Error(`Invalid input: steps[${idx}].${reference.field} references unknown step "${reference.id}"`);
+            }
+        });
+    });
+
+    // Sends follow each other right away, so a loop of sends alone would message the contact endlessly
+    sanitized.filter(step => step.type === 'send_template').forEach(start => {
+        const seen = new Set();
+        let step = start;
+        while (step && step.type === 'send_template') {
+            if (seen.has(step.id)) {
+                throw new Error(`Invalid input: step "${start.id}" loops back to itself without a delay or wait_for_reply`);
+            }
+            seen.add(step.id);
+            step = stepsById.get(step.next);
+        }
+    });
+
+    const entry = entryStepId === undefined || entryStepId === null ? sanitized[0].id : entryStepId;
+    if (!stepsById.has(entry)) {
+        throw new Error(`Invalid input: entryStepId references unknown step "${entry}"`);
+    }
+
+    return { steps: sanitized, entryStepId: entry };
+}
+
+async function createJourney({ projectId, name, description, steps, entryStepId, createdBy }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const now = new Date();
+        const journey = {
+            name: sanitizeName(name),
+            description: description || null,
+            ...sanitizeSteps(steps, entryStepId),
+            createdBy: createdBy || null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const journeysCollection = await getJourneysCollection(projectId);
+        const result = await journeysCollection.insertOne(journey);
+
+        logger.info('JourneyService: Journey created', { projectId, journeyId: result.insertedId, name: journey.name, steps: journey.steps.length });
+        return { _id: result.insertedId, ...journey };
+    } catch (error) {
+        if (isDuplicateKeyError(error)) {
+            error.message = `Invalid input: a journey named "${name}" already exists`;
+        }
+        logger.error('JourneyService: Error creating journey', { error: error.message, projectId });
+        throw error;
+    }
+}
+
+async function listJourneys({ projectId, limit, skip }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const pageSize = Math.min(parseInt(limit, 10) || 100, 1000);
+        const offset = parseInt(skip, 10) || 0;
+        const journeysCollection = await getJourneysCollection(projectId);
+
+        const [journeys, total] = await Promise.all([
+            journeysCollection.find({}).sort({ name: 1 }).skip(offset).limit(pageSize).toArray(),
+            journeysCollection.countDocuments({})
+        ]);
+
+        logger.info('JourneyService: Journeys fetched', { projectId, count: journeys.length, total });
+        return { total, limit: pageSize, skip: offset, journeys };
+    } catch (error) {
+        logger.error('JourneyService: Error listing journeys', { error: error.message, projectId });
+        throw error;
+    }
+}
+
+async function getJourney({ projectId, journeyId }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const journeysCollection = await getJourneysCollection(projectId);
+        const journey = await journeysCollection.findOne({ _id: toJourneyObjectId(journeyId) });
+
+        if (!journey) {
+            throw new Error('Journey not found');
+        }
+        return journey;
+    } catch (error) {
+        logger.error('JourneyService: Error getting journey', { error: error.message, projectId, journeyId });
+        throw error;
+    }
+}
+
+/**
+ * Update a journey. Active enrollments carry on from their current step id; one whose step was removed fails on its next run.
+ */
+async function updateJourney({ projectId, journeyId, name, description, steps, entryStepId }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const update = { updatedAt: new Date() };
+        if (name !== undefined) {
+            update.name = sanitizeName(name);
+        }
+        if (description !== undefined) {
+            update.description = description || null;
+        }
+        if (steps !== undefined) {
+            Object.assign(update, sanitizeSteps(steps, entryStepId));
+        } else if (entryStepId !== undefined) {
+            const current = await getJourney({ projectId, journeyId });
+            Object.assign(update, sanitizeSteps(current.steps, entryStepId));
+        }
+
+        const journeysCollection = await getJourneysCollection(projectId);
+        const journey = await journeysCollection.findOneAndUpdate(
+            { _id: toJourneyObjectId(journeyId) },
+            { $set: update },
+            { returnDocument: 'after', includeResultMetadata: false }
+        );
+
+        if (!journey) {
+            throw new Error('Journey not found');
+        }
+
+        logger.info('JourneyService: Journey updated', { projectId, journeyId });
+        return journey;
+    } catch (error) {
+        if (isDuplicateKeyError(error)) {
+            error.message = `Invalid input: a journey named "${name}" already exists`;
+        }
+        logger.error('JourneyService: Error updating journey', { error: error.message, projectId, journeyId });
+        throw error;
+    }
+}
+
+/**
+ * Delete a journey. Contacts still in it are exited with exitReason journey_deleted.
+ */
+async function deleteJourney({ projectId, journeyId }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const journeyObjectId = toJourneyObjectId(journeyId);
+        const journeysCollection = await getJourneysCollection(projectId);
+        const result = await journeysCollection.deleteOne({ _id: journeyObjectId });
+
+        if (result.deletedCount === 0) {
+            throw new Error('Journey not found');
+        }
+
+        const now = new Date();
+        const enrollmentsCollection = await getEnrollmentsCollection(projectId);
+        const exited = await enrollmentsCollection.updateMany(
+            { journeyId: journeyObjectId, status: 'active' },
+            {
+                $set: { status: 'exited', exitReason: 'journey_deleted', exitedAt: now, nextRunAt: null, waitingForReply: false, updatedAt: now },
+                $push: { history: { $each: [{ event: 'exited', reason: 'journey_deleted', dateTime: now }], $slice: -MAX_HISTORY } }
+            }
+        );
+
+        logger.info('JourneyService: Journey deleted', { projectId, journeyId, exited: exited.modifiedCount });
+        return { _id: journeyId, deleted: true, exited: exited.modifiedCount };
+    } catch (error) {
+        logger.error('JourneyService: Error deleting journey', { error: error.message, projectId, journeyId });
+        throw error;
+    }
+}
+
+/**
+ * Enroll phone numbers in a journey. They start at the entry step on the next worker pass.
+ * Numbers already active in the journey are left where they are.
+ * @returns {Promise<{ journeyId, received: number, enrolled: number, alreadyEnrolled: number, duplicates: number }>}
+ */
+async function enrollContacts({ projectId, journeyId, phoneNumbers, defaultCountry, enrolledBy }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+        if (!Array.isArray(phoneNumbers) || phoneNumbers.length === 0) {
+            throw new Error('Invalid input: phone_numbers must be a non-empty array');
+        }
+        if (phoneNumbers.length > MAX_ENROLLMENT_BATCH) {
+            throw new Error(`Invalid input: at most ${MAX_ENROLLMENT_BATCH} contacts can be enrolled per request`);
+        }
+
+        const journey = await getJourney({ projectId, journeyId });
+
+        const { phoneNumbers: normalizedNumbers, invalid } = phoneService.normalizePhoneNumbers(phoneNumbers, defaultCountry);
+        if (invalid.length > 0) {
+            throw new Error(phoneService.describeInvalidPhoneNumbers(invalid));
+        }
+        const uniqueNumbers = [...new Set(normalizedNumbers)];
+
+        const now = new Date();
+        const operations = uniqueNumbers.map(phoneNumber => ({
+            updateOne: {
+                filter: { journeyId: journey._id, phoneNumber, status: 'active' },
+                update: {
+                    $setOnInsert: {
+                        journeyName: journey.name,
+                        currentStepId: journey.entryStepId,
+                        stepEnteredAt: now,
+                        nextRunAt: now,
+                        waitingForReply: false,
+                        enrolledAt: now,
+                        enrolledBy: enrolledBy || null,
+                        updatedAt: now,
+                        history: [{ event: 'enrolled', stepId: journey.entryStepId, dateTime: now }]
+                    }
+                },
+                upsert: true
+            }
+        }));
+
+        const enrollmentsCollection = await getEnrollmentsCollection(projectId);
+        const result = await enrollmentsCollection.bulkWrite(operations, { ordered: false });
+
+        const summary = {
+            journeyId: journey._id,
+            received: phoneNumbers.length,
+            enrolled: result.upsertedCount,
+            alreadyEnrolled: result.matchedCount,
+            duplicates: phoneNumbers.length - uniqueNumbers.length
+        };
+        logger.info('JourneyService: Contacts enrolled', { projectId, ...summary });
+        return summary;
+    } catch (error) {
+        logger.error('JourneyService: Error enrolling contacts', { error: error.message, projectId, journeyId });
+        throw error;
+    }
+}
+
+async function listEnrollments({ projectId, journeyId, status, limit, skip }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+        if (status !== undefined && !ENROLLMENT_STATUSES.includes(status)) {
+            throw new Error(`Invalid input: status must be one of ${ENROLLMENT_STATUSES.join(', ')}`);
+        }
+
+        const journey = await getJourney({ projectId, journeyId });
+        const query = { journeyId: journey._id };
+        if (status) {
+            query.status = status;
+        }
+
+        const pageSize = Math.min(parseInt(limit, 10) || 100, 1000);
+        const offset = parseInt(skip, 10) || 0;
+        const enrollmentsCollection = await getEnrollmentsCollection(projectId);
+
+        const [enrollments, total] = await Promise.all([
+            enrollmentsCollection.find(query, { projection: { history: 0 } }).sort({ enrolledAt: -1 }).skip(offset).limit(pageSize).toArray(),
+            enrollmentsCollection.countDocuments(query)
+        ]);
+
+        logger.info('JourneyService: Enrollments fetched', { projectId, journeyId, status, count: enrollments.length, total });
+        return { total, limit: pageSize, skip: offset, enrollments };
+    } catch (error) {
+        logger.error('JourneyService: Error listing enrollments', { error: error.message, projectId, journeyId });
+        throw error;
+    }
+}
+
+/**
+ * Every enrollment of a contact in a journey, latest first, with its step history
+ */
+async function getContactEnrollments({ projectId, journeyId, phoneNumber, defaultCountry }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const journey = await getJourney({ projectId, journeyId });
+        const variants = phoneService.getPhoneNumberVariants(phoneService.toLookupKey(phoneNumber, defaultCountry));
+        const enrollmentsCollection = await getEnrollmentsCollection(projectId);
+        const enrollments = await enrollmentsCollection
+            .find({ journeyId: journey._id, phoneNumber: { $in: variants } })
+            .sort({ enrolledAt: -1 })
+            .toArray();
+
+        if (enrollments.length === 0) {
+            throw new Error('Enrollment not found');
+        }
+
+        return { journeyId: journey._id, journeyName: journey.name, phoneNumber: enrollments[0].phoneNumber, enrollments };
+    } catch (error) {
+        logger.error('JourneyService: Error getting contact enrollments', { error: error.message, projectId, journeyId });
+        throw error;
+    }
+}
+
+/**
+ * Take a contact out of a journey it is active in
+ */
+async function exitEnrollment({ projectId, journeyId, phoneNumber, defaultCountry, reason }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const variants = phoneService.getPhoneNumberVariants(phoneService.toLookupKey(phoneNumber, defaultCountry));
+        const exitReason = reason || 'manual';
+        const now = new Date();
+        const enrollmentsCollection = await getEnrollmentsCollection(projectId);
+
+        const enrollment = await enrollmentsCollection.findOneAndUpdate(
+            { journeyId: toJourneyObjectId(journeyId), phoneNumber: { $in: variants }, status: 'active' },
+            {
+                $set: { status: 'exited', exitReason, exitedAt: now, nextRunAt: null, waitingForReply: false, updatedAt: now },
+                $push: { history: { $each: [{ event: 'exited', reason: exitReason, dateTime: now }], $slice: -MAX_HISTORY } }
+            },
+            { returnDocument: 'after', includeResultMetadata: false }
+        );
+
+        if (!enrollment) {
+            throw new Error('Enrollment not found');
+        }
+
+        logger.info('JourneyService: Contact exited journey', { projectId, journeyId, phoneNumber: enrollment.phoneNumber, reason: exitReason });
+        return enrollment;
+    } catch (error) {
+        logger.error('JourneyService: Error exiting enrollment', { error: error.message, projectId, journeyId });
+        throw error;
+    }
+}
+
+/**
+ * Send the template of a send_template step to an enrolled contact, filling its merge fields from the contact book
+ */
+async function sendTemplateStep({ projectId, journey, step, phoneNumber, credentials }) {
+    let variables = step.variables;
+    if (variables) {
+        const merged = await mergeFieldService.applyMergeFields({
+            projectId,
+            phoneMessages: [{ phone_number: phoneService.toInternational(phoneNumber) }],
+            variables,
+            language: step.language
+        });
+        if (merged.errors.length > 0) {
+            throw new Error(merged.errors[0].errors.join('; '));
+        }
+        variables = merged.phoneMessages[0].variables;
+    }
+
+    return messageService.sendMessage({
+        wabaId: credentials.wabaId,
+        apiToken: credentials.apiToken,
+        phoneId: credentials.phoneId,
+        fromPhoneNumber: credentials.fromPhoneNumber,
+        projectId,
+        message_type: 'template',
+        phone_number: phoneService.toInternational(phoneNumber),
+        content: { template_name: step.template_name, language: step.language, variables },
+        defaultCountry: credentials.defaultCountry,
+        senderName: `Journey: ${journey.name}`
+    });
+}
+
+/**
+ * Run a claimed enrollment from its current step until it has to wait (delay, reply) or the journey ends.
+ * Progress is saved after every sent template, so a crash does not send the earlier steps again. Delivery is still
+ * at-least-once: a crash between a send and its save sends that step again once the claim lease expires.
+ * Progress is saved only while the enrollment is still on the step saved last, so a reply or an exit moving it
+ * meanwhile wins and stops the run.
+ * @param {Object} params
+ * @param {Object} params.enrollment - Enrollment document, as claimed
+ * @param {Object|null} params.journey - Journey document, null when it was deleted
+ * @param {Object|null} params.credentials - Sending credentials of the project, null when the project is gone
+ * @returns {Promise<Object>} { status, currentStepId, nextRunAt }, or null when the enrollment was moved meanwhile
+ */
+async function runEnrollment({ projectId, enrollment, journey, credentials }) {
+    const enrollmentsCollection = await getEnrollmentsCollection(projectId);
+    const now = new Date();
+    const history = [];
+    const set = {};
+    let stepId = enrollment.currentStepId;
+    let stepEnteredAt = new Date(enrollment.stepEnteredAt);
+    let nextRunAt = null;
+    let waitingForReply = false;
+    let saved = { currentStepId: enrollment.currentStepId, stepEnteredAt: enrollment.stepEnteredAt };
+
+    // Save the fields and the pending history, unless the enrollment left the step saved last
+    const save = async (fields) => {
+        const update = { $set: fields };
+        if (history.length > 0) {
+            update.$push = { history: { $each: history.splice(0), $slice: -MAX_HISTORY } };
+        }
+        const result = await enrollmentsCollection.updateOne({ _id: enrollment._id, status: 'active', ...saved }, update);
+        return result.matchedCount > 0;
+    };
+
+    const finish = (status, fields = {}) => {
+        set.status = status;
+        set[status === 'completed' ? 'completedAt' : status === 'exited' ? 'exitedAt' : 'failedAt'] = new Date();
+        Object.assign(set, fields);
+    };
+    // A step without next ends the journey, keeping currentStepId on the last step run
+    const moveTo = (next) => {
+        if (!next) {
+            history.push({ event: 'completed', stepId, dateTime: new Date() });
+            finish('completed');
+            return;
+        }
+        stepId = next;
+        stepEnteredAt = new Date();
+    };
+
+    if (!journey || !credentials) {
+        const error = journey ? 'Project not found' : 'Journey not found';
+        history.push({ event: 'failed', stepId, error, dateTime: now });
+        finish('failed', { error });
+    }
+
+    for (let stepsRun = 0; !set.status; stepsRun++) {
+        if (stepsRun >= MAX_STEPS_PER_RUN) {
+            nextRunAt = new Date();
+            break;
+        }
+        const step = journey.steps.find(candidate => candidate.id === stepId);
+        if (!step) {
+            const error = `step "${stepId}" no longer exists in the journey`;
+            history.push({ event: 'failed', stepId, error, dateTime: new Date() });
+            finish('failed', { error });
+            break;
+        }
+
+        if (step.type === 'exit') {
+            history.push({ event: 'completed', stepId, dateTime: new Date() });
+            finish('completed');
+            break;
+        }
+
+        if (step.type === 'delay') {
+            const dueAt = new Date(stepEnteredAt.getTime() + getDurationMs(step));
+            if (dueAt > new Date()) {
+                nextRunAt = dueAt;
+                break;
+            }
+            moveTo(step.next);
+            continue;
+        }
+
+        if (step.type === 'wait_for_reply') {
+            // Replies move the enrollment on from the webhook; here only the noReply timeout is handled
+            const dueAt = step.noReply ? new Date(stepEnteredAt.getTime() + getDurationMs(step.noReply)) : null;
+            if (!dueAt || dueAt > new Date()) {
+                nextRunAt = dueAt;
+                waitingForReply = true;
+                break;
+            }
+            history.push({ event: 'no_reply', stepId, next: step.noReply.next, dateTime: new Date() });
+            moveTo(step.noReply.next);
+            continue;
+        }
+
+        try {
+            const sent = await sendTemplateStep({ projectId, journey, step, phoneNumber: enrollment.phoneNumber, credentials });
+            if (sent.status === 'suppressed') {
+                history.push({ event: 'exited', stepId, reason: 'suppressed', dateTime: new Date() });
+                finish('exited', { exitReason: 'suppressed' });
+                break;
+            }
+            history.push({ event: 'sent', stepId, templateName: step.template_name, messageId: sent.messageId, dateTime: new Date() });
+            moveTo(step.next);
+        } catch (error) {
+            const message = error.response?.data?.error?.message || error.message;
+            history.push({ event: 'failed', stepId, templateName: step.template_name, error: message, dateTime: new Date() });
+            finish('failed', { error: message });
+        }
+
+        if (!set.status) {
+            const checkpoint = { currentStepId: stepId, stepEnteredAt, nextRunAt: new Date(Date.now() + CLAIM_LEASE_MS), waitingForReply: false, updatedAt: new Date() };
+            if (!(await save(checkpoint))) {
+                logger.info('JourneyService: Enrollment moved during its run', { projectId, journeyId: enrollment.journeyId, phoneNumber: enrollment.phoneNumber });
+                return null;
+            }
+            saved = { currentStepId: stepId, stepEnteredAt };
+        }
+    }
+
+    Object.assign(set, { currentStepId: stepId, stepEnteredAt, nextRunAt: set.status ? null : nextRunAt, waitingForReply, updatedAt: new Date() });
+    await save(set);
+
+    logger.info('JourneyService: Enrollment run', {
+        projectId,
+        journeyId: enrollment.journeyId,
+        phoneNumber: enrollment.phoneNumber,
+        status: set.status || 'active',
+        currentStepId: stepId,
+        nextRunAt: set.nextRunAt
+    });
+
+    return { status: set.status || 'active', currentStepId: stepId, nextRunAt: set.nextRunAt };
+}
+
+/**
+ * Step a wait_for_reply step moves to for a reply: the first branch matching the text
+ * (case, accents and punctuation ignored) or the button payload, else otherwise. null keeps waiting.
+ */
+function matchReplyBranch(step, { messageText, payload }) {
+    const normalizedText = suppressionService.normalizeKeyword(messageText);
+    const branch = step.branches.find(candidate => (
+        (payload && candidate.payload.includes(payload))
+        || (normalizedText && candidate.text.some(text => suppressionService.normalizeKeyword(text) === normalizedText))
+    ));
+    if (branch) {
+        return branch.next;
+    }
+    return step.otherwise || null;
+}
+
+/**
+ * Move the contact's enrollments waiting for a reply to the step the inbound message leads to.
+ * Called for every inbound message; the worker runs the next steps on its next pass.
+ * @returns {Promise<number>} Enrollments moved
+ */
+async function handleInboundMessage({ projectId, phoneNumber, messageId, messageText, payload, receivedAt }) {
+    const enrollmentsCollection = await getEnrollmentsCollection(projectId);
+    const waiting = await enrollmentsCollection
+        .find({ phoneNumber: { $in: phoneService.getPhoneNumberVariants(phoneNumber) }, status: 'active', waitingForReply: true })
+        .toArray();
+    if (waiting.length === 0) {
+        return 0;
+    }
+
+    const journeysCollection = await getJourneysCollection(projectId);
+    const journeys = await journeysCollection.find({ _id: { $in: [...new Set(waiting.map(enrollment => enrollment.journeyId))] } }).toArray();
+
+    let moved = 0;
+    for (const enrollment of waiting) {
+        const journey = journeys.find(candidate => candidate._id.equals(enrollment.journeyId));
+        const step = journey?.steps.find(candidate => candidate.id === enrollment.currentStepId);
+        if (!step || step.type !== 'wait_for_reply') {
+            continue;
+        }
+
+        const next = matchReplyBranch(step, { messageText, payload });
+        if (!next) {
+            continue;
+        }
+
+        const now = new Date();
+        const result = await enrollmentsCollection.updateOne(
+            { _id: enrollment._id, status: 'active', currentStepId: enrollment.currentStepId, stepEnteredAt: enrollment.stepEnteredAt },
+            {
+                $set: { currentStepId: next, stepEnteredAt: now, nextRunAt: now, waitingForReply: false, lastReplyAt: receivedAt || now, updatedAt: now },
+                $push: {
+                    history: {
+                        $each: [{ event: 'replied', stepId: step.id, next, messageId, messageText, payload, dateTime: receivedAt || now }],
+                        $slice: -MAX_HISTORY
+                    }
+                }
+            }
+        );
+        moved += result.modifiedCount;
+    }
+
+    if (moved > 0) {
+        logger.info('JourneyService: Reply moved journey enrollments', { projectId, phoneNumber, messageId, moved });
+    }
+    return moved;
+}
+
+/**
+ * Project ids with enrollments, from the enrollment collections of the journeys database
+ */
+async function listEnrollmentProjects() {
+    const journeysDb = await mongodbService.getDbConnection(JOURNEYS_DB_NAME);
+    const collections = await journeysDb.listCollections({}, { nameOnly: true }).toArray();
+    return collections
+        .map(({ name }) => name)
+        .filter(name => name.endsWith(ENROLLMENTS_COLLECTION_SUFFIX))
+        .map(name => name.slice(0, -ENROLLMENTS_COLLECTION_SUFFIX.length));
+}
+
+module.exports = {
+    createJourney,
+    listJourneys,
+    getJourney,
+    updateJourney,
+    deleteJourney,
+    enrollContacts,
+    listEnrollments,
+    getContactEnrollments,
+    exitEnrollment,
+    runEnrollment,
+    handleInboundMessage,
+    listEnrollmentProjects,
+    getEnrollmentsCollection,
+    sanitizeSteps,
+    CLAIM_LEASE_MS
+};
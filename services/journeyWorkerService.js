@@ -0,0 +1,106 @@
+const projectService = require('./projectService');
+const journeyService = require('./journeyService');
+const environment = require('../config/environment');
+const logger = require('../config/logger');
+
+const JOURNEY_WORKER_INTERVAL_MS = parseInt(environment.journeyWorkerIntervalMs, 10) || 30000;
+
+let intervalHandle = null;
+let tickRunning = false;
+
+/**
+ * Run the due enrollments of one project, loading each journey and the project credentials once
+ */
+async function runProjectEnrollments(projectId) {
+    const enrollmentsCollection = await journeyService.getEnrollmentsCollection(projectId);
+    const journeys = new Map();
+    let credentials;
+    let enrollment;
+
+    do {
+        // Atomic claim, so several app instances never run the same enrollment twice
+        enrollment = await enrollmentsCollection.findOneAndUpdate(
+            { status: 'active', nextRunAt: { $lte: new Date() } },
+            { $set: { nextRunAt: new Date(Date.now() + journeyService.CLAIM_LEASE_MS) } },
+            { sort: { nextRunAt: 1 }, includeResultMetadata: false }
+        );
+
+        if (!enrollment) {
+            continue;
+        }
+
+        try {
+            if (credentials === undefined) {
+                const project = await projectService.getProjectById(projectId);
+                credentials = project ? projectService.getSendingCredentials(project) : null;
+            }
+
+            const journeyKey = enrollment.journeyId.toString();
+            if (!journeys.has(journeyKey)) {
+                journeys.set(journeyKey, await journeyService.getJourney({ projectId, journeyId: enrollment.journeyId }).catch(error => {
+                    if (error.message === 'Journey not found') {
+                        return null;
+                    }
+                    throw error;
+                }));
+            }
+
+            await journeyService.runEnrollment({ projectId, enrollment, journey: journeys.get(journeyKey), credentials });
+        } catch (error) {
+            logger.error('JourneyWorkerService: Error running enrollment', { projectId, _id: enrollment._id, error: error.message });
+        }
+    } while (enrollment);
+}
+
+/**
+ * Run the due journey steps of every project
+ */
+async function tick() {
+    if (tickRunning) {
+        return;
+    }
+    tickRunning = true;
+
+    try {
+        const projectIds = await journeyService.listEnrollmentProjects();
+
+        for (const projectId of projectIds) {
+            try {
+                await runProjectEnrollments(projectId);
+            } catch (error) {
+                logger.error('JourneyWorkerService: Error running project enrollments', { projectId, error: error.message });
+            }
+        }
+    } catch (error) {
+        logger.error('JourneyWorkerService: Error in journey worker tick', { error: error.message, stack: error.stack });
+    } finally {
+        tickRunning = false;
+    }
+}
+
+/**
+ * Start the journey worker loop. Enrollments live in MongoDB, so steps due while the app was down run on the first tick.
+ */
+function start() {
+    if (intervalHandle) {
+        return;
+    }
+
+    intervalHandle = setInterval(tick, JOURNEY_WORKER_INTERVAL_MS);
+    tick();
+    logger.info('JourneyWorkerService: Journey worker started', { intervalMs: JOURNEY_WORKER_INTERVAL_MS });
+}
+
+function stop() {
+    if (intervalHandle) {
+        clearInterval(intervalHandle);
+        intervalHandle = null;
+        logger.info('JourneyWorkerService: Journey worker stopped');
+    }
+}
+
+module.exports = {
+    start,
+    stop,
+    tick
+};
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const environment = require('../config/environment');
+const logger = require('../config/logger');
+
+const DEFAULT_STORAGE_DRIVER = 'local';
+const DEFAULT_LOCAL_STORAGE_PATH = 'storage/media';
+
+/**
+ * Local filesystem driver: files live under MEDIA_STORAGE_PATH, one folder per project
+ */
+function createLocalDriver() {
+    const basePath = path.resolve(environment.mediaStoragePath || DEFAULT_LOCAL_STORAGE_PATH);
+
+    function resolveKey(key) {
+        const filePath = path.resolve(basePath, key);
+        if (!filePath.startsWith(basePath + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    return {
+        name: 'local',
+
+        async save(key, buffer) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+        },
+
+        async open(key) {
+            const filePath = resolveKey(key);
+            try {
+                await fs.promises.access(filePath, fs.constants.R_OK);
+            } catch (error) {
+                throw new Error('Media not found');
+            }
+            return fs.createReadStream(filePath);
+        }
+    };
+}
+
+// Drivers implement save(key, buffer) and open(key) -> readable stream; an S3-compatible driver plugs in here
+const STORAGE_DRIVERS = {
+    local: createLocalDriver
+};
+
+const driverInstances = new Map();
+
+/**
+ * Storage driver by name, defaulting to MEDIA_STORAGE_DRIVER. Stored files keep the name of the driver
+ * that wrote them, so switching drivers does not break access to older files.
+ */
+function getStorageDriver(name = environment.mediaStorageDriver || DEFAULT_STORAGE_DRIVER) {
+    if (!driverInstances.has(name)) {
+        const createDriver = STORAGE_DRIVERS[name];
+        if (!createDriver) {
+            throw new Error(`Unsupported media storage driver: ${name}`);
+        }
+        driverInstances.set(name, createDriver());
+        logger.info('MediaStorageService: Storage driver initialized', { driver: name });
+    }
+    return driverInstances.get(name);
+}
+
+/**
+ * Storage key of a file: <projectId>/<fileId>, with anything outside [A-Za-z0-9_.-] replaced
+ */
+function buildStorageKey(projectId, fileId) {
+    const sanitize = value => String(value).replace(/[^\w.-]/g, '_');
+    return `${sanitize(projectId)}/${sanitize(fileId)}`;
+}
+
+module.exports = {
+    getStorageDriver,
+    buildStorageKey
+};
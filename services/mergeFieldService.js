@@ -0,0 +1,304 @@
+const contactService = require('./contactService');
+const phoneService = require('./phoneService');
+const logger = require('../config/logger');
+
+const MERGE_FIELD_PATTERN = /\{\{([^{}]*)\}\}/g;
+const FIELD_NAMESPACE = 'contact.';
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Split "contact.x | default:'a|b' | upper" on the pipes that are not inside quotes
+ */
+function splitPipes(expression) {
+    const parts = [''];
+    let quote = null;
+    for (const char of expression) {
+        if (quote) {
+            quote = char === quote ? null : quote;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '|') {
+            parts.push('');
+            continue;
+        }
+        parts[parts.length - 1] += char;
+    }
+    return parts.map(part => part.trim());
+}
+
+function unquote(value) {
+    const match = value.match(/^(["'])(.*)\1$/s);
+    return match ? match[2] : value;
+}
+
+function parseFormatter(text, location) {
+    const separator = text.indexOf(':');
+    const name = (separator === -1 ? text : text.slice(0, separator)).trim();
+    const arg = separator === -1 ? undefined : unquote(text.slice(separator + 1).trim());
+
+    switch (name) {
+        case 'default':
+            if (arg === undefined) {
+                throw new Error(`Invalid input: ${location} uses default without a value, e.g. default:"cliente"`);
+            }
+            return { name, arg };
+        case 'currency':
+            if (!arg || !/^[A-Za-z]{3}$/.test(arg)) {
+                throw new Error(`Invalid input: ${location} uses currency without an ISO 4217 code, e.g. currency:"BRL"`);
+            }
+            return { name, arg: arg.toUpperCase() };
+        case 'date':
+            return { name, arg: arg || 'short' };
+        case 'upper':
+        case 'lower':
+            return { name };
+        default:
+            throw new Error(`Invalid input: ${location} uses unknown formatter "${name}" (default, currency, date, upper, lower)`);
+    }
+}
+
+/**
+ * Parse the inside of a merge field: contact.<field> followed by formatters
+ */
+function parseMergeField(expression, location) {
+    const [path, ...formatters] = splitPipes(expression);
+    if (!path.startsWith(FIELD_NAMESPACE) || path.length === FIELD_NAMESPACE.length) {
+        throw new Error(`Invalid input: ${location} has merge field "{{${expression}}}"; fields are written as {{contact.<field>}}`);
+    }
+    return {
+        field: path.slice(FIELD_NAMESPACE.length),
+        formatters: formatters.map(formatter => parseFormatter(formatter, location))
+    };
+}
+
+/**
+ * Call visit(text, location) for every string inside the components
+ */
+function walkStrings(value, location, visit) {
+    if (typeof value === 'string') {
+        visit(value, location);
+    } else if (Array.isArray(value)) {
+        value.forEach((item, idx) => walkStrings(item, `${location}[${idx}]`, visit));
+    } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, item]) => walkStrings(item, `${location}.${key}`, visit));
+    }
+}
+
+/**
+ * Validate template components that may hold merge fields, such as
+ * { type: 'text', text: '{{contact.firstName | default:"cliente"}}' } or { type: 'text', text: '{{contact.total | currency:"BRL"}}' }.
+ * Merge fields can appear in any string of the components, alone or inside a longer text.
+ * @param {Array} variables - Template components, as in phone_messages[].variables
+ * @param {string} [field] - Name of the input, for error messages
+ * @returns {{ variables: Array, fields: string[], mergeFields: Map }} Compiled template and the contact fields it reads
+ * @throws {Error} 'Invalid input: ...' naming the string with a malformed merge field
+ */
+function compileMergeTemplate(variables, field = 'variables') {
+    if (!Array.isArray(variables)) {
+        throw new Error(`Invalid input: ${field} must be an array of template components`);
+    }
+
+    const mergeFields = new Map();
+    walkStrings(variables, field, (text, location) => {
+        for (const match of text.matchAll(MERGE_FIELD_PATTERN)) {
+            if (!mergeFields.has(match[1])) {
+                mergeFields.set(match[1], parseMergeField(match[1].trim(), location));
+            }
+        }
+    });
+
+    const fields = [...new Set([...mergeFields.values()].map(mergeField => mergeField.field))];
+    return { variables, fields, mergeFields };
+}
+
+/**
+ * Intl locale of a template language code: pt_BR -> pt-BR
+ */
+function toLocale(language) {
+    try {
+        return Intl.getCanonicalLocales(String(language || '').replace('_', '-'))[0] || DEFAULT_LOCALE;
+    } catch (error) {
+        return DEFAULT_LOCALE;
+    }
+}
+
+function formatDate(date, style, locale) {
+    if (DATE_STYLES.includes(style)) {
+        return new Intl.DateTimeFormat(locale, { dateStyle: style, timeZone: 'UTC' }).format(date);
+    }
+    const pad = number => String(number).padStart(2, '0');
+    const tokens = {
+        YYYY: String(date.getUTCFullYear()),
+        MM: pad(date.getUTCMonth() + 1),
+        DD: pad(date.getUTCDate()),
+        HH: pad(date.getUTCHours()),
+        mm: pad(date.getUTCMinutes())
+    };
+    return style.replace(/YYYY|MM|DD|HH|mm/g, token => tokens[token]);
+}
+
+/**
+ * Value of one merge field for a recipient, or the reason it cannot be filled
+ * @returns {{ value: string } | { error: string }}
+ */
+function applyMergeField({ field, formatters }, fields, locale) {
+    const raw = Object.prototype.hasOwnProperty.call(fields, field) ? fields[field] : undefined;
+    let value = raw === null || raw === undefined || raw === '' ? undefined : raw;
+
+    for (const { name, arg } of formatters) {
+        if (name === 'default') {
+            value = value === undefined ? arg : value;
+            continue;
+        }
+        if (value === undefined) {
+            continue;
+        }
+        if (name === 'currency') {
+            const amount = typeof value === 'number' ? value : Number(String(value).trim());
+            if (!Number.isFinite(amount)) {
+                return { error: `merge field contact.${field} is not a number` };
+            }
+            value = new Intl.NumberFormat(locale, { style: 'currency', currency: arg }).format(amount);
+        } else if (name === 'date') {
+            const date = value instanceof Date ? value : new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                return { error: `merge field contact.${field} is not a date` };
+            }
+            value = formatDate(date, arg, locale);
+        } else if (name === 'upper') {
+            value = String(value).toLocaleUpperCase(locale);
+        } else if (name === 'lower') {
+            value = String(value).toLocaleLowerCase(locale);
+        }
+    }
+
+    if (value === undefined) {
+        return { error: `merge field contact.${field} is empty` };
+    }
+    return { value: String(value) };
+}
+
+/**
+ * Fill the merge fields of a compiled template for one recipient
+ * @param {Object} template - Result of compileMergeTemplate
+ * @param {Object} fields - Recipient fields by name (contact fields or spreadsheet columns)
+ * @param {string} [language] - Template language, for currency and date formatting
+ * @returns {{ variables: Array, errors: string[] }} Meta components, and the fields that could not be filled
+ */
+function resolveMergeTemplate(template, fields, language) {
+    const locale = toLocale(language);
+    const errors = [];
+
+    const resolve = (value) => {
+        if (typeof value === 'string') {
+            return value.replace(MERGE_FIELD_PATTERN, (match, expression) => {
+                const result = applyMergeField(template.mergeFields.get(expression), fields, locale);
+                if (result.error) {
+                    errors.push(result.error);
+                    return '';
+                }
+                return result.value;
+            });
+        }
+        if (Array.isArray(value)) {
+            return value.map(resolve);
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolve(item)]));
+        }
+        return value;
+    };
+
+    const variables = resolve(template.variables);
+    return { variables, errors: [...new Set(errors)] };
+}
+
+/**
+ * Merge fields of a stored contact: phoneNumber, name, firstName and every custom attribute
+ */
+function buildContactFields(contact) {
+    const name = contact?.name || null;
+    return {
+        firstName: name ? name.split(/\s+/)[0] : null,
+        ...(contact?.attributes || {}),
+        name,
+        phoneNumber: contact?.phoneNumber || null
+    };
+}
+
+/**
+ * Contacts by every variant of their phone number
+ */
+function indexByPhoneNumber(contacts) {
+    const byPhoneNumber = new Map();
+    contacts.forEach(contact => {
+        phoneService.getPhoneNumberVariants(contact.phoneNumber).forEach(variant => byPhoneNumber.set(variant, contact));
+    });
+    return byPhoneNumber;
+}
+
+async function findContactsByPhoneNumber(projectId, phoneNumbers) {
+    const variants = [...new Set(phoneNumbers.flatMap(phoneNumber => phoneService.getPhoneNumberVariants(phoneNumber)))];
+    if (variants.length === 0) {
+        return [];
+    }
+    return contactService.findContacts(projectId, { phoneNumber: { $in: variants } });
+}
+
+/**
+ * Give the campaign-level variables to every recipient of POST /message/template that has none of its own,
+ * filling their merge fields from the project's contact book.
+ * @param {Object} params
+ * @param {string} params.projectId - Project id
+ * @param {Object[]} params.phoneMessages - Recipients ({ phone_number, variables })
+ * @param {Array} [params.variables] - Campaign-level components, possibly with merge fields
+ * @param {string} [params.language] - Template language, for currency and date formatting
+ * @param {Object[]} [params.contacts] - Contacts already loaded (segment sends), to skip the lookup
+ * @param {string} [params.defaultCountry] - Country for phone numbers without a country calling code
+ * @returns {Promise<{ phoneMessages: Object[], errors: Object[] }>} Recipients with their variables, and the
+ *   recipients whose merge fields could not be filled ({ index, phoneNumber, errors })
+ */
+async function applyMergeFields({ projectId, phoneMessages, variables, language, contacts, defaultCountry }) {
+    if (variables === undefined || variables === null) {
+        return { phoneMessages, errors: [] };
+    }
+
+    const template = compileMergeTemplate(variables);
+    if (template.fields.length === 0) {
+        return {
+            phoneMessages: phoneMessages.map(message => ({ ...message, variables: message.variables || variables })),
+            errors: []
+        };
+    }
+
+    const toLookupKey = phoneNumber => phoneService.toLookupKey(phoneNumber, defaultCountry);
+    const contactsByPhoneNumber = indexByPhoneNumber(contacts || await findContactsByPhoneNumber(
+        projectId,
+        phoneMessages.filter(message => !message.variables).map(message => toLookupKey(message.phone_number))
+    ));
+
+    const errors = [];
+    const resolved = phoneMessages.map((message, index) => {
+        if (message.variables) {
+            return message;
+        }
+
+        const contact = contactsByPhoneNumber.get(toLookupKey(message.phone_number));
+        const result = resolveMergeTemplate(template, buildContactFields(contact || { phoneNumber: toLookupKey(message.phone_number) }), language);
+        if (result.errors.length > 0) {
+            errors.push({ index, phoneNumber: message.phone_number || null, errors: result.errors });
+        }
+        return { ...message, variables: result.variables };
+    });
+
+    logger.info('MergeFieldService: Merge fields resolved', { projectId, recipients: phoneMessages.length, fields: template.fields, invalid: errors.length });
+    return { phoneMessages: resolved, errors };
+}
+
+module.exports = {
+    compileMergeTemplate,
+    resolveMergeTemplate,
+    buildContactFields,
+    applyMergeFields
+};
@@ -0,0 +1,289 @@
+const mongodbService = require('./mongodbService');
+const phoneService = require('./phoneService');
+const environment = require('../config/environment');
+const logger = require('../config/logger');
+
+const MESSAGES_DB_NAME = environment.mongoMessagesDbName;
+const CONTENT_SUMMARY_MAX_LENGTH = 500;
+
+// Statuses a webhook status may move a message forward from, so a late "delivered" never overwrites "read"
+const STATUS_ADVANCES_FROM = {
+    delivered: ['sent'],
+    read: ['sent', 'delivered']
+};
+
+const indexedCollections = new Set();
+
+async function getMessagesCollection(projectId) {
+    const messagesDb = await mongodbService.getDbConnection(MESSAGES_DB_NAME);
+    const projectIdString = projectId.toString();
+    const messagesCollection = messagesDb.collection(projectIdString);
+
+    if (!indexedCollections.has(projectIdString)) {
+        await messagesCollection.createIndex(
+            { messageId: 1 },
+            { unique: true, partialFilterExpression: { messageId: { $type: 'string' } } }
+        );
+        await messagesCollection.createIndex({ phoneNumber: 1, dateTime: -1 });
+        await messagesCollection.createIndex({ dateTime: -1 });
+        indexedCollections.add(projectIdString);
+    }
+
+    return messagesCollection;
+}
+
+function truncate(text) {
+    const value = String(text || '').trim();
+    return value.length > CONTENT_SUMMARY_MAX_LENGTH ? `${value.slice(0, CONTENT_SUMMARY_MAX_LENGTH - 3)}...` : value;
+}
+
+/**
+ * Short readable description of what a message carried, e.g. "[image] Our new catalog"
+ */
+function summarizeContent(messageType, content) {
+    switch (messageType) {
+        case 'text':
+            return truncate(typeof content === 'string' ? content : content?.body);
+        case 'image':
+        case 'video':
+        case 'audio':
+        case 'document':
+        case 'sticker':
+            return truncate(`[${messageType}] ${content?.caption || content?.filename || content?.link || content?.id || ''}`);
+        case 'location':
+            return truncate(`[location] ${content?.name || content?.address || `${content?.latitude}, ${content?.longitude}`}`);
+        case 'contact':
+        case 'contacts':
+            return truncate(`[contact] ${(content?.contacts || []).map(contact => contact.name?.formatted_name).filter(Boolean).join(', ')}`);
+        case 'interactive':
+            return truncate(`[interactive] ${content?.body?.text || ''}`);
+        case 'buttons':
+        case 'list':
+        case 'cta_url':
+        case 'location_request':
+        case 'flow':
+            return truncate(`[${messageType}] ${typeof content?.body === 'string' ? content.body : ''}`);
+        case 'template':
+            return truncate(`[template] ${content?.template_name || content?.name || ''}`);
+        case 'reaction':
+            return truncate(`[reaction] ${content?.emoji || '(removed)'}`);
+        default:
+            return truncate(`[${messageType}]`);
+    }
+}
+
+/**
+ * Record a single message sent through POST /message. Failed sends are recorded too, without a wamid.
+ * @param {Object} params
+ * @param {string} params.projectId - Project id
+ * @param {string} params.phoneNumber - Normalized recipient phone number
+ * @param {string} params.messageType - Message type (text, image, ...)
+ * @param {*} params.content - Content sent, summarized into `contentSummary`
+ * @param {string} [params.replyTo] - wamid of the message quoted as context
+ * @param {string|null} params.messageId - wamid returned by Meta
+ * @param {string} params.status - `sent` or `failed`
+ * @param {Object} [params.sender] - Who sent it: { email, name }
+ * @param {*} [params.error] - Meta error for failed sends
+ * @param {number} [params.attempts] - Number of attempts made
+ */
+async function logOutboundMessage({ projectId, phoneNumber, fromPhoneNumber, messageType, content, replyTo, messageId, status, sender, error, attempts }) {
+    const messagesCollection = await getMessagesCollection(projectId);
+    const dateTime = new Date();
+
+    const record = {
+        direction: 'outbound',
+        messageId: messageId || null,
+        messageType,
+        contentSummary: summarizeContent(messageType, content),
+        replyTo: replyTo || null,
+        phoneNumber,
+        fromPhoneNumber: fromPhoneNumber || null,
+        senderEmail: sender?.email || null,
+        senderName: sender?.name || null,
+        status,
+        success: status !== 'failed',
+        statusHistory: [{ status, dateTime }],
+        attempts: attempts || null,
+        dateTime
+    };
+    if (messageType === 'template') {
+        // Transactional template sent outside any campaign, kept out of campaign analytics
+        record.templateName = content?.template_name || content?.name || null;
+    }
+    if (error) {
+        record.error = error;
+    }
+
+    const result = await messagesCollection.insertOne(record);
+    logger.info('MessageLogService: Outbound message logged', { projectId, messageId, phoneNumber, status });
+    return { _id: result.insertedId, ...record };
+}
+
+/**
+ * Record an inbound message that did not answer a campaign, so it still shows up in the contact's history.
+ * Webhook retries deliver the same wamid again, which keeps the first record.
+ * @returns {Promise<Object>} The record, with isNew false when the wamid was already logged and, then,
+ * the sideEffectsAppliedAt of the earlier delivery
+ */
+async function logInboundMessage({ projectId, message, contactName, messageText, payload, media, receivedAt }) {
+    const messagesCollection = await getMessagesCollection(projectId);
+
+    const record = {
+        direction: 'inbound',
+        messageId: message.id,
+        messageType: message.type,
+        contentSummary: truncate(messageText) || summarizeContent(message.type, message[message.type]),
+        payload: payload || null,
+        phoneNumber: phoneService.toLookupKey(phoneService.toInternational(message.from)),
+        contactName: contactName || null,
+        media: media || null,
+        status: 'received',
+        statusHistory: [],
+        dateTime: receivedAt
+    };
+
+    const existing = await messagesCollection.findOneAndUpdate(
+        { messageId: message.id },
+        { $setOnInsert: record },
+        { upsert: true, returnDocument: 'before', projection: { sideEffectsAppliedAt: 1 }, includeResultMetadata: false }
+    );
+    const isNew = !existing;
+    logger.info('MessageLogService: Inbound message logged', { projectId, messageId: message.id, isNew });
+    return { ...record, isNew, sideEffectsAppliedAt: existing?.sideEffectsAppliedAt || null };
+}
+
+/**
+ * Mark the webhook side effects (contact, opt-out, journeys, auto-reply) of a logged inbound message as done,
+ * so later deliveries of the wamid skip them
+ */
+async function markInboundSideEffectsApplied(projectId, messageId) {
+    const messagesCollection = await getMessagesCollection(projectId);
+    await messagesCollection.updateOne(
+        { messageId, direction: 'inbound' },
+        { $set: { sideEffectsAppliedAt: new Date() } }
+    );
+}
+
+/**
+ * Apply a webhook status update onto the logged message holding the wamid
+ * @returns {Promise<{ matched: boolean }>}
+ */
+async function applyStatus(projectId, status) {
+    const messagesCollection = await getMessagesCollection(projectId);
+    const messageId = status.id;
+    const statusDateTime = status.timestamp ? new Date(parseInt(status.timestamp, 10) * 1000) : new Date();
+    const historyEntry = { status: status.status, dateTime: statusDateTime };
+    if (status.status === 'failed') {
+        historyEntry.error = status.errors?.[0] || null;
+    }
+
+    // A status already in the history is a redelivery and changes nothing
+    const pushed = await messagesCollection.updateOne(
+        { messageId, statusHistory: { $not: { $elemMatch: { status: status.status, dateTime: statusDateTime } } } },
+        { $push: { statusHistory: historyEntry } }
+    );
+    if (pushed.matchedCount === 0) {
+        const logged = await messagesCollection.countDocuments({ messageId }, { limit: 1 });
+        return { matched: logged > 0 };
+    }
+
+    if (status.status === 'failed') {
+        await messagesCollection.updateOne(
+            { messageId },
+            { $set: { status: 'failed', success: false, error: status.errors?.[0] || null } }
+        );
+    } else if (STATUS_ADVANCES_FROM[status.status]) {
+        const dateTimeField = `${status.status}DateTime`;
+        await messagesCollection.updateOne(
+            { messageId, [dateTimeField]: { $exists: false } },
+            { $set: { [dateTimeField]: statusDateTime } }
+        );
+        await messagesCollection.updateOne(
+            { messageId, status: { $in: STATUS_ADVANCES_FROM[status.status] } },
+            { $set: { status: status.status } }
+        );
+    }
+
+    logger.info('MessageLogService: Status applied to logged message', { projectId, messageId, status: status.status });
+    return { matched: true };
+}
+
+async function getMessage({ projectId, messageId }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const messagesCollection = await getMessagesCollection(projectId);
+        const message = await messagesCollection.findOne({ messageId });
+
+        if (!message) {
+            throw new Error('Message not found');
+        }
+        return message;
+    } catch (error) {
+        logger.error('MessageLogService: Error getting message', { error: error.message, projectId, messageId });
+        throw error;
+    }
+}
+
+function parseDateFilter(value, name) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid input: ${name} must be a valid date`);
+    }
+    return date;
+}
+
+/**
+ * Logged messages, newest first, filtered by phone number, direction and date range
+ */
+async function listMessages({ projectId, phoneNumber, direction, startDate, endDate, limit, skip, defaultCountry }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const query = {};
+        if (phoneNumber) {
+            query.phoneNumber = phoneService.toLookupKey(phoneNumber, defaultCountry);
+        }
+        if (direction) {
+            query.direction = direction;
+        }
+        if (startDate || endDate) {
+            query.dateTime = {};
+            if (startDate) {
+                query.dateTime.$gte = parseDateFilter(startDate, 'startDate');
+            }
+            if (endDate) {
+                query.dateTime.$lte = parseDateFilter(endDate, 'endDate');
+            }
+        }
+
+        const pageSize = Math.min(parseInt(limit, 10) || 50, 500);
+        const offset = parseInt(skip, 10) || 0;
+        const messagesCollection = await getMessagesCollection(projectId);
+
+        const [messages, total] = await Promise.all([
+            messagesCollection.find(query).sort({ dateTime: -1 }).skip(offset).limit(pageSize).toArray(),
+            messagesCollection.countDocuments(query)
+        ]);
+
+        logger.info('MessageLogService: Messages fetched', { projectId, count: messages.length, total });
+        return { total, limit: pageSize, skip: offset, messages };
+    } catch (error) {
+        logger.error('MessageLogService: Error listing messages', { error: error.message, projectId });
+        throw error;
+    }
+}
+
+module.exports = {
+    logOutboundMessage,
+    logInboundMessage,
+    markInboundSideEffectsApplied,
+    applyStatus,
+    getMessage,
+    listMessages,
+    summarizeContent
+};
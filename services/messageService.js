@@ -4,15 +4,115 @@ const logger = require('../config/logger');
 const mongodbService = require('../services/mongodbService');
 const blipCommandService = require('../services/blipCommandService');
 const blipMessageService = require('../services/blipMessageService');
+const dispatchService = require('../services/dispatchService');
+const retryService = require('../services/retryService');
+const suppressionService = require('../services/suppressionService');
+const phoneService = require('../services/phoneService');
+const frequencyCapService = require('../services/frequencyCapService');
+const templateValidationService = require('../services/templateValidationService');
+const messageLogService = require('../services/messageLogService');
+const contactService = require('../services/contactService');
+const projectService = require('../services/projectService');
+const interactiveMessageService = require('../services/interactiveMessageService');
+const abTestService = require('../services/abTestService');
 
 const META_API_VERSION = environment.metaApiVersion;
+const CANCELABLE_STATUSES = ['scheduled', 'running', 'paused', 'awaiting_winner'];
 
-async function sendMessage({ wabaId, apiToken, message_type, phone_number, content, phoneId, fromPhoneNumber, projectId }) {
+/**
+ * Record a single send in the message log. A logging failure must not fail a message Meta already accepted.
+ */
+async function logSingleSend(params) {
+    try {
+        await messageLogService.logOutboundMessage(params);
+    } catch (error) {
+        logger.error('MessageService: Error logging message', { projectId: params.projectId, messageId: params.messageId, error: error.message });
+    }
+}
+
+/**
+ * Send the project's fallback template to a contact whose customer service window is closed
+ */
+async function sendWindowFallbackTemplate({ fallbackTemplate, apiToken, phoneId, fromPhoneNumber, projectId, phoneNumber, requestedMessageType, senderEmail, senderName }) {
+    const logParams = {
+        projectId,
+        phoneNumber,
+        fromPhoneNumber,
+        messageType: 'template',
+        content: { name: fallbackTemplate.name },
+        sender: { email: senderEmail, name: senderName }
+    };
+
+    let sent;
+    try {
+        sent = await sendTemplateMessage({
+            apiToken,
+            phoneId,
+            template_name: fallbackTemplate.name,
+            languageCode: fallbackTemplate.language,
+            phoneNumber,
+            variables: fallbackTemplate.components
+        });
+    } catch (error) {
+        await logSingleSend({
+            ...logParams,
+            messageId: null,
+            status: 'failed',
+            error: error.response?.data?.error || error.message,
+            attempts: error.attempts?.length
+        });
+        throw error;
+    }
+
+    const { data, attempts } = sent;
+    const messageId = data.messages?.[0]?.id;
+
+    logger.info('MessageService: Fallback template sent outside the customer service window', {
+        projectId,
+        phoneNumber,
+        requestedMessageType,
+        templateName: fallbackTemplate.name,
+        messageId
+    });
+
+    await logSingleSend({ ...logParams, messageId, status: 'sent', attempts: attempts.length });
+
+    return {
+        messageId,
+        status: 'sent',
+        success: true,
+        phoneNumber,
+        messageType: 'template',
+        requestedMessageType,
+        fallback: true,
+        templateName: fallbackTemplate.name,
+        attempts
+    };
+}
+
+/**
+ * Media is referenced either by a public link or by the id of a file uploaded through POST /media
+ */
+function buildMediaObject(messageType, content) {
+    if (content?.id) {
+        return { id: String(content.id) };
+    }
+    if (content?.link) {
+        return { link: content.link };
+    }
+    throw new Error(`Invalid input: content.link or content.id is required for ${messageType} messages`);
+}
+
+async function sendMessage({ wabaId, apiToken, message_type, phone_number, content, context, phoneId, fromPhoneNumber, projectId, defaultCountry, senderEmail, senderName }) {
+    let requestSent = false;
     try {
         const finalWabaId = wabaId;
         const finalApiToken = apiToken;
         const finalPhoneId = phoneId;
 
+        phone_number = phoneService.normalizePhoneNumber(phone_number, defaultCountry);
+
+        // Built before any check so malformed content is rejected even for suppressed contacts or closed windows
         let messageData = {
             messaging_product: 'whatsapp',
             to: phone_number,
@@ -26,14 +126,14 @@ async function sendMessage({ wabaId, apiToken, message_type, phone_number, conte
 
             case 'image':
                 messageData.image = {
-                    link: content.link,
+                    ...buildMediaObject(message_type, content),
                     caption: content.caption || ''
                 };
                 break;
 
             case 'document':
                 messageData.document = {
-                    link: content.link,
+                    ...buildMediaObject(message_type, content),
                     caption: content.caption || '',
                     filename: content.filename || 'document'
                 };
@@ -41,14 +141,29 @@ async function sendMessage({ wabaId, apiToken, message_type, phone_number, conte
 
             case 'video':
                 messageData.video = {
-                    link: content.link,
+                    ...buildMediaObject(message_type, content),
                     caption: content.caption || ''
                 };
                 break;
 
             case 'audio':
-                messageData.audio = {
-                    link: content.link
+                messageData.audio = buildMediaObject(message_type, content);
+                break;
+
+            case 'sticker':
+                messageData.sticker = buildMediaObject(message_type, content);
+                break;
+
+            case 'reaction':
+                if (!content.message_id) {
+                    throw new Error('Invalid input: content.message_id is required for reaction messages');
+                }
+                if (typeof content.emoji !== 'string') {
+                    throw new Error('Invalid input: content.emoji is required for reaction messages (an empty string removes the reaction)');
+                }
+                messageData.reaction = {
+                    message_id: content.message_id,
+                    emoji: content.emoji
                 };
                 break;
 
@@ -69,19 +184,95 @@ async function sendMessage({ wabaId, apiToken, message_type, phone_number, conte
                 messageData.interactive = content;
                 break;
 
+            case 'template':
+                // Same template_name / language / variables shape as a campaign recipient, logged as a single message
+                if (!content.template_name || !content.language) {
+                    throw new Error('Invalid input: content.template_name and content.language are required for template messages');
+                }
+                if (content.variables !== undefined && !Array.isArray(content.variables)) {
+                    throw new Error('Invalid input: content.variables must be an array of template components');
+                }
+                messageData.template = {
+                    name: content.template_name,
+                    language: { code: content.language }
+                };
+                if (content.variables?.length > 0) {
+                    messageData.template.components = content.variables;
+                }
+                break;
+
             default:
-                throw new Error(`Unsupported message type: ${message_type}`);
+                if (!interactiveMessageService.isInteractiveMessageType(message_type)) {
+                    throw new Error(`Invalid input: message_type ${message_type} is not supported`);
+                }
+                messageData.type = 'interactive';
+                messageData.interactive = interactiveMessageService.buildInteractiveMessage(message_type, content);
         }
 
-        const response = await axios.post(
-            `https://graph.facebook.com/${META_API_VERSION}/${finalPhoneId}/messages`,
-            messageData,
-            {
-                headers: {
-                    Authorization: `Bearer ${finalApiToken}`,
-                    'Content-Type': 'application/json'
+        // Quote the message being replied to
+        if (context !== undefined && context !== null) {
+            if (typeof context.message_id !== 'string' || context.message_id === '') {
+                throw new Error('Invalid input: context.message_id must be the wamid of the message being replied to');
+            }
+            messageData.context = { message_id: context.message_id };
+        }
+
+        if (await suppressionService.isSuppressed(projectId, phone_number)) {
+            logger.info('MessageService: Message not sent to suppressed phone number', {
+                projectId,
+                messageType: message_type,
+                phoneNumber: phone_number
+            });
+            return {
+                status: 'suppressed',
+                success: null,
+                phoneNumber: phone_number,
+                messageType: message_type
+            };
+        }
+
+        // Meta rejects free-form messages (error 131047) once 24 hours passed since the contact last wrote; templates are always allowed
+        const serviceWindowSettings = message_type === 'template'
+            ? { enforce: false }
+            : contactService.getServiceWindowSettings(await projectService.getProjectById(projectId));
+        if (serviceWindowSettings.enforce) {
+            const serviceWindow = await contactService.getCustomerServiceWindow({ projectId, phoneNumber: phoneService.toInternational(phone_number) });
+            if (!serviceWindow.open) {
+                if (serviceWindowSettings.fallbackTemplate) {
+                    return await sendWindowFallbackTemplate({
+                        fallbackTemplate: serviceWindowSettings.fallbackTemplate,
+                        apiToken: finalApiToken,
+                        phoneId: finalPhoneId,
+                        fromPhoneNumber,
+                        projectId,
+                        phoneNumber: phone_number,
+                        requestedMessageType: message_type,
+                        senderEmail,
+                        senderName
+                    });
                 }
+
+                const windowError = new Error(serviceWindow.lastInboundAt
+                    ? `Customer service window is closed: the contact last wrote at ${serviceWindow.lastInboundAt.toISOString()}, send a template instead`
+                    : 'Customer service window is closed: the contact never wrote to this number, send a template instead');
+                windowError.serviceWindow = serviceWindow;
+                throw windowError;
             }
+        }
+
+        requestSent = true;
+        const { result: response, attempts } = await retryService.executeWithRetry(
+            () => axios.post(
+                `https://graph.facebook.com/${META_API_VERSION}/${finalPhoneId}/messages`,
+                messageData,
+                {
+                    headers: {
+                        Authorization: `Bearer ${finalApiToken}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            ),
+            { context: { projectId, phoneNumber: phone_number, messageType: message_type } }
         );
 
         logger.info('MessageService: Message sent successfully', {
@@ -90,169 +281,563 @@ async function sendMessage({ wabaId, apiToken, message_type, phone_number, conte
             projectId,
             messageType: message_type,
             phoneNumber: phone_number,
-            messageId: response.data.messages?.[0]?.id
+            messageId: response.data.messages?.[0]?.id,
+            attempts: attempts.length
         });
 
-        return {
+        await logSingleSend({
+            projectId,
+            phoneNumber: phone_number,
+            fromPhoneNumber,
+            messageType: message_type,
+            content,
+            replyTo: context?.message_id,
+            messageId: response.data.messages?.[0]?.id,
+            status: 'sent',
+            sender: { email: senderEmail, name: senderName },
+            attempts: attempts.length
+        });
+
+        const sent = {
             messageId: response.data.messages?.[0]?.id,
             status: 'sent',
             success: true,
             phoneNumber: phone_number,
-            messageType: message_type
+            messageType: message_type,
+            attempts
         };
+        if (message_type === 'template') {
+            sent.templateName = content.template_name;
+        }
+        return sent;
 
     } catch (error) {
         logger.error('MessageService: Error sending message', {
-            wabaId: finalWabaId,
+            wabaId,
+            attempts: error.attempts,
             fromPhoneNumber,
             projectId,
             messageType: message_type,
             phoneNumber: phone_number,
             error: error.response?.data || error.message
         });
+        if (requestSent) {
+            await logSingleSend({
+                projectId,
+                phoneNumber: phone_number,
+                fromPhoneNumber,
+                messageType: message_type,
+                content,
+                replyTo: context?.message_id,
+                messageId: null,
+                status: 'failed',
+                sender: { email: senderEmail, name: senderName },
+                error: error.response?.data?.error || error.message,
+                attempts: error.attempts?.length
+            });
+        }
         throw error;
     }
 }
 
-async function sendTemplateMessages({ wabaId, apiToken, template_name, phone_numbers, variablesList, phoneId, languageCode, fromPhoneNumber, projectId, campaignName, senderEmail, senderName, blipRouterAuthToken }) {
+/**
+ * Send a read receipt for an inbound message: the contact sees blue ticks on it and on every earlier message.
+ * With typingIndicator, WhatsApp also shows "typing..." until the next message is sent or 25 seconds pass.
+ * @param {Object} params
+ * @param {string} params.messageId - wamid of the inbound message
+ * @param {boolean} [params.typingIndicator] - Show the typing indicator to the contact
+ * @returns {Promise<{ messageId: string, success: boolean, typingIndicator: boolean }>}
+ */
+async function markMessageAsRead({ apiToken, phoneId, projectId, messageId, typingIndicator }) {
     try {
-        const finalWabaId = wabaId;
-        const finalApiToken = apiToken;
-        const finalPhoneId = phoneId;
-        const campaignDateTime = new Date();
-        const campaignId = new mongodbService.ObjectId();
-        const lang = languageCode;
-
-        const sendPromises = phone_numbers.map(async (phoneNumber, idx) => {
-            try {
-                const messageData = {
-                    messaging_product: 'whatsapp',
-                    to: phoneNumber,
-                    type: 'template',
-                    template: {
-                        name: template_name,
-                        language: {
-                            code: lang
-                        }
+        if (typeof messageId !== 'string' || messageId === '') {
+            throw new Error('Invalid input: message_id is required');
+        }
+
+        const readData = {
+            messaging_product: 'whatsapp',
+            status: 'read',
+            message_id: messageId
+        };
+        if (typingIndicator) {
+            readData.typing_indicator = { type: 'text' };
+        }
+
+        const { result: response } = await retryService.executeWithRetry(
+            () => axios.post(
+                `https://graph.facebook.com/${META_API_VERSION}/${phoneId}/messages`,
+                readData,
+                {
+                    headers: {
+                        Authorization: `Bearer ${apiToken}`,
+                        'Content-Type': 'application/json'
                     }
-                };
+                }
+            ),
+            { context: { projectId, messageId, operation: 'read' } }
+        );
 
-                const variables = variablesList && variablesList[idx] ? variablesList[idx] : {};
-                if (variables && Object.keys(variables).length > 0) {
-                    messageData.template.components = variables;
+        logger.info('MessageService: Message marked as read', { projectId, messageId, typingIndicator: !!typingIndicator });
+        return { messageId, success: response.data?.success !== false, typingIndicator: !!typingIndicator };
+    } catch (error) {
+        logger.error('MessageService: Error marking message as read', {
+            projectId,
+            messageId,
+            error: error.response?.data || error.message
+        });
+        throw error;
+    }
+}
+
+async function sendTemplateMessage({ apiToken, phoneId, template_name, languageCode, phoneNumber, variables, beforeRetry }) {
+    const messageData = {
+        messaging_product: 'whatsapp',
+        to: phoneNumber,
+        type: 'template',
+        template: {
+            name: template_name,
+            language: {
+                code: languageCode
+            }
+        }
+    };
+
+    if (variables && Object.keys(variables).length > 0) {
+        messageData.template.components = variables;
+    }
+
+    const { result: response, attempts } = await retryService.executeWithRetry(
+        () => axios.post(
+            `https://graph.facebook.com/${META_API_VERSION}/${phoneId}/messages`,
+            messageData,
+            {
+                headers: {
+                    Authorization: `Bearer ${apiToken}`,
+                    'Content-Type': 'application/json'
                 }
+            }
+        ),
+        { beforeRetry, context: { phoneNumber, templateName: template_name } }
+    );
 
-                const response = await axios.post(
-                    `https://graph.facebook.com/${META_API_VERSION}/${finalPhoneId}/messages`,
-                    messageData,
-                    {
-                        headers: {
-                            Authorization: `Bearer ${finalApiToken}`,
-                            'Content-Type': 'application/json'
-                        }
-                    }
-                );
-
-                logger.info('MessageService: Template message sent successfully', {
-                    _id: campaignId,
-                    wabaId: finalWabaId,
-                    fromPhoneNumber,
-                    projectId,
-                    templateName: template_name,
-                    senderEmail,
-                    senderName,
-                    phoneNumber: phoneNumber,
-                    messageId: response.data.messages?.[0]?.id
-                });
-
-                if (blipRouterAuthToken) {
+    return { data: response.data, attempts };
+}
+
+/**
+ * Mark campaign results as not sendable (`suppressed` or `capped`). They count neither as success nor as failure.
+ */
+async function markExcludedResults(projectId, campaignId, indexes, status) {
+    const campaignsDb = await mongodbService.getDbConnection(environment.mongoCampaignsDbName);
+    const excludedAt = new Date();
+    const update = {};
+    indexes.forEach(idx => {
+        update[`results.${idx}.status`] = status;
+        update[`results.${idx}.success`] = null;
+        update[`results.${idx}.${status}At`] = excludedAt;
+    });
+
+    await campaignsDb.collection(projectId.toString()).updateOne(
+        { _id: campaignId },
+        { $set: update, $inc: { [status]: indexes.length } }
+    );
+}
+
+/**
+ * Category of a template (MARKETING, UTILITY, AUTHENTICATION), or null when it cannot be fetched
+ */
+async function getTemplateCategory({ wabaId, apiToken, template_name, languageCode }) {
+    try {
+        const template = await templateValidationService.getTemplateDefinition({ wabaId, apiToken, name: template_name, language: languageCode });
+        return template.category || null;
+    } catch (error) {
+        logger.warn('MessageService: Could not fetch template category', {
+            templateName: template_name,
+            language: languageCode,
+            error: error.response?.data || error.message
+        });
+        return null;
+    }
+}
+
+async function dispatchTemplateCampaign({ campaign, wabaId, apiToken, phoneId, fromPhoneNumber, projectId, senderEmail, senderName, blipRouterAuthToken, concurrency, messagesPerSecond }) {
+    const campaignId = campaign._id;
+    const template_name = campaign.templateName;
+    const lang = campaign.language;
+    const variantsByName = new Map((campaign.variants || []).map(variant => [variant.name, variant]));
+
+    // Pending recipients, plus those left behind by a pause, so a resume continues where it stopped
+    let indexes = campaign.results
+        .map((result, idx) => (result.status === 'pending' || (result.status === 'skipped' && result.skippedReason === 'paused') ? idx : null))
+        .filter(idx => idx !== null);
+
+    // Numbers may have opted out since the campaign was created (scheduled or paused campaigns)
+    const suppressedNumbers = await suppressionService.findSuppressedNumbers(projectId, indexes.map(idx => campaign.results[idx].phoneNumber));
+    if (suppressedNumbers.size > 0) {
+        const suppressedIndexes = indexes.filter(idx => suppressedNumbers.has(campaign.results[idx].phoneNumber));
+        await markExcludedResults(projectId, campaignId, suppressedIndexes, 'suppressed');
+        indexes = indexes.filter(idx => !suppressedNumbers.has(campaign.results[idx].phoneNumber));
+        logger.info('MessageService: Suppressed recipients removed from dispatch', { _id: campaignId, projectId, suppressed: suppressedIndexes.length });
+    }
+
+    // Scheduled campaigns skip the frequency cap at creation, so apply it now that they start
+    if (campaign.scheduledAt) {
+        const cappedNumbers = await frequencyCapService.findCappedRecipients({
+            projectId,
+            recipients: indexes.map(idx => ({ phoneNumber: campaign.results[idx].phoneNumber, variant: campaign.results[idx].variant })),
+            templateCategory: campaign.templateCategory,
+            variants: campaign.variants,
+            excludeCampaignId: campaignId
+        });
+        if (cappedNumbers.size > 0) {
+            const cappedIndexes = indexes.filter(idx => cappedNumbers.has(campaign.results[idx].phoneNumber));
+            await markExcludedResults(projectId, campaignId, cappedIndexes, 'capped');
+            indexes = indexes.filter(idx => !cappedNumbers.has(campaign.results[idx].phoneNumber));
+            logger.info('MessageService: Capped recipients removed from dispatch', { _id: campaignId, projectId, capped: cappedIndexes.length });
+        }
+    }
+
+    const sendOne = async (idx, { waitForSendSlot }) => {
+        const phoneNumber = campaign.results[idx].phoneNumber;
+        // A/B test recipients get the template of their variant
+        const variant = variantsByName.get(campaign.results[idx].variant);
+        const templateName = variant ? variant.templateName : template_name;
+        try {
+            const variables = campaign.variablesList && campaign.variablesList[idx] ? campaign.variablesList[idx] : {};
+            const { data: responseData, attempts } = await sendTemplateMessage({
+                apiToken,
+                phoneId,
+                template_name: templateName,
+                languageCode: variant ? variant.language : lang,
+                phoneNumber,
+                variables,
+                beforeRetry: waitForSendSlot
+            });
+
+            logger.info('MessageService: Template message sent successfully', {
+                _id: campaignId,
+                wabaId,
+                fromPhoneNumber,
+                projectId,
+                templateName,
+                variant: variant?.name,
+                senderEmail,
+                senderName,
+                phoneNumber: phoneNumber,
+                messageId: responseData.messages?.[0]?.id,
+                attempts: attempts.length
+            });
+
+            if (blipRouterAuthToken) {
+                try {
                     const blipCommandResult = await blipCommandService.mergeContact({
                         resource: {
                             identity: `${phoneNumber}.whatsapp@0mn.io`,
                             extras: {
-                                activeNotificationTemplate: template_name,
+                                activeNotificationTemplate: templateName,
                                 activeNotificationSender: senderEmail
                             }
                         },
                         authorization: blipRouterAuthToken
                     });
                     logger.info('MessageService: Blip command result', { blipCommandResult });
-
-                    //await blipMessageService.sendMessage({
-                    //    id: response.data.messages?.[0]?.id,
-                    //    contactIdentity: `${phoneNumber}.whatsapp@0mn.io`,
-                    //    authorization: blipRouterAuthToken,
-                    //    content: `[TEMPLATE ENVIADO] ${template_name}`
-                    //});
+                } catch (blipError) {
+                    logger.warn('MessageService: Blip contact merge failed, message was sent', {
+                        _id: campaignId,
+                        phoneNumber,
+                        error: blipError.message
+                    });
                 }
 
-                return {
-                    phoneNumber: phoneNumber,
-                    messageId: response.data.messages?.[0]?.id,
-                    status: 'sent',
-                    success: true
-                };
+                //await blipMessageService.sendMessage({
+                //    id: responseData.messages?.[0]?.id,
+                //    contactIdentity: `${phoneNumber}.whatsapp@0mn.io`,
+                //    authorization: blipRouterAuthToken,
+                //    content: `[TEMPLATE ENVIADO] ${template_name}`
+                //});
+            }
 
-            } catch (error) {
-                logger.error('MessageService: Error sending template message to phone number', {
-                    _id: campaignId,
-                    wabaId: finalWabaId,
-                    fromPhoneNumber,
-                    projectId,
-                    templateName: template_name,
-                    senderEmail,
-                    senderName,
-                    phoneNumber: phoneNumber,
-                    error: error.response?.data || error.message
-                });
-
-                return {
-                    phoneNumber: phoneNumber,
-                    status: 'failed',
-                    success: false,
-                    error: error.response?.data.error || error.message
-                };
+            return {
+                messageId: responseData.messages?.[0]?.id,
+                status: 'sent',
+                success: true,
+                sentDateTime: new Date(),
+                attempts
+            };
+
+        } catch (error) {
+            logger.error('MessageService: Error sending template message to phone number', {
+                _id: campaignId,
+                wabaId,
+                fromPhoneNumber,
+                projectId,
+                templateName,
+                variant: variant?.name,
+                senderEmail,
+                senderName,
+                phoneNumber: phoneNumber,
+                attempts: error.attempts?.length,
+                error: error.response?.data || error.message
+            });
+
+            return {
+                status: 'failed',
+                success: false,
+                error: error.response?.data?.error || error.message,
+                attempts: error.attempts || []
+            };
+        }
+    };
+
+    // The test phase of a winner-mode A/B test waits for the winner instead of completing
+    const awaitsWinner = campaign.abTest?.mode === 'winner' && !campaign.abTest.winner && campaign.results.some(result => result.status === 'held');
+    const completeWith = awaitsWinner ? () => {
+        const testCompletedAt = new Date();
+        return {
+            status: 'awaiting_winner',
+            'abTest.testCompletedAt': testCompletedAt,
+            'abTest.decideAt': new Date(testCompletedAt.getTime() + campaign.abTest.decideAfterHours * 60 * 60 * 1000)
+        };
+    } : undefined;
+
+    const summary = await dispatchService.dispatchCampaign({
+        projectId,
+        campaignId,
+        phoneId,
+        indexes,
+        sendOne,
+        concurrency,
+        messagesPerSecond,
+        completeWith
+    });
+
+    logger.info('MessageService: Template messages batch finished', {
+        _id: campaignId,
+        state: summary.state,
+        campaignName: campaign.campaignName,
+        wabaId,
+        fromPhoneNumber,
+        projectId,
+        templateName: template_name,
+        senderEmail,
+        senderName,
+        total: summary.total,
+        success: summary.success,
+        failed: summary.failed,
+        skipped: summary.skipped
+    });
+
+    return summary;
+}
+
+/**
+ * Variables of each kept recipient for an A/B test: those of its variant, or, for the recipients held back
+ * for the winner, those of every variant by name (heldVariablesList)
+ */
+function buildVariantVariables({ variants, assignments, keptIndexes }) {
+    const variablesList = [];
+    const heldVariablesList = [];
+    assignments.forEach((variantName, idx) => {
+        const keptIdx = keptIndexes[idx];
+        if (variantName === null) {
+            variablesList.push({});
+            heldVariablesList.push(Object.fromEntries(variants.map(variant => [variant.name, variant.variablesList?.[keptIdx] || {}])));
+        } else {
+            variablesList.push(variants.find(variant => variant.name === variantName).variablesList?.[keptIdx] || {});
+            heldVariablesList.push(null);
+        }
+    });
+    return { variablesList, heldVariablesList };
+}
+
+async function sendTemplateMessages({ wabaId, apiToken, template_name, phone_numbers: rawPhoneNumbers, variablesList, phoneId, languageCode, fromPhoneNumber, projectId, campaignName, senderEmail, senderName, blipRouterAuthToken, concurrency, messagesPerSecond, scheduledAt, timezone, parentCampaignId, segment, segmentId, variants, abTest, defaultCountry }) {
+    try {
+        const campaignDateTime = new Date();
+        const campaignId = new mongodbService.ObjectId();
+
+        const { phoneNumbers: normalizedNumbers, invalid } = phoneService.normalizePhoneNumbers(rawPhoneNumbers, defaultCountry);
+        if (invalid.length > 0) {
+            throw new Error(phoneService.describeInvalidPhoneNumbers(invalid));
+        }
+
+        // Send once per normalized number, keeping the variables of its first occurrence
+        const seen = new Set();
+        const phone_numbers = [];
+        const keptIndexes = [];
+        let campaignVariablesList = [];
+        normalizedNumbers.forEach((phoneNumber, idx) => {
+            if (!seen.has(phoneNumber)) {
+                seen.add(phoneNumber);
+                phone_numbers.push(phoneNumber);
+                keptIndexes.push(idx);
+                campaignVariablesList.push(variablesList?.[idx] || {});
             }
         });
+        const duplicates = normalizedNumbers.length - phone_numbers.length;
 
-        const results = await Promise.all(sendPromises);
-
-        const successCount = results.filter(r => r.success).length;
-        const failureCount = results.filter(r => !r.success).length;
+        // A/B test: every recipient gets a variant (or, in winner mode, is held back for the winner)
+        let assignments = null;
+        let heldVariablesList = null;
+        if (variants) {
+            assignments = abTestService.assignVariants({ seed: abTest.seed || campaignId.toString(), phoneNumbers: phone_numbers, variants, abTest });
+            ({ variablesList: campaignVariablesList, heldVariablesList } = buildVariantVariables({ variants, assignments, keptIndexes }));
+        }
 
-        logger.info('MessageService: Template messages batch completed', {
-            _id: campaignId,
-            campaignName: campaignName || 'N/A',
-            wabaId: finalWabaId,
-            fromPhoneNumber,
+        const templateCategory = await getTemplateCategory({ wabaId, apiToken, template_name, languageCode });
+        const variantCategories = variants
+            ? await Promise.all(variants.map(variant => (variant.templateName === template_name && variant.language === languageCode
+                ? templateCategory
+                : getTemplateCategory({ wabaId, apiToken, template_name: variant.templateName, languageCode: variant.language }))))
+            : null;
+        const suppressedNumbers = await suppressionService.findSuppressedNumbers(projectId, phone_numbers);
+        // Scheduled campaigns are capped when they start, against the history at that time.
+        // A/B test recipients are checked against the category of their variant's template.
+        const cappedNumbers = scheduledAt ? new Set() : await frequencyCapService.findCappedRecipients({
             projectId,
-            templateName: template_name,
-            senderEmail,
-            senderName,
-            total: phone_numbers.length,
-            success: successCount,
-            failed: failureCount
+            recipients: phone_numbers
+                .map((phoneNumber, idx) => ({ phoneNumber, variant: assignments ? assignments[idx] : null }))
+                .filter(recipient => !suppressedNumbers.has(recipient.phoneNumber)),
+            templateCategory,
+            variants: variants && variants.map((variant, idx) => ({ name: variant.name, templateCategory: variantCategories[idx] }))
         });
 
+        const results = phone_numbers.map((phoneNumber, idx) => {
+            const variant = assignments ? { variant: assignments[idx] } : {};
+            if (suppressedNumbers.has(phoneNumber)) {
+                return { phoneNumber: phoneNumber, ...variant, status: 'suppressed', success: null, suppressedAt: campaignDateTime };
+            }
+            if (cappedNumbers.has(phoneNumber)) {
+                return { phoneNumber: phoneNumber, ...variant, status: 'capped', success: null, cappedAt: campaignDateTime };
+            }
+            if (assignments && assignments[idx] === null) {
+                return { phoneNumber: phoneNumber, variant: null, status: 'held', success: null };
+            }
+            return { phoneNumber: phoneNumber, ...variant, status: 'pending', success: null };
+        });
+        const suppressedCount = suppressedNumbers.size;
+        const cappedPhoneNumbers = [...cappedNumbers];
+
         const campaignData = {
             _id: campaignId,
             campaignName: campaignName || 'N/A',
             templateName: template_name,
-            language: lang,
+            templateCategory,
+            language: languageCode,
             fromPhoneNumber,
             senderEmail: senderEmail || null,
             senderName: senderName || null,
             dateTime: campaignDateTime,
+            createdAt: campaignDateTime,
+            status: scheduledAt ? 'scheduled' : 'running',
             total: phone_numbers.length,
-            success: successCount,
-            failed: failureCount,
-            variablesList,
+            processed: 0,
+            success: 0,
+            failed: 0,
+            skipped: 0,
+            suppressed: suppressedCount,
+            capped: cappedPhoneNumbers.length,
+            duplicates,
+            variablesList: campaignVariablesList,
             results
         };
 
+        if (scheduledAt) {
+            campaignData.scheduledAt = scheduledAt;
+            campaignData.timezone = timezone || 'UTC';
+        }
+
+        if (parentCampaignId) {
+            campaignData.parentCampaignId = parentCampaignId;
+            campaignData.segment = segment || null;
+        }
+
+        if (segmentId) {
+            campaignData.segmentId = segmentId;
+        }
+
+        if (variants) {
+            campaignData.variants = variants.map((variant, idx) => ({
+                name: variant.name,
+                templateName: variant.templateName,
+                language: variant.language,
+                templateCategory: variantCategories[idx],
+                percentage: variant.percentage
+            }));
+            campaignData.abTest = { ...abTest, seed: abTest.seed || campaignId.toString() };
+            if (abTest.mode === 'winner') {
+                campaignData.abTest.winner = null;
+                campaignData.heldVariablesList = heldVariablesList;
+            }
+        }
+
         await saveCampaign(campaignData, projectId);
 
-        return campaignData;
+        const summary = {
+            _id: campaignId,
+            campaignName: campaignData.campaignName,
+            templateName: template_name,
+            language: languageCode,
+            fromPhoneNumber,
+            dateTime: campaignDateTime,
+            status: campaignData.status,
+            total: campaignData.total,
+            duplicates,
+            suppressed: suppressedCount,
+            capped: cappedPhoneNumbers.length,
+            cappedPhoneNumbers
+        };
+
+        if (parentCampaignId) {
+            summary.parentCampaignId = parentCampaignId;
+            summary.segment = campaignData.segment;
+        }
+
+        if (segmentId) {
+            summary.segmentId = segmentId;
+        }
+
+        if (variants) {
+            summary.variants = campaignData.variants.map(variant => ({
+                ...variant,
+                recipients: results.filter(result => result.variant === variant.name).length
+            }));
+            summary.abTest = campaignData.abTest;
+            if (abTest.mode === 'winner') {
+                summary.held = results.filter(result => result.status === 'held').length;
+            }
+        }
+
+        if (scheduledAt) {
+            logger.info('MessageService: Template campaign scheduled', {
+                _id: campaignId,
+                projectId,
+                scheduledAt: campaignData.scheduledAt,
+                timezone: campaignData.timezone
+            });
+            return { ...summary, scheduledAt: campaignData.scheduledAt, timezone: campaignData.timezone };
+        }
+
+        dispatchTemplateCampaign({
+            campaign: campaignData,
+            wabaId,
+            apiToken,
+            phoneId,
+            fromPhoneNumber,
+            projectId,
+            senderEmail,
+            senderName,
+            blipRouterAuthToken,
+            concurrency,
+            messagesPerSecond
+        }).catch(error => {
+            logger.error('MessageService: Error dispatching template campaign', {
+                _id: campaignId,
+                projectId,
+                error: error.message,
+                stack: error.stack
+            });
+        });
+
+        return summary;
 
     } catch (error) {
         logger.error('MessageService: Error in sendTemplateMessages', {
@@ -299,10 +884,11 @@ async function saveCampaign(campaignData, projectId) {
 
         const campaignsCollection = campaignsDb.collection(projectIdString);
         await campaignsCollection.insertOne(campaignData);
-        logger.info('MessageService: Campaign saved', { campaignData });
+        logger.info('MessageService: Campaign saved', { _id: campaignData._id, campaignName: campaignData.campaignName, total: campaignData.total });
 
     } catch (error) {
         logger.error('MessageService: Error in saveCampaign', { error: error.response?.data || error.message });
+        throw error;
     }
 }
 
@@ -330,8 +916,359 @@ async function getCampaigns({ projectId, campaignId, campaignName }) {
     }
 }
 
+function toCampaignObjectId(campaignId) {
+    if (typeof campaignId !== 'string') {
+        return campaignId;
+    }
+    if (!mongodbService.ObjectId.isValid(campaignId)) {
+        throw new Error('Invalid input: campaignId is not a valid id');
+    }
+    return new mongodbService.ObjectId(campaignId);
+}
+
+/**
+ * Throw a not found or wrong state error for a campaign that could not be transitioned
+ */
+async function throwCampaignTransitionError(campaignsCollection, campaignObjectId, action) {
+    const existing = await campaignsCollection.findOne({ _id: campaignObjectId }, { projection: { status: 1 } });
+    if (!existing) {
+        throw new Error('Campaign not found');
+    }
+    throw new Error(`Campaign cannot be ${action} while ${existing.status || 'completed'}`);
+}
+
+async function pauseCampaign({ projectId, campaignId }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+        const campaignsDb = await mongodbService.getDbConnection(environment.mongoCampaignsDbName);
+        const campaignsCollection = campaignsDb.collection(projectId.toString());
+        const campaignObjectId = toCampaignObjectId(campaignId);
+
+        const campaign = await campaignsCollection.findOneAndUpdate(
+            { _id: campaignObjectId, status: 'running' },
+            { $set: { status: 'paused', pausedAt: new Date() } },
+            { returnDocument: 'after', projection: { results: 0, variablesList: 0 }, includeResultMetadata: false }
+        );
+
+        if (!campaign) {
+            await throwCampaignTransitionError(campaignsCollection, campaignObjectId, 'paused');
+        }
+
+        dispatchService.signalDispatch(projectId, campaign._id, 'paused');
+
+        logger.info('MessageService: Campaign paused', { projectId, campaignId });
+        return campaign;
+    } catch (error) {
+        logger.error('MessageService: Error pausing campaign', { error: error.message, projectId, campaignId });
+        throw error;
+    }
+}
+
+async function resumeCampaign({ projectId, campaignId, wabaId, apiToken, phoneId, fromPhoneNumber, blipRouterAuthToken }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+        const campaignsDb = await mongodbService.getDbConnection(environment.mongoCampaignsDbName);
+        const campaignsCollection = campaignsDb.collection(projectId.toString());
+        const campaignObjectId = toCampaignObjectId(campaignId);
+
+        if (dispatchService.isDispatchActive(projectId, campaignObjectId)) {
+            throw new Error('Campaign cannot be resumed while it is still stopping');
+        }
+
+        const campaign = await campaignsCollection.findOneAndUpdate(
+            { _id: campaignObjectId, status: 'paused' },
+            { $set: { status: 'running', resumedAt: new Date(), heartbeatAt: new Date(), skipped: 0 } },
+            { returnDocument: 'after', includeResultMetadata: false }
+        );
+
+        if (!campaign) {
+            await throwCampaignTransitionError(campaignsCollection, campaignObjectId, 'resumed');
+        }
+
+        dispatchTemplateCampaign({
+            campaign,
+            wabaId,
+            apiToken,
+            phoneId,
+            fromPhoneNumber,
+            projectId,
+            senderEmail: campaign.senderEmail,
+            senderName: campaign.senderName,
+            blipRouterAuthToken
+        }).catch(error => {
+            logger.error('MessageService: Error dispatching resumed campaign', {
+                _id: campaign._id,
+                projectId,
+                error: error.message,
+                stack: error.stack
+            });
+        });
+
+        const remaining = campaign.results.filter(result => result.status === 'pending' || (result.status === 'skipped' && result.skippedReason === 'paused')).length;
+
+        logger.info('MessageService: Campaign resumed', { projectId, campaignId, remaining });
+        return {
+            _id: campaign._id,
+            campaignName: campaign.campaignName,
+            status: 'running',
+            total: campaign.total,
+            remaining
+        };
+    } catch (error) {
+        logger.error('MessageService: Error resuming campaign', { error: error.message, projectId, campaignId });
+        throw error;
+    }
+}
+
+/**
+ * Cancel a campaign and mark the recipients it will never send as skipped.
+ * Also backs DELETE /campaign/scheduled/:id, which only cancels campaigns that have not started (statuses ['scheduled']).
+ * @param {Object} params
+ * @param {string[]} [params.statuses] - Statuses the campaign may be canceled from
+ */
+async function cancelCampaign({ projectId, campaignId, statuses = CANCELABLE_STATUSES }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+        const campaignsDb = await mongodbService.getDbConnection(environment.mongoCampaignsDbName);
+        const campaignsCollection = campaignsDb.collection(projectId.toString());
+        const campaignObjectId = toCampaignObjectId(campaignId);
+        const canceledAt = new Date();
+
+        const previous = await campaignsCollection.findOneAndUpdate(
+            { _id: campaignObjectId, status: { $in: statuses } },
+            { $set: { status: 'canceled', canceledAt } },
+            { returnDocument: 'before', includeResultMetadata: false }
+        );
+
+        if (!previous) {
+            await throwCampaignTransitionError(campaignsCollection, campaignObjectId, 'canceled');
+        }
+
+        // Recipients an A/B test held back for its winner are never sent either
+        let notSentStatuses = ['held'];
+        if (previous.status === 'running') {
+            // The running dispatch marks the remaining recipients as skipped when it stops
+            dispatchService.signalDispatch(projectId, previous._id, 'canceled');
+        } else {
+            notSentStatuses = ['pending', 'skipped', 'held'];
+        }
+
+        const notSent = previous.results.filter(result => result.status === 'held' || (previous.status !== 'running' && result.status === 'pending')).length;
+        if (notSent > 0 || previous.status !== 'running') {
+            await campaignsCollection.updateOne(
+                { _id: previous._id },
+                {
+                    $set: {
+                        'results.$[notSent].status': 'skipped',
+                        'results.$[notSent].skippedReason': 'canceled',
+                        'results.$[notSent].skippedAt': canceledAt
+                    },
+                    $inc: { skipped: notSent }
+                },
+                { arrayFilters: [{ 'notSent.status': { $in: notSentStatuses } }] }
+            );
+        }
+
+        logger.info('MessageService: Campaign canceled', { projectId, campaignId, previousStatus: previous.status });
+        return {
+            _id: previous._id,
+            campaignName: previous.campaignName,
+            status: 'canceled',
+            previousStatus: previous.status,
+            canceledAt
+        };
+    } catch (error) {
+        logger.error('MessageService: Error canceling campaign', { error: error.message, projectId, campaignId });
+        throw error;
+    }
+}
+
+/**
+ * Pick the winner of an A/B test whose test phase is over and send it to the recipients held back for it.
+ * The campaign must already be claimed (status running) by the caller.
+ * @param {Object} params
+ * @param {Object} params.campaign - Campaign document, as claimed
+ * @returns {Promise<Object>} Dispatch summary, with the winner and the stats of the test phase
+ */
+async function dispatchAbTestWinner({ campaign, wabaId, apiToken, phoneId, fromPhoneNumber, projectId, blipRouterAuthToken }) {
+    const campaignsDb = await mongodbService.getDbConnection(environment.mongoCampaignsDbName);
+    const stats = abTestService.computeVariantStats(campaign);
+    const winner = abTestService.pickWinner(stats, campaign.abTest.metric);
+    const decidedAt = new Date();
+
+    const set = {
+        'abTest.winner': winner,
+        'abTest.decidedAt': decidedAt,
+        'abTest.testStats': stats
+    };
+    campaign.results.forEach((result, idx) => {
+        if (result.status !== 'held') {
+            return;
+        }
+        const variables = campaign.heldVariablesList?.[idx]?.[winner] || {};
+        set[`results.${idx}.variant`] = winner;
+        set[`results.${idx}.status`] = 'pending';
+        set[`variablesList.${idx}`] = variables;
+        result.variant = winner;
+        result.status = 'pending';
+        campaign.variablesList[idx] = variables;
+    });
+
+    await campaignsDb.collection(projectId.toString()).updateOne(
+        { _id: campaign._id },
+        { $set: set, $unset: { heldVariablesList: '' } }
+    );
+    campaign.abTest = { ...campaign.abTest, winner, decidedAt, testStats: stats };
+
+    logger.info('MessageService: A/B test winner picked', {
+        _id: campaign._id,
+        projectId,
+        winner,
+        metric: campaign.abTest.metric,
+        stats: stats.map(({ name, sent, readRate, replyRate }) => ({ name, sent, readRate, replyRate }))
+    });
+
+    const summary = await dispatchTemplateCampaign({
+        campaign,
+        wabaId,
+        apiToken,
+        phoneId,
+        fromPhoneNumber,
+        projectId,
+        senderEmail: campaign.senderEmail,
+        senderName: campaign.senderName,
+        blipRouterAuthToken
+    });
+
+    return { ...summary, winner, testStats: stats };
+}
+
+const RETARGET_SEGMENTS = ['failed', 'notRead', 'notReplied', 'repliedWith:<text>'];
+
+/**
+ * Build the predicate selecting the results of a campaign that belong to a retarget segment
+ */
+function buildSegmentFilter(segment) {
+    if (typeof segment !== 'string' || segment.trim() === '') {
+        throw new Error(`Invalid input: segment must be one of ${RETARGET_SEGMENTS.join(', ')}`);
+    }
+
+    const hasAnswers = result => Array.isArray(result.answers) && result.answers.length > 0;
+
+    if (segment === 'failed') {
+        return result => result.status === 'failed' || result.success === false;
+    }
+    if (segment === 'notRead') {
+        return result => result.success === true && !result.readDateTime && !hasAnswers(result);
+    }
+    if (segment === 'notReplied') {
+        return result => result.success === true && !hasAnswers(result);
+    }
+    if (segment.startsWith('repliedWith:')) {
+        // Same case-insensitive exact match used by the replies analytics metric
+        const text = segment.slice('repliedWith:'.length).toLowerCase().trim();
+        if (!text) {
+            throw new Error('Invalid input: repliedWith segment requires a text, e.g. repliedWith:sim');
+        }
+        return result => hasAnswers(result) && result.answers.some(answer => (answer.messageText || '').toLowerCase().trim() === text);
+    }
+
+    throw new Error(`Invalid input: segment must be one of ${RETARGET_SEGMENTS.join(', ')}`);
+}
+
+/**
+ * Create a new campaign for a segment of a previous campaign's recipients
+ */
+async function retargetCampaign({ projectId, campaignId, segment, template_name, language, variables, campaignName, wabaId, apiToken, phoneId, fromPhoneNumber, senderEmail, senderName, blipRouterAuthToken, scheduledAt, timezone }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const matchesSegment = buildSegmentFilter(segment);
+        const campaignsDb = await mongodbService.getDbConnection(environment.mongoCampaignsDbName);
+        const campaignsCollection = campaignsDb.collection(projectId.toString());
+        const parent = await campaignsCollection.findOne({ _id: toCampaignObjectId(campaignId) });
+
+        if (!parent) {
+            throw new Error('Campaign not found');
+        }
+
+        const templateName = template_name || parent.templateName;
+        const languageCode = language || (template_name ? null : parent.language);
+        if (!languageCode) {
+            throw new Error('Invalid input: language is required when using a different template');
+        }
+
+        // Parent variables only fit the parent template; a different template uses the variables sent in the request
+        const reuseParentVariables = templateName === parent.templateName && languageCode === parent.language && !variables;
+
+        const seen = new Set();
+        const phone_numbers = [];
+        const variablesList = [];
+
+        (parent.results || []).forEach((result, idx) => {
+            if (!result.phoneNumber || seen.has(result.phoneNumber) || !matchesSegment(result)) {
+                return;
+            }
+            seen.add(result.phoneNumber);
+            phone_numbers.push(phoneService.toInternational(result.phoneNumber));
+            variablesList.push(reuseParentVariables ? (parent.variablesList?.[idx] || {}) : (variables || {}));
+        });
+
+        if (phone_numbers.length === 0) {
+            throw new Error(`Invalid input: no recipients match segment "${segment}"`);
+        }
+
+        logger.info('MessageService: Retargeting campaign', {
+            projectId,
+            parentCampaignId: parent._id,
+            segment,
+            templateName,
+            recipients: phone_numbers.length
+        });
+
+        return await sendTemplateMessages({
+            wabaId,
+            apiToken,
+            template_name: templateName,
+            phone_numbers,
+            variablesList,
+            phoneId,
+            languageCode,
+            fromPhoneNumber,
+            projectId,
+            campaignName: campaignName || `${parent.campaignName} - ${segment}`,
+            senderEmail,
+            senderName,
+            blipRouterAuthToken,
+            scheduledAt,
+            timezone,
+            parentCampaignId: parent._id,
+            segment
+        });
+    } catch (error) {
+        logger.error('MessageService: Error retargeting campaign', { error: error.message, projectId, campaignId, segment });
+        throw error;
+    }
+}
+
 module.exports = {
     sendMessage,
+    markMessageAsRead,
+    sendTemplateMessage,
     sendTemplateMessages,
-    getCampaigns
+    dispatchTemplateCampaign,
+    dispatchAbTestWinner,
+    getCampaigns,
+    pauseCampaign,
+    resumeCampaign,
+    cancelCampaign,
+    retargetCampaign
 }
\ No newline at end of file
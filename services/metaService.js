@@ -231,6 +231,178 @@ async function getUploadStatus({ uploadSessionId, accessToken }) {
     }
 }
 
+// Media types accepted by the WhatsApp Cloud API and their size limits
+// https://developers.facebook.com/docs/whatsapp/cloud-api/reference/media#supported-media-types
+const WHATSAPP_MEDIA_TYPES = {
+    'audio/aac': { mediaType: 'audio', maxSize: 16 * 1024 * 1024 },
+    'audio/amr': { mediaType: 'audio', maxSize: 16 * 1024 * 1024 },
+    'audio/mpeg': { mediaType: 'audio', maxSize: 16 * 1024 * 1024 },
+    'audio/mp4': { mediaType: 'audio', maxSize: 16 * 1024 * 1024 },
+    'audio/ogg': { mediaType: 'audio', maxSize: 16 * 1024 * 1024 },
+    'text/plain': { mediaType: 'document', maxSize: 100 * 1024 * 1024 },
+    'application/pdf': { mediaType: 'document', maxSize: 100 * 1024 * 1024 },
+    'application/msword': { mediaType: 'document', maxSize: 100 * 1024 * 1024 },
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { mediaType: 'document', maxSize: 100 * 1024 * 1024 },
+    'application/vnd.ms-excel': { mediaType: 'document', maxSize: 100 * 1024 * 1024 },
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { mediaType: 'document', maxSize: 100 * 1024 * 1024 },
+    'application/vnd.ms-powerpoint': { mediaType: 'document', maxSize: 100 * 1024 * 1024 },
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': { mediaType: 'document', maxSize: 100 * 1024 * 1024 },
+    'image/jpeg': { mediaType: 'image', maxSize: 5 * 1024 * 1024 },
+    'image/png': { mediaType: 'image', maxSize: 5 * 1024 * 1024 },
+    'image/webp': { mediaType: 'sticker', maxSize: 500 * 1024 },
+    'video/mp4': { mediaType: 'video', maxSize: 16 * 1024 * 1024 },
+    'video/3gpp': { mediaType: 'video', maxSize: 16 * 1024 * 1024 }
+};
+
+/**
+ * Check a file against the WhatsApp media types and size limits
+ * @returns {{ mediaType: string, maxSize: number }}
+ */
+function validateWhatsAppMedia({ mimeType, fileSize }) {
+    const spec = WHATSAPP_MEDIA_TYPES[mimeType];
+    if (!spec) {
+        throw new Error(`Invalid input: file type ${mimeType || 'unknown'} is not supported by WhatsApp. Valid types are: ${Object.keys(WHATSAPP_MEDIA_TYPES).join(', ')}`);
+    }
+    if (fileSize > spec.maxSize) {
+        throw new Error(`Invalid input: ${spec.mediaType} files must be at most ${spec.maxSize / 1024 >= 1024 ? `${spec.maxSize / (1024 * 1024)}MB` : `${spec.maxSize / 1024}KB`}`);
+    }
+    return spec;
+}
+
+/**
+ * Meta answers unknown or deleted media ids with "Unsupported get/delete request" (code 100)
+ */
+function isMediaNotFoundError(error) {
+    return error.response?.status === 404 || error.response?.data?.error?.code === 100;
+}
+
+/**
+ * Upload a file to the Cloud API media store of a phone number. The id can be sent in messages for 30 days.
+ * @returns {Promise<{ id: string }>}
+ */
+async function uploadPhoneMedia({ phoneId, accessToken, fileBuffer, fileName, mimeType }) {
+    try {
+        validateWhatsAppMedia({ mimeType, fileSize: fileBuffer.length });
+
+        const form = new FormData();
+        form.append('messaging_product', 'whatsapp');
+        form.append('type', mimeType);
+        form.append('file', new Blob([fileBuffer], { type: mimeType }), fileName);
+
+        const response = await axios.post(
+            `https://graph.facebook.com/${META_API_VERSION}/${phoneId}/media`,
+            form,
+            {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                }
+            }
+        );
+
+        logger.info('MetaService: Media uploaded to phone number', {
+            phoneId,
+            fileName,
+            mimeType,
+            fileSize: fileBuffer.length,
+            mediaId: response.data.id
+        });
+
+        return response.data;
+
+    } catch (error) {
+        logger.error('MetaService: Error uploading media to phone number', {
+            phoneId,
+            fileName,
+            mimeType,
+            error: error.response?.data || error.message
+        });
+        throw error;
+    }
+}
+
+/**
+ * Get the download URL (valid for 5 minutes) and metadata of a media id
+ */
+async function getPhoneMedia({ phoneId, accessToken, mediaId }) {
+    try {
+        const response = await axios.get(
+            `https://graph.facebook.com/${META_API_VERSION}/${encodeURIComponent(mediaId)}`,
+            {
+                params: { phone_number_id: phoneId },
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                }
+            }
+        );
+
+        logger.info('MetaService: Media retrieved', { phoneId, mediaId });
+
+        return response.data;
+
+    } catch (error) {
+        logger.error('MetaService: Error getting media', {
+            phoneId,
+            mediaId,
+            error: error.response?.data || error.message
+        });
+        if (isMediaNotFoundError(error)) {
+            throw new Error('Media not found');
+        }
+        throw error;
+    }
+}
+
+async function deletePhoneMedia({ phoneId, accessToken, mediaId }) {
+    try {
+        const response = await axios.delete(
+            `https://graph.facebook.com/${META_API_VERSION}/${encodeURIComponent(mediaId)}`,
+            {
+                params: { phone_number_id: phoneId },
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                }
+            }
+        );
+
+        logger.info('MetaService: Media deleted', { phoneId, mediaId });
+
+        return response.data;
+
+    } catch (error) {
+        logger.error('MetaService: Error deleting media', {
+            phoneId,
+            mediaId,
+            error: error.response?.data || error.message
+        });
+        if (isMediaNotFoundError(error)) {
+            throw new Error('Media not found');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Download the file behind a media URL returned by getPhoneMedia. The URL needs the same access token and expires within minutes.
+ */
+async function downloadPhoneMedia({ accessToken, url }) {
+    try {
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            headers: {
+                'Authorization': `Bearer ${accessToken}`
+            }
+        });
+
+        return Buffer.from(response.data);
+
+    } catch (error) {
+        logger.error('MetaService: Error downloading media', {
+            error: error.response?.status || error.message
+        });
+        throw error;
+    }
+}
+
 function validateFileType(fileType) {
     const validTypes = [
         'application/pdf',
@@ -279,6 +451,11 @@ module.exports = {
     startUploadSession,
     resumeUpload,
     getUploadStatus,
+    uploadPhoneMedia,
+    getPhoneMedia,
+    deletePhoneMedia,
+    downloadPhoneMedia,
+    validateWhatsAppMedia,
     validateFileType,
     getFileTypeFromExtension,
     getFileTypeFromContentType
@@ -0,0 +1,215 @@
+const { parsePhoneNumberWithError, ParseError, getCountryCallingCode } = require('libphonenumber-js/max');
+const logger = require('../config/logger');
+
+const DEFAULT_COUNTRY = 'BR';
+
+const PARSE_ERROR_REASONS = {
+    INVALID_COUNTRY: 'unknown country calling code',
+    NOT_A_NUMBER: 'not a phone number',
+    TOO_SHORT: 'too short',
+    TOO_LONG: 'too long',
+    INVALID_LENGTH: 'invalid length'
+};
+
+/**
+ * Default country of a project, used for numbers given without a country calling code
+ */
+function getDefaultCountry(project) {
+    return project?.integrations?.whatsApp?.defaultCountry || DEFAULT_COUNTRY;
+}
+
+function tryParse(value, defaultCountry) {
+    try {
+        return { parsed: parsePhoneNumberWithError(value, defaultCountry) };
+    } catch (error) {
+        if (error instanceof ParseError) {
+            return { reason: PARSE_ERROR_REASONS[error.message] || error.message.toLowerCase() };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Apply the Brazilian 9th digit rule: mobiles have 9 digits and start with 9.
+ * Adds the 9 to old 8-digit mobiles (which libphonenumber still accepts for some ranges)
+ * and removes it from landlines that were given one.
+ */
+function applyBrazilianNinthDigit(parsed) {
+    if (parsed.country !== 'BR') {
+        return parsed;
+    }
+
+    const nationalNumber = parsed.nationalNumber;
+    const areaCode = nationalNumber.slice(0, 2);
+    const subscriber = nationalNumber.slice(2);
+    let candidate = null;
+
+    if (subscriber.length === 8 && /^[6-9]/.test(subscriber)) {
+        candidate = `+55${areaCode}9${subscriber}`;
+    } else if (subscriber.length === 9 && /^9[2-5]/.test(subscriber) && !parsed.isValid()) {
+        candidate = `+55${areaCode}${subscriber.slice(1)}`;
+    }
+
+    if (candidate) {
+        const { parsed: fixed } = tryParse(candidate);
+        if (fixed && fixed.isValid()) {
+            return fixed;
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Country calling code of the default country, or null when the country is unknown
+ */
+function getDefaultCallingCode(defaultCountry) {
+    try {
+        return getCountryCallingCode(defaultCountry);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parse a phone number typed by a client into E.164.
+ * Numbers with "+" or "00" are international. Bare digits are a national number of the default country first,
+ * then international. Bare digits starting with the default country's calling code (the format this API has
+ * always used, e.g. "5511999999999") are tried as international first.
+ * Numbers from Meta (wa_id) or already stored normalized go through toInternational first.
+ * @param {string|number} phoneNumber - Phone number as given by the client
+ * @param {string} [defaultCountry] - ISO 3166-1 alpha-2 country for national numbers
+ * @returns {{ valid: true, e164: string, phoneNumber: string, country: string }|{ valid: false, input: *, reason: string }}
+ *   `phoneNumber` is the E.164 number without the leading "+", which is how numbers are stored and sent to Meta
+ */
+function parsePhoneNumber(phoneNumber, defaultCountry = DEFAULT_COUNTRY) {
+    if (phoneNumber === null || phoneNumber === undefined || String(phoneNumber).trim() === '') {
+        return { valid: false, input: phoneNumber, reason: 'phone number is required' };
+    }
+
+    const raw = String(phoneNumber).trim();
+    if (/[a-z]/i.test(raw)) {
+        return { valid: false, input: phoneNumber, reason: 'contains letters' };
+    }
+
+    const digitsOnly = raw.replace(/\D/g, '');
+    const isInternational = raw.startsWith('+') || raw.startsWith('00');
+    const callingCode = getDefaultCallingCode(defaultCountry);
+    let attempts;
+    if (isInternational) {
+        attempts = [[`+${digitsOnly.replace(/^00/, '')}`]];
+    } else if (callingCode && digitsOnly.startsWith(callingCode)) {
+        attempts = [[`+${digitsOnly}`], [digitsOnly, defaultCountry]];
+    } else {
+        attempts = [[digitsOnly, defaultCountry], [`+${digitsOnly}`]];
+    }
+
+    let reason = null;
+    for (const [value, country] of attempts) {
+        const result = tryParse(value, country);
+        if (!result.parsed) {
+            reason = reason || result.reason;
+            continue;
+        }
+
+        const parsed = applyBrazilianNinthDigit(result.parsed);
+        if (parsed.isValid()) {
+            return {
+                valid: true,
+                e164: parsed.number,
+                phoneNumber: parsed.number.slice(1),
+                country: parsed.country || null
+            };
+        }
+        reason = reason || (parsed.country ? `not a valid ${parsed.country} number` : 'not a valid number');
+    }
+
+    return { valid: false, input: phoneNumber, reason };
+}
+
+/**
+ * Normalize a phone number or throw an "Invalid input" error with the reason
+ * @returns {string} E.164 number without the leading "+"
+ */
+function normalizePhoneNumber(phoneNumber, defaultCountry) {
+    const result = parsePhoneNumber(phoneNumber, defaultCountry);
+    if (!result.valid) {
+        throw new Error(`Invalid input: phone number "${phoneNumber}" is invalid (${result.reason})`);
+    }
+    return result.phoneNumber;
+}
+
+/**
+ * Normalize a list of phone numbers, collecting the invalid ones instead of throwing
+ * @returns {{ phoneNumbers: Array<string|null>, invalid: Array<{ index: number, phoneNumber: *, reason: string }> }}
+ */
+function normalizePhoneNumbers(phoneNumbers, defaultCountry) {
+    const invalid = [];
+    const normalized = phoneNumbers.map((phoneNumber, index) => {
+        const result = parsePhoneNumber(phoneNumber, defaultCountry);
+        if (!result.valid) {
+            invalid.push({ index, phoneNumber, reason: result.reason });
+            return null;
+        }
+        return result.phoneNumber;
+    });
+
+    if (invalid.length > 0) {
+        logger.info('PhoneService: Invalid phone numbers found', { total: phoneNumbers.length, invalid: invalid.length });
+    }
+    return { phoneNumbers: normalized, invalid };
+}
+
+/**
+ * Build the "Invalid input" message listing invalid phone numbers
+ */
+function describeInvalidPhoneNumbers(invalid, limit = 10) {
+    const listed = invalid.slice(0, limit).map(entry => `"${entry.phoneNumber}" (${entry.reason})`).join('; ');
+    const more = invalid.length > limit ? `; and ${invalid.length - limit} more` : '';
+    return `Invalid input: ${invalid.length} invalid phone number(s): ${listed}${more}`;
+}
+
+/**
+ * Mark a number that is E.164 without the "+" (a wa_id from Meta, or a number stored normalized) as international,
+ * so parsing never reads it as a national number of the default country
+ */
+function toInternational(phoneNumber) {
+    return `+${String(phoneNumber || '').replace(/\D/g, '')}`;
+}
+
+/**
+ * Best-effort canonical form for lookups: the normalized number when valid, otherwise its digits
+ */
+function toLookupKey(phoneNumber, defaultCountry) {
+    const result = parsePhoneNumber(phoneNumber, defaultCountry);
+    return result.valid ? result.phoneNumber : String(phoneNumber || '').replace(/\D/g, '');
+}
+
+/**
+ * Meta may report Brazilian mobile numbers without the 9th digit, so match both forms
+ */
+function getPhoneNumberVariants(phoneNumber) {
+    const digitsOnly = String(phoneNumber || '').replace(/\D/g, '');
+    const variants = [digitsOnly];
+
+    if (digitsOnly.startsWith('55')) {
+        if (digitsOnly.length === 12 && /^[6-9]/.test(digitsOnly[4])) {
+            variants.push(digitsOnly.slice(0, 4) + '9' + digitsOnly.slice(4));
+        } else if (digitsOnly.length === 13 && digitsOnly[4] === '9') {
+            variants.push(digitsOnly.slice(0, 4) + digitsOnly.slice(5));
+        }
+    }
+
+    return variants;
+}
+
+module.exports = {
+    DEFAULT_COUNTRY,
+    getDefaultCountry,
+    parsePhoneNumber,
+    normalizePhoneNumber,
+    normalizePhoneNumbers,
+    describeInvalidPhoneNumbers,
+    toInternational,
+    toLookupKey,
+    getPhoneNumberVariants
+};
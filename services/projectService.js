@@ -0,0 +1,90 @@
+const mongodbService = require('./mongodbService');
+const environment = require('../config/environment');
+const logger = require('../config/logger');
+
+const CLIENTS_DB_NAME = environment.mongoClientsDbName;
+const PROJECTS_COLLECTION_NAME = environment.mongoProjectsCollectionName;
+
+/**
+ * Build the _id filter for a project, accepting both string and ObjectId ids
+ */
+function buildProjectIdFilter(projectId) {
+    const projectIdString = projectId.toString();
+    const candidates = [projectIdString];
+    if (mongodbService.ObjectId.isValid(projectIdString)) {
+        candidates.push(new mongodbService.ObjectId(projectIdString));
+    }
+    return { _id: { $in: candidates } };
+}
+
+/**
+ * Get a project document by ID
+ */
+async function getProjectById(projectId) {
+    try {
+        if (!projectId) {
+            throw new Error('Project ID is required');
+        }
+
+        const clientsDb = await mongodbService.getDbConnection(CLIENTS_DB_NAME);
+        const project = await clientsDb.collection(PROJECTS_COLLECTION_NAME).findOne(buildProjectIdFilter(projectId));
+
+        return project;
+    } catch (error) {
+        logger.error('ProjectService: Error getting project', { error: error.message, projectId });
+        throw error;
+    }
+}
+
+/**
+ * Extract the WhatsApp integration settings of a project
+ */
+function getWhatsAppIntegration(project) {
+    return project?.integrations?.whatsApp || {};
+}
+
+/**
+ * Build the sending credentials used by messageService, mirroring what jwtTokenValidation puts on req.body
+ */
+function getSendingCredentials(project) {
+    const whatsApp = getWhatsAppIntegration(project);
+    return {
+        projectId: project._id,
+        fromPhoneNumber: whatsApp.phoneNumber,
+        wabaId: whatsApp.businessAccountId,
+        phoneId: whatsApp.phoneId,
+        apiToken: whatsApp.apiToken,
+        appId: whatsApp.appId,
+        defaultCountry: whatsApp.defaultCountry,
+        blipRouterAuthToken: project.integrations?.blip?.enabled ? project.integrations.blip.authToken : undefined
+    };
+}
+
+/**
+ * Set fields of a project's WhatsApp integration settings
+ * @returns {Promise<boolean>} Whether the project was found
+ */
+async function updateWhatsAppIntegration(projectId, fields) {
+    try {
+        if (!projectId) {
+            throw new Error('Project ID is required');
+        }
+
+        const update = Object.fromEntries(Object.entries(fields).map(([key, value]) => [`integrations.whatsApp.${key}`, value]));
+        const clientsDb = await mongodbService.getDbConnection(CLIENTS_DB_NAME);
+        const result = await clientsDb.collection(PROJECTS_COLLECTION_NAME).updateOne(buildProjectIdFilter(projectId), { $set: update });
+
+        logger.info('ProjectService: WhatsApp integration updated', { projectId, fields: Object.keys(fields) });
+        return result.matchedCount > 0;
+    } catch (error) {
+        logger.error('ProjectService: Error updating WhatsApp integration', { error: error.message, projectId });
+        throw error;
+    }
+}
+
+module.exports = {
+    getProjectById,
+    getWhatsAppIntegration,
+    getSendingCredentials,
+    updateWhatsAppIntegration
+};
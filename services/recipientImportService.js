@@ -0,0 +1,284 @@
+const path = require('path');
+const XLSX = require('xlsx');
+const phoneService = require('./phoneService');
+const mergeFieldService = require('./mergeFieldService');
+const logger = require('../config/logger');
+
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+const MEDIA_HEADER_TYPES = ['image', 'document', 'video'];
+const BUTTON_SUB_TYPES = ['url', 'quick_reply', 'copy_code'];
+
+/**
+ * Convert a spreadsheet cell into the string sent to Meta
+ */
+function cellToString(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString().slice(0, 10);
+    }
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        // Avoid scientific notation for long numbers such as phone numbers
+        return BigInt(value).toString();
+    }
+    return String(value).trim();
+}
+
+/**
+ * Parse a CSV or XLSX upload into a list of rows keyed by column name (first sheet, first row as header)
+ * @param {Object} file - Multer file
+ * @param {Buffer} file.buffer - File contents
+ * @param {string} file.originalname - Original file name, used to detect the format
+ * @returns {{ columns: string[], rows: Object[] }} Column names and rows
+ */
+function parseRecipientFile({ buffer, originalname }) {
+    const extension = path.extname(originalname || '').toLowerCase();
+
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+        throw new Error(`Invalid input: unsupported file type "${extension || 'unknown'}". Supported types are: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+    }
+
+    let workbook;
+    try {
+        workbook = extension === '.csv'
+            ? XLSX.read(buffer.toString('utf8').replace(/^\uFEFF/, ''), { type: 'string', raw: true })
+            : XLSX.read(buffer, { type: 'buffer', cellDates: true });
+    } catch (error) {
+        throw new Error(`Invalid input: could not read file (${error.message})`);
+    }
+
+    const sheetName = workbook.SheetNames[0];
+    if (!sheetName) {
+        throw new Error('Invalid input: file has no sheets');
+    }
+
+    const matrix = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: true, defval: null, blankrows: false });
+    if (matrix.length === 0) {
+        throw new Error('Invalid input: file is empty');
+    }
+
+    const columns = matrix[0].map(cellToString);
+    const rows = matrix.slice(1).map(values => {
+        // Column names come from the upload, so a "__proto__" header must not reach Object.prototype
+        const row = Object.create(null);
+        columns.forEach((column, idx) => {
+            if (column) {
+                row[column] = cellToString(values[idx]);
+            }
+        });
+        return row;
+    });
+
+    logger.info('RecipientImportService: File parsed', { fileName: originalname, columns: columns.length, rows: rows.length });
+    return { columns, rows };
+}
+
+/**
+ * Normalize a parameter mapping entry: "Column" or { column, parameter_name, type }
+ */
+function normalizeParameterMapping(entry, field) {
+    if (typeof entry === 'string') {
+        return { column: entry };
+    }
+    if (entry && typeof entry === 'object' && typeof entry.column === 'string') {
+        return entry;
+    }
+    throw new Error(`Invalid input: ${field} must be a column name or an object with a column`);
+}
+
+/**
+ * Validate a column mapping against the file columns
+ * @param {Object} mapping - Column mapping
+ * @param {string} mapping.phone - Column holding the phone number
+ * @param {Array} [mapping.header] - Header parameters: column names or { column, type, parameter_name }
+ * @param {Array} [mapping.body] - Body parameters: column names or { column, parameter_name }
+ * @param {Array} [mapping.buttons] - Buttons: { index, sub_type, columns }
+ * @param {string[]} columns - Columns found in the file
+ * @returns {Object} Normalized mapping
+ */
+function validateMapping(mapping, columns) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        throw new Error('Invalid input: mapping must be an object');
+    }
+    if (!mapping.phone || typeof mapping.phone !== 'string') {
+        throw new Error('Invalid input: mapping.phone is required');
+    }
+
+    const referenced = [mapping.phone];
+
+    const header = (mapping.header || []).map((entry, idx) => {
+        const normalized = normalizeParameterMapping(entry, `mapping.header[${idx}]`);
+        if (normalized.type && normalized.type !== 'text' && !MEDIA_HEADER_TYPES.includes(normalized.type)) {
+            throw new Error(`Invalid input: mapping.header[${idx}].type must be one of text, ${MEDIA_HEADER_TYPES.join(', ')}`);
+        }
+        referenced.push(normalized.column);
+        return normalized;
+    });
+
+    const body = (mapping.body || []).map((entry, idx) => {
+        const normalized = normalizeParameterMapping(entry, `mapping.body[${idx}]`);
+        referenced.push(normalized.column);
+        return normalized;
+    });
+
+    const buttons = (mapping.buttons || []).map((button, idx) => {
+        if (!button || !Number.isInteger(Number(button.index)) || !BUTTON_SUB_TYPES.includes(button.sub_type)) {
+            throw new Error(`Invalid input: mapping.buttons[${idx}] requires an index and a sub_type (${BUTTON_SUB_TYPES.join(', ')})`);
+        }
+        const parameters = (button.columns || []).map((entry, paramIdx) => {
+            const normalized = normalizeParameterMapping(entry, `mapping.buttons[${idx}].columns[${paramIdx}]`);
+            referenced.push(normalized.column);
+            return normalized;
+        });
+        return { index: String(button.index), sub_type: button.sub_type, parameters };
+    });
+
+    const unknown = referenced.filter(column => !columns.includes(column));
+    if (unknown.length > 0) {
+        throw new Error(`Invalid input: mapping references unknown column(s): ${[...new Set(unknown)].join(', ')}`);
+    }
+
+    return { phone: mapping.phone, header, body, buttons };
+}
+
+function buildTextParameter(value, parameter) {
+    const built = { type: 'text', text: value };
+    if (parameter.parameter_name) {
+        built.parameter_name = parameter.parameter_name;
+    }
+    return built;
+}
+
+function buildButtonParameter(subType, value) {
+    if (subType === 'quick_reply') {
+        return { type: 'payload', payload: value };
+    }
+    if (subType === 'copy_code') {
+        return { type: 'coupon_code', coupon_code: value };
+    }
+    return { type: 'text', text: value };
+}
+
+/**
+ * Build the Meta template components of a row from a normalized mapping
+ */
+function buildRowComponents(row, mapping) {
+    const components = [];
+
+    if (mapping.header.length > 0) {
+        components.push({
+            type: 'header',
+            parameters: mapping.header.map(parameter => {
+                const value = row[parameter.column];
+                if (parameter.type && MEDIA_HEADER_TYPES.includes(parameter.type)) {
+                    return { type: parameter.type, [parameter.type]: { link: value } };
+                }
+                return buildTextParameter(value, parameter);
+            })
+        });
+    }
+
+    if (mapping.body.length > 0) {
+        components.push({
+            type: 'body',
+            parameters: mapping.body.map(parameter => buildTextParameter(row[parameter.column], parameter))
+        });
+    }
+
+    mapping.buttons.forEach(button => {
+        components.push({
+            type: 'button',
+            sub_type: button.sub_type,
+            index: button.index,
+            parameters: button.parameters.map(parameter => buildButtonParameter(button.sub_type, row[parameter.column]))
+        });
+    });
+
+    return components;
+}
+
+/**
+ * Compile components whose merge fields ({{contact.<column>}}) are filled from the columns of each row
+ */
+function compileRowTemplate(variables, normalizedMapping, columns) {
+    if (normalizedMapping.header.length > 0 || normalizedMapping.body.length > 0 || normalizedMapping.buttons.length > 0) {
+        throw new Error('Invalid input: send either variables or mapping.header, mapping.body and mapping.buttons, not both');
+    }
+
+    const template = mergeFieldService.compileMergeTemplate(variables);
+    const unknown = template.fields.filter(field => !columns.includes(field));
+    if (unknown.length > 0) {
+        throw new Error(`Invalid input: variables reference unknown column(s): ${unknown.join(', ')}`);
+    }
+    return template;
+}
+
+/**
+ * Validate every row and build the phone_messages list used by POST /message/template
+ * @param {Object[]} rows - Parsed rows
+ * @param {Object} mapping - Column mapping (see validateMapping)
+ * @param {string[]} columns - Columns found in the file
+ * @param {string} [defaultCountry] - Country for phone numbers without a country calling code
+ * @param {Object} [options]
+ * @param {Array} [options.variables] - Components with merge fields, instead of the header, body and buttons of the mapping
+ * @param {string} [options.language] - Template language, for currency and date formatting
+ * @returns {{ phoneMessages: Object[], errors: Object[], totalRows: number }} Valid recipients and per-row errors
+ */
+function buildPhoneMessages(rows, mapping, columns, defaultCountry, { variables, language } = {}) {
+    const normalizedMapping = validateMapping(mapping, columns);
+    const mergeTemplate = variables ? compileRowTemplate(variables, normalizedMapping, columns) : null;
+    const phoneMessages = [];
+    const errors = [];
+
+    rows.forEach((row, idx) => {
+        // Spreadsheet line number: header is line 1
+        const line = idx + 2;
+        const rowErrors = [];
+        const phoneNumber = row[normalizedMapping.phone];
+        const parsedPhone = phoneService.parsePhoneNumber(phoneNumber, defaultCountry);
+
+        if (!phoneNumber) {
+            rowErrors.push(`column "${normalizedMapping.phone}" (phone) is empty`);
+        } else if (!parsedPhone.valid) {
+            rowErrors.push(`phone number "${phoneNumber}" is invalid (${parsedPhone.reason})`);
+        }
+
+        const parameterColumns = [
+            ...normalizedMapping.header.map(parameter => parameter.column),
+            ...normalizedMapping.body.map(parameter => parameter.column),
+            ...normalizedMapping.buttons.flatMap(button => button.parameters.map(parameter => parameter.column))
+        ];
+        [...new Set(parameterColumns)].forEach(column => {
+            if (!row[column]) {
+                rowErrors.push(`column "${column}" is empty`);
+            }
+        });
+
+        const merged = mergeTemplate ? mergeFieldService.resolveMergeTemplate(mergeTemplate, row, language) : null;
+        if (merged) {
+            rowErrors.push(...merged.errors);
+        }
+
+        if (rowErrors.length > 0) {
+            errors.push({ row: line, phoneNumber: phoneNumber || null, errors: rowErrors });
+            return;
+        }
+
+        phoneMessages.push({
+            row: line,
+            phone_number: parsedPhone.phoneNumber,
+            variables: merged ? merged.variables : buildRowComponents(row, normalizedMapping)
+        });
+    });
+
+    logger.info('RecipientImportService: Rows validated', { totalRows: rows.length, validRows: phoneMessages.length, invalidRows: errors.length });
+    return { phoneMessages, errors, totalRows: rows.length };
+}
+
+module.exports = {
+    parseRecipientFile,
+    validateMapping,
+    buildPhoneMessages,
+    buildRowComponents
+};
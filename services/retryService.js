@@ -0,0 +1,145 @@
+const environment = require('../config/environment');
+const logger = require('../config/logger');
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(environment.sendRetryMaxAttempts, 10) || 4;
+const DEFAULT_BASE_DELAY_MS = parseInt(environment.sendRetryBaseDelayMs, 10) || 1000;
+const DEFAULT_MAX_DELAY_MS = parseInt(environment.sendRetryMaxDelayMs, 10) || 30000;
+
+/**
+ * Meta error codes worth retrying: throttling and temporary service failures
+ * https://developers.facebook.com/docs/whatsapp/cloud-api/support/error-codes
+ */
+const RETRYABLE_META_CODES = [
+    1,      // API unknown error
+    2,      // API service temporarily unavailable
+    4,      // Application request limit reached
+    17,     // User request limit reached
+    80007,  // WhatsApp Business Account rate limit
+    130429, // Cloud API throughput rate limit
+    131000, // Something went wrong
+    131016, // Service unavailable
+    131056, // Business/consumer pair rate limit
+    133004  // Server temporarily unavailable
+];
+
+/**
+ * Network errors raised before the request reached Meta. Resets and timeouts after that are not retried:
+ * the send POST is not idempotent, and Meta may already have delivered the message.
+ */
+const RETRYABLE_NETWORK_CODES = [
+    'ECONNREFUSED',
+    'ENOTFOUND',
+    'EAI_AGAIN',
+    'ENETUNREACH',
+    'EHOSTUNREACH'
+];
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Classify a send error as retryable or permanent
+ * @param {Error} error - Error thrown by axios or by the send function
+ * @returns {{ retryable: boolean, code: (number|string|null), httpStatus: (number|null), message: string }}
+ */
+function classifyError(error) {
+    const httpStatus = error.response?.status || null;
+    const metaError = error.response?.data?.error;
+    const metaCode = metaError?.code ?? null;
+    const message = metaError?.message || error.message;
+
+    if (metaCode !== null && RETRYABLE_META_CODES.includes(metaCode)) {
+        return { retryable: true, code: metaCode, httpStatus, message };
+    }
+
+    if (httpStatus) {
+        const retryable = httpStatus === 429 || httpStatus >= 500;
+        return { retryable, code: metaCode, httpStatus, message };
+    }
+
+    if (error.code && RETRYABLE_NETWORK_CODES.includes(error.code)) {
+        return { retryable: true, code: error.code, httpStatus: null, message };
+    }
+
+    return { retryable: false, code: error.code || null, httpStatus: null, message };
+}
+
+/**
+ * Exponential backoff with equal jitter, honouring a Retry-After header when Meta sends one
+ */
+function getBackoffDelay(attempt, error, { baseDelayMs = DEFAULT_BASE_DELAY_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS } = {}) {
+    const retryAfter = parseInt(error?.response?.headers?.['retry-after'], 10);
+    if (!Number.isNaN(retryAfter) && retryAfter > 0) {
+        return Math.min(retryAfter * 1000, maxDelayMs);
+    }
+
+    const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+/**
+ * Run an operation, retrying transient failures with exponential backoff
+ * @param {Function} operation - Async function receiving the attempt number
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.maxAttempts] - Maximum attempts, including the first one
+ * @param {number} [options.baseDelayMs] - Delay before the first retry
+ * @param {number} [options.maxDelayMs] - Upper bound for a single delay
+ * @param {Function} [options.beforeRetry] - Async hook awaited before each retry (e.g. rate limiter)
+ * @param {Object} [options.context] - Extra fields for log entries
+ * @returns {Promise<{ result: *, attempts: Object[] }>} Operation result and attempt history
+ * @throws {Error} Last error, with `attempts` and `retryable` properties attached
+ */
+async function executeWithRetry(operation, { maxAttempts = DEFAULT_MAX_ATTEMPTS, baseDelayMs = DEFAULT_BASE_DELAY_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS, beforeRetry, context = {} } = {}) {
+    const attempts = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const startedAt = new Date();
+        try {
+            const result = await operation(attempt);
+            attempts.push({ attempt, dateTime: startedAt, success: true });
+            return { result, attempts };
+        } catch (error) {
+            const classification = classifyError(error);
+            const isLastAttempt = attempt >= maxAttempts || !classification.retryable;
+            const delayMs = isLastAttempt ? null : getBackoffDelay(attempt, error, { baseDelayMs, maxDelayMs });
+
+            attempts.push({
+                attempt,
+                dateTime: startedAt,
+                success: false,
+                retryable: classification.retryable,
+                code: classification.code,
+                httpStatus: classification.httpStatus,
+                error: classification.message,
+                delayMs
+            });
+
+            if (isLastAttempt) {
+                error.attempts = attempts;
+                error.retryable = classification.retryable;
+                throw error;
+            }
+
+            logger.warn('RetryService: Retrying after transient failure', {
+                ...context,
+                attempt,
+                code: classification.code,
+                httpStatus: classification.httpStatus,
+                delayMs
+            });
+
+            await sleep(delayMs);
+            if (beforeRetry) {
+                await beforeRetry();
+            }
+        }
+    }
+}
+
+module.exports = {
+    classifyError,
+    getBackoffDelay,
+    executeWithRetry,
+    RETRYABLE_META_CODES
+};
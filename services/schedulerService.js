@@ -0,0 +1,464 @@
+const mongodbService = require('./mongodbService');
+const projectService = require('./projectService');
+const messageService = require('./messageService');
+const dispatchService = require('./dispatchService');
+const environment = require('../config/environment');
+const logger = require('../config/logger');
+
+const SCHEDULER_INTERVAL_MS = parseInt(environment.schedulerIntervalMs, 10) || 30000;
+const DEFAULT_TIMEZONE = 'UTC';
+
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/;
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+let intervalHandle = null;
+let tickRunning = false;
+
+/**
+ * Validate an IANA timezone name
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Offset in milliseconds between a timezone's wall clock and UTC at a given instant
+ */
+function getTimezoneOffsetMs(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).reduce((acc, part) => {
+        acc[part.type] = part.value;
+        return acc;
+    }, {});
+
+    const wallClockAsUtc = Date.UTC(
+        parseInt(parts.year, 10),
+        parseInt(parts.month, 10) - 1,
+        parseInt(parts.day, 10),
+        parseInt(parts.hour, 10),
+        parseInt(parts.minute, 10),
+        parseInt(parts.second, 10)
+    );
+
+    return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Resolve a scheduledAt value into a UTC Date.
+ * Timestamps with an offset (e.g. "2025-11-10T09:00:00-03:00" or "...Z") are used as is;
+ * local timestamps (e.g. "2025-11-10T09:00") are interpreted in the given timezone.
+ */
+function resolveScheduledAt(scheduledAt, timezone) {
+    const zone = timezone || DEFAULT_TIMEZONE;
+
+    if (!isValidTimezone(zone)) {
+        throw new Error(`Invalid input: unknown timezone "${zone}"`);
+    }
+
+    if (typeof scheduledAt !== 'string' || scheduledAt.trim() === '') {
+        throw new Error('Invalid input: scheduledAt must be an ISO 8601 date-time string');
+    }
+
+    const value = scheduledAt.trim();
+
+    if (OFFSET_PATTERN.test(value)) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error('Invalid input: scheduledAt must be an ISO 8601 date-time string');
+        }
+        return date;
+    }
+
+    const match = value.match(LOCAL_DATE_TIME_PATTERN);
+    if (!match) {
+        throw new Error('Invalid input: scheduledAt must be an ISO 8601 date-time string');
+    }
+
+    const [, year, month, day, hour, minute, second = '0', millisecond = '0'] = match;
+    const wallClockAsUtc = Date.UTC(
+        parseInt(year, 10),
+        parseInt(month, 10) - 1,
+        parseInt(day, 10),
+        parseInt(hour, 10),
+        parseInt(minute, 10),
+        parseInt(second, 10),
+        parseInt(millisecond.padEnd(3, '0'), 10)
+    );
+
+    // Re-check the offset at the resolved instant so DST transitions land on the right hour
+    let offset = getTimezoneOffsetMs(new Date(wallClockAsUtc), zone);
+    let resolved = wallClockAsUtc - offset;
+    const resolvedOffset = getTimezoneOffsetMs(new Date(resolved), zone);
+    if (resolvedOffset !== offset) {
+        offset = resolvedOffset;
+        resolved = wallClockAsUtc - offset;
+    }
+
+    return new Date(resolved);
+}
+
+/**
+ * Validate scheduling input and return the normalized schedule
+ */
+function buildSchedule(scheduledAt, timezone) {
+    const date = resolveScheduledAt(scheduledAt, timezone);
+
+    if (date.getTime() <= Date.now()) {
+        throw new Error('Invalid input: scheduledAt must be in the future');
+    }
+
+    return { scheduledAt: date, timezone: timezone || DEFAULT_TIMEZONE };
+}
+
+async function getCampaignsCollection(projectId) {
+    const campaignsDb = await mongodbService.getDbConnection(environment.mongoCampaignsDbName);
+    return campaignsDb.collection(projectId.toString());
+}
+
+function toObjectId(campaignId) {
+    if (typeof campaignId !== 'string') {
+        return campaignId;
+    }
+    if (!mongodbService.ObjectId.isValid(campaignId)) {
+        throw new Error('Invalid input: campaignId is not a valid id');
+    }
+    return new mongodbService.ObjectId(campaignId);
+}
+
+/**
+ * List scheduled campaigns of a project, soonest first
+ */
+async function listScheduledCampaigns({ projectId }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const campaignsCollection = await getCampaignsCollection(projectId);
+        const campaigns = await campaignsCollection
+            .find({ status: 'scheduled' }, { projection: { results: 0, variablesList: 0 } })
+            .sort({ scheduledAt: 1 })
+            .toArray();
+
+        logger.info('SchedulerService: Scheduled campaigns fetched', { projectId, count: campaigns.length });
+        return campaigns;
+    } catch (error) {
+        logger.error('SchedulerService: Error listing scheduled campaigns', { error: error.message, projectId });
+        throw error;
+    }
+}
+
+/**
+ * Move a scheduled campaign to a new date
+ */
+async function rescheduleCampaign({ projectId, campaignId, scheduledAt, timezone }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const schedule = buildSchedule(scheduledAt, timezone);
+        const campaignsCollection = await getCampaignsCollection(projectId);
+
+        const campaign = await campaignsCollection.findOneAndUpdate(
+            { _id: toObjectId(campaignId), status: 'scheduled' },
+            { $set: { scheduledAt: schedule.scheduledAt, timezone: schedule.timezone } },
+            { returnDocument: 'after', projection: { results: 0, variablesList: 0 }, includeResultMetadata: false }
+        );
+
+        if (!campaign) {
+            throw new Error('Scheduled campaign not found');
+        }
+
+        logger.info('SchedulerService: Campaign rescheduled', { projectId, campaignId, scheduledAt: schedule.scheduledAt, timezone: schedule.timezone });
+        return campaign;
+    } catch (error) {
+        logger.error('SchedulerService: Error rescheduling campaign', { error: error.message, projectId, campaignId });
+        throw error;
+    }
+}
+
+/**
+ * Cancel a campaign that has not started yet, the same way as any other cancel, so its recipients are marked skipped
+ */
+async function cancelScheduledCampaign({ projectId, campaignId }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const campaignObjectId = toObjectId(campaignId);
+        try {
+            await messageService.cancelCampaign({ projectId, campaignId: campaignObjectId, statuses: ['scheduled'] });
+        } catch (error) {
+            if (error.message === 'Campaign not found' || error.message.startsWith('Campaign cannot be canceled')) {
+                throw new Error('Scheduled campaign not found');
+            }
+            throw error;
+        }
+
+        const campaignsCollection = await getCampaignsCollection(projectId);
+        const campaign = await campaignsCollection.findOne(
+            { _id: campaignObjectId },
+            { projection: { results: 0, variablesList: 0 } }
+        );
+
+        logger.info('SchedulerService: Scheduled campaign canceled', { projectId, campaignId });
+        return campaign;
+    } catch (error) {
+        logger.error('SchedulerService: Error canceling scheduled campaign', { error: error.message, projectId, campaignId });
+        throw error;
+    }
+}
+
+/**
+ * Sending credentials of the project owning a claimed campaign, or null (and the campaign failed) when the project is gone
+ */
+async function getProjectCredentials(projectId, campaign) {
+    const project = await projectService.getProjectById(projectId);
+
+    if (!project) {
+        const campaignsCollection = await getCampaignsCollection(projectId);
+        await campaignsCollection.updateOne(
+            { _id: campaign._id },
+            { $set: { status: 'failed', error: 'Project not found', completedAt: new Date() } }
+        );
+        logger.error('SchedulerService: Project not found for campaign', { projectId, _id: campaign._id });
+        return null;
+    }
+
+    return projectService.getSendingCredentials(project);
+}
+
+/**
+ * Claim a due campaign and hand it to the template dispatch flow
+ */
+async function startDueCampaign(projectId, campaign) {
+    const credentials = await getProjectCredentials(projectId, campaign);
+    if (!credentials) {
+        return;
+    }
+
+    logger.info('SchedulerService: Starting scheduled campaign', {
+        projectId,
+        _id: campaign._id,
+        campaignName: campaign.campaignName,
+        scheduledAt: campaign.scheduledAt
+    });
+
+    messageService.dispatchTemplateCampaign({
+        campaign,
+        ...credentials,
+        projectId,
+        senderEmail: campaign.senderEmail,
+        senderName: campaign.senderName
+    }).catch(error => {
+        logger.error('SchedulerService: Error dispatching scheduled campaign', {
+            projectId,
+            _id: campaign._id,
+            error: error.message,
+            stack: error.stack
+        });
+    });
+}
+
+/**
+ * Pick the winner of a claimed A/B test and send it to the recipients held back for it
+ */
+async function decideAbTest(projectId, campaign) {
+    const credentials = await getProjectCredentials(projectId, campaign);
+    if (!credentials) {
+        return;
+    }
+
+    logger.info('SchedulerService: Deciding A/B test winner', {
+        projectId,
+        _id: campaign._id,
+        campaignName: campaign.campaignName,
+        decideAt: campaign.abTest.decideAt
+    });
+
+    messageService.dispatchAbTestWinner({
+        campaign,
+        ...credentials,
+        projectId
+    }).catch(error => {
+        logger.error('SchedulerService: Error dispatching A/B test winner', {
+            projectId,
+            _id: campaign._id,
+            error: error.message,
+            stack: error.stack
+        });
+    });
+}
+
+/**
+ * Continue a claimed campaign whose dispatch stopped heartbeating, from the recipients still pending
+ */
+async function resumeStaleCampaign(projectId, campaign) {
+    const credentials = await getProjectCredentials(projectId, campaign);
+    if (!credentials) {
+        return;
+    }
+
+    // Stopped between the end of an A/B test phase and the winner's dispatch
+    const decidingWinner = campaign.abTest?.mode === 'winner' && !campaign.abTest.winner && Boolean(campaign.abTest.testCompletedAt);
+
+    logger.warn('SchedulerService: Resuming campaign left running', {
+        projectId,
+        _id: campaign._id,
+        campaignName: campaign.campaignName,
+        heartbeatAt: campaign.heartbeatAt,
+        decidingWinner
+    });
+
+    const dispatch = decidingWinner
+        ? messageService.dispatchAbTestWinner({ campaign, ...credentials, projectId })
+        : messageService.dispatchTemplateCampaign({
+            campaign,
+            ...credentials,
+            projectId,
+            senderEmail: campaign.senderEmail,
+            senderName: campaign.senderName
+        });
+
+    dispatch.catch(error => {
+        logger.error('SchedulerService: Error dispatching resumed campaign', {
+            projectId,
+            _id: campaign._id,
+            error: error.message,
+            stack: error.stack
+        });
+    });
+}
+
+/**
+ * Look for due scheduled campaigns, A/B tests ready for their winner and campaigns left running in every project collection
+ */
+async function tick() {
+    if (tickRunning) {
+        return;
+    }
+    tickRunning = true;
+
+    try {
+        const campaignsDb = await mongodbService.getDbConnection(environment.mongoCampaignsDbName);
+        const collections = await campaignsDb.listCollections({}, { nameOnly: true }).toArray();
+
+        for (const { name: projectId } of collections) {
+            if (projectId.startsWith('system.')) {
+                continue;
+            }
+
+            const campaignsCollection = campaignsDb.collection(projectId);
+
+            let campaign;
+            do {
+                // Campaigns from before the heartbeat have none, and count from when they started
+                const staleBefore = new Date(Date.now() - dispatchService.DISPATCH_LEASE_MS);
+                campaign = await campaignsCollection.findOneAndUpdate(
+                    {
+                        status: 'running',
+                        $or: [
+                            { heartbeatAt: { $lt: staleBefore } },
+                            { heartbeatAt: { $exists: false }, dateTime: { $lt: staleBefore } }
+                        ]
+                    },
+                    { $set: { heartbeatAt: new Date(), resumedAt: new Date() } },
+                    { returnDocument: 'after', includeResultMetadata: false }
+                );
+
+                if (campaign) {
+                    try {
+                        await resumeStaleCampaign(projectId, campaign);
+                    } catch (error) {
+                        logger.error('SchedulerService: Error resuming campaign left running', { projectId, _id: campaign._id, error: error.message });
+                    }
+                }
+            } while (campaign);
+
+            do {
+                // Atomic claim, so several app instances never start the same campaign twice
+                campaign = await campaignsCollection.findOneAndUpdate(
+                    { status: 'scheduled', scheduledAt: { $lte: new Date() } },
+                    { $set: { status: 'running', startedAt: new Date(), dateTime: new Date(), heartbeatAt: new Date() } },
+                    { sort: { scheduledAt: 1 }, returnDocument: 'after', includeResultMetadata: false }
+                );
+
+                if (campaign) {
+                    try {
+                        await startDueCampaign(projectId, campaign);
+                    } catch (error) {
+                        logger.error('SchedulerService: Error starting scheduled campaign', { projectId, _id: campaign._id, error: error.message });
+                    }
+                }
+            } while (campaign);
+
+            do {
+                campaign = await campaignsCollection.findOneAndUpdate(
+                    { status: 'awaiting_winner', 'abTest.decideAt': { $lte: new Date() } },
+                    { $set: { status: 'running', heartbeatAt: new Date() } },
+                    { sort: { 'abTest.decideAt': 1 }, returnDocument: 'after', includeResultMetadata: false }
+                );
+
+                if (campaign) {
+                    try {
+                        await decideAbTest(projectId, campaign);
+                    } catch (error) {
+                        logger.error('SchedulerService: Error deciding A/B test', { projectId, _id: campaign._id, error: error.message });
+                    }
+                }
+            } while (campaign);
+        }
+    } catch (error) {
+        logger.error('SchedulerService: Error in scheduler tick', { error: error.message, stack: error.stack });
+    } finally {
+        tickRunning = false;
+    }
+}
+
+/**
+ * Start the scheduler loop. Schedules live in MongoDB, so campaigns due while the app was down start on the first tick.
+ */
+function start() {
+    if (intervalHandle) {
+        return;
+    }
+
+    intervalHandle = setInterval(tick, SCHEDULER_INTERVAL_MS);
+    tick();
+    logger.info('SchedulerService: Scheduler started', { intervalMs: SCHEDULER_INTERVAL_MS });
+}
+
+function stop() {
+    if (intervalHandle) {
+        clearInterval(intervalHandle);
+        intervalHandle = null;
+        logger.info('SchedulerService: Scheduler stopped');
+    }
+}
+
+module.exports = {
+    start,
+    stop,
+    tick,
+    isValidTimezone,
+    resolveScheduledAt,
+    buildSchedule,
+    listScheduledCampaigns,
+    rescheduleCampaign,
+    cancelScheduledCampaign
+};
@@ -0,0 +1,398 @@
+const mongodbService = require('./mongodbService');
+const contactService = require('./contactService');
+const phoneService = require('./phoneService');
+const environment = require('../config/environment');
+const logger = require('../config/logger');
+
+const SEGMENTS_DB_NAME = environment.mongoSegmentsDbName;
+const ATTRIBUTE_OPERATORS = ['eq', 'ne', 'in', 'nin', 'exists', 'notExists', 'gt', 'gte', 'lt', 'lte', 'contains'];
+const BEHAVIOR_TYPES = ['read', 'replied', 'failed'];
+const NAME_MAX_LENGTH = 100;
+
+const indexedCollections = new Set();
+
+async function getSegmentsCollection(projectId) {
+    const segmentsDb = await mongodbService.getDbConnection(SEGMENTS_DB_NAME);
+    const projectIdString = projectId.toString();
+    const segmentsCollection = segmentsDb.collection(projectIdString);
+
+    if (!indexedCollections.has(projectIdString)) {
+        await segmentsCollection.createIndex({ name: 1 }, { unique: true });
+        indexedCollections.add(projectIdString);
+    }
+
+    return segmentsCollection;
+}
+
+function toSegmentObjectId(segmentId) {
+    if (segmentId instanceof mongodbService.ObjectId) {
+        return segmentId;
+    }
+    if (typeof segmentId !== 'string' || !mongodbService.ObjectId.isValid(segmentId)) {
+        throw new Error('Invalid input: segmentId is not a valid id');
+    }
+    return new mongodbService.ObjectId(segmentId);
+}
+
+function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function sanitizeTagList(tags, field) {
+    if (tags === undefined || tags === null) {
+        return [];
+    }
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || tag.trim() === '')) {
+        throw new Error(`Invalid input: ${field} must be an array of tags`);
+    }
+    return [...new Set(tags.map(tag => tag.trim()))];
+}
+
+function sanitizeAttributeCondition(condition, idx) {
+    const field = `filters.attributes[${idx}]`;
+    if (!condition || typeof condition !== 'object') {
+        throw new Error(`Invalid input: ${field} must be an object with key, operator and value`);
+    }
+
+    const { key, operator = 'eq', value } = condition;
+    if (typeof key !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]{0,63}$/.test(key)) {
+        throw new Error(`Invalid input: ${field}.key is not a valid attribute name`);
+    }
+    if (!ATTRIBUTE_OPERATORS.includes(operator)) {
+        throw new Error(`Invalid input: ${field}.operator must be one of ${ATTRIBUTE_OPERATORS.join(', ')}`);
+    }
+    if (['in', 'nin'].includes(operator) && !Array.isArray(value)) {
+        throw new Error(`Invalid input: ${field}.value must be an array for operator ${operator}`);
+    }
+    if (operator === 'contains' && (typeof value !== 'string' || value === '')) {
+        throw new Error(`Invalid input: ${field}.value must be a non-empty string for operator contains`);
+    }
+    if (!['in', 'nin', 'exists', 'notExists', 'contains'].includes(operator) && (value === undefined || (value !== null && typeof value === 'object'))) {
+        throw new Error(`Invalid input: ${field}.value must be a string, number, boolean or null`);
+    }
+
+    return ['exists', 'notExists'].includes(operator) ? { key, operator } : { key, operator, value };
+}
+
+function sanitizeBehaviorCondition(condition, idx) {
+    const field = `filters.behavior[${idx}]`;
+    if (!condition || typeof condition !== 'object') {
+        throw new Error(`Invalid input: ${field} must be an object with type`);
+    }
+    if (!BEHAVIOR_TYPES.includes(condition.type)) {
+        throw new Error(`Invalid input: ${field}.type must be one of ${BEHAVIOR_TYPES.join(', ')}`);
+    }
+
+    const sanitized = { type: condition.type };
+    if (condition.campaignId !== undefined && condition.campaignId !== null) {
+        if (!mongodbService.ObjectId.isValid(String(condition.campaignId))) {
+            throw new Error(`Invalid input: ${field}.campaignId is not a valid id`);
+        }
+        sanitized.campaignId = String(condition.campaignId);
+    }
+    if (condition.withinDays !== undefined && condition.withinDays !== null) {
+        const withinDays = Number(condition.withinDays);
+        if (!Number.isInteger(withinDays) || withinDays < 1) {
+            throw new Error(`Invalid input: ${field}.withinDays must be a positive integer`);
+        }
+        sanitized.withinDays = withinDays;
+    }
+    return sanitized;
+}
+
+/**
+ * Validate a segment definition:
+ * { tags: all of, anyTags: at least one of, excludeTags: none of,
+ *   attributes: [{ key, operator, value }], behavior: [{ type: read | replied | failed, campaignId, withinDays }] }
+ * Every condition must hold for a contact to be in the segment.
+ */
+function sanitizeFilters(filters) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+        throw new Error('Invalid input: filters must be an object');
+    }
+    if (filters.attributes !== undefined && !Array.isArray(filters.attributes)) {
+        throw new Error('Invalid input: filters.attributes must be an array');
+    }
+    if (filters.behavior !== undefined && !Array.isArray(filters.behavior)) {
+        throw new Error('Invalid input: filters.behavior must be an array');
+    }
+
+    return {
+        tags: sanitizeTagList(filters.tags, 'filters.tags'),
+        anyTags: sanitizeTagList(filters.anyTags, 'filters.anyTags'),
+        excludeTags: sanitizeTagList(filters.excludeTags, 'filters.excludeTags'),
+        attributes: (filters.attributes || []).map(sanitizeAttributeCondition),
+        behavior: (filters.behavior || []).map(sanitizeBehaviorCondition)
+    };
+}
+
+function buildAttributeQuery({ key, operator, value }) {
+    switch (operator) {
+        case 'eq':
+            return { $eq: value };
+        case 'ne':
+            return { $ne: value };
+        case 'in':
+            return { $in: value };
+        case 'nin':
+            return { $nin: value };
+        case 'exists':
+            return { $exists: true };
+        case 'notExists':
+            return { $exists: false };
+        case 'contains':
+            return { $regex: escapeRegex(value), $options: 'i' };
+        default:
+            return { [`$${operator}`]: value };
+    }
+}
+
+/**
+ * Contacts query for the tag and attribute conditions of a segment
+ */
+function buildContactQuery(filters) {
+    const conditions = [];
+    if (filters.tags.length > 0) {
+        conditions.push({ tags: { $all: filters.tags } });
+    }
+    if (filters.anyTags.length > 0) {
+        conditions.push({ tags: { $in: filters.anyTags } });
+    }
+    if (filters.excludeTags.length > 0) {
+        conditions.push({ tags: { $nin: filters.excludeTags } });
+    }
+    filters.attributes.forEach(condition => {
+        conditions.push({ [`attributes.${condition.key}`]: buildAttributeQuery(condition) });
+    });
+    return conditions.length > 0 ? { $and: conditions } : {};
+}
+
+// Campaign results counting as each behavior; a reply implies the message was read
+const BEHAVIOR_RESULT_FILTERS = {
+    read: { $or: [{ 'results.readDateTime': { $exists: true } }, { 'results.answers.0': { $exists: true } }] },
+    replied: { 'results.answers.0': { $exists: true } },
+    failed: { $or: [{ 'results.status': 'failed' }, { 'results.success': false }] }
+};
+
+/**
+ * Phone numbers (with their Brazilian 9th digit variants) whose campaign results show a behavior
+ */
+async function findBehaviorPhoneNumbers(projectId, { type, campaignId, withinDays }) {
+    const campaignMatch = {};
+    if (campaignId) {
+        campaignMatch._id = new mongodbService.ObjectId(campaignId);
+    }
+    if (withinDays) {
+        campaignMatch.dateTime = { $gte: new Date(Date.now() - withinDays * 24 * 60 * 60 * 1000) };
+    }
+
+    const campaignsDb = await mongodbService.getDbConnection(environment.mongoCampaignsDbName);
+    const rows = await campaignsDb.collection(projectId.toString()).aggregate([
+        { $match: campaignMatch },
+        { $project: { results: 1 } },
+        { $unwind: '$results' },
+        { $match: BEHAVIOR_RESULT_FILTERS[type] },
+        { $group: { _id: '$results.phoneNumber' } }
+    ]).toArray();
+
+    return new Set(rows.flatMap(row => phoneService.getPhoneNumberVariants(row._id)));
+}
+
+/**
+ * Full contacts query of a segment, behavior conditions resolved into the phone numbers that match all of them
+ */
+async function resolveSegmentQuery(projectId, filters) {
+    const query = buildContactQuery(filters);
+    if (filters.behavior.length === 0) {
+        return query;
+    }
+
+    let phoneNumbers = null;
+    for (const condition of filters.behavior) {
+        const matching = await findBehaviorPhoneNumbers(projectId, condition);
+        phoneNumbers = phoneNumbers ? new Set([...phoneNumbers].filter(phoneNumber => matching.has(phoneNumber))) : matching;
+    }
+
+    return { $and: [...(query.$and || []), { phoneNumber: { $in: [...phoneNumbers] } }] };
+}
+
+function sanitizeName(name) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new Error('Invalid input: name is required');
+    }
+    if (name.trim().length > NAME_MAX_LENGTH) {
+        throw new Error(`Invalid input: name must be at most ${NAME_MAX_LENGTH} characters`);
+    }
+    return name.trim();
+}
+
+function isDuplicateKeyError(error) {
+    return error.code === 11000;
+}
+
+async function createSegment({ projectId, name, description, filters, createdBy }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const now = new Date();
+        const segment = {
+            name: sanitizeName(name),
+            description: description || null,
+            filters: sanitizeFilters(filters),
+            createdBy: createdBy || null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const segmentsCollection = await getSegmentsCollection(projectId);
+        const result = await segmentsCollection.insertOne(segment);
+
+        logger.info('SegmentService: Segment created', { projectId, segmentId: result.insertedId, name: segment.name });
+        return { _id: result.insertedId, ...segment };
+    } catch (error) {
+        if (isDuplicateKeyError(error)) {
+            error.message = `Invalid input: a segment named "${name}" already exists`;
+        }
+        logger.error('SegmentService: Error creating segment', { error: error.message, projectId });
+        throw error;
+    }
+}
+
+async function listSegments({ projectId, limit, skip }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const pageSize = Math.min(parseInt(limit, 10) || 100, 1000);
+        const offset = parseInt(skip, 10) || 0;
+        const segmentsCollection = await getSegmentsCollection(projectId);
+
+        const [segments, total] = await Promise.all([
+            segmentsCollection.find({}).sort({ name: 1 }).skip(offset).limit(pageSize).toArray(),
+            segmentsCollection.countDocuments({})
+        ]);
+
+        logger.info('SegmentService: Segments fetched', { projectId, count: segments.length, total });
+        return { total, limit: pageSize, skip: offset, segments };
+    } catch (error) {
+        logger.error('SegmentService: Error listing segments', { error: error.message, projectId });
+        throw error;
+    }
+}
+
+async function getSegment({ projectId, segmentId }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const segmentsCollection = await getSegmentsCollection(projectId);
+        const segment = await segmentsCollection.findOne({ _id: toSegmentObjectId(segmentId) });
+
+        if (!segment) {
+            throw new Error('Segment not found');
+        }
+        return segment;
+    } catch (error) {
+        logger.error('SegmentService: Error getting segment', { error: error.message, projectId, segmentId });
+        throw error;
+    }
+}
+
+async function updateSegment({ projectId, segmentId, name, description, filters }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const update = { updatedAt: new Date() };
+        if (name !== undefined) {
+            update.name = sanitizeName(name);
+        }
+        if (description !== undefined) {
+            update.description = description || null;
+        }
+        if (filters !== undefined) {
+            update.filters = sanitizeFilters(filters);
+        }
+
+        const segmentsCollection = await getSegmentsCollection(projectId);
+        const segment = await segmentsCollection.findOneAndUpdate(
+            { _id: toSegmentObjectId(segmentId) },
+            { $set: update },
+            { returnDocument: 'after', includeResultMetadata: false }
+        );
+
+        if (!segment) {
+            throw new Error('Segment not found');
+        }
+
+        logger.info('SegmentService: Segment updated', { projectId, segmentId });
+        return segment;
+    } catch (error) {
+        if (isDuplicateKeyError(error)) {
+            error.message = `Invalid input: a segment named "${name}" already exists`;
+        }
+        logger.error('SegmentService: Error updating segment', { error: error.message, projectId, segmentId });
+        throw error;
+    }
+}
+
+async function deleteSegment({ projectId, segmentId }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const segmentsCollection = await getSegmentsCollection(projectId);
+        const result = await segmentsCollection.deleteOne({ _id: toSegmentObjectId(segmentId) });
+
+        if (result.deletedCount === 0) {
+            throw new Error('Segment not found');
+        }
+
+        logger.info('SegmentService: Segment deleted', { projectId, segmentId });
+        return { _id: segmentId, deleted: true };
+    } catch (error) {
+        logger.error('SegmentService: Error deleting segment', { error: error.message, projectId, segmentId });
+        throw error;
+    }
+}
+
+/**
+ * Contacts currently in a segment, paginated. Segments are evaluated when read, so members change with the contacts.
+ */
+async function getSegmentContacts({ projectId, segmentId, limit, skip }) {
+    const segment = await getSegment({ projectId, segmentId });
+    const filter = await resolveSegmentQuery(projectId, segment.filters);
+    const page = await contactService.listContacts({ projectId, filter, limit, skip });
+    return { segmentId: segment._id, segmentName: segment.name, ...page };
+}
+
+/**
+ * Every contact of a segment, to send a campaign to
+ * @returns {Promise<{ segment: Object, contacts: Object[] }>}
+ */
+async function resolveSegmentContacts({ projectId, segmentId }) {
+    const segment = await getSegment({ projectId, segmentId });
+    const filter = await resolveSegmentQuery(projectId, segment.filters);
+    const contacts = await contactService.findContacts(projectId, filter);
+
+    logger.info('SegmentService: Segment resolved', { projectId, segmentId, contacts: contacts.length });
+    return { segment, contacts };
+}
+
+module.exports = {
+    createSegment,
+    listSegments,
+    getSegment,
+    updateSegment,
+    deleteSegment,
+    getSegmentContacts,
+    resolveSegmentContacts,
+    sanitizeFilters,
+    buildContactQuery
+};
@@ -0,0 +1,312 @@
+const mongodbService = require('./mongodbService');
+const projectService = require('./projectService');
+const phoneService = require('./phoneService');
+const environment = require('../config/environment');
+const logger = require('../config/logger');
+
+const SUPPRESSION_DB_NAME = environment.mongoSuppressionDbName;
+const DEFAULT_OPT_OUT_KEYWORDS = ['SAIR', 'STOP', 'PARAR', 'CANCELAR', 'DESCADASTRAR', 'UNSUBSCRIBE'];
+const SUPPRESSION_REASONS = ['manual', 'import', 'keyword'];
+
+const indexedCollections = new Set();
+
+async function getSuppressionCollection(projectId) {
+    const suppressionDb = await mongodbService.getDbConnection(SUPPRESSION_DB_NAME);
+    const projectIdString = projectId.toString();
+    const suppressionCollection = suppressionDb.collection(projectIdString);
+
+    if (!indexedCollections.has(projectIdString)) {
+        await suppressionCollection.createIndex({ phoneNumber: 1 }, { unique: true });
+        indexedCollections.add(projectIdString);
+    }
+
+    return suppressionCollection;
+}
+
+/**
+ * Uppercase and strip accents and punctuation, so "Sair!" and "sáir" both match SAIR
+ */
+function normalizeKeyword(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toUpperCase();
+}
+
+/**
+ * Opt-out keywords configured for a project, or the defaults
+ */
+function getOptOutKeywords(project) {
+    const keywords = projectService.getWhatsAppIntegration(project).optOutKeywords;
+    return Array.isArray(keywords) && keywords.length > 0 ? keywords : DEFAULT_OPT_OUT_KEYWORDS;
+}
+
+/**
+ * Return the keyword an inbound text matches, or null. The whole message must be the keyword.
+ */
+function matchOptOutKeyword(messageText, keywords) {
+    const normalizedText = normalizeKeyword(messageText);
+    if (!normalizedText) {
+        return null;
+    }
+    return keywords.find(keyword => normalizeKeyword(keyword) === normalizedText) || null;
+}
+
+async function listSuppressions({ projectId, phoneNumber, reason, limit, skip, defaultCountry }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const suppressionCollection = await getSuppressionCollection(projectId);
+        const query = {};
+        if (phoneNumber) {
+            query.phoneNumber = phoneService.toLookupKey(phoneNumber, defaultCountry);
+        }
+        if (reason) {
+            query.reason = reason;
+        }
+
+        const pageSize = Math.min(parseInt(limit, 10) || 100, 1000);
+        const offset = parseInt(skip, 10) || 0;
+
+        const [suppressions, total] = await Promise.all([
+            suppressionCollection.find(query).sort({ createdAt: -1 }).skip(offset).limit(pageSize).toArray(),
+            suppressionCollection.countDocuments(query)
+        ]);
+
+        logger.info('SuppressionService: Suppressions fetched', { projectId, count: suppressions.length, total });
+        return { total, limit: pageSize, skip: offset, suppressions };
+    } catch (error) {
+        logger.error('SuppressionService: Error listing suppressions', { error: error.message, projectId });
+        throw error;
+    }
+}
+
+async function getSuppression({ projectId, phoneNumber, defaultCountry }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const suppressionCollection = await getSuppressionCollection(projectId);
+        const suppression = await suppressionCollection.findOne({ phoneNumber: phoneService.toLookupKey(phoneNumber, defaultCountry) });
+
+        if (!suppression) {
+            throw new Error('Suppression not found');
+        }
+        return suppression;
+    } catch (error) {
+        logger.error('SuppressionService: Error getting suppression', { error: error.message, projectId, phoneNumber });
+        throw error;
+    }
+}
+
+/**
+ * Add a number to the suppression list. Adding a number twice keeps the original entry.
+ */
+async function addSuppression({ projectId, phoneNumber, reason = 'manual', note, keyword, messageId, createdBy, defaultCountry }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+        if (!SUPPRESSION_REASONS.includes(reason)) {
+            throw new Error(`Invalid input: reason must be one of ${SUPPRESSION_REASONS.join(', ')}`);
+        }
+
+        const normalized = phoneService.normalizePhoneNumber(phoneNumber, defaultCountry);
+        const suppressionCollection = await getSuppressionCollection(projectId);
+
+        const entry = {
+            phoneNumber: normalized,
+            reason,
+            note: note || null,
+            createdBy: createdBy || null,
+            createdAt: new Date()
+        };
+        if (keyword) {
+            entry.keyword = keyword;
+            entry.messageId = messageId || null;
+        }
+
+        const result = await suppressionCollection.findOneAndUpdate(
+            { phoneNumber: normalized },
+            { $setOnInsert: entry },
+            { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+        );
+
+        const created = !result.lastErrorObject?.updatedExisting;
+        logger.info('SuppressionService: Phone number suppressed', { projectId, phoneNumber: normalized, reason, created });
+        return { ...result.value, created };
+    } catch (error) {
+        logger.error('SuppressionService: Error adding suppression', { error: error.message, projectId, phoneNumber });
+        throw error;
+    }
+}
+
+/**
+ * Add many numbers at once. Invalid numbers are reported and the rest are imported.
+ */
+async function importSuppressions({ projectId, phoneNumbers, reason = 'import', note, createdBy, defaultCountry }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+        if (!Array.isArray(phoneNumbers) || phoneNumbers.length === 0) {
+            throw new Error('Invalid input: phoneNumbers must be a non-empty array');
+        }
+
+        const normalizedResult = phoneService.normalizePhoneNumbers(phoneNumbers, defaultCountry);
+        const normalizedNumbers = new Set(normalizedResult.phoneNumbers.filter(Boolean));
+        const invalid = normalizedResult.invalid.map(({ phoneNumber, reason: invalidReason }) => ({ phoneNumber, reason: invalidReason }));
+
+        let inserted = 0;
+        if (normalizedNumbers.size > 0) {
+            const suppressionCollection = await getSuppressionCollection(projectId);
+            const createdAt = new Date();
+            const result = await suppressionCollection.bulkWrite(
+                [...normalizedNumbers].map(phoneNumber => ({
+                    updateOne: {
+                        filter: { phoneNumber },
+                        update: { $setOnInsert: { phoneNumber, reason, note: note || null, createdBy: createdBy || null, createdAt } },
+                        upsert: true
+                    }
+                })),
+                { ordered: false }
+            );
+            inserted = result.upsertedCount;
+        }
+
+        const summary = {
+            received: phoneNumbers.length,
+            inserted,
+            alreadySuppressed: normalizedNumbers.size - inserted,
+            invalid
+        };
+
+        logger.info('SuppressionService: Suppressions imported', { projectId, ...summary, invalid: invalid.length });
+        return summary;
+    } catch (error) {
+        logger.error('SuppressionService: Error importing suppressions', { error: error.message, projectId });
+        throw error;
+    }
+}
+
+async function removeSuppression({ projectId, phoneNumber, defaultCountry }) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        const suppressionCollection = await getSuppressionCollection(projectId);
+        const normalized = phoneService.toLookupKey(phoneNumber, defaultCountry);
+        const result = await suppressionCollection.deleteOne({ phoneNumber: normalized });
+
+        if (result.deletedCount === 0) {
+            throw new Error('Suppression not found');
+        }
+
+        logger.info('SuppressionService: Suppression removed', { projectId, phoneNumber });
+        return { phoneNumber: normalized, removed: true };
+    } catch (error) {
+        logger.error('SuppressionService: Error removing suppression', { error: error.message, projectId, phoneNumber });
+        throw error;
+    }
+}
+
+/**
+ * Return the subset of the given numbers that are suppressed, as they were given
+ */
+async function findSuppressedNumbers(projectId, phoneNumbers) {
+    if (!projectId || !phoneNumbers || phoneNumbers.length === 0) {
+        return new Set();
+    }
+
+    const suppressionCollection = await getSuppressionCollection(projectId);
+    const normalizedNumbers = [...new Set(phoneNumbers.map(phoneNumber => phoneService.toLookupKey(phoneService.toInternational(phoneNumber))))];
+    const suppressed = await suppressionCollection
+        .find({ phoneNumber: { $in: normalizedNumbers } }, { projection: { phoneNumber: 1 } })
+        .toArray();
+    const suppressedSet = new Set(suppressed.map(entry => entry.phoneNumber));
+
+    return new Set(phoneNumbers.filter(phoneNumber => suppressedSet.has(phoneService.toLookupKey(phoneService.toInternational(phoneNumber)))));
+}
+
+async function isSuppressed(projectId, phoneNumber) {
+    const suppressed = await findSuppressedNumbers(projectId, [phoneNumber]);
+    return suppressed.size > 0;
+}
+
+/**
+ * Suppress the sender of an inbound message whose text is one of the project's opt-out keywords
+ * @returns {Promise<Object|null>} The suppression entry, or null when the text is not an opt-out keyword
+ */
+async function applyOptOutKeyword({ projectId, project, phoneNumber, messageText, messageId }) {
+    const keyword = matchOptOutKeyword(messageText, getOptOutKeywords(project));
+    if (!keyword) {
+        return null;
+    }
+
+    logger.info('SuppressionService: Opt-out keyword received', { projectId, phoneNumber, keyword, messageId });
+    return addSuppression({ projectId, phoneNumber: phoneService.toInternational(phoneNumber), reason: 'keyword', keyword, messageId, defaultCountry: phoneService.getDefaultCountry(project) });
+}
+
+async function getOptOutSettings({ projectId }) {
+    try {
+        const project = await projectService.getProjectById(projectId);
+        if (!project) {
+            throw new Error('Project not found');
+        }
+
+        const configured = projectService.getWhatsAppIntegration(project).optOutKeywords;
+        return {
+            keywords: getOptOutKeywords(project),
+            isDefault: !Array.isArray(configured) || configured.length === 0
+        };
+    } catch (error) {
+        logger.error('SuppressionService: Error getting opt-out keywords', { error: error.message, projectId });
+        throw error;
+    }
+}
+
+/**
+ * Replace the project's opt-out keywords. An empty list restores the defaults.
+ */
+async function setOptOutKeywords({ projectId, keywords }) {
+    try {
+        if (!Array.isArray(keywords) || keywords.some(keyword => typeof keyword !== 'string' || !normalizeKeyword(keyword))) {
+            throw new Error('Invalid input: keywords must be an array of non-empty strings');
+        }
+
+        const uniqueKeywords = [...new Set(keywords.map(keyword => keyword.trim()))];
+        const updated = await projectService.updateWhatsAppIntegration(projectId, { optOutKeywords: uniqueKeywords });
+        if (!updated) {
+            throw new Error('Project not found');
+        }
+
+        logger.info('SuppressionService: Opt-out keywords updated', { projectId, keywords: uniqueKeywords });
+        return { keywords: uniqueKeywords.length > 0 ? uniqueKeywords : DEFAULT_OPT_OUT_KEYWORDS, isDefault: uniqueKeywords.length === 0 };
+    } catch (error) {
+        logger.error('SuppressionService: Error updating opt-out keywords', { error: error.message, projectId });
+        throw error;
+    }
+}
+
+module.exports = {
+    listSuppressions,
+    getSuppression,
+    addSuppression,
+    importSuppressions,
+    removeSuppression,
+    findSuppressedNumbers,
+    isSuppressed,
+    applyOptOutKeyword,
+    matchOptOutKeyword,
+    normalizeKeyword,
+    getOptOutSettings,
+    setOptOutKeywords,
+    DEFAULT_OPT_OUT_KEYWORDS
+};
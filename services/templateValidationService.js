@@ -0,0 +1,239 @@
+const templateService = require('./templateService');
+const phoneService = require('./phoneService');
+const logger = require('../config/logger');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}\s]+)\s*\}\}/g;
+const MEDIA_HEADER_FORMATS = ['IMAGE', 'VIDEO', 'DOCUMENT'];
+const TEMPLATE_FIELDS = 'name,language,status,category,parameter_format,components';
+
+/**
+ * Unique placeholders of a template text, in order of appearance
+ */
+function extractPlaceholders(text) {
+    const placeholders = [];
+    for (const match of (text || '').matchAll(PLACEHOLDER_PATTERN)) {
+        if (!placeholders.includes(match[1])) {
+            placeholders.push(match[1]);
+        }
+    }
+    return placeholders;
+}
+
+/**
+ * Fetch a template definition from Meta by name and language
+ */
+async function getTemplateDefinition({ wabaId, apiToken, name, language }) {
+    const response = await templateService.listTemplates({ wabaId, apiToken, name, language, fields: TEMPLATE_FIELDS });
+    const template = (response?.data || []).find(item => item.name === name && item.language === language);
+
+    if (!template) {
+        throw new Error(`Invalid input: template "${name}" with language "${language}" was not found`);
+    }
+
+    return template;
+}
+
+/**
+ * Describe the parameters a template expects
+ */
+function analyzeTemplate(template) {
+    const parameterFormat = (template.parameter_format || 'POSITIONAL').toUpperCase();
+    const components = template.components || [];
+    const headerComponent = components.find(component => component.type === 'HEADER');
+    const bodyComponent = components.find(component => component.type === 'BODY');
+    const buttonsComponent = components.find(component => component.type === 'BUTTONS');
+
+    const header = headerComponent
+        ? {
+            format: headerComponent.format || 'TEXT',
+            placeholders: headerComponent.format === 'TEXT' || !headerComponent.format ? extractPlaceholders(headerComponent.text) : []
+        }
+        : null;
+
+    const body = { placeholders: extractPlaceholders(bodyComponent?.text) };
+
+    const buttons = (buttonsComponent?.buttons || []).map((button, index) => ({
+        index,
+        type: button.type,
+        requiresParameter: (button.type === 'URL' && extractPlaceholders(button.url).length > 0) || button.type === 'COPY_CODE'
+    }));
+
+    return {
+        name: template.name,
+        language: template.language,
+        status: template.status,
+        category: template.category,
+        parameterFormat,
+        header,
+        body,
+        buttons
+    };
+}
+
+/**
+ * Check text parameters against the placeholders of a header or body component
+ */
+function validateTextParameters(spec, parameters, field, parameterFormat, errors) {
+    const expected = spec.placeholders;
+
+    if (parameters.length !== expected.length) {
+        errors.push(`${field} expects ${expected.length} parameter(s) but received ${parameters.length}`);
+    }
+
+    parameters.forEach((parameter, idx) => {
+        if (parameter.type !== 'text') {
+            errors.push(`${field}.parameters[${idx}] must be of type text`);
+        } else if (typeof parameter.text !== 'string' || parameter.text.trim() === '') {
+            errors.push(`${field}.parameters[${idx}].text is empty`);
+        }
+    });
+
+    if (parameterFormat === 'NAMED') {
+        const received = parameters.map(parameter => parameter.parameter_name);
+        const missing = expected.filter(name => !received.includes(name));
+        const unknown = received.filter(name => !expected.includes(name));
+        if (missing.length > 0) {
+            errors.push(`${field} is missing named parameter(s): ${missing.join(', ')}`);
+        }
+        if (unknown.length > 0) {
+            errors.push(`${field} has unknown named parameter(s): ${unknown.map(name => name || '(none)').join(', ')}`);
+        }
+    }
+}
+
+/**
+ * Check a recipient's template components against the template definition
+ * @param {Object} spec - Result of analyzeTemplate
+ * @param {Array|Object} variables - Components sent for the recipient
+ * @returns {string[]} Validation errors
+ */
+function validateComponents(spec, variables) {
+    const errors = [];
+    const isEmptyObject = variables && !Array.isArray(variables) && typeof variables === 'object' && Object.keys(variables).length === 0;
+    const components = !variables || isEmptyObject ? [] : variables;
+
+    if (!Array.isArray(components)) {
+        return ['variables must be an array of template components'];
+    }
+
+    const headerComponent = components.find(component => component.type === 'header');
+    const bodyComponent = components.find(component => component.type === 'body');
+    const buttonComponents = components.filter(component => component.type === 'button');
+
+    // Header
+    if (spec.header && MEDIA_HEADER_FORMATS.includes(spec.header.format)) {
+        const mediaType = spec.header.format.toLowerCase();
+        const parameter = headerComponent?.parameters?.[0];
+        if (!parameter) {
+            errors.push(`header requires a parameter of type ${mediaType}`);
+        } else if (parameter.type !== mediaType) {
+            errors.push(`header parameter must be of type ${mediaType} but received ${parameter.type}`);
+        } else if (!parameter[mediaType]?.link && !parameter[mediaType]?.id) {
+            errors.push(`header ${mediaType} requires a link or an id`);
+        }
+    } else if (spec.header && spec.header.format === 'LOCATION') {
+        const parameter = headerComponent?.parameters?.[0];
+        if (!parameter || parameter.type !== 'location' || parameter.location?.latitude === undefined || parameter.location?.longitude === undefined) {
+            errors.push('header requires a location parameter with latitude and longitude');
+        }
+    } else if (spec.header && spec.header.placeholders.length > 0) {
+        validateTextParameters(spec.header, headerComponent?.parameters || [], 'header', spec.parameterFormat, errors);
+    } else if (headerComponent) {
+        errors.push('header has no parameters in the template but a header component was sent');
+    }
+
+    // Body
+    if (spec.body.placeholders.length > 0 || bodyComponent) {
+        validateTextParameters(spec.body, bodyComponent?.parameters || [], 'body', spec.parameterFormat, errors);
+    }
+
+    // Buttons
+    spec.buttons.filter(button => button.requiresParameter).forEach(button => {
+        const component = buttonComponents.find(item => String(item.index) === String(button.index));
+        const expectedSubType = button.type === 'URL' ? 'url' : 'copy_code';
+        if (!component) {
+            errors.push(`button ${button.index} (${button.type}) requires a parameter`);
+        } else if (component.sub_type !== expectedSubType) {
+            errors.push(`button ${button.index} sub_type must be ${expectedSubType}`);
+        } else if (!component.parameters || component.parameters.length !== 1) {
+            errors.push(`button ${button.index} expects exactly 1 parameter`);
+        }
+    });
+
+    buttonComponents.forEach(component => {
+        if (!spec.buttons.some(button => String(button.index) === String(component.index))) {
+            errors.push(`button ${component.index} does not exist in the template`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validate a campaign against its template without sending anything
+ * @returns {Promise<Object>} Template summary and per-recipient validation report
+ */
+async function validateCampaign({ wabaId, apiToken, template_name, language, phone_messages, defaultCountry, mergeErrors = [] }) {
+    try {
+        const template = await getTemplateDefinition({ wabaId, apiToken, name: template_name, language });
+        const spec = analyzeTemplate(template);
+        const warnings = [];
+
+        if (spec.status && spec.status !== 'APPROVED') {
+            warnings.push(`template status is ${spec.status}; Meta only delivers APPROVED templates`);
+        }
+
+        const recipients = phone_messages.map((message, index) => {
+            const errors = [];
+            const parsedPhone = phoneService.parsePhoneNumber(message.phone_number, defaultCountry);
+            if (!parsedPhone.valid) {
+                errors.push(`phone number "${message.phone_number ?? ''}" is invalid (${parsedPhone.reason})`);
+            }
+            errors.push(...(mergeErrors.find(mergeError => mergeError.index === index)?.errors || []));
+            errors.push(...validateComponents(spec, message.variables));
+
+            return {
+                index,
+                phoneNumber: message.phone_number || null,
+                normalizedPhoneNumber: parsedPhone.valid ? parsedPhone.phoneNumber : null,
+                valid: errors.length === 0,
+                errors
+            };
+        });
+
+        const valid = recipients.filter(recipient => recipient.valid).length;
+
+        logger.info('TemplateValidationService: Campaign validated', {
+            templateName: template_name,
+            language,
+            total: recipients.length,
+            valid,
+            invalid: recipients.length - valid
+        });
+
+        return {
+            dryRun: true,
+            template: spec,
+            warnings,
+            total: recipients.length,
+            valid,
+            invalid: recipients.length - valid,
+            recipients
+        };
+    } catch (error) {
+        logger.error('TemplateValidationService: Error validating campaign', {
+            error: error.response?.data || error.message,
+            templateName: template_name,
+            language
+        });
+        throw error;
+    }
+}
+
+module.exports = {
+    getTemplateDefinition,
+    analyzeTemplate,
+    validateComponents,
+    validateCampaign,
+    extractPlaceholders
+};
@@ -0,0 +1,489 @@
+const mongodbService = require('./mongodbService');
+const projectService = require('./projectService');
+const suppressionService = require('./suppressionService');
+const phoneService = require('./phoneService');
+const messageLogService = require('./messageLogService');
+const contactService = require('./contactService');
+const inboundMediaService = require('./inboundMediaService');
+const journeyService = require('./journeyService');
+const autoReplyService = require('./autoReplyService');
+const environment = require('../config/environment');
+const logger = require('../config/logger');
+
+// Replies without a quoted message are attributed to the latest campaign sent to the contact within this window
+const REPLY_ATTRIBUTION_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Higher rank wins, so late "delivered" webhooks never overwrite a "read" status
+const STATUS_RANK = {
+    pending: 0,
+    sent: 1,
+    delivered: 2,
+    read: 3,
+    answered: 4
+};
+
+// Processed deliveries are kept this long for troubleshooting, then removed by MongoDB
+const PROCESSED_EVENT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const indexedCollections = new Set();
+const indexedEventCollections = new Set();
+
+async function getCampaignsCollection(projectId) {
+    const campaignsDb = await mongodbService.getDbConnection(environment.mongoCampaignsDbName);
+    const projectIdString = projectId.toString();
+    const campaignsCollection = campaignsDb.collection(projectIdString);
+
+    if (!indexedCollections.has(projectIdString)) {
+        // createIndex would create a missing collection without the validator saveCampaign sets up,
+        // so index only once the project's first campaign created it
+        const exists = await campaignsDb
+            .listCollections({ name: projectIdString }, { nameOnly: true })
+            .hasNext();
+        if (!exists) {
+            return campaignsCollection;
+        }
+
+        await campaignsCollection.createIndex({ 'results.messageId': 1 });
+        await campaignsCollection.createIndex({ 'results.phoneNumber': 1, dateTime: -1 });
+        indexedCollections.add(projectIdString);
+    }
+
+    return campaignsCollection;
+}
+
+async function getEventsCollection(projectId) {
+    const webhooksDb = await mongodbService.getDbConnection(environment.mongoWebhooksDbName);
+    const projectIdString = projectId.toString();
+    const eventsCollection = webhooksDb.collection(projectIdString);
+
+    if (!indexedEventCollections.has(projectIdString)) {
+        await eventsCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+        await eventsCollection.createIndex({ processedAt: 1 }, { expireAfterSeconds: PROCESSED_EVENT_TTL_SECONDS });
+        indexedEventCollections.add(projectIdString);
+    }
+
+    return eventsCollection;
+}
+
+/**
+ * Project ids with stored webhook deliveries, from the collections of the webhooks database
+ */
+async function listEventProjects() {
+    const webhooksDb = await mongodbService.getDbConnection(environment.mongoWebhooksDbName);
+    const collections = await webhooksDb.listCollections({}, { nameOnly: true }).toArray();
+    return collections.map(({ name }) => name).filter(name => !name.startsWith('system.'));
+}
+
+/**
+ * Store a webhook delivery for the webhook worker, so Meta gets its 200 before media downloads and replies run
+ * @param {string} projectId - Project the webhook was delivered for
+ * @param {Object} payload - Webhook body sent by Meta
+ * @returns {Promise<Object|null>} The stored event, or null for payloads that are not WhatsApp events
+ */
+async function enqueueWebhook(projectId, payload) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        if (!payload || payload.object !== 'whatsapp_business_account' || !Array.isArray(payload.entry)) {
+            logger.warn('WebhookService: Ignoring unsupported webhook payload', { projectId, object: payload?.object });
+            return null;
+        }
+
+        const eventsCollection = await getEventsCollection(projectId);
+        const now = new Date();
+        const event = {
+            payload,
+            status: 'pending',
+            attempts: 0,
+            error: null,
+            receivedAt: now,
+            nextAttemptAt: now
+        };
+        const result = await eventsCollection.insertOne(event);
+
+        logger.info('WebhookService: Webhook queued', { projectId, _id: result.insertedId });
+        return { _id: result.insertedId, ...event };
+    } catch (error) {
+        logger.error('WebhookService: Error queueing webhook', { error: error.message, projectId });
+        throw error;
+    }
+}
+
+/**
+ * Convert a Meta unix timestamp (seconds, as string) into a Date
+ */
+function parseMetaTimestamp(timestamp) {
+    const seconds = parseInt(timestamp, 10);
+    return Number.isNaN(seconds) ? new Date() : new Date(seconds * 1000);
+}
+
+/**
+ * Extract a human readable text and payload from an inbound message
+ */
+function extractMessageContent(message) {
+    switch (message.type) {
+        case 'text':
+            return { messageText: message.text?.body || '', payload: null };
+        case 'button':
+            return { messageText: message.button?.text || '', payload: message.button?.payload || null };
+        case 'interactive': {
+            const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+            if (reply) {
+                return { messageText: reply.title || '', payload: reply.id || null };
+            }
+            if (message.interactive?.nfm_reply) {
+                return { messageText: message.interactive.nfm_reply.body || '', payload: message.interactive.nfm_reply.response_json || null };
+            }
+            return { messageText: '', payload: null };
+        }
+        case 'image':
+        case 'video':
+        case 'document':
+        case 'sticker':
+        case 'audio':
+            return { messageText: message[message.type]?.caption || '', payload: null };
+        case 'location':
+            return { messageText: message.location?.name || message.location?.address || '', payload: null };
+        case 'reaction':
+            return { messageText: message.reaction?.emoji || '', payload: message.reaction?.message_id || null };
+        default:
+            return { messageText: '', payload: null };
+    }
+}
+
+/**
+ * Apply a message status update (sent, delivered, read, failed) onto the campaign result holding the wamid
+ */
+async function applyStatus(projectId, status) {
+    const campaignsCollection = await getCampaignsCollection(projectId);
+    const messageId = status.id;
+    const statusDateTime = parseMetaTimestamp(status.timestamp);
+
+    const campaign = await campaignsCollection.findOne(
+        { 'results.messageId': messageId },
+        { projection: { _id: 1, 'results.$': 1 } }
+    );
+
+    if (!campaign || !campaign.results || campaign.results.length === 0) {
+        logger.info('WebhookService: No campaign result found for status', { projectId, messageId, status: status.status });
+        return { matched: false };
+    }
+
+    const result = campaign.results[0];
+    const historyEntry = { status: status.status, dateTime: statusDateTime };
+    const update = {
+        $push: { 'results.$.statusHistory': historyEntry },
+        $set: {}
+    };
+
+    if (status.status === 'failed') {
+        historyEntry.error = status.errors?.[0] || null;
+        update.$set['results.$.status'] = 'failed';
+        update.$set['results.$.success'] = false;
+        update.$set['results.$.error'] = status.errors?.[0] || null;
+        if (result.success === true) {
+            update.$inc = { success: -1, failed: 1 };
+        }
+    } else {
+        const currentRank = STATUS_RANK[result.status] ?? 0;
+        const newRank = STATUS_RANK[status.status] ?? 0;
+        if (newRank > currentRank && result.status !== 'failed') {
+            update.$set['results.$.status'] = status.status;
+        }
+        if (status.status === 'delivered' && !result.deliveredDateTime) {
+            update.$set['results.$.deliveredDateTime'] = statusDateTime;
+        }
+        if (status.status === 'read' && !result.readDateTime) {
+            update.$set['results.$.readDateTime'] = statusDateTime;
+        }
+    }
+
+    if (Object.keys(update.$set).length === 0) {
+        delete update.$set;
+    }
+
+    // A status already in the history is a redelivery and changes nothing
+    await campaignsCollection.updateOne(
+        {
+            _id: campaign._id,
+            results: {
+                $elemMatch: {
+                    messageId,
+                    statusHistory: { $not: { $elemMatch: { status: status.status, dateTime: statusDateTime } } }
+                }
+            }
+        },
+        update
+    );
+
+    logger.info('WebhookService: Status applied to campaign result', {
+        projectId,
+        campaignId: campaign._id,
+        messageId,
+        status: status.status
+    });
+
+    return { matched: true, campaignId: campaign._id };
+}
+
+/**
+ * Find the campaign result an inbound message answers, by quoted message or by latest campaign for the contact
+ */
+async function findAnsweredResult(campaignsCollection, message, receivedAt) {
+    if (message.context?.id) {
+        const campaign = await campaignsCollection.findOne(
+            { 'results.messageId': message.context.id },
+            { projection: { _id: 1, templateName: 1, variants: 1, 'results.$': 1 } }
+        );
+        if (campaign && campaign.results && campaign.results.length > 0) {
+            return { campaign, result: campaign.results[0] };
+        }
+    }
+
+    const variants = phoneService.getPhoneNumberVariants(message.from);
+    const campaign = await campaignsCollection.findOne(
+        {
+            dateTime: { $gte: new Date(receivedAt.getTime() - REPLY_ATTRIBUTION_WINDOW_MS) },
+            results: { $elemMatch: { phoneNumber: { $in: variants }, success: true } }
+        },
+        {
+            sort: { dateTime: -1 },
+            projection: { _id: 1, templateName: 1, variants: 1, 'results.$': 1 }
+        }
+    );
+
+    if (campaign && campaign.results && campaign.results.length > 0) {
+        return { campaign, result: campaign.results[0] };
+    }
+
+    return null;
+}
+
+/**
+ * Record an inbound message as an answer on the matching campaign result
+ * @param {Object} [media] - Summary of the stored media the message carried
+ * @returns {Promise<Object>} sideEffectsApplied is true when an earlier delivery of the wamid already ran its side effects
+ */
+async function applyInboundMessage(projectId, message, contact, media) {
+    const campaignsCollection = await getCampaignsCollection(projectId);
+    const receivedAt = parseMetaTimestamp(message.timestamp);
+    const { messageText, payload } = extractMessageContent(message);
+
+    const answered = await findAnsweredResult(campaignsCollection, message, receivedAt);
+
+    if (!answered) {
+        logger.info('WebhookService: Inbound message does not match any campaign', { projectId, from: message.from, messageId: message.id });
+        const { sideEffectsAppliedAt } = await messageLogService.logInboundMessage({
+            projectId,
+            message,
+            contactName: contact?.profile?.name,
+            messageText,
+            payload,
+            media,
+            receivedAt
+        });
+        return { matched: false, sideEffectsApplied: Boolean(sideEffectsAppliedAt), messageText, payload };
+    }
+
+    const { campaign, result } = answered;
+    const answer = {
+        messageId: message.id,
+        messageType: message.type,
+        messageText,
+        payload,
+        contactName: contact?.profile?.name || null,
+        media: media || null,
+        dateTime: receivedAt
+    };
+
+    const previousAnswer = (result.answers || []).find(candidate => candidate.messageId === message.id);
+
+    await campaignsCollection.updateOne(
+        {
+            _id: campaign._id,
+            results: { $elemMatch: { messageId: result.messageId, 'answers.messageId': { $ne: message.id } } }
+        },
+        {
+            $push: {
+                'results.$.answers': answer,
+                'results.$.statusHistory': { status: 'answered', dateTime: receivedAt }
+            },
+            $set: { 'results.$.status': 'answered' }
+        }
+    );
+
+    logger.info('WebhookService: Inbound message recorded as campaign answer', {
+        projectId,
+        campaignId: campaign._id,
+        messageId: message.id,
+        answeredMessageId: result.messageId
+    });
+
+    // A/B test recipients answer their variant's template
+    const variant = (campaign.variants || []).find(candidate => candidate.name === result.variant);
+    return {
+        matched: true,
+        sideEffectsApplied: Boolean(previousAnswer?.sideEffectsAppliedAt),
+        campaignId: campaign._id,
+        answeredMessageId: result.messageId,
+        templateName: variant ? variant.templateName : campaign.templateName,
+        messageText,
+        payload
+    };
+}
+
+/**
+ * Mark the side effects of an inbound message as done on the record applyInboundMessage stored it in
+ */
+async function markSideEffectsApplied(projectId, messageId, inbound) {
+    if (!inbound.matched) {
+        await messageLogService.markInboundSideEffectsApplied(projectId, messageId);
+        return;
+    }
+
+    const campaignsCollection = await getCampaignsCollection(projectId);
+    await campaignsCollection.updateOne(
+        { _id: inbound.campaignId },
+        { $set: { 'results.$[result].answers.$[answer].sideEffectsAppliedAt': new Date() } },
+        { arrayFilters: [{ 'result.messageId': inbound.answeredMessageId }, { 'answer.messageId': messageId }] }
+    );
+}
+
+/**
+ * Process a WhatsApp Cloud API webhook payload for a project
+ * @param {string} projectId - Project the webhook was delivered for
+ * @param {Object} payload - Webhook body sent by Meta
+ * @param {Object} [project] - Project document, loaded when not given
+ */
+async function processWebhook(projectId, payload, project) {
+    try {
+        if (!projectId) {
+            throw new Error('projectId is required');
+        }
+
+        if (!payload || payload.object !== 'whatsapp_business_account' || !Array.isArray(payload.entry)) {
+            logger.warn('WebhookService: Ignoring unsupported webhook payload', { projectId, object: payload?.object });
+            return { statuses: 0, messages: 0, optOuts: 0 };
+        }
+
+        let statusesCount = 0;
+        let messagesCount = 0;
+        let optOutsCount = 0;
+        let projectDocument = project;
+        // One failing event does not stop the others; the delivery is retried and the applied events are skipped then
+        const failures = [];
+
+        for (const entry of payload.entry) {
+            for (const change of entry.changes || []) {
+                if (change.field !== 'messages' || !change.value) {
+                    continue;
+                }
+
+                const value = change.value;
+
+                for (const status of value.statuses || []) {
+                    try {
+                        const { matched } = await applyStatus(projectId, status);
+                        if (!matched) {
+                            await messageLogService.applyStatus(projectId, status);
+                        }
+                        statusesCount++;
+                    } catch (error) {
+                        logger.error('WebhookService: Error applying status', { projectId, messageId: status.id, error: error.message });
+                        failures.push(status.id);
+                    }
+                }
+
+                for (const message of value.messages || []) {
+                    const contact = (value.contacts || []).find(c => c.wa_id === message.from) || value.contacts?.[0];
+                    try {
+                        let media = null;
+                        if (inboundMediaService.getInboundMediaReference(message)) {
+                            projectDocument = projectDocument || await projectService.getProjectById(projectId);
+                            media = await inboundMediaService.storeInboundMedia({ projectId, project: projectDocument, message });
+                        }
+
+                        const inbound = await applyInboundMessage(projectId, message, contact, media);
+                        const { messageText, payload: replyPayload, campaignId, templateName } = inbound;
+                        if (inbound.sideEffectsApplied) {
+                            // Meta redelivers webhooks it did not see acknowledged; an earlier delivery already ran the side effects.
+                            // Until they all succeed they run again on each retry, which each of them tolerates.
+                            logger.info('WebhookService: Skipping redelivered inbound message', { projectId, messageId: message.id });
+                            continue;
+                        }
+
+                        await contactService.recordInboundMessage({
+                            projectId,
+                            phoneNumber: message.from,
+                            receivedAt: parseMetaTimestamp(message.timestamp),
+                            contactName: contact?.profile?.name
+                        });
+                        messagesCount++;
+
+                        projectDocument = projectDocument || await projectService.getProjectById(projectId);
+                        const optOut = await suppressionService.applyOptOutKeyword({
+                            projectId,
+                            project: projectDocument,
+                            phoneNumber: message.from,
+                            messageText,
+                            messageId: message.id
+                        });
+                        if (optOut) {
+                            optOutsCount++;
+                        }
+
+                        const journeysMoved = await journeyService.handleInboundMessage({
+                            projectId,
+                            phoneNumber: message.from,
+                            messageId: message.id,
+                            messageText,
+                            payload: replyPayload,
+                            receivedAt: parseMetaTimestamp(message.timestamp)
+                        });
+
+                        // Opt-outs and replies taken by a journey step are not answered again by a rule
+                        if (!optOut && journeysMoved === 0) {
+                            await autoReplyService.handleInboundMessage({
+                                projectId,
+                                project: projectDocument,
+                                phoneNumber: message.from,
+                                messageId: message.id,
+                                messageText,
+                                campaignId,
+                                templateName,
+                                receivedAt: parseMetaTimestamp(message.timestamp)
+                            });
+                        }
+
+                        await markSideEffectsApplied(projectId, message.id, inbound);
+                    } catch (error) {
+                        logger.error('WebhookService: Error applying inbound message', { projectId, messageId: message.id, error: error.message });
+                        failures.push(message.id);
+                    }
+                }
+            }
+        }
+
+        if (failures.length > 0) {
+            throw new Error(`Could not apply ${failures.length} webhook event(s): ${failures.join(', ')}`);
+        }
+
+        logger.info('WebhookService: Webhook processed', { projectId, statuses: statusesCount, messages: messagesCount, optOuts: optOutsCount });
+        return { statuses: statusesCount, messages: messagesCount, optOuts: optOutsCount };
+    } catch (error) {
+        logger.error('WebhookService: Error processing webhook', { error: error.message, projectId, stack: error.stack });
+        throw error;
+    }
+}
+
+module.exports = {
+    enqueueWebhook,
+    getEventsCollection,
+    listEventProjects,
+    processWebhook,
+    applyStatus,
+    applyInboundMessage,
+    extractMessageContent
+};
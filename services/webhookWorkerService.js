@@ -0,0 +1,115 @@
+const projectService = require('./projectService');
+const webhookService = require('./webhookService');
+const environment = require('../config/environment');
+const logger = require('../config/logger');
+
+const WEBHOOK_WORKER_INTERVAL_MS = parseInt(environment.webhookWorkerIntervalMs, 10) || 5000;
+
+// A claimed delivery is not picked up again for this long, so a crashed run is retried later instead of lost
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+// Failed deliveries are retried with an exponential backoff, then kept as failed
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+let intervalHandle = null;
+let tickRunning = false;
+
+/**
+ * Process the pending webhook deliveries of one project, oldest first, loading the project once
+ */
+async function processProjectEvents(projectId) {
+    const eventsCollection = await webhookService.getEventsCollection(projectId);
+    let project;
+    let event;
+
+    do {
+        // Atomic claim, so several app instances never process the same delivery at once
+        event = await eventsCollection.findOneAndUpdate(
+            { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+            { $set: { nextAttemptAt: new Date(Date.now() + CLAIM_LEASE_MS) }, $inc: { attempts: 1 } },
+            { sort: { nextAttemptAt: 1 }, returnDocument: 'after', includeResultMetadata: false }
+        );
+
+        if (!event) {
+            continue;
+        }
+
+        try {
+            if (project === undefined) {
+                project = await projectService.getProjectById(projectId);
+            }
+
+            const result = await webhookService.processWebhook(projectId, event.payload, project || undefined);
+            await eventsCollection.updateOne(
+                { _id: event._id },
+                { $set: { status: 'processed', processedAt: new Date(), error: null, result }, $unset: { nextAttemptAt: '' } }
+            );
+        } catch (error) {
+            const failed = event.attempts >= MAX_ATTEMPTS;
+            const delayMs = Math.min(RETRY_BASE_DELAY_MS * 2 ** (event.attempts - 1), RETRY_MAX_DELAY_MS);
+            await eventsCollection.updateOne(
+                { _id: event._id },
+                failed
+                    ? { $set: { status: 'failed', failedAt: new Date(), error: error.message }, $unset: { nextAttemptAt: '' } }
+                    : { $set: { nextAttemptAt: new Date(Date.now() + delayMs), error: error.message } }
+            );
+            logger.error('WebhookWorkerService: Error processing webhook', { projectId, _id: event._id, attempts: event.attempts, failed, error: error.message });
+        }
+    } while (event);
+}
+
+/**
+ * Process the pending webhook deliveries of every project
+ */
+async function tick() {
+    if (tickRunning) {
+        return;
+    }
+    tickRunning = true;
+
+    try {
+        const projectIds = await webhookService.listEventProjects();
+
+        for (const projectId of projectIds) {
+            try {
+                await processProjectEvents(projectId);
+            } catch (error) {
+                logger.error('WebhookWorkerService: Error processing project webhooks', { projectId, error: error.message });
+            }
+        }
+    } catch (error) {
+        logger.error('WebhookWorkerService: Error in webhook worker tick', { error: error.message, stack: error.stack });
+    } finally {
+        tickRunning = false;
+    }
+}
+
+/**
+ * Start the webhook worker loop. Deliveries live in MongoDB, so those received before a restart are processed on the first tick.
+ */
+function start() {
+    if (intervalHandle) {
+        return;
+    }
+
+    intervalHandle = setInterval(tick, WEBHOOK_WORKER_INTERVAL_MS);
+    tick();
+    logger.info('WebhookWorkerService: Webhook worker started', { intervalMs: WEBHOOK_WORKER_INTERVAL_MS });
+}
+
+function stop() {
+    if (intervalHandle) {
+        clearInterval(intervalHandle);
+        intervalHandle = null;
+        logger.info('WebhookWorkerService: Webhook worker stopped');
+    }
+}
+
+module.exports = {
+    start,
+    stop,
+    tick,
+    processProjectEvents
+};